@@ -0,0 +1,261 @@
+/**
+ * Audit Module
+ *
+ * Keeps an append-only log of every change to projects, tasks, resource
+ * allocations, risks, time entries, expenses, users and workflows in the "audit" collection.
+ * Entries are never updated; they are removed once older than RETENTION_DAYS
+ * (see pruneEntries), so the log does not grow without bound.
+ *
+ * Each entry records:
+ * - entity/entityId: what changed (e.g. 'task', 'task001')
+ * - action:          create, update, delete, restore, purge, archive, unarchive, deactivate, ...
+ * - userId/userName: who made the change (userName is kept in case the user is renamed)
+ * - timestamp:       when it happened
+ * - changes:         field-level diff as [{ field, before, after }]
+ * - projectId:       project the record belongs to, used to limit who can read the entry
+ * - causedBy:        { entity, entityId } when the change followed from a change to
+ *                    another record (e.g. tasks moved to the trash with their project)
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Collection holding the audit entries
+ */
+const AUDIT_COLLECTION = 'audit';
+
+/**
+ * Entity name recorded for each audited collection
+ */
+const ENTITIES = {
+    projects: 'project',
+    tasks: 'task',
+    resources: 'resource',
+    risks: 'risk',
+    timesheets: 'timesheet',
+    expenses: 'expense',
+    users: 'user',
+    workflows: 'workflow'
+};
+
+/**
+ * Fields left out of diffs because every save changes them
+ */
+const IGNORED_FIELDS = ['version', 'updatedAt'];
+
+/**
+ * Fields whose values are never written to the log
+ */
+const REDACTED_FIELDS = ['password', 'passwordHash', 'passwordReset'];
+
+/**
+ * How long entries are kept (in days)
+ * Defaults to 365, configurable with AUDIT_RETENTION_DAYS
+ */
+const RETENTION_DAYS = /^[1-9]\d*$/.test(process.env.AUDIT_RETENTION_DAYS || '')
+    ? parseInt(process.env.AUDIT_RETENTION_DAYS, 10)
+    : 365;
+
+/**
+ * How often old entries are looked for (in milliseconds)
+ */
+const PRUNE_CHECK_MS = 24 * 60 * 60 * 1000;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Functions told about every logged change (see addChangeListener)
+ */
+const changeListeners = [];
+
+// ============================================
+// DIFFS
+// ============================================
+
+/**
+ * Lists the fields that differ between two versions of a record
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when removed)
+ * @returns {Array<Object>} Changes as { field, before, after }, in field order
+ */
+function diffRecords(before, after) {
+    const oldRecord = before || {};
+    const newRecord = after || {};
+    const fields = new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)]);
+    const changes = [];
+    
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+        
+        const oldValue = oldRecord[field] === undefined ? null : oldRecord[field];
+        const newValue = newRecord[field] === undefined ? null : newRecord[field];
+        
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+        
+        if (REDACTED_FIELDS.includes(field)) {
+            changes.push({ field, before: '[redacted]', after: '[redacted]' });
+        } else {
+            changes.push({ field, before: oldValue, after: newValue });
+        }
+    });
+    
+    return changes;
+}
+
+/**
+ * Gets the project a record belongs to
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record (either version)
+ * @returns {string|null} Project ID, or null for records outside projects (users, workflows)
+ */
+function getProjectId(collection, record) {
+    if (collection === 'projects') return record.id;
+    return record.projectId || null;
+}
+
+// ============================================
+// LOGGING
+// ============================================
+
+/**
+ * Appends an entry for a change to the audit log
+ * Changes that only touch ignored fields are not logged.
+ * Call it inside the same transaction as the change so both are saved together.
+ * @param {Object} store - Data store
+ * @param {Object} change - What happened
+ * @param {string} change.collection - Collection of the changed record
+ * @param {string} change.action - Action name (e.g. 'update')
+ * @param {Object|null} change.before - Record before the change (null when created)
+ * @param {Object|null} change.after - Record after the change (null when removed)
+ * @param {Object|null} change.actor - User making the change ({ id, fullName }), null for the system
+ * @param {Object} [change.causedBy] - { collection, id } of the record whose change caused this one
+ * @returns {Object|null} The stored entry, or null if nothing changed
+ */
+function logChange(store, { collection, action, before, after, actor, causedBy }) {
+    const record = after || before;
+    const changes = diffRecords(before, after);
+    
+    if (changes.length === 0) {
+        return null;
+    }
+    
+    const entry = store.insert(AUDIT_COLLECTION, {
+        id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+        entity: ENTITIES[collection],
+        entityId: record.id,
+        projectId: getProjectId(collection, record),
+        action,
+        userId: actor ? actor.id : null,
+        userName: actor ? actor.fullName : 'System',
+        timestamp: new Date().toISOString(),
+        causedBy: causedBy ? { entity: ENTITIES[causedBy.collection], entityId: causedBy.id } : null,
+        changes
+    });
+    
+    changeListeners.forEach(listener => listener({ collection, action, before, after, actor, entry }));
+    return entry;
+}
+
+/**
+ * Registers a function to call for every change written to the log
+ * Listeners run inside the change's transaction, before it is saved; use
+ * store.afterCommit for anything that must only happen once it has been.
+ * @param {Function} listener - Receives { collection, action, before, after, actor, entry }
+ */
+function addChangeListener(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Runs a change to several records and logs what happened to each of them
+ * Snapshots the records before and after so changes made by shared helpers
+ * (such as cascading deletes) are logged without those helpers knowing about the log.
+ * @param {Object} store - Data store
+ * @param {Array<Object>} targets - Records that may change: { collection, id, action, causedBy }
+ * @param {Object|null} actor - User making the change
+ * @param {Function} fn - Synchronous function making the changes
+ * @returns {*} Whatever fn returns
+ */
+function trackChanges(store, targets, actor, fn) {
+    return store.transaction(() => {
+        const snapshots = targets.map(target => ({
+            ...target,
+            before: store.get(target.collection, target.id)
+        }));
+        
+        const result = fn();
+        
+        snapshots.forEach(({ collection, id, action, causedBy, before }) => {
+            const after = store.get(collection, id);
+            if (before || after) {
+                logChange(store, { collection, action, before, after, actor, causedBy });
+            }
+        });
+        
+        return result;
+    });
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Finds audit entries, newest first
+ * @param {Object} store - Data store
+ * @param {Object} filters - { entity, entityId, userId, limit } (all optional)
+ * @param {Function} canSee - Returns true for entries the current user may read
+ * @returns {Array<Object>} Matching entries
+ */
+function findEntries(store, filters, canSee) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+    
+    return store.all(AUDIT_COLLECTION)
+        .filter(entry =>
+            (!filters.entity || entry.entity === filters.entity) &&
+            (!filters.entityId || entry.entityId === filters.entityId) &&
+            (!filters.userId || entry.userId === filters.userId) &&
+            canSee(entry)
+        )
+        .reverse()
+        .slice(0, limit);
+}
+
+// ============================================
+// RETENTION
+// ============================================
+
+/**
+ * Removes entries older than RETENTION_DAYS
+ * @param {Object} store - Data store
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {number} How many were removed
+ */
+function pruneEntries(store, now = new Date()) {
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * MS_PER_DAY).toISOString();
+    
+    return store.transaction(() => {
+        const all = store.all(AUDIT_COLLECTION);
+        const kept = all.filter(entry => entry.timestamp >= cutoff);
+        
+        if (kept.length < all.length) {
+            store.replaceAll(AUDIT_COLLECTION, kept);
+        }
+        return all.length - kept.length;
+    });
+}
+
+module.exports = {
+    AUDIT_COLLECTION,
+    ENTITIES,
+    RETENTION_DAYS,
+    PRUNE_CHECK_MS,
+    diffRecords,
+    logChange,
+    addChangeListener,
+    trackChanges,
+    findEntries,
+    pruneEntries
+};
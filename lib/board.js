@@ -0,0 +1,177 @@
+/**
+ * Kanban Board Module
+ *
+ * Keeps the order of the task board and its work-in-progress (WIP) limits:
+ * - rank: a task's position within its column; columns are sorted by rank, lowest first.
+ *   A card dropped between two others gets a rank halfway between theirs, so moving
+ *   a card only saves that one task. Once two neighbouring ranks in a column are closer
+ *   than MIN_RANK_GAP, the column is renumbered before halving runs out of precision
+ * - wipLimits: set per project and status as { statusKey: { limit, hard } }. A column
+ *   with more than limit tasks is shown as over its limit; with hard: true the server
+ *   also refuses changes that would take it over
+ *
+ * Only tasks that are not in the trash count towards a limit.
+ */
+
+const { isDeleted } = require('./integrity');
+const { findStatus, getWorkflow } = require('./workflows');
+
+// ============================================
+// ORDERING
+// ============================================
+
+/**
+ * Closest two neighbouring ranks may get before their column is renumbered
+ * Halving the gap of 1 between two cards reaches it after about 20 drops into the same spot
+ */
+const MIN_RANK_GAP = 1e-6;
+
+/**
+ * Gets the rank that puts a new task at the bottom of its column
+ * @param {Object} store - Data store
+ * @returns {number} One more than the highest rank in use
+ */
+function nextRank(store) {
+    const ranks = store.all('tasks')
+        .map(task => task.rank)
+        .filter(rank => typeof rank === 'number');
+    
+    return Math.max(0, ...ranks) + 1;
+}
+
+/**
+ * Gives tasks saved before ranks existed a rank, keeping their current order
+ * @param {Object} store - Data store
+ * @returns {Array<Object>} IDs and ranks to save ({ id, rank }), empty if every task has one
+ */
+function planMissingRanks(store) {
+    let rank = nextRank(store);
+    
+    return store.all('tasks')
+        .filter(task => typeof task.rank !== 'number')
+        .map(task => ({ id: task.id, rank: rank++ }));
+}
+
+/**
+ * Renumbers a board column once neighbouring ranks have been squeezed too close together
+ * A column holds every task in the status, whatever project it belongs to, as the board
+ * shows them. Tasks keep their order (ties broken by ID, as the list endpoint sorts) and
+ * get whole-number ranks from 1
+ * @param {Object} store - Data store
+ * @param {string} status - Status key of the column
+ * @returns {Array<Object>} IDs and ranks to save ({ id, rank }), empty if the column has room
+ */
+function planRebalance(store, status) {
+    const column = store.all('tasks')
+        .filter(task => task.status === status && typeof task.rank === 'number')
+        .sort((a, b) => a.rank - b.rank || a.id.localeCompare(b.id));
+    
+    const crowded = column.some((task, index) => index > 0 && task.rank - column[index - 1].rank < MIN_RANK_GAP);
+    if (!crowded) {
+        return [];
+    }
+    
+    return column
+        .map((task, index) => ({ id: task.id, rank: index + 1, previous: task.rank }))
+        .filter(({ rank, previous }) => rank !== previous)
+        .map(({ id, rank }) => ({ id, rank }));
+}
+
+// ============================================
+// WIP LIMITS
+// ============================================
+
+/**
+ * Validates a project's WIP limits against the workflow its tasks use
+ * @param {Object} limits - Limits from the request, keyed by status
+ * @param {Object} workflow - The project's workflow
+ * @returns {Object} { value, error } - value holds the limits as { limit, hard };
+ *   error is a message, or null if valid
+ */
+function validateWipLimits(limits, workflow) {
+    const value = {};
+    
+    for (const [key, rule] of Object.entries(limits)) {
+        const status = findStatus(workflow, key);
+        
+        if (!status) {
+            return { value, error: `WIP limits mention unknown status "${key}"` };
+        }
+        if (!rule || !Number.isInteger(rule.limit) || rule.limit < 1) {
+            return { value, error: `The limit for "${status.label}" must be a whole number of at least 1` };
+        }
+        if (rule.hard !== undefined && typeof rule.hard !== 'boolean') {
+            return { value, error: `Whether the limit for "${status.label}" is hard must be true or false` };
+        }
+        
+        value[key] = { limit: rule.limit, hard: rule.hard === true };
+    }
+    
+    return { value, error: null };
+}
+
+/**
+ * Checks that a task entering a column does not take it over a hard WIP limit
+ * Tasks already in the column may stay even if a limit was set below their number
+ * @param {Object} store - Data store
+ * @param {Object} changes - Validated fields being saved
+ * @param {Object} [existing] - Stored task when updating
+ * @returns {Object|null} Error messages keyed by field name, or null if valid
+ */
+function checkWipLimit(store, changes, existing) {
+    const task = { ...existing, ...changes };
+    const entering = !existing || task.status !== existing.status || task.projectId !== existing.projectId;
+    
+    if (!entering) {
+        return null;
+    }
+    
+    const project = store.get('projects', task.projectId);
+    const rule = project && project.wipLimits && project.wipLimits[task.status];
+    
+    if (!rule || !rule.hard) {
+        return null;
+    }
+    
+    const inColumn = store.all('tasks').filter(t =>
+        t.projectId === task.projectId && t.status === task.status && !isDeleted(t)
+    );
+    
+    if (inColumn.length >= rule.limit) {
+        const status = findStatus(getWorkflow(store, project.workflowId), task.status);
+        return {
+            status: `"${status ? status.label : task.status}" is at its limit of ${rule.limit} task(s) in ${project.name}`
+        };
+    }
+    
+    return null;
+}
+
+/**
+ * Counts each project's tasks per status, as WIP limits count them
+ * @param {Object} store - Data store
+ * @returns {Map<string, Object>} { statusKey: count } keyed by project ID
+ */
+function countTasksByStatus(store) {
+    const counts = new Map();
+    
+    store.all('tasks').filter(task => !isDeleted(task)).forEach(task => {
+        if (!counts.has(task.projectId)) {
+            counts.set(task.projectId, {});
+        }
+        const byStatus = counts.get(task.projectId);
+        byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+    });
+    
+    return counts;
+}
+
+module.exports = {
+    MIN_RANK_GAP,
+    nextRank,
+    planMissingRanks,
+    planRebalance,
+    validateWipLimits,
+    checkWipLimit,
+    countTasksByStatus
+};
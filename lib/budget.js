@@ -0,0 +1,216 @@
+/**
+ * Budget Module
+ *
+ * A project's spend comes from two sources, and project.budgetSpent is worked out
+ * from them whenever projects are read:
+ * - the expense ledger (the "expenses" collection): costs entered by hand, such as
+ *   software licences or travel, which count once approved
+ * - labour: hours approved on timesheets × the hourlyRate of the allocation they
+ *   count towards (see lib/timesheets.js)
+ *
+ * Expense records: { id, projectId, category, description, vendor, date, amount,
+ *                    receiptNote, status, submittedBy, reviewedBy, reviewedAt,
+ *                    rejectionReason }
+ * - category: one of EXPENSE_CATEGORIES; 'labour' is only ever derived from timesheets
+ * - status: pending → approved, or rejected; a rejected expense goes back to pending
+ *   when it is corrected. Approved expenses can no longer be changed
+ */
+
+const timesheets = require('./timesheets');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Collection holding the expense ledger
+ */
+const EXPENSE_COLLECTION = 'expenses';
+
+/**
+ * Categories an expense can be entered under
+ */
+const EXPENSE_CATEGORIES = ['software', 'hardware', 'travel', 'contractors', 'training', 'other'];
+
+/**
+ * Category of the spend derived from approved timesheet hours
+ */
+const LABOUR_CATEGORY = 'labour';
+
+/**
+ * Expense statuses, in workflow order
+ */
+const EXPENSE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// ============================================
+// LEDGER
+// ============================================
+
+/**
+ * Checks whether an expense may still be changed or deleted
+ * @param {Object} expense - Expense record
+ * @returns {boolean} True unless the expense has been approved
+ */
+function isEditable(expense) {
+    return expense.status !== 'approved';
+}
+
+/**
+ * Rounds an amount to cents
+ * @param {number} amount - Amount of money
+ * @returns {number} Amount rounded to two decimals
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Works out the labour cost of every approved time entry
+ * Entries that count towards no allocation have no rate and cost nothing
+ * @param {Object} store - Data store
+ * @returns {Array<Object>} { projectId, taskId, date, hours, amount } per approved entry
+ */
+function getLabourCosts(store) {
+    const resources = store.all('resources').filter(resource => !resource.deletedAt);
+    
+    return store.all(timesheets.TIMESHEET_COLLECTION)
+        .filter(entry => entry.status === 'approved' && !entry.deletedAt)
+        .map(entry => {
+            const allocation = timesheets.findAllocation(resources, entry);
+            return {
+                projectId: entry.projectId,
+                taskId: entry.taskId,
+                date: entry.date,
+                hours: entry.hours,
+                amount: allocation ? roundAmount(entry.hours * (allocation.hourlyRate || 0)) : 0
+            };
+        });
+}
+
+/**
+ * Lists the spend lines of the ledger: approved expenses plus labour
+ * @param {Object} store - Data store
+ * @returns {Array<Object>} { projectId, category, date, amount } per line
+ */
+function getSpendLines(store) {
+    const expenses = store.all(EXPENSE_COLLECTION)
+        .filter(expense => expense.status === 'approved' && !expense.deletedAt)
+        .map(({ projectId, category, date, amount }) => ({ projectId, category, date, amount }));
+    
+    const labour = getLabourCosts(store)
+        .filter(cost => cost.amount > 0)
+        .map(({ projectId, date, amount }) => ({ projectId, category: LABOUR_CATEGORY, date, amount }));
+    
+    return [...expenses, ...labour];
+}
+
+/**
+ * Adds up the spend of each project
+ * @param {Object} store - Data store
+ * @returns {Map} Amount spent keyed by project ID
+ */
+function getSpentByProject(store) {
+    const spent = new Map();
+    
+    getSpendLines(store).forEach(line => {
+        spent.set(line.projectId, roundAmount((spent.get(line.projectId) || 0) + line.amount));
+    });
+    
+    return spent;
+}
+
+/**
+ * Adds the computed budgetSpent to projects being returned to a client
+ * @param {Array<Object>} projects - Projects to annotate
+ * @param {Map} spentByProject - Amount spent keyed by project ID (see getSpentByProject)
+ * @returns {Array<Object>} Copies of the projects with budgetSpent
+ */
+function withSpend(projects, spentByProject) {
+    return projects.map(project => ({ ...project, budgetSpent: spentByProject.get(project.id) || 0 }));
+}
+
+// ============================================
+// REPORTING
+// ============================================
+
+/**
+ * Breaks the spend of some projects down by category and month
+ * @param {Array<Object>} lines - Spend lines (see getSpendLines) of the projects to report
+ * @returns {Object} { spent, byCategory, byMonth }
+ *   - byCategory: [{ category, amount }], labour first, then EXPENSE_CATEGORIES order,
+ *     leaving out categories without spend
+ *   - byMonth: [{ month: 'YYYY-MM', amount, categories: { [category]: amount } }], oldest first
+ */
+function summarizeSpend(lines) {
+    const categoryTotals = new Map();
+    const months = new Map();
+    
+    lines.forEach(line => {
+        categoryTotals.set(line.category, roundAmount((categoryTotals.get(line.category) || 0) + line.amount));
+        
+        const key = line.date.slice(0, 7);
+        if (!months.has(key)) {
+            months.set(key, { month: key, amount: 0, categories: {} });
+        }
+        
+        const month = months.get(key);
+        month.amount = roundAmount(month.amount + line.amount);
+        month.categories[line.category] = roundAmount((month.categories[line.category] || 0) + line.amount);
+    });
+    
+    return {
+        spent: roundAmount(lines.reduce((sum, line) => sum + line.amount, 0)),
+        byCategory: [LABOUR_CATEGORY, ...EXPENSE_CATEGORIES]
+            .filter(category => categoryTotals.has(category))
+            .map(category => ({ category, amount: categoryTotals.get(category) })),
+        byMonth: Array.from(months.values()).sort((a, b) => a.month.localeCompare(b.month))
+    };
+}
+
+// ============================================
+// MIGRATION
+// ============================================
+
+/**
+ * Plans moving the budgetSpent typed into projects by older versions into the ledger
+ * Each project with spend gets one approved 'other' expense for that amount,
+ * dated at the project's start
+ * @param {Object} store - Data store
+ * @returns {Array<Object>} { projectId, expense } for each project still holding
+ *   budgetSpent (expense is null when it was 0), empty if there is nothing to migrate
+ */
+function planLegacySpend(store) {
+    return store.all('projects')
+        .filter(project => project.budgetSpent !== undefined)
+        .map(project => ({
+            projectId: project.id,
+            expense: project.budgetSpent > 0 ? {
+                projectId: project.id,
+                category: 'other',
+                description: 'Spend recorded before the expense ledger',
+                vendor: '',
+                date: project.startDate,
+                amount: project.budgetSpent,
+                receiptNote: '',
+                status: 'approved',
+                submittedBy: project.projectManager || null,
+                reviewedBy: null,
+                reviewedAt: null,
+                rejectionReason: null
+            } : null
+        }));
+}
+
+module.exports = {
+    EXPENSE_COLLECTION,
+    EXPENSE_CATEGORIES,
+    LABOUR_CATEGORY,
+    EXPENSE_STATUSES,
+    isEditable,
+    getLabourCosts,
+    getSpendLines,
+    getSpentByProject,
+    withSpend,
+    summarizeSpend,
+    planLegacySpend
+};
@@ -0,0 +1,67 @@
+/**
+ * Deadlines Module
+ *
+ * Decides when a task is overdue or due soon. This is the one definition used both
+ * for the overdue flag GET /api/tasks adds to every task (shown on the dashboard,
+ * task views and reports) and for deadline notifications.
+ * - overdue:  not done, and its due date has passed
+ * - due soon: not done, and due today or within DUE_SOON_DAYS days
+ *
+ * Dates are compared as YYYY-MM-DD strings in UTC, like risk due dates.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * How many days ahead a due date counts as due soon
+ */
+const DUE_SOON_DAYS = 1;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// PREDICATES
+// ============================================
+
+/**
+ * Gets today's date
+ * @returns {string} Today as YYYY-MM-DD (UTC)
+ */
+function getToday() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Checks whether a task is past its due date
+ * @param {Object} task - Task
+ * @param {string} category - The task's status category
+ * @param {string} [today] - Current date as YYYY-MM-DD (defaults to today)
+ * @returns {boolean} True if the task is not done and its due date has passed
+ */
+function isOverdue(task, category, today = getToday()) {
+    return category !== 'done' && Boolean(task.dueDate) && task.dueDate.slice(0, 10) < today;
+}
+
+/**
+ * Checks whether a task is due in the next few days
+ * @param {Object} task - Task
+ * @param {string} category - The task's status category
+ * @param {string} [today] - Current date as YYYY-MM-DD (defaults to today)
+ * @returns {boolean} True if the task is not done and due within DUE_SOON_DAYS days
+ */
+function isDueSoon(task, category, today = getToday()) {
+    if (category === 'done' || !task.dueDate) return false;
+    
+    const lastDay = new Date(Date.parse(today) + DUE_SOON_DAYS * MS_PER_DAY).toISOString().slice(0, 10);
+    const dueDate = task.dueDate.slice(0, 10);
+    return dueDate >= today && dueDate <= lastDay;
+}
+
+module.exports = {
+    DUE_SOON_DAYS,
+    getToday,
+    isOverdue,
+    isDueSoon
+};
@@ -0,0 +1,173 @@
+/**
+ * Task Dependencies Module
+ *
+ * A task's dependencies field lists the tasks that must be done before it
+ * can be (its predecessors). This module keeps those links usable:
+ * - Dependencies must be tasks in the same project and may not form a cycle
+ * - A task is blocked while any predecessor is unfinished, and cannot be moved
+ *   to a status in the workflow's "done" category
+ * - Blocked state is computed when tasks are read, so finishing a task
+ *   unblocks its successors without touching them
+ *
+ * Tasks in the trash are ignored: they neither block nor count as successors.
+ */
+
+const { isDeleted } = require('./integrity');
+const { createStatusResolver } = require('./workflows');
+
+// ============================================
+// LOOKUPS
+// ============================================
+
+/**
+ * Gets the tasks a task depends on
+ * @param {Object} task - Task record
+ * @param {Map} tasksById - Tasks not in the trash, keyed by ID
+ * @returns {Array<Object>} Predecessor tasks
+ */
+function getPredecessors(task, tasksById) {
+    return (task.dependencies || [])
+        .map(id => tasksById.get(id))
+        .filter(Boolean);
+}
+
+/**
+ * Gets the tasks that depend on a task
+ * @param {string} taskId - Task ID
+ * @param {Array<Object>} tasks - Tasks not in the trash
+ * @returns {Array<Object>} Successor tasks
+ */
+function getSuccessors(taskId, tasks) {
+    return tasks.filter(task => (task.dependencies || []).includes(taskId));
+}
+
+/**
+ * Gets the unfinished tasks a task is waiting for
+ * @param {Object} task - Task record
+ * @param {Map} tasksById - Tasks not in the trash, keyed by ID
+ * @param {Object} resolver - Status resolver (see workflows.createStatusResolver)
+ * @returns {Array<Object>} Predecessors that are not done
+ */
+function getBlockers(task, tasksById, resolver) {
+    return getPredecessors(task, tasksById).filter(predecessor => !resolver.isDone(predecessor));
+}
+
+/**
+ * Indexes the tasks that are not in the trash by ID
+ * @param {Array<Object>} tasks - All tasks
+ * @returns {Map} Tasks keyed by ID
+ */
+function indexLiveTasks(tasks) {
+    return new Map(tasks.filter(task => !isDeleted(task)).map(task => [task.id, task]));
+}
+
+/**
+ * Adds the computed dependency state to tasks being returned to a client
+ * - blockedBy: IDs of unfinished predecessors (empty for tasks that are done)
+ * - blocked:   true while blockedBy is not empty
+ * - dependents: IDs of the tasks that depend on this one
+ * @param {Array<Object>} tasks - Tasks to annotate
+ * @param {Array<Object>} allTasks - Every task, used to look up predecessors
+ * @param {Object} resolver - Status resolver (see workflows.createStatusResolver)
+ * @returns {Array<Object>} Copies of the tasks with the extra fields
+ */
+function withDependencyState(tasks, allTasks, resolver) {
+    const tasksById = indexLiveTasks(allTasks);
+    const liveTasks = Array.from(tasksById.values());
+    
+    return tasks.map(task => {
+        const blockedBy = resolver.isDone(task) ? [] : getBlockers(task, tasksById, resolver).map(t => t.id);
+        
+        return {
+            ...task,
+            blocked: blockedBy.length > 0,
+            blockedBy,
+            dependents: getSuccessors(task.id, liveTasks).map(t => t.id)
+        };
+    });
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Looks for a dependency chain leading from a task back to itself
+ * @param {string} taskId - Task being saved
+ * @param {Array<string>} dependencies - The task's new dependencies
+ * @param {Map} tasksById - Tasks not in the trash, keyed by ID
+ * @returns {Array<string>|null} IDs along the cycle (starting and ending with taskId), or null
+ */
+function findCycle(taskId, dependencies, tasksById) {
+    const visited = new Set();
+    
+    // Depth-first search from each new predecessor, following dependencies upstream
+    const search = (id, path) => {
+        if (id === taskId) return [...path, id];
+        if (visited.has(id)) return null;
+        visited.add(id);
+        
+        const task = tasksById.get(id);
+        for (const next of (task && task.dependencies) || []) {
+            const cycle = search(next, [...path, id]);
+            if (cycle) return cycle;
+        }
+        return null;
+    };
+    
+    for (const id of dependencies) {
+        const cycle = search(id, [taskId]);
+        if (cycle) return cycle;
+    }
+    
+    return null;
+}
+
+/**
+ * Checks a task's dependencies and status against the other tasks
+ * Runs after the schema and reference checks, so referenced tasks are known to exist.
+ * @param {Object} store - Data store
+ * @param {Object} changes - Validated fields being saved
+ * @param {Object} [existing] - Stored task when updating
+ * @returns {Object|null} Error messages keyed by field name, or null if valid
+ */
+function checkDependencies(store, changes, existing) {
+    const task = { ...existing, ...changes };
+    const tasksById = indexLiveTasks(store.all('tasks'));
+    const resolver = createStatusResolver(store);
+    const errors = {};
+    
+    const dependenciesChanged = changes.dependencies !== undefined ||
+        (existing && changes.projectId !== undefined && changes.projectId !== existing.projectId);
+    
+    if (dependenciesChanged) {
+        const otherProject = getPredecessors(task, tasksById).find(t => t.projectId !== task.projectId);
+        
+        if (otherProject) {
+            errors.dependencies = `Dependency "${otherProject.title}" belongs to another project`;
+        } else if (existing) {
+            const cycle = findCycle(existing.id, task.dependencies || [], tasksById);
+            if (cycle) {
+                const titles = cycle.map(id => id === existing.id ? task.title : tasksById.get(id).title);
+                errors.dependencies = `Dependencies cannot form a cycle: ${titles.join(' → ')}`;
+            }
+        }
+    }
+    
+    // Only a move into "done" is checked, so finished tasks stay editable
+    const completing = resolver.isDone(task) && (!existing || !resolver.isDone(existing));
+    
+    if (completing && !errors.dependencies) {
+        const blockers = getBlockers(task, tasksById, resolver);
+        if (blockers.length > 0) {
+            errors.status = `This task is blocked until ${blockers.map(t => `"${t.title}"`).join(', ')} ${blockers.length === 1 ? 'is' : 'are'} done`;
+        }
+    }
+    
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+module.exports = {
+    withDependencyState,
+    checkDependencies
+};
@@ -0,0 +1,335 @@
+/**
+ * Email Notifications Module
+ *
+ * Emails notifications to the addresses in users.json. Emails go through a queue
+ * (the "mail_queue" collection), so sending never holds up a request and failed
+ * sends are tried again:
+ * - a notification is queued as it is delivered, if its user has chosen to get that
+ *   type by email (see notifications.getSettings)
+ * - a digest of each user's unread notifications from the last day is queued once a
+ *   day, from DIGEST_HOUR (UTC)
+ * - processQueue sends what is due. A failed send is tried again after each of
+ *   RETRY_DELAYS_MINUTES, and given up on after the last one or as soon as the
+ *   mail server refuses it for good
+ *
+ * Queue records: { id, userId, to, kind, key, subject, text, html, headers, status,
+ *                  attempts, nextAttemptAt, lastError, messageId, createdAt, sentAt }
+ * - kind: 'notification' or 'digest'
+ * - key: the notification ID or "digest:<date>", so nothing is queued twice
+ * - status: pending, sent or failed
+ *
+ * Every email has an unsubscribe link that turns its kind of email off, also sent as
+ * a one-click List-Unsubscribe header (RFC 8058).
+ */
+
+const notifications = require('./notifications');
+const templates = require('./mail/templates');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Collection holding the queued emails
+ */
+const QUEUE_COLLECTION = 'mail_queue';
+
+/**
+ * How long to wait before each retry of a failed send (in minutes)
+ */
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+/**
+ * How often the queue is checked for emails to send (in milliseconds)
+ */
+const QUEUE_CHECK_MS = 60 * 1000;
+
+/**
+ * Hour of the day (UTC) from which daily digests go out
+ * Defaults to 7, configurable with MAIL_DIGEST_HOUR (0-23)
+ */
+const DIGEST_HOUR = /^([01]?\d|2[0-3])$/.test(process.env.MAIL_DIGEST_HOUR || '')
+    ? parseInt(process.env.MAIL_DIGEST_HOUR, 10)
+    : 7;
+
+/**
+ * How long sent and failed emails stay in the queue (in days)
+ */
+const RETENTION_DAYS = 30;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Queue run in progress, so runs never overlap
+ */
+let running = null;
+
+// ============================================
+// LINKS
+// ============================================
+
+/**
+ * Gets the page a notification is about
+ * @param {string} appUrl - Base URL of the application
+ * @param {Object} notification - Notification
+ * @returns {string} URL of the task or project
+ */
+function getNotificationLink(appUrl, notification) {
+    return notification.entity === 'project'
+        ? `${appUrl}/projects.html?project=${encodeURIComponent(notification.entityId)}`
+        : `${appUrl}/tasks.html?task=${encodeURIComponent(notification.entityId)}`;
+}
+
+/**
+ * Builds the footer of an email and its List-Unsubscribe headers
+ * @param {Object} store - Data store
+ * @param {string} appUrl - Base URL of the application
+ * @param {string} userId - Recipient's user ID
+ * @param {string} type - What unsubscribing stops: a notification type or 'digest'
+ * @param {string} label - What the user chose to receive, as worded in the settings
+ * @returns {Object} { footer: { reason, unsubscribeUrl, settingsUrl }, headers }
+ */
+function buildFooter(store, appUrl, userId, type, label) {
+    const query = `token=${notifications.getUnsubscribeToken(store, userId)}&type=${type}`;
+    
+    return {
+        footer: {
+            reason: `You are receiving this email because "${label}" is turned on in your email notifications.`,
+            unsubscribeUrl: `${appUrl}/index.html?unsubscribe=1&${query}`,
+            settingsUrl: `${appUrl}/dashboard.html?notifications=settings`
+        },
+        headers: {
+            'List-Unsubscribe': `<${appUrl}/api/notifications/unsubscribe?${query}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    };
+}
+
+/**
+ * Adds an email to the queue
+ * @param {Object} store - Data store
+ * @param {Object} user - Recipient
+ * @param {Object} email - { kind, key, subject, text, html, headers }
+ * @returns {Object} The queued email
+ */
+function enqueue(store, user, email) {
+    const now = new Date().toISOString();
+    
+    return store.insert(QUEUE_COLLECTION, {
+        id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+        userId: user.id,
+        to: user.email,
+        ...email,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        messageId: null,
+        createdAt: now,
+        sentAt: null
+    });
+}
+
+/**
+ * Lists the active users who can be emailed, keyed by ID
+ * @param {Object} store - Data store
+ * @returns {Map} Users with an email address
+ */
+function getRecipients(store) {
+    return new Map(store.all('users')
+        .filter(user => user.active !== false && user.email)
+        .map(user => [user.id, user]));
+}
+
+// ============================================
+// QUEUEING
+// ============================================
+
+/**
+ * Queues the emails for newly delivered notifications
+ * Inside a transaction the emails are queued (or dropped) with it
+ * @param {Object} store - Data store
+ * @param {Array<Object>} delivered - Notifications just added to inboxes
+ * @param {string} appUrl - Base URL of the application, for links
+ * @returns {Array<Object>} The queued emails
+ */
+function queueNotificationEmails(store, delivered, appUrl) {
+    if (delivered.length === 0) return [];
+    
+    return store.transaction(() => {
+        const recipients = getRecipients(store);
+        
+        return delivered.flatMap(notification => {
+            const user = recipients.get(notification.userId);
+            if (!user || !notifications.getSettings(store, user.id).email[notification.type]) {
+                return [];
+            }
+            
+            const { footer, headers } = buildFooter(store, appUrl, user.id, notification.type,
+                notifications.TYPES[notification.type].label);
+            const content = templates.renderNotificationEmail({
+                user,
+                notification,
+                link: getNotificationLink(appUrl, notification),
+                footer
+            });
+            
+            return [enqueue(store, user, { kind: 'notification', key: notification.id, ...content, headers })];
+        });
+    });
+}
+
+/**
+ * Queues today's digests for users who get them and have unread notifications from
+ * the last day. Nothing is queued before DIGEST_HOUR, or twice on the same day
+ * @param {Object} store - Data store
+ * @param {string} appUrl - Base URL of the application, for links
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {Array<Object>} The queued emails
+ */
+function queueDigests(store, appUrl, now = new Date()) {
+    if (now.getUTCHours() < DIGEST_HOUR) return [];
+    
+    const key = `digest:${now.toISOString().slice(0, 10)}`;
+    const since = new Date(now.getTime() - MS_PER_DAY).toISOString();
+    
+    return store.transaction(() => {
+        const queued = new Set(store.all(QUEUE_COLLECTION)
+            .filter(email => email.key === key)
+            .map(email => email.userId));
+        const unread = store.all(notifications.NOTIFICATION_COLLECTION)
+            .filter(notification => !notification.read && notification.createdAt >= since);
+        
+        return Array.from(getRecipients(store).values())
+            .filter(user => !queued.has(user.id) && notifications.getSettings(store, user.id).email.digest)
+            .flatMap(user => {
+                const mine = unread.filter(notification => notification.userId === user.id).reverse();
+                if (mine.length === 0) return [];
+                
+                const { footer, headers } = buildFooter(store, appUrl, user.id, 'digest', notifications.DIGEST.label);
+                const content = templates.renderDigestEmail({
+                    user,
+                    items: mine.map(notification => ({ notification, link: getNotificationLink(appUrl, notification) })),
+                    footer
+                });
+                
+                return [enqueue(store, user, { kind: 'digest', key, ...content, headers })];
+            });
+    });
+}
+
+// ============================================
+// SENDING
+// ============================================
+
+/**
+ * Sends one queued email and records how it went
+ * @param {Object} store - Data store
+ * @param {Object} mailer - Mailer (see lib/mail)
+ * @param {Object} email - Queued email
+ * @returns {Promise<boolean>} True if it was sent
+ */
+async function sendQueued(store, mailer, email) {
+    const attempts = email.attempts + 1;
+    
+    try {
+        const { messageId } = await mailer.send({
+            to: email.to,
+            subject: email.subject,
+            text: email.text,
+            html: email.html,
+            headers: email.headers
+        });
+        
+        store.update(QUEUE_COLLECTION, email.id, {
+            status: 'sent',
+            attempts,
+            nextAttemptAt: null,
+            lastError: null,
+            messageId,
+            sentAt: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        const giveUp = error.permanent || attempts > RETRY_DELAYS_MINUTES.length;
+        console.error(`Sending email ${email.id} to ${email.to} failed (attempt ${attempts}${giveUp ? ', giving up' : ''}):`, error.message);
+        
+        store.update(QUEUE_COLLECTION, email.id, {
+            status: giveUp ? 'failed' : 'pending',
+            attempts,
+            nextAttemptAt: giveUp ? null : new Date(Date.now() + RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000).toISOString(),
+            lastError: error.message
+        });
+        return false;
+    }
+}
+
+/**
+ * Finds the next queued email that is due
+ * @param {Object} store - Data store
+ * @returns {Object|undefined} The email, if any
+ */
+function findDue(store) {
+    const now = new Date().toISOString();
+    return store.all(QUEUE_COLLECTION).find(email => email.status === 'pending' && email.nextAttemptAt <= now);
+}
+
+/**
+ * Sends the queued emails that are due, one at a time, including any queued meanwhile
+ * A run already in progress is joined instead of starting another
+ * @param {Object} store - Data store
+ * @param {Object} mailer - Mailer (see lib/mail)
+ * @returns {Promise<Object>} { sent, failed } - how many were sent and how many failed
+ */
+function processQueue(store, mailer) {
+    if (running) return running;
+    
+    running = (async () => {
+        const result = { sent: 0, failed: 0 };
+        
+        // A failed email is due again later, so each one is tried once per run
+        let email;
+        while ((email = findDue(store))) {
+            if (await sendQueued(store, mailer, email)) {
+                result.sent++;
+            } else {
+                result.failed++;
+            }
+        }
+        return result;
+    })().finally(() => {
+        running = null;
+    });
+    
+    return running;
+}
+
+/**
+ * Removes sent and failed emails older than RETENTION_DAYS
+ * @param {Object} store - Data store
+ * @returns {number} How many were removed
+ */
+function pruneQueue(store) {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * MS_PER_DAY).toISOString();
+    
+    return store.transaction(() => {
+        const all = store.all(QUEUE_COLLECTION);
+        const kept = all.filter(email => email.status === 'pending' || email.createdAt >= cutoff);
+        
+        if (kept.length < all.length) {
+            store.replaceAll(QUEUE_COLLECTION, kept);
+        }
+        return all.length - kept.length;
+    });
+}
+
+module.exports = {
+    QUEUE_COLLECTION,
+    QUEUE_CHECK_MS,
+    RETRY_DELAYS_MINUTES,
+    DIGEST_HOUR,
+    queueNotificationEmails,
+    queueDigests,
+    processQueue,
+    pruneQueue
+};
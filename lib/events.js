@@ -0,0 +1,205 @@
+/**
+ * Live Events Module
+ *
+ * Pushes changes to the pages people have open, so a board updates when a colleague
+ * moves a task instead of waiting for a refresh, and tracks who is looking at which
+ * project (presence).
+ *
+ * Each open page keeps one Server-Sent Events stream (GET /api/events). Events are
+ * written as "event: <name>" plus a JSON "data:" line:
+ * - hello:    { clientId } - first event on every stream; the page uses the ID to say
+ *             which project it is viewing
+ * - change:   a project, task or allocation was created, changed or removed
+ *             (see publishChange in server.js)
+ * - presence: { projectId, viewers: [{ id, fullName }] } - sent to everyone viewing a
+ *             project whenever someone starts or stops viewing it
+ *
+ * Streams belong to the session that opened them and are closed when it ends; the
+ * page then reconnects with its current token. Clients live in this process only, so
+ * servers sharing a SQLite database each only reach their own browsers.
+ */
+
+const crypto = require('crypto');
+const sessions = require('./sessions');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * How often an idle stream is sent a comment line (in milliseconds)
+ * Keeps proxies from closing quiet connections and notices ended sessions
+ */
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * How long a browser waits before reconnecting a dropped stream (in milliseconds)
+ */
+const RETRY_MS = 5 * 1000;
+
+/**
+ * Open streams, keyed by client ID
+ * Each entry holds { id, res, sessionId, user: { id, fullName }, projectId }
+ */
+const clients = new Map();
+
+/**
+ * Timer sending heartbeats while any stream is open
+ */
+let heartbeat = null;
+
+// ============================================
+// STREAMS
+// ============================================
+
+/**
+ * Writes an event to one stream
+ * @param {Object} client - Client to send to
+ * @param {string} name - Event name
+ * @param {Object} data - Event data (sent as JSON)
+ */
+function send(client, name, data) {
+    client.res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Closes streams whose session has ended and pings the rest
+ */
+function beat() {
+    clients.forEach(client => {
+        if (sessions.isSessionActive(client.sessionId)) {
+            client.res.write(': ping\n\n');
+        } else {
+            client.res.end();
+        }
+    });
+}
+
+/**
+ * Turns a request into an event stream and registers it
+ * The stream stays open until the browser leaves or the session ends
+ * @param {Object} req - Express request (authenticated)
+ * @param {Object} res - Express response
+ * @returns {Object} The new client
+ */
+function openStream(req, res) {
+    const client = {
+        id: crypto.randomBytes(12).toString('hex'),
+        res,
+        sessionId: req.session.sessionId,
+        user: { id: req.user.id, fullName: req.user.fullName },
+        projectId: null
+    };
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    
+    clients.set(client.id, client);
+    send(client, 'hello', { clientId: client.id });
+    
+    if (!heartbeat) {
+        heartbeat = setInterval(beat, HEARTBEAT_MS);
+        heartbeat.unref();
+    }
+    
+    res.on('close', () => {
+        clients.delete(client.id);
+        announcePresence(client.projectId);
+        
+        if (clients.size === 0) {
+            clearInterval(heartbeat);
+            heartbeat = null;
+        }
+    });
+    
+    return client;
+}
+
+/**
+ * Sends an event to every open stream, shaped for each recipient
+ * @param {string} name - Event name
+ * @param {Function} dataFor - Receives a client ({ user, projectId }) and returns the
+ *   data to send it, or null to leave it out
+ */
+function broadcast(name, dataFor) {
+    clients.forEach(client => {
+        if (!sessions.isSessionActive(client.sessionId)) return;
+        
+        const data = dataFor(client);
+        if (data !== null) {
+            send(client, name, data);
+        }
+    });
+}
+
+// ============================================
+// PRESENCE
+// ============================================
+
+/**
+ * Lists the people viewing a project, each once however many pages they have open
+ * @param {string} projectId - Project ID
+ * @returns {Array<Object>} Viewers as { id, fullName }
+ */
+function getViewers(projectId) {
+    const viewers = new Map();
+    
+    clients.forEach(client => {
+        if (client.projectId === projectId) {
+            viewers.set(client.user.id, client.user);
+        }
+    });
+    
+    return Array.from(viewers.values());
+}
+
+/**
+ * Tells everyone viewing a project who is viewing it
+ * @param {string|null} projectId - Project ID (nothing happens for null)
+ */
+function announcePresence(projectId) {
+    if (!projectId) return;
+    
+    const data = { projectId, viewers: getViewers(projectId) };
+    clients.forEach(client => {
+        if (client.projectId === projectId) {
+            send(client, 'presence', data);
+        }
+    });
+}
+
+/**
+ * Records which project a page is viewing
+ * Callers check the user may see the project first
+ * @param {string} clientId - Client ID from the hello event
+ * @param {string} userId - ID of the user making the request
+ * @param {string|null} projectId - Project being viewed, or null for none
+ * @returns {boolean} False if there is no such stream for the user
+ */
+function setViewing(clientId, userId, projectId) {
+    const client = clients.get(clientId);
+    if (!client || client.user.id !== userId) {
+        return false;
+    }
+    
+    const previous = client.projectId;
+    client.projectId = projectId;
+    
+    if (previous !== projectId) {
+        announcePresence(previous);
+        announcePresence(projectId);
+    }
+    return true;
+}
+
+module.exports = {
+    openStream,
+    broadcast,
+    getViewers,
+    setViewing
+};
@@ -0,0 +1,281 @@
+/**
+ * Earned Value Module
+ *
+ * Earned value management (EVM) compares what a project planned to have done by a
+ * date with the work actually done and what it cost. It covers task work (labour);
+ * expenses show in the budget report.
+ * - BAC (budget at completion): every task's estimated hours × its rate
+ * - PV (planned value): the part of BAC planned to be done by the date; a task's
+ *   planned cost is spread evenly over its days, start date to due date
+ * - EV (earned value): the planned cost of the work done. A done task earns all of
+ *   it, an active task the share of its estimate already spent (at most
+ *   ACTIVE_EARNED_SHARE) and a task not started nothing
+ * - AC (actual cost): the cost of the hours worked. Approved timesheet hours count on
+ *   the day they were logged, at the rate of the allocation they count towards; hours
+ *   typed into actualHours are spread evenly over the days the task was worked
+ * - SPI = EV / PV and CPI = EV / AC (below 1 means behind schedule or over budget),
+ *   EAC = BAC / CPI, ETC = EAC - AC, VAC = BAC - EAC, SV = EV - PV and CV = EV - AC
+ *
+ * A task's rate is the hourlyRate of its assignee's allocation on the project (see
+ * timesheets.findAllocation), else the average rate of the project's allocations.
+ * Tasks without dates are planned over the project's dates.
+ *
+ * Days are whole UTC days, as in lib/schedule.js.
+ */
+
+const timesheets = require('./timesheets');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Most of its planned cost an unfinished task can earn
+ * Work is only fully earned once the task is done
+ */
+const ACTIVE_EARNED_SHARE = 0.9;
+
+/**
+ * Days between the points of the S-curve
+ */
+const SERIES_STEP_DAYS = 7;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Converts a date (YYYY-MM-DD or ISO date/time) to a day number
+ * @param {string} value - Date string
+ * @returns {number} Days since 1970-01-01 (UTC)
+ */
+function toDay(value) {
+    return Math.floor(Date.parse(value.slice(0, 10)) / MS_PER_DAY);
+}
+
+/**
+ * Converts a day number back to a date
+ * @param {number} day - Days since 1970-01-01 (UTC)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function fromDay(day) {
+    return new Date(day * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Rounds an amount or ratio to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} Rounded number
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Works out how much of a span of days has passed by a day
+ * @param {number} start - First day of the span
+ * @param {number} end - Last day of the span (inclusive)
+ * @param {number} day - Day to measure at
+ * @returns {number} Share between 0 and 1
+ */
+function elapsedShare(start, end, day) {
+    if (day < start) return 0;
+    if (day >= end) return 1;
+    return (day - start + 1) / (end - start + 1);
+}
+
+// ============================================
+// PLANNING
+// ============================================
+
+/**
+ * Gets the rate a task's hours are costed at
+ * @param {Object} task - Task
+ * @param {Array<Object>} resources - Allocations of the task's project
+ * @param {number} fallbackRate - Rate for tasks whose assignee has no allocation
+ * @returns {number} Hourly rate
+ */
+function getTaskRate(task, resources, fallbackRate) {
+    const allocation = task.assignedTo ? timesheets.findAllocation(resources, {
+        userId: task.assignedTo,
+        projectId: task.projectId,
+        date: task.startDate || task.dueDate || ''
+    }) : null;
+    
+    return allocation ? allocation.hourlyRate || 0 : fallbackRate;
+}
+
+/**
+ * Works out what each task plans to cost, has earned and has cost, and when
+ * @param {Object} project - Project
+ * @param {Array<Object>} tasks - The project's tasks not in the trash
+ * @param {Array<Object>} resources - The project's allocations not in the trash
+ * @param {Array<Object>} labourCosts - The project's approved time
+ *   ({ taskId, date, hours, amount }, see budget.getLabourCosts)
+ * @param {Function} categoryOf - Gets a task's status category
+ * @param {number} today - Current day number
+ * @returns {Array<Object>} Per task: { plannedCost, planStart, planEnd, earned,
+ *   logged: [{ day, amount }], typedCost, workStart, workEnd, actualCost }
+ */
+function planTasks(project, tasks, resources, labourCosts, categoryOf, today) {
+    const rates = resources.map(resource => resource.hourlyRate || 0);
+    const fallbackRate = rates.length > 0 ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : 0;
+    
+    return tasks.map(task => {
+        const rate = getTaskRate(task, resources, fallbackRate);
+        const plannedCost = (task.estimatedHours || 0) * rate;
+        const planStart = toDay(task.startDate || project.startDate);
+        const planEnd = Math.max(planStart, toDay(task.dueDate || project.endDate));
+        
+        // Approved timesheet hours are dated; the rest of actualHours was typed in
+        const entries = labourCosts.filter(cost => cost.taskId === task.id);
+        const loggedHours = entries.reduce((sum, cost) => sum + cost.hours, 0);
+        const typedCost = Math.max(0, (task.actualHours || 0) - loggedHours) * rate;
+        const logged = entries.map(cost => ({ day: toDay(cost.date), amount: cost.amount }));
+        const actualCost = typedCost + logged.reduce((sum, cost) => sum + cost.amount, 0);
+        
+        // Typed-in hours are spread over the planned days up to today (or the completion date)
+        const category = categoryOf(task);
+        const workEnd = Math.min(today, category === 'done' && task.completedDate ? toDay(task.completedDate) : planEnd);
+        const workStart = Math.min(planStart, workEnd);
+        
+        let earned = 0;
+        if (category === 'done') {
+            earned = plannedCost;
+        } else if (category === 'active' && task.estimatedHours > 0) {
+            earned = plannedCost * Math.min((task.actualHours || 0) / task.estimatedHours, ACTIVE_EARNED_SHARE);
+        }
+        
+        return { plannedCost, planStart, planEnd, earned, logged, typedCost, workStart, workEnd, actualCost };
+    });
+}
+
+/**
+ * Works out PV, EV and AC at a day
+ * EV is earned as a task's cost is incurred; a done task that cost nothing earns
+ * its value on the day it was finished
+ * @param {Array<Object>} plans - Task plans (see planTasks)
+ * @param {number} day - Day to measure at
+ * @returns {Object} { pv, ev, ac }
+ */
+function valuesAt(plans, day) {
+    let pv = 0;
+    let ev = 0;
+    let ac = 0;
+    
+    plans.forEach(plan => {
+        pv += plan.plannedCost * elapsedShare(plan.planStart, plan.planEnd, day);
+        
+        const cost = plan.logged.filter(entry => entry.day <= day).reduce((sum, entry) => sum + entry.amount, 0) +
+            plan.typedCost * elapsedShare(plan.workStart, plan.workEnd, day);
+        ac += cost;
+        
+        if (plan.actualCost > 0) {
+            ev += plan.earned * (cost / plan.actualCost);
+        } else if (day >= plan.workEnd) {
+            ev += plan.earned;
+        }
+    });
+    
+    return { pv: round(pv), ev: round(ev), ac: round(ac) };
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+/**
+ * Works out the EVM indices and forecasts
+ * Ratios are null when their divisor is 0. Without any cost yet the project is
+ * forecast to finish on budget; with cost but nothing earned there is no forecast
+ * @param {Object} values - { bac, pv, ev, ac }
+ * @returns {Object} The values with sv, cv, spi, cpi, eac, etc and vac
+ */
+function computeMetrics({ bac, pv, ev, ac }) {
+    const cpi = ac > 0 ? ev / ac : null;
+    const eac = cpi ? bac / cpi : ac === 0 ? bac : null;
+    
+    return {
+        bac: round(bac),
+        pv: round(pv),
+        ev: round(ev),
+        ac: round(ac),
+        sv: round(ev - pv),
+        cv: round(ev - ac),
+        spi: pv > 0 ? round(ev / pv) : null,
+        cpi: cpi === null ? null : round(cpi),
+        eac: eac === null ? null : round(eac),
+        etc: eac === null ? null : round(eac - ac),
+        vac: eac === null ? null : round(bac - eac)
+    };
+}
+
+/**
+ * Works out a project's earned value today and over time
+ * @param {Object} project - Project
+ * @param {Array<Object>} tasks - The project's tasks not in the trash
+ * @param {Array<Object>} resources - The project's allocations not in the trash
+ * @param {Array<Object>} labourCosts - The project's approved time (see budget.getLabourCosts)
+ * @param {Function} categoryOf - Gets a task's status category
+ * @param {string} [today] - Current date (defaults to today)
+ * @returns {Object} { projectId, asOf, bac, pv, ev, ac, sv, cv, spi, cpi, eac, etc, vac,
+ *   percentComplete, percentSpent, series }
+ *   - series: [{ date, pv, ev, ac }] every SERIES_STEP_DAYS from the planned start to the
+ *     planned finish (or the last work, if later); ev and ac are null after today
+ */
+function computeEvm(project, tasks, resources, labourCosts, categoryOf, today = new Date().toISOString()) {
+    const todayDay = toDay(today);
+    const plans = planTasks(project, tasks, resources, labourCosts, categoryOf, todayDay);
+    const bac = plans.reduce((sum, plan) => sum + plan.plannedCost, 0);
+    const metrics = computeMetrics({ bac, ...valuesAt(plans, todayDay) });
+    
+    const start = Math.min(toDay(project.startDate), ...plans.map(plan => plan.workStart));
+    const lastWork = Math.max(...plans.map(plan => plan.workEnd), ...plans.flatMap(plan => plan.logged.map(entry => entry.day)));
+    const end = Math.max(toDay(project.endDate), ...plans.map(plan => plan.planEnd), Math.min(todayDay, lastWork));
+    
+    const days = [];
+    for (let day = start; day < end; day += SERIES_STEP_DAYS) {
+        days.push(day);
+    }
+    days.push(end);
+    if (todayDay > start && todayDay < end && !days.includes(todayDay)) {
+        days.push(todayDay);
+        days.sort((a, b) => a - b);
+    }
+    
+    return {
+        projectId: project.id,
+        asOf: fromDay(todayDay),
+        ...metrics,
+        percentComplete: bac > 0 ? Math.round((metrics.ev / bac) * 100) : 0,
+        percentSpent: bac > 0 ? Math.round((metrics.ac / bac) * 100) : 0,
+        series: days.map(day => {
+            const values = valuesAt(plans, day);
+            return {
+                date: fromDay(day),
+                pv: values.pv,
+                ev: day <= todayDay ? values.ev : null,
+                ac: day <= todayDay ? values.ac : null
+            };
+        })
+    };
+}
+
+/**
+ * Adds up the earned value of several projects
+ * @param {Array<Object>} results - Project results (see computeEvm)
+ * @returns {Object} { bac, pv, ev, ac, sv, cv, spi, cpi, eac, etc, vac } for all of them
+ */
+function summarizePortfolio(results) {
+    const total = field => results.reduce((sum, result) => sum + result[field], 0);
+    return computeMetrics({ bac: total('bac'), pv: total('pv'), ev: total('ev'), ac: total('ac') });
+}
+
+module.exports = {
+    ACTIVE_EARNED_SHARE,
+    computeMetrics,
+    computeEvm,
+    summarizePortfolio
+};
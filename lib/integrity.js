@@ -0,0 +1,502 @@
+/**
+ * Referential Integrity Module
+ *
+ * Knows which record fields point at other records (foreign keys) and keeps
+ * those links valid:
+ * - On create/update, every reference must point at an existing record
+ * - On delete, each relation's configured rule decides what happens to the
+ *   records that point at the deleted one
+ *
+ * Delete rules are set per relation in config/integrity.json:
+ * - block   - refuse the delete while such records exist
+ * - cascade - delete them as well (their own relations are handled in turn)
+ * - archive - keep them but mark them archived (archivedAt/archivedBy) so lists hide them
+ * - detach  - remove the reference (cleared, or dropped from the list)
+ * - ignore  - leave them untouched
+ *
+ * Users are never removed, only deactivated. Deactivating a user applies the same
+ * rules, but only to open work (tasks that are not done, risks that are not closed,
+ * and allocations and projects that are not completed).
+ *
+ * Projects and tasks are soft deleted first: they move to the trash (deletedAt/deletedBy)
+ * together with the records a "cascade" rule would delete, and can be restored from there.
+ * The other rules only run when the record is purged from the trash for good.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { createStatusResolver } = require('./workflows');
+
+// ============================================
+// RELATIONS
+// ============================================
+
+/**
+ * Every foreign key in the data
+ * - name:       key used in config/integrity.json ("<collection>.<field>")
+ * - many:       the field holds a list of IDs
+ * - openOnly:   only records that are not finished count (used for users)
+ * - fieldLabel: name of the field in error messages
+ * - label:      name of the referencing records in previews
+ */
+const RELATIONS = [
+    { name: 'tasks.projectId', collection: 'tasks', field: 'projectId', references: 'projects', fieldLabel: 'Project', label: 'tasks' },
+    { name: 'resources.projectId', collection: 'resources', field: 'projectId', references: 'projects', fieldLabel: 'Project', label: 'resource allocations' },
+    { name: 'risks.projectId', collection: 'risks', field: 'projectId', references: 'projects', fieldLabel: 'Project', label: 'risks and issues' },
+    { name: 'expenses.projectId', collection: 'expenses', field: 'projectId', references: 'projects', fieldLabel: 'Project', label: 'expenses' },
+    { name: 'timesheets.taskId', collection: 'timesheets', field: 'taskId', references: 'tasks', fieldLabel: 'Task', label: 'logged time entries' },
+    { name: 'tasks.dependencies', collection: 'tasks', field: 'dependencies', many: true, references: 'tasks', fieldLabel: 'Dependencies', label: 'tasks depending on it' },
+    { name: 'tasks.assignedTo', collection: 'tasks', field: 'assignedTo', references: 'users', openOnly: true, fieldLabel: 'Assignee', label: 'open tasks assigned to them' },
+    { name: 'resources.userId', collection: 'resources', field: 'userId', references: 'users', openOnly: true, fieldLabel: 'Team member', label: 'open resource allocations' },
+    { name: 'risks.ownerId', collection: 'risks', field: 'ownerId', references: 'users', openOnly: true, fieldLabel: 'Owner', label: 'open risks they own' },
+    { name: 'projects.projectManager', collection: 'projects', field: 'projectManager', references: 'users', openOnly: true, fieldLabel: 'Project manager', label: 'open projects they manage' },
+    { name: 'projects.workflowId', collection: 'projects', field: 'workflowId', references: 'workflows', fieldLabel: 'Workflow', label: 'projects using it' }
+];
+
+/**
+ * Delete rules the configuration may use
+ */
+const DELETE_ACTIONS = ['block', 'cascade', 'archive', 'detach', 'ignore'];
+
+/**
+ * Location of the delete rule configuration
+ */
+const CONFIG_FILE = path.join(__dirname, '..', 'config', 'integrity.json');
+
+/**
+ * Loads the delete rules, failing fast on typos so a bad config never deletes the wrong data
+ * Relations missing from the file default to 'block'
+ * @returns {Object} Delete action keyed by relation name
+ */
+function loadDeleteRules() {
+    const config = fs.existsSync(CONFIG_FILE) ? JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) : {};
+    const configured = config.onDelete || {};
+    const rules = {};
+    
+    Object.keys(configured).forEach(name => {
+        if (!RELATIONS.some(relation => relation.name === name)) {
+            throw new Error(`config/integrity.json: unknown relation "${name}"`);
+        }
+        if (!DELETE_ACTIONS.includes(configured[name])) {
+            throw new Error(`config/integrity.json: "${name}" must be one of ${DELETE_ACTIONS.join(', ')}`);
+        }
+    });
+    
+    RELATIONS.forEach(relation => {
+        rules[relation.name] = configured[relation.name] || 'block';
+    });
+    
+    return rules;
+}
+
+const DELETE_RULES = loadDeleteRules();
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Gets the IDs a record's field points at
+ * @param {Object} record - Referencing record
+ * @param {Object} relation - Relation definition
+ * @returns {Array<string>} Referenced IDs (empty if the field is blank)
+ */
+function getReferencedIds(record, relation) {
+    const value = record[relation.field];
+    
+    if (relation.many) {
+        return Array.isArray(value) ? value : [];
+    }
+    
+    return value ? [value] : [];
+}
+
+/**
+ * Gets a short display name for a record
+ * @param {Object} record - Any record
+ * @returns {string} Name, title or ID
+ */
+function describeRecord(record) {
+    return record.name || record.title || record.fullName || record.userName || record.id;
+}
+
+/**
+ * Checks whether a record is archived
+ * @param {Object} record - Any record
+ * @returns {boolean} True if archived
+ */
+function isArchived(record) {
+    return Boolean(record.archivedAt);
+}
+
+/**
+ * Checks whether a record is in the trash
+ * @param {Object} record - Any record
+ * @returns {boolean} True if soft deleted
+ */
+function isDeleted(record) {
+    return Boolean(record.deletedAt);
+}
+
+/**
+ * Checks whether a record is neither archived nor in the trash
+ * @param {Object} record - Any record
+ * @returns {boolean} True if live
+ */
+function isLive(record) {
+    return !isArchived(record) && !isDeleted(record);
+}
+
+// ============================================
+// REFERENCE CHECKS
+// ============================================
+
+/**
+ * Checks that the references in new or changed fields point at existing records
+ * Unchanged references are not rechecked, so old records stay editable
+ * @param {Object} store - Data store
+ * @param {string} collection - Collection the record belongs to
+ * @param {Object} changes - Validated fields being saved
+ * @param {Object} [existing] - Stored record when updating
+ * @returns {Object|null} Error messages keyed by field name, or null if all references are valid
+ */
+function checkReferences(store, collection, changes, existing) {
+    const errors = {};
+    
+    RELATIONS.filter(relation => relation.collection === collection).forEach(relation => {
+        if (changes[relation.field] === undefined) return;
+        
+        const previousIds = existing ? getReferencedIds(existing, relation) : [];
+        const newIds = getReferencedIds(changes, relation).filter(id => !previousIds.includes(id));
+        
+        for (const id of newIds) {
+            const target = store.get(relation.references, id);
+            
+            if (!target || isDeleted(target)) {
+                errors[relation.field] = `${relation.fieldLabel} "${id}" does not exist`;
+                break;
+            }
+            
+            if (isArchived(target)) {
+                errors[relation.field] = `${relation.fieldLabel} ${describeRecord(target)} has been archived`;
+                break;
+            }
+            
+            if (relation.references === 'users' && target.active === false) {
+                errors[relation.field] = `${relation.fieldLabel} ${target.fullName} has been deactivated`;
+                break;
+            }
+            
+            if (existing && relation.references === collection && id === existing.id) {
+                errors[relation.field] = `${relation.fieldLabel} cannot include the record itself`;
+                break;
+            }
+        }
+    });
+    
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+// ============================================
+// DELETE PLANNING
+// ============================================
+
+/**
+ * Works out everything a delete would affect, without changing anything
+ * - Soft deletes (moving to the trash) only follow "cascade" and "block" rules; the
+ *   cascaded records go to the trash with the deleted one
+ * - Permanent deletes follow every rule, including for records already in the trash
+ * Archived and trashed records never block a delete.
+ * @param {Object} store - Data store
+ * @param {string} collection - Collection of the record being deleted
+ * @param {string} id - ID of the record being deleted
+ * @param {Object} [options] - { soft: true to plan a move to the trash }
+ * @returns {Object} Plan: { soft, allowed, blockers, effects, deletions, archives, detaches }
+ *   blockers and effects are { relation, action, collection, label, items: [{ id, name }] }
+ */
+function planDelete(store, collection, id, options = {}) {
+    const soft = Boolean(options.soft);
+    const cache = {};
+    const load = name => cache[name] || (cache[name] = store.all(name));
+    const resolver = createStatusResolver(store);
+    
+    // Tasks are finished once in their workflow's "done" category, risks once closed;
+    // other records once completed
+    const isFinished = (collection, record) => {
+        if (collection === 'tasks') return resolver.isDone(record);
+        if (collection === 'risks') return record.status === 'closed';
+        return record.status === 'completed';
+    };
+    
+    /**
+     * Finds the records that point at a record through a relation and that the rule applies to
+     */
+    const findDependents = (relation, targetId) => {
+        const action = DELETE_RULES[relation.name];
+        
+        return load(relation.collection).filter(record => {
+            if (relation.openOnly && isFinished(relation.collection, record)) return false;
+            if (action === 'block' && !isLive(record)) return false;
+            if (action === 'archive' && !isLive(record)) return false;
+            if (soft && isDeleted(record)) return false;
+            return getReferencedIds(record, relation).includes(targetId);
+        });
+    };
+    
+    const relationsTo = name => RELATIONS.filter(relation => relation.references === name);
+    const keyOf = (name, recordId) => `${name}:${recordId}`;
+    const groups = new Map();
+    
+    const addToGroup = (relation, record) => {
+        if (!groups.has(relation.name)) {
+            groups.set(relation.name, {
+                relation: relation.name,
+                action: DELETE_RULES[relation.name],
+                collection: relation.collection,
+                label: relation.label,
+                items: []
+            });
+        }
+        const group = groups.get(relation.name);
+        if (!group.items.some(item => item.id === record.id)) {
+            group.items.push({ id: record.id, name: describeRecord(record) });
+        }
+    };
+    
+    // Pass 1: follow cascades to find every record that will be deleted
+    const deletions = [];
+    const deletedKeys = new Set();
+    const queue = [{ collection, id }];
+    
+    while (queue.length > 0) {
+        const item = queue.shift();
+        const key = keyOf(item.collection, item.id);
+        if (deletedKeys.has(key)) continue;
+        
+        deletedKeys.add(key);
+        deletions.push(item);
+        
+        relationsTo(item.collection)
+            .filter(relation => DELETE_RULES[relation.name] === 'cascade')
+            .forEach(relation => {
+                findDependents(relation, item.id).forEach(record => {
+                    if (!deletedKeys.has(keyOf(relation.collection, record.id))) {
+                        addToGroup(relation, record);
+                        queue.push({ collection: relation.collection, id: record.id });
+                    }
+                });
+            });
+    }
+    
+    // Pass 2: apply the other rules to records that survive the delete
+    // (only blocks for soft deletes - the rest waits until the record is purged)
+    const archives = [];
+    const detaches = [];
+    const deferred = soft ? ['cascade', 'ignore', 'archive', 'detach'] : ['cascade', 'ignore'];
+    
+    deletions.forEach(item => {
+        relationsTo(item.collection)
+            .filter(relation => !deferred.includes(DELETE_RULES[relation.name]))
+            .forEach(relation => {
+                findDependents(relation, item.id)
+                    .filter(record => !deletedKeys.has(keyOf(relation.collection, record.id)))
+                    .forEach(record => {
+                        addToGroup(relation, record);
+                        
+                        if (DELETE_RULES[relation.name] === 'archive') {
+                            archives.push({ collection: relation.collection, id: record.id });
+                        } else if (DELETE_RULES[relation.name] === 'detach') {
+                            detaches.push({ relation, id: record.id, targetId: item.id });
+                        }
+                    });
+            });
+    });
+    
+    const allGroups = Array.from(groups.values());
+    const blockers = allGroups.filter(group => group.action === 'block');
+    
+    return {
+        soft,
+        allowed: blockers.length === 0,
+        blockers,
+        effects: allGroups.filter(group => group.action !== 'block'),
+        deletions: deletions.slice(1),
+        archives,
+        detaches
+    };
+}
+
+/**
+ * Carries out a delete plan in one transaction
+ * Soft plans move the record and its cascaded records to the trash; records trashed
+ * along with another one remember it in deletedWith so they are restored with it
+ * @param {Object} store - Data store
+ * @param {Object} plan - Plan from planDelete (must be allowed)
+ * @param {Object} root - { collection, id } of the record being deleted
+ * @param {Object} options - { userId: who is deleting, removeRoot: false to keep the root record }
+ */
+function applyDelete(store, plan, root, options) {
+    const now = new Date().toISOString();
+    
+    if (plan.soft) {
+        store.transaction(() => {
+            plan.deletions.forEach(({ collection, id }) => {
+                store.update(collection, id, {
+                    deletedAt: now,
+                    deletedBy: options.userId,
+                    deletedWith: root.id
+                });
+            });
+            
+            store.update(root.collection, root.id, {
+                deletedAt: now,
+                deletedBy: options.userId
+            });
+        });
+        return;
+    }
+    
+    store.transaction(() => {
+        plan.detaches.forEach(({ relation, id, targetId }) => {
+            store.update(relation.collection, id, current => ({
+                [relation.field]: relation.many
+                    ? (current[relation.field] || []).filter(refId => refId !== targetId)
+                    : null,
+                updatedAt: now
+            }));
+        });
+        
+        plan.archives.forEach(({ collection, id }) => {
+            store.update(collection, id, {
+                archivedAt: now,
+                archivedBy: options.userId,
+                updatedAt: now
+            });
+        });
+        
+        plan.deletions.forEach(({ collection, id }) => {
+            store.remove(collection, id);
+        });
+        
+        if (options.removeRoot !== false) {
+            store.remove(root.collection, root.id);
+        }
+    });
+}
+
+/**
+ * Lists every record a delete plan changes, with the action to log for each
+ * @param {Object} plan - Plan from planDelete
+ * @param {Object} root - { collection, id } of the record being deleted
+ * @param {string} action - Action for the deleted records (e.g. 'delete' or 'purge')
+ * @returns {Array<Object>} { collection, id, action, causedBy }
+ */
+function listAffected(plan, root, action) {
+    return [
+        { collection: root.collection, id: root.id, action },
+        ...plan.deletions.map(item => ({ ...item, action, causedBy: root })),
+        ...plan.archives.map(item => ({ ...item, action: 'archive', causedBy: root })),
+        ...plan.detaches.map(({ relation, id }) => ({
+            collection: relation.collection, id, action: 'update', causedBy: root
+        }))
+    ];
+}
+
+// ============================================
+// RESTORE
+// ============================================
+
+/**
+ * Checks whether a trashed record can be restored
+ * A record cannot come back while a record it belongs to (e.g. its project) is
+ * still in the trash or has been purged
+ * @param {Object} store - Data store
+ * @param {string} collection - Collection of the trashed record
+ * @param {Object} record - Trashed record
+ * @returns {string|null} Reason it cannot be restored, or null if it can
+ */
+function checkRestore(store, collection, record) {
+    const parents = RELATIONS.filter(relation =>
+        relation.collection === collection && !relation.many && relation.references !== 'users'
+    );
+    
+    for (const relation of parents) {
+        const targetId = record[relation.field];
+        if (!targetId) continue;
+        
+        const target = store.get(relation.references, targetId);
+        if (!target) {
+            return `${relation.fieldLabel} "${targetId}" no longer exists`;
+        }
+        if (isDeleted(target)) {
+            return `${relation.fieldLabel} ${describeRecord(target)} is in the trash - restore it first`;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Finds the records that were moved to the trash along with another record
+ * @param {Object} store - Data store
+ * @param {string} id - ID of the record they were trashed with
+ * @returns {Array<Object>} { collection, id }
+ */
+function findTrashedWith(store, id) {
+    const dependentCollections = new Set(RELATIONS.map(relation => relation.collection));
+    const found = [];
+    
+    dependentCollections.forEach(name => {
+        store.all(name)
+            .filter(record => record.deletedWith === id)
+            .forEach(record => found.push({ collection: name, id: record.id }));
+    });
+    
+    return found;
+}
+
+/**
+ * Takes a record out of the trash, together with the records trashed along with it
+ * @param {Object} store - Data store
+ * @param {string} collection - Collection of the trashed record
+ * @param {string} id - ID of the trashed record
+ * @returns {Object} The restored record
+ */
+function restoreDeleted(store, collection, id) {
+    const cleared = { deletedAt: undefined, deletedBy: undefined, deletedWith: undefined };
+    
+    return store.transaction(() => {
+        findTrashedWith(store, id).forEach(item => store.update(item.collection, item.id, cleared));
+        return store.update(collection, id, cleared);
+    });
+}
+
+/**
+ * Turns a plan into the JSON sent by the delete preview endpoints
+ * @param {Object} plan - Plan from planDelete
+ * @returns {Object} { soft, allowed, blockers, effects }
+ */
+function toPreview(plan) {
+    return {
+        soft: plan.soft,
+        allowed: plan.allowed,
+        blockers: plan.blockers,
+        effects: plan.effects
+    };
+}
+
+module.exports = {
+    RELATIONS,
+    DELETE_RULES,
+    isArchived,
+    isDeleted,
+    isLive,
+    checkReferences,
+    planDelete,
+    applyDelete,
+    listAffected,
+    checkRestore,
+    findTrashedWith,
+    restoreDeleted,
+    toPreview
+};
@@ -0,0 +1,117 @@
+/**
+ * Mail Module
+ *
+ * Gives the server one way to send email, whichever transport is configured:
+ * - outbox (default) - writes each email as a .eml file, for development and tests
+ * - smtp             - sends through an SMTP server, for production
+ *
+ * Choose the transport with the MAIL_TRANSPORT environment variable.
+ * MAIL_FROM sets the sender and MAIL_OUTBOX_DIR where the outbox writes
+ * (defaults to data/outbox). The SMTP transport reads SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE ("true" for TLS from the start), SMTP_USER, SMTP_PASS and
+ * SMTP_ALLOW_INSECURE_AUTH ("true" to log in over a connection that is not encrypted).
+ *
+ * Every mailer provides:
+ * - send({ to, subject, text, html, headers }) - sends one email, resolving to
+ *                                                { messageId } once it is handed over
+ * - describe()                                 - where emails go, for the startup banner
+ */
+
+const path = require('path');
+const { buildMessage, getAddress } = require('./message');
+const { createOutboxTransport } = require('./outboxTransport');
+const { createSmtpTransport } = require('./smtpTransport');
+
+/**
+ * Default location of the outbox
+ */
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', '..', 'data', 'outbox');
+
+/**
+ * Default sender
+ */
+const DEFAULT_FROM = 'Project Tracking System <no-reply@localhost>';
+
+/**
+ * Creates the transport for the configured name
+ * @param {string} name - 'outbox' or 'smtp'
+ * @param {Object} options - Overrides for the environment configuration
+ * @returns {Object} Transport instance
+ */
+function createTransport(name, options) {
+    if (name === 'outbox') {
+        return createOutboxTransport({
+            dir: options.outboxDir || process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR
+        });
+    }
+    
+    if (name === 'smtp') {
+        const host = options.host || process.env.SMTP_HOST;
+        if (!host) {
+            throw new Error('The smtp mail transport needs SMTP_HOST');
+        }
+        
+        return createSmtpTransport({
+            host,
+            port: options.port || parseInt(process.env.SMTP_PORT, 10) || undefined,
+            secure: options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true',
+            user: options.user || process.env.SMTP_USER,
+            pass: options.pass || process.env.SMTP_PASS,
+            allowInsecureAuth: options.allowInsecureAuth !== undefined
+                ? options.allowInsecureAuth
+                : process.env.SMTP_ALLOW_INSECURE_AUTH === 'true'
+        });
+    }
+    
+    throw new Error(`Unknown mail transport "${name}" (expected "outbox" or "smtp")`);
+}
+
+/**
+ * Creates a mailer for the configured transport
+ * @param {Object} [options] - Overrides for the environment configuration
+ * @param {string} [options.transport] - 'outbox' or 'smtp'
+ * @param {string} [options.from] - Sender, e.g. "PTS <pts@example.com>"
+ * @param {string} [options.outboxDir] - Directory the outbox writes to
+ * @param {string} [options.host] - SMTP server host name
+ * @param {number} [options.port] - SMTP server port
+ * @param {boolean} [options.secure] - Connect to the SMTP server over TLS straight away
+ * @param {string} [options.user] - SMTP user name
+ * @param {string} [options.pass] - SMTP password
+ * @param {boolean} [options.allowInsecureAuth] - Log in to the SMTP server without TLS
+ * @returns {Object} Mailer instance
+ */
+function createMailer(options = {}) {
+    const transport = createTransport(options.transport || process.env.MAIL_TRANSPORT || 'outbox', options);
+    const from = options.from || process.env.MAIL_FROM || DEFAULT_FROM;
+    
+    return {
+        transport: transport.transport,
+        
+        /**
+         * Describes where emails go, for the startup banner
+         * @returns {string} Description
+         */
+        describe() {
+            return transport.describe();
+        },
+        
+        /**
+         * Sends one email
+         * @param {Object} mail - { to, subject, text, html, headers } (see buildMessage)
+         * @returns {Promise<Object>} { messageId }
+         */
+        async send(mail) {
+            const { messageId, raw } = buildMessage({ ...mail, from });
+            
+            await transport.send({
+                from: getAddress(from),
+                to: getAddress(mail.to),
+                messageId,
+                raw
+            });
+            return { messageId };
+        }
+    };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,97 @@
+/**
+ * Mail Message Builder
+ *
+ * Turns an email ({ from, to, subject, text, html, headers }) into the raw RFC 5322
+ * message both transports send: a multipart/alternative body with a plain text
+ * and an HTML part, each base64 encoded so any character survives the trip.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Longest line allowed in an encoded body
+ */
+const LINE_LENGTH = 76;
+
+/**
+ * Gets the bare address out of "Name <address>"
+ * @param {string} mailbox - Address, with or without a display name
+ * @returns {string} The address
+ */
+function getAddress(mailbox) {
+    const match = /<([^>]+)>/.exec(mailbox);
+    return (match ? match[1] : mailbox).trim();
+}
+
+/**
+ * Encodes a header value that is not plain ASCII (RFC 2047)
+ * @param {string} value - Header value
+ * @returns {string} The value, as an encoded word if needed
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Encodes a body part as base64 in lines of LINE_LENGTH characters
+ * @param {string} content - Body text
+ * @returns {string} Encoded body
+ */
+function encodeBody(content) {
+    const encoded = Buffer.from(content, 'utf8').toString('base64');
+    return (encoded.match(new RegExp(`.{1,${LINE_LENGTH}}`, 'g')) || []).join('\r\n');
+}
+
+/**
+ * Builds the raw message for an email
+ * @param {Object} mail - Email to send
+ * @param {string} mail.from - Sender, e.g. "Project Tracking System <pts@example.com>"
+ * @param {string} mail.to - Recipient address
+ * @param {string} mail.subject - Subject line
+ * @param {string} mail.text - Plain text body
+ * @param {string} mail.html - HTML body
+ * @param {Object} [mail.headers] - Extra headers, e.g. List-Unsubscribe
+ * @returns {Object} { messageId, raw } - raw uses CRLF line endings
+ */
+function buildMessage(mail) {
+    const domain = getAddress(mail.from).split('@')[1] || 'localhost';
+    const messageId = `<${crypto.randomBytes(16).toString('hex')}@${domain}>`;
+    const boundary = `pts-${crypto.randomBytes(12).toString('hex')}`;
+    
+    const headers = {
+        'From': mail.from,
+        'To': mail.to,
+        'Subject': encodeHeader(mail.subject),
+        'Date': new Date().toUTCString(),
+        'Message-ID': messageId,
+        'MIME-Version': '1.0',
+        ...mail.headers,
+        'Content-Type': `multipart/alternative; boundary="${boundary}"`
+    };
+    
+    const part = (type, content) => [
+        `--${boundary}`,
+        `Content-Type: ${type}; charset=UTF-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(content)
+    ].join('\r\n');
+    
+    const raw = [
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+        '',
+        part('text/plain', mail.text),
+        part('text/html', mail.html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+    
+    return { messageId, raw };
+}
+
+module.exports = {
+    getAddress,
+    buildMessage
+};
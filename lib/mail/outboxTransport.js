@@ -0,0 +1,47 @@
+/**
+ * Outbox Mail Transport
+ *
+ * Writes each email to a .eml file instead of sending it, for development and
+ * testing. The files open in any mail client and can be checked by scripts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a transport writing emails to a directory
+ * @param {Object} options - Transport options
+ * @param {string} options.dir - Directory for the .eml files (created if missing)
+ * @returns {Object} Transport instance
+ */
+function createOutboxTransport(options) {
+    const dir = options.dir;
+    
+    return {
+        transport: 'outbox',
+        
+        /**
+         * Describes where emails go, for the startup banner
+         * @returns {string} Description
+         */
+        describe() {
+            return `outbox (${dir})`;
+        },
+        
+        /**
+         * Writes an email to the outbox
+         * @param {Object} message - { from, to, messageId, raw } (see buildMessage)
+         * @returns {Promise<void>}
+         */
+        async send(message) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            
+            // Named so the files sort by time and never collide
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const id = message.messageId.replace(/[<>]/g, '').split('@')[0];
+            await fs.promises.writeFile(path.join(dir, `${stamp}-${id}.eml`), message.raw);
+        }
+    };
+}
+
+module.exports = { createOutboxTransport };
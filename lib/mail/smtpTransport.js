@@ -0,0 +1,234 @@
+/**
+ * SMTP Mail Transport
+ *
+ * Sends each email over SMTP with Node's built-in net and tls modules:
+ * - secure: connects over TLS straight away (usually port 465)
+ * - otherwise connects in plain text and upgrades with STARTTLS when the server
+ *   offers it (usually port 587)
+ * - logs in with AUTH PLAIN when a user is configured, only over TLS unless
+ *   allowInsecureAuth is set (otherwise anyone able to strip STARTTLS from the
+ *   connection would read the password)
+ *
+ * One connection is opened per email. Replies in the 5xx range, and refusing to log
+ * in without TLS, mark the error as permanent, so the mail queue does not retry them.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * Creates an error carrying the SMTP reply that caused it
+ * @param {string} message - What went wrong
+ * @param {number} [code] - SMTP reply code
+ * @param {boolean} [permanent] - Whether retrying cannot help (defaults to true for 5xx replies)
+ * @returns {Error} Error with code and permanent
+ */
+function smtpError(message, code, permanent = code >= 500) {
+    const error = new Error(message);
+    error.code = code;
+    error.permanent = permanent;
+    return error;
+}
+
+/**
+ * Reads SMTP replies from a socket
+ * A reply can span several lines ("250-..." up to the final "250 ...")
+ * @param {Object} socket - Connected socket
+ * @returns {Object} { read() → Promise<{ code, lines }>, stop() to release the socket }
+ */
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+    
+    const settle = () => {
+        while (waiting.length > 0 && (replies.length > 0 || failure)) {
+            const { resolve, reject } = waiting.shift();
+            if (replies.length > 0) {
+                resolve(replies.shift());
+            } else {
+                reject(failure);
+            }
+        }
+    };
+    
+    const onData = chunk => {
+        buffer += chunk;
+        
+        let end;
+        while ((end = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, end).replace(/\r$/, '');
+            buffer = buffer.slice(end + 1);
+            lines.push(line.slice(4));
+            
+            if (!/^\d{3}-/.test(line)) {
+                replies.push({ code: parseInt(line.slice(0, 3), 10), lines });
+                lines = [];
+            }
+        }
+        settle();
+    };
+    const onError = error => {
+        failure = failure || error;
+        settle();
+    };
+    const onClose = () => onError(smtpError('Connection closed by the mail server'));
+    
+    socket.setEncoding('utf8');
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+    
+    return {
+        read() {
+            return new Promise((resolve, reject) => {
+                waiting.push({ resolve, reject });
+                settle();
+            });
+        },
+        
+        stop() {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        }
+    };
+}
+
+/**
+ * Waits for a socket to connect
+ * @param {Object} socket - Socket being connected
+ * @param {string} event - 'connect' or 'secureConnect'
+ * @returns {Promise<Object>} The connected socket
+ */
+function whenConnected(socket, event) {
+    return new Promise((resolve, reject) => {
+        socket.once(event, () => {
+            socket.off('error', reject);
+            resolve(socket);
+        });
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Escapes lines starting with a dot and ends every line with CRLF, as DATA requires
+ * @param {string} raw - Raw message
+ * @returns {string} Message ready to send after DATA
+ */
+function toDataBlock(raw) {
+    return raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+}
+
+/**
+ * Creates a transport sending emails to an SMTP server
+ * @param {Object} options - Transport options
+ * @param {string} options.host - Server host name
+ * @param {number} [options.port] - Server port (465 when secure, else 587)
+ * @param {boolean} [options.secure] - Connect over TLS straight away
+ * @param {string} [options.user] - User name to log in with
+ * @param {string} [options.pass] - Password to log in with
+ * @param {boolean} [options.allowInsecureAuth] - Log in even when the connection is not encrypted
+ * @param {number} [options.timeout] - Milliseconds of silence before giving up (default 30 seconds)
+ * @returns {Object} Transport instance
+ */
+function createSmtpTransport(options) {
+    const secure = Boolean(options.secure);
+    const port = options.port || (secure ? 465 : 587);
+    const timeout = options.timeout || 30 * 1000;
+    
+    /**
+     * Opens a connection to the server
+     * @returns {Promise<Object>} Connected socket
+     */
+    function connect() {
+        const socket = secure
+            ? tls.connect({ host: options.host, port, servername: options.host })
+            : net.connect({ host: options.host, port });
+        
+        socket.setTimeout(timeout, () => socket.destroy(smtpError('Mail server timed out')));
+        return whenConnected(socket, secure ? 'secureConnect' : 'connect');
+    }
+    
+    return {
+        transport: 'smtp',
+        
+        /**
+         * Describes where emails go, for the startup banner
+         * @returns {string} Description
+         */
+        describe() {
+            return `smtp (${options.host}:${port}${secure ? ', TLS' : ''})`;
+        },
+        
+        /**
+         * Sends an email
+         * @param {Object} message - { from, to, messageId, raw } (see buildMessage);
+         *   from and to are bare addresses
+         * @returns {Promise<void>} Rejects with an SMTP error (see smtpError) if the server refuses it
+         */
+        async send(message) {
+            let socket = await connect();
+            let reader = createReplyReader(socket);
+            
+            const expect = async accepted => {
+                const reply = await reader.read();
+                if (!accepted.includes(reply.code)) {
+                    throw smtpError(`Mail server replied ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+                }
+                return reply;
+            };
+            const command = (line, accepted) => {
+                socket.write(`${line}\r\n`);
+                return expect(accepted);
+            };
+            
+            try {
+                await expect([220]);
+                const features = (await command(`EHLO ${os.hostname()}`, [250])).lines;
+                let encrypted = secure;
+                
+                // Upgrade to TLS when offered, then introduce ourselves again over it
+                if (!secure && features.some(line => /^STARTTLS\b/i.test(line))) {
+                    await command('STARTTLS', [220]);
+                    reader.stop();
+                    socket = await whenConnected(
+                        tls.connect({ socket, servername: options.host }),
+                        'secureConnect'
+                    );
+                    reader = createReplyReader(socket);
+                    await command(`EHLO ${os.hostname()}`, [250]);
+                    encrypted = true;
+                }
+                
+                if (options.user && !encrypted && !options.allowInsecureAuth) {
+                    throw smtpError(
+                        'Mail server does not offer STARTTLS; refusing to send the SMTP password unencrypted ' +
+                        '(set SMTP_SECURE=true, or SMTP_ALLOW_INSECURE_AUTH=true to allow it)',
+                        undefined,
+                        true
+                    );
+                }
+                
+                if (options.user) {
+                    const credentials = Buffer.from(`\0${options.user}\0${options.pass || ''}`).toString('base64');
+                    await command(`AUTH PLAIN ${credentials}`, [235]);
+                }
+                
+                await command(`MAIL FROM:<${message.from}>`, [250]);
+                await command(`RCPT TO:<${message.to}>`, [250, 251]);
+                await command('DATA', [354]);
+                await command(`${toDataBlock(message.raw)}\r\n.`, [250]);
+                socket.write('QUIT\r\n');
+            } finally {
+                reader.stop();
+                socket.destroy();
+            }
+        }
+    };
+}
+
+module.exports = { createSmtpTransport };
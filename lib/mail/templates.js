@@ -0,0 +1,145 @@
+/**
+ * Email Templates
+ *
+ * Builds the subject, plain text body and HTML body of the emails the system sends:
+ * - notification: one notification, with a link to what it is about
+ * - digest:       the day's unread notifications
+ *
+ * Every email ends with why it was sent and an unsubscribe link. Values are escaped
+ * in the HTML body and used as they are in the text body.
+ */
+
+/**
+ * Name shown in the emails
+ */
+const APP_NAME = 'Project Tracking System';
+
+/**
+ * Escapes text for the HTML body
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * Wraps the body of an email in the shared HTML layout
+ * @param {Object} parts - Layout parts
+ * @param {string} parts.heading - Heading (plain text)
+ * @param {string} parts.content - Body (HTML)
+ * @param {Object} parts.footer - { reason, unsubscribeUrl, settingsUrl }
+ * @returns {string} HTML document
+ */
+function renderLayout({ heading, content, footer }) {
+    return `<!DOCTYPE html>
+<html>
+<body style="margin: 0; padding: 20px; background: #f5f7fa; font-family: Arial, sans-serif; color: #2c3e50;">
+    <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 8px; overflow: hidden;">
+        <div style="padding: 16px 24px; background: #4A90E2; color: #ffffff; font-weight: bold;">${APP_NAME}</div>
+        <div style="padding: 24px;">
+            <h2 style="margin: 0 0 16px; font-size: 18px;">${escapeHtml(heading)}</h2>
+            ${content}
+        </div>
+        <div style="padding: 16px 24px; border-top: 1px solid #ecf0f1; font-size: 12px; color: #7f8c8d;">
+            ${escapeHtml(footer.reason)}<br>
+            <a href="${escapeHtml(footer.unsubscribeUrl)}" style="color: #7f8c8d;">Unsubscribe</a> ·
+            <a href="${escapeHtml(footer.settingsUrl)}" style="color: #7f8c8d;">Notification settings</a>
+        </div>
+    </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders the footer of the text body
+ * @param {Object} footer - { reason, unsubscribeUrl, settingsUrl }
+ * @returns {string} Footer text
+ */
+function renderTextFooter(footer) {
+    return [
+        '--',
+        footer.reason,
+        `Unsubscribe: ${footer.unsubscribeUrl}`,
+        `Notification settings: ${footer.settingsUrl}`
+    ].join('\n');
+}
+
+/**
+ * Renders the email for one notification
+ * @param {Object} data - Template data
+ * @param {Object} data.user - Recipient ({ fullName })
+ * @param {Object} data.notification - Notification ({ title, message })
+ * @param {string} data.link - URL of the task or project it is about
+ * @param {Object} data.footer - { reason, unsubscribeUrl, settingsUrl }
+ * @returns {Object} { subject, text, html }
+ */
+function renderNotificationEmail({ user, notification, link, footer }) {
+    const text = [
+        `Hi ${user.fullName},`,
+        '',
+        notification.message,
+        '',
+        `Open it: ${link}`,
+        '',
+        renderTextFooter(footer)
+    ].join('\n');
+    
+    const html = renderLayout({
+        heading: notification.title,
+        content: `
+            <p>Hi ${escapeHtml(user.fullName)},</p>
+            <p>${escapeHtml(notification.message)}</p>
+            <p style="margin-top: 24px;">
+                <a href="${escapeHtml(link)}" style="display: inline-block; padding: 10px 18px; background: #4A90E2; color: #ffffff; text-decoration: none; border-radius: 6px;">Open</a>
+            </p>`,
+        footer
+    });
+    
+    return { subject: notification.title, text, html };
+}
+
+/**
+ * Renders the daily digest of unread notifications
+ * @param {Object} data - Template data
+ * @param {Object} data.user - Recipient ({ fullName })
+ * @param {Array<Object>} data.items - [{ notification, link }], newest first
+ * @param {Object} data.footer - { reason, unsubscribeUrl, settingsUrl }
+ * @returns {Object} { subject, text, html }
+ */
+function renderDigestEmail({ user, items, footer }) {
+    const count = `${items.length} unread notification${items.length === 1 ? '' : 's'}`;
+    const subject = `Your daily digest: ${count}`;
+    
+    const text = [
+        `Hi ${user.fullName},`,
+        '',
+        `You have ${count} from the last day:`,
+        '',
+        ...items.map(({ notification, link }) => `- ${notification.title}\n  ${notification.message}\n  ${link}`),
+        '',
+        renderTextFooter(footer)
+    ].join('\n');
+    
+    const html = renderLayout({
+        heading: subject,
+        content: `
+            <p>Hi ${escapeHtml(user.fullName)},</p>
+            <p>You have ${count} from the last day:</p>
+            ${items.map(({ notification, link }) => `
+            <div style="padding: 12px 0; border-bottom: 1px solid #ecf0f1;">
+                <a href="${escapeHtml(link)}" style="color: #2c3e50; font-weight: bold; text-decoration: none;">${escapeHtml(notification.title)}</a>
+                <div style="margin-top: 4px; font-size: 13px; color: #7f8c8d;">${escapeHtml(notification.message)}</div>
+            </div>`).join('')}`,
+        footer
+    });
+    
+    return { subject, text, html };
+}
+
+module.exports = {
+    renderNotificationEmail,
+    renderDigestEmail
+};
@@ -0,0 +1,165 @@
+/**
+ * Milestones Module
+ *
+ * Milestones are kept on their project (project.milestones) and tasks link to one
+ * of their project's milestones with milestoneId. A milestone's progress comes from
+ * its linked tasks and is worked out whenever it is read, so it never goes stale.
+ *
+ * Milestone records: { id, name, description, dueDate, status, completedDate }
+ * - status is 'pending', 'in-progress' or 'completed' and is set by the user;
+ *   a milestone cannot be completed while linked tasks are unfinished
+ *
+ * Health of a milestone:
+ * - completed: its status is completed
+ * - slipped:   still open after its due date
+ * - at-risk:   the project schedule predicts a linked task finishing after the due date,
+ *              or it is due within AT_RISK_DAYS with less than half its tasks done
+ * - on-track:  otherwise
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Milestones due within this many days need half their tasks done to be on track
+ */
+const AT_RISK_DAYS = 14;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// LOOKUPS
+// ============================================
+
+/**
+ * Finds a milestone of a project
+ * @param {Object} project - Project record
+ * @param {string} milestoneId - Milestone ID
+ * @returns {Object|null} Milestone, or null if the project has no such milestone
+ */
+function findMilestone(project, milestoneId) {
+    return (project.milestones || []).find(milestone => milestone.id === milestoneId) || null;
+}
+
+/**
+ * Creates a milestone ID that is unique within a project
+ * @param {Object} project - Project record
+ * @returns {string} New ID (m1, m2, ...)
+ */
+function nextMilestoneId(project) {
+    const numbers = (project.milestones || [])
+        .map(milestone => parseInt(String(milestone.id).replace(/^m/, ''), 10))
+        .filter(number => !isNaN(number));
+    
+    return `m${Math.max(0, ...numbers) + 1}`;
+}
+
+// ============================================
+// PROGRESS
+// ============================================
+
+/**
+ * Works out a milestone's health
+ * @param {Object} milestone - Milestone with progress
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @returns {string} 'completed', 'slipped', 'at-risk' or 'on-track'
+ */
+function getHealth(milestone, today) {
+    if (milestone.status === 'completed') return 'completed';
+    if (milestone.dueDate < today) return 'slipped';
+    if (milestone.predictedFinish && milestone.predictedFinish > milestone.dueDate) return 'at-risk';
+    
+    const daysLeft = (Date.parse(milestone.dueDate) - Date.parse(today)) / MS_PER_DAY;
+    if (daysLeft <= AT_RISK_DAYS && milestone.taskCount > 0 && milestone.progress < 50) return 'at-risk';
+    
+    return 'on-track';
+}
+
+/**
+ * Adds progress figures from the linked tasks to a project's milestones
+ * - taskIds, taskCount, doneCount: the linked tasks and how many are done
+ * - progress:        percentage of linked tasks done (0 without tasks, 100 once completed)
+ * - predictedFinish: latest predicted finish of the linked tasks (null without tasks)
+ * - health:          see the module description
+ * @param {Object} project - Project record
+ * @param {Array<Object>} tasks - The project's tasks (not in the trash)
+ * @param {Function} categoryOf - Gets a task's status category
+ * @param {Object} schedule - The project's schedule (see schedule.computeSchedule)
+ * @param {string} [today] - Current date (defaults to today)
+ * @returns {Array<Object>} Copies of the milestones with the extra fields, by due date
+ */
+function withProgress(project, tasks, categoryOf, schedule, today = new Date().toISOString().slice(0, 10)) {
+    const finishes = new Map(schedule.tasks.map(task => [task.id, task.earliestFinish]));
+    
+    return (project.milestones || []).map(milestone => {
+        const linked = tasks.filter(task => task.milestoneId === milestone.id);
+        const doneCount = linked.filter(task => categoryOf(task) === 'done').length;
+        const predicted = linked.map(task => finishes.get(task.id)).filter(Boolean).sort();
+        
+        const result = {
+            ...milestone,
+            taskIds: linked.map(task => task.id),
+            taskCount: linked.length,
+            doneCount,
+            progress: milestone.status === 'completed' ? 100
+                : linked.length > 0 ? Math.round((doneCount / linked.length) * 100) : 0,
+            predictedFinish: predicted.length > 0 ? predicted[predicted.length - 1] : null
+        };
+        
+        return { ...result, health: getHealth(result, today) };
+    }).sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Checks that a task's milestone belongs to the task's project
+ * @param {Object} store - Data store
+ * @param {Object} changes - Validated fields being saved
+ * @param {Object} [existing] - Stored task when updating
+ * @returns {Object|null} Error messages keyed by field name, or null if valid
+ */
+function checkTaskMilestone(store, changes, existing) {
+    const task = { ...existing, ...changes };
+    
+    if (!task.milestoneId) {
+        return null;
+    }
+    
+    const project = store.get('projects', task.projectId);
+    
+    if (!project || !findMilestone(project, task.milestoneId)) {
+        return { milestoneId: `Milestone "${task.milestoneId}" does not exist in this project` };
+    }
+    
+    return null;
+}
+
+/**
+ * Checks that a milestone can be marked completed
+ * @param {Array<Object>} linked - Tasks linked to the milestone (not in the trash)
+ * @param {Function} isDone - Checks whether a task is done
+ * @returns {Object|null} Error messages keyed by field name, or null if it can be completed
+ */
+function checkCompletion(linked, isDone) {
+    const open = linked.filter(task => !isDone(task));
+    
+    if (open.length > 0) {
+        return {
+            status: `${open.length} linked task(s) are not done yet: ${open.map(t => `"${t.title}"`).join(', ')}`
+        };
+    }
+    
+    return null;
+}
+
+module.exports = {
+    findMilestone,
+    nextMilestoneId,
+    withProgress,
+    checkTaskMilestone,
+    checkCompletion
+};
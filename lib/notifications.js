@@ -0,0 +1,661 @@
+/**
+ * Notifications Module
+ *
+ * Keeps each user's inbox (the "notifications" collection) and what they have chosen
+ * to receive (the "notification_settings" collection).
+ *
+ * Notification records: { id, userId, type, title, message, entity, entityId,
+ *                         projectId, key, read, readAt, createdAt }
+ * - type: one of TYPES
+ * - entity/entityId: the task or project it is about, opened from the inbox
+ * - key: identifies the event, so it never reaches a user twice (a due date
+ *   reminder is sent once per due date, a budget alert once per threshold)
+ *
+ * Alert records ("notification_alerts") remember the keys of ALERT_TYPES sent, since
+ * their conditions outlast the notifications pruned from the inbox:
+ *   { id: "<userId>:<key>", userId, key, entity, entityId, createdAt }
+ *
+ * Settings records are keyed by user ID:
+ *   { id, types: { [type]: boolean }, email: { [type]: boolean }, watching, unsubscribeToken }
+ * - types: which notifications reach the inbox; left out types use their default
+ * - email: which of those are also emailed, plus "digest" for the daily digest
+ *   (see lib/emails.js)
+ * - watching: [{ entity, entityId }] - tasks and projects the user follows
+ * - unsubscribeToken: identifies the user in the unsubscribe links of their emails
+ *
+ * Who is told:
+ * - assigned: the new assignee of a task, unless they assigned it themselves
+ * - dueSoon:  a task's assignee, once it is due soon (see lib/deadlines.js)
+ * - overdue:  a task's assignee, once it is overdue
+ * - status:   the watchers of a task or project whose status changes. A task is watched
+ *             by its assignee, its creator, its project's manager and whoever follows the
+ *             task or its project; a project by its manager and whoever follows it
+ * - budget:   a project's watchers, once for each of BUDGET_THRESHOLDS its spend reaches
+ * Nobody is told about their own changes.
+ */
+
+const crypto = require('crypto');
+const workflows = require('./workflows');
+const deadlines = require('./deadlines');
+const integrity = require('./integrity');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Collection holding the notifications
+ */
+const NOTIFICATION_COLLECTION = 'notifications';
+
+/**
+ * Collection holding each user's notification settings
+ */
+const SETTINGS_COLLECTION = 'notification_settings';
+
+/**
+ * Collection remembering the alerts already sent (see ALERT_TYPES)
+ */
+const ALERT_COLLECTION = 'notification_alerts';
+
+/**
+ * Kinds of notification, with the label shown in the settings and whether
+ * users receive them (default) and have them emailed (email) until they choose otherwise
+ */
+const TYPES = {
+    assigned: { label: 'A task is assigned to me', default: true, email: true },
+    dueSoon: { label: 'My task is due soon', default: true, email: false },
+    overdue: { label: 'My task is overdue', default: true, email: true },
+    status: { label: 'The status of something I watch changes', default: true, email: false },
+    budget: { label: 'A project I watch reaches a budget threshold', default: true, email: false }
+};
+
+/**
+ * Types sent while a condition lasts (a task due soon or overdue, a project past a
+ * budget threshold). Their keys are kept in ALERT_COLLECTION, so a task that stays
+ * overdue is not announced again once its notification has been pruned
+ */
+const ALERT_TYPES = ['dueSoon', 'overdue', 'budget'];
+
+/**
+ * The daily digest email, chosen alongside the notification types
+ */
+const DIGEST = { label: 'A daily digest of my unread notifications', email: true };
+
+/**
+ * Share of its budget (in percent) a project's spend is announced at
+ */
+const BUDGET_THRESHOLDS = [80, 100];
+
+/**
+ * Entities that can be watched, with their collections
+ */
+const WATCHABLE = {
+    task: 'tasks',
+    project: 'projects'
+};
+
+/**
+ * How long read notifications are kept (in days)
+ */
+const RETENTION_DAYS = 90;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Gets a user's notification settings, with defaults for anything not chosen
+ * @param {Object} store - Data store
+ * @param {string} userId - User ID
+ * @returns {Object} { types: { [type]: boolean }, watching: [{ entity, entityId }] }
+ */
+function getSettings(store, userId) {
+    const stored = store.get(SETTINGS_COLLECTION, userId) || {};
+    const chosen = (field, type, fallback) => {
+        const value = (stored[field] || {})[type];
+        return typeof value === 'boolean' ? value : fallback;
+    };
+    
+    const types = {};
+    const email = {};
+    Object.keys(TYPES).forEach(type => {
+        types[type] = chosen('types', type, TYPES[type].default);
+        email[type] = chosen('email', type, TYPES[type].email);
+    });
+    email.digest = chosen('email', 'digest', DIGEST.email);
+    
+    return { types, email, watching: stored.watching || [] };
+}
+
+/**
+ * Lists what can be emailed: every notification type and the daily digest
+ * @returns {Array<Object>} [{ type, label }]
+ */
+function getEmailOptions() {
+    return [
+        ...Object.entries(TYPES).map(([type, { label }]) => ({ type, label })),
+        { type: 'digest', label: DIGEST.label }
+    ];
+}
+
+/**
+ * Checks one map of choices in a settings change
+ * @param {Object} input - Request body
+ * @param {string} field - 'types' or 'email'
+ * @param {Array<string>} allowed - Types that may be chosen
+ * @param {Object} errors - Collects errors, keyed like "types.assigned"
+ */
+function validateChoices(input, field, allowed, errors) {
+    const choices = input[field];
+    if (choices === undefined) return;
+    
+    if (!choices || typeof choices !== 'object' || Array.isArray(choices)) {
+        errors[field] = 'Must map notification types to true or false';
+        return;
+    }
+    
+    Object.entries(choices).forEach(([type, enabled]) => {
+        if (!allowed.includes(type)) {
+            errors[`${field}.${type}`] = `Unknown notification type (expected one of: ${allowed.join(', ')})`;
+        } else if (typeof enabled !== 'boolean') {
+            errors[`${field}.${type}`] = 'Must be true or false';
+        }
+    });
+}
+
+/**
+ * Validates a change to a user's settings
+ * @param {Object} body - Request body ({ types: { [type]: boolean }, email: { [type]: boolean } },
+ *   either or both)
+ * @returns {Object} { value, errors } - errors is keyed by field name, or null if valid
+ */
+function validateSettings(body) {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const errors = {};
+    
+    if (input.types === undefined && input.email === undefined) {
+        errors.types = 'Choose which notifications to receive';
+    }
+    validateChoices(input, 'types', Object.keys(TYPES), errors);
+    validateChoices(input, 'email', getEmailOptions().map(option => option.type), errors);
+    
+    return Object.keys(errors).length > 0
+        ? { value: null, errors }
+        : { value: { types: input.types, email: input.email }, errors: null };
+}
+
+/**
+ * Saves changes to a user's settings
+ * @param {Object} store - Data store
+ * @param {string} userId - User ID
+ * @param {Object} changes - { types }, { email } and/or { watching }; types and email are
+ *   merged with earlier choices
+ * @returns {Object} The user's settings (see getSettings)
+ */
+function saveSettings(store, userId, changes) {
+    store.transaction(() => {
+        const stored = store.get(SETTINGS_COLLECTION, userId);
+        const fields = {
+            types: { ...(stored && stored.types), ...changes.types },
+            email: { ...(stored && stored.email), ...changes.email },
+            watching: changes.watching || (stored && stored.watching) || []
+        };
+        
+        if (stored) {
+            store.update(SETTINGS_COLLECTION, userId, fields);
+        } else {
+            store.insert(SETTINGS_COLLECTION, { id: userId, ...fields });
+        }
+    });
+    
+    return getSettings(store, userId);
+}
+
+/**
+ * Starts or stops following a task or project
+ * @param {Object} store - Data store
+ * @param {string} userId - User ID
+ * @param {string} entity - 'task' or 'project'
+ * @param {string} entityId - ID of the task or project
+ * @param {boolean} watch - True to follow it, false to stop
+ * @returns {Object} The user's settings (see getSettings)
+ */
+function setWatching(store, userId, entity, entityId, watch) {
+    const watching = getSettings(store, userId).watching
+        .filter(item => item.entity !== entity || item.entityId !== entityId);
+    
+    if (watch) {
+        watching.push({ entity, entityId });
+    }
+    
+    return saveSettings(store, userId, { watching });
+}
+
+/**
+ * Gets the token identifying a user in unsubscribe links, creating it the first time
+ * @param {Object} store - Data store
+ * @param {string} userId - User ID
+ * @returns {string} Unsubscribe token
+ */
+function getUnsubscribeToken(store, userId) {
+    return store.transaction(() => {
+        const stored = store.get(SETTINGS_COLLECTION, userId);
+        if (stored && stored.unsubscribeToken) {
+            return stored.unsubscribeToken;
+        }
+        
+        const unsubscribeToken = crypto.randomBytes(24).toString('hex');
+        if (stored) {
+            store.update(SETTINGS_COLLECTION, userId, { unsubscribeToken });
+        } else {
+            store.insert(SETTINGS_COLLECTION, { id: userId, types: {}, email: {}, watching: [], unsubscribeToken });
+        }
+        return unsubscribeToken;
+    });
+}
+
+/**
+ * Turns off emails for the user an unsubscribe link was sent to
+ * @param {Object} store - Data store
+ * @param {string} token - Unsubscribe token from the link
+ * @param {string} type - Notification type or 'digest' to stop one kind of email,
+ *   'all' to stop every email
+ * @returns {Object|null} The user's settings (see getSettings) with their userId, or
+ *   null if the token matches nobody
+ */
+function unsubscribe(store, token, type) {
+    const stored = typeof token === 'string' && token !== '' &&
+        store.all(SETTINGS_COLLECTION).find(record => record.unsubscribeToken === token);
+    if (!stored) return null;
+    
+    const email = {};
+    getEmailOptions()
+        .filter(option => type === 'all' || option.type === type)
+        .forEach(option => { email[option.type] = false; });
+    
+    return { userId: stored.id, ...saveSettings(store, stored.id, { email }) };
+}
+
+// ============================================
+// RECIPIENTS
+// ============================================
+
+/**
+ * Lists the users following a task or project
+ * @param {Array<Object>} settings - Every settings record
+ * @param {string} entity - 'task' or 'project'
+ * @param {string} entityId - ID of the task or project
+ * @returns {Array<string>} User IDs
+ */
+function getFollowers(settings, entity, entityId) {
+    return settings
+        .filter(record => (record.watching || []).some(item => item.entity === entity && item.entityId === entityId))
+        .map(record => record.id);
+}
+
+/**
+ * Lists the users watching a project: its manager and its followers
+ * @param {Object} store - Data store
+ * @param {Object} project - Project
+ * @returns {Set<string>} User IDs
+ */
+function getProjectWatchers(store, project) {
+    const settings = store.all(SETTINGS_COLLECTION);
+    return new Set([project.projectManager, ...getFollowers(settings, 'project', project.id)].filter(Boolean));
+}
+
+/**
+ * Lists the users watching a task: its assignee and creator, its project's
+ * watchers and its own followers
+ * @param {Object} store - Data store
+ * @param {Object} task - Task
+ * @returns {Set<string>} User IDs
+ */
+function getTaskWatchers(store, task) {
+    const project = store.get('projects', task.projectId);
+    const watchers = project ? getProjectWatchers(store, project) : new Set();
+    
+    [task.assignedTo, task.createdBy, ...getFollowers(store.all(SETTINGS_COLLECTION), 'task', task.id)]
+        .filter(Boolean)
+        .forEach(userId => watchers.add(userId));
+    
+    return watchers;
+}
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Works out who to tell about a change to a task or project
+ * Records being removed or moved to the trash notify nobody
+ * @param {Object} store - Data store
+ * @param {Object} change - Logged change: { collection, before, after, actor }
+ * @returns {Array<Object>} Notifications to deliver (see deliver)
+ */
+function draftsForChange(store, { collection, before, after, actor }) {
+    if (!after || integrity.isDeleted(after) || !['tasks', 'projects'].includes(collection)) {
+        return [];
+    }
+    
+    const who = actor ? actor.fullName : 'The system';
+    const drafts = [];
+    
+    if (collection === 'tasks') {
+        const about = { entity: 'task', entityId: after.id, projectId: after.projectId };
+        
+        if (after.assignedTo && after.assignedTo !== (before ? before.assignedTo : null)) {
+            drafts.push({
+                ...about,
+                userId: after.assignedTo,
+                type: 'assigned',
+                title: `Assigned to you: ${after.title}`,
+                message: `${who} assigned you "${after.title}"`,
+                key: `assigned:${after.id}:${after.version}`
+            });
+        }
+        
+        if (before && before.status !== after.status) {
+            const workflow = workflows.createStatusResolver(store).workflowFor(after.projectId);
+            const label = key => (workflows.findStatus(workflow, key) || { label: key }).label;
+            
+            getTaskWatchers(store, after).forEach(userId => drafts.push({
+                ...about,
+                userId,
+                type: 'status',
+                title: `${after.title}: ${label(after.status)}`,
+                message: `${who} moved "${after.title}" from ${label(before.status)} to ${label(after.status)}`,
+                key: `status:${after.id}:${after.version}`
+            }));
+        }
+    }
+    
+    if (collection === 'projects' && before && before.status !== after.status) {
+        getProjectWatchers(store, after).forEach(userId => drafts.push({
+            userId,
+            type: 'status',
+            title: `${after.name}: ${after.status}`,
+            message: `${who} changed the status of project "${after.name}" from ${before.status} to ${after.status}`,
+            entity: 'project',
+            entityId: after.id,
+            projectId: after.id,
+            key: `status:${after.id}:${after.version}`
+        }));
+    }
+    
+    return drafts.filter(draft => !actor || draft.userId !== actor.id);
+}
+
+/**
+ * Works out the due date reminders and overdue alerts to send
+ * Covers the assigned tasks that are not done, archived or in the trash
+ * @param {Object} store - Data store
+ * @param {string} [today] - Current date as YYYY-MM-DD (defaults to today)
+ * @returns {Array<Object>} Notifications to deliver (see deliver)
+ */
+function draftsForDeadlines(store, today = deadlines.getToday()) {
+    const resolver = workflows.createStatusResolver(store);
+    const liveProjects = new Set(store.all('projects').filter(integrity.isLive).map(project => project.id));
+    
+    return store.all('tasks')
+        .filter(task => task.assignedTo && integrity.isLive(task) && liveProjects.has(task.projectId))
+        .flatMap(task => {
+            const category = resolver.categoryOf(task);
+            const about = { userId: task.assignedTo, entity: 'task', entityId: task.id, projectId: task.projectId };
+            
+            if (deadlines.isOverdue(task, category, today)) {
+                return [{
+                    ...about,
+                    type: 'overdue',
+                    title: `Overdue: ${task.title}`,
+                    message: `"${task.title}" was due on ${task.dueDate.slice(0, 10)}`,
+                    key: `overdue:${task.id}:${task.dueDate}`
+                }];
+            }
+            
+            if (deadlines.isDueSoon(task, category, today)) {
+                const dueDate = task.dueDate.slice(0, 10);
+                return [{
+                    ...about,
+                    type: 'dueSoon',
+                    title: `Due soon: ${task.title}`,
+                    message: dueDate === today ? `"${task.title}" is due today` : `"${task.title}" is due on ${dueDate}`,
+                    key: `dueSoon:${task.id}:${task.dueDate}`
+                }];
+            }
+            
+            return [];
+        });
+}
+
+/**
+ * Works out the budget alerts to send
+ * A project's watchers hear about the highest threshold its spend has reached
+ * @param {Object} store - Data store
+ * @param {Map} spentByProject - Amount spent keyed by project ID (see budget.getSpentByProject)
+ * @returns {Array<Object>} Notifications to deliver (see deliver)
+ */
+function draftsForBudgets(store, spentByProject) {
+    return store.all('projects')
+        .filter(project => integrity.isLive(project) && project.budget > 0)
+        .flatMap(project => {
+            const percent = ((spentByProject.get(project.id) || 0) / project.budget) * 100;
+            const reached = BUDGET_THRESHOLDS.filter(threshold => percent >= threshold);
+            if (reached.length === 0) return [];
+            
+            const threshold = Math.max(...reached);
+            return Array.from(getProjectWatchers(store, project)).map(userId => ({
+                userId,
+                type: 'budget',
+                title: threshold >= 100 ? `Over budget: ${project.name}` : `${threshold}% of budget spent: ${project.name}`,
+                message: `"${project.name}" has spent ${Math.round(percent)}% of its budget`,
+                entity: 'project',
+                entityId: project.id,
+                projectId: project.id,
+                key: `budget:${project.id}:${threshold}`
+            }));
+        });
+}
+
+// ============================================
+// INBOX
+// ============================================
+
+/**
+ * Remembers that an alert was sent
+ * @param {Object} store - Data store
+ * @param {Object} alert - Notification or draft ({ userId, key, entity, entityId })
+ * @param {string} now - Current time (ISO string)
+ * @returns {Object} The stored alert record
+ */
+function rememberAlert(store, alert, now) {
+    return store.insert(ALERT_COLLECTION, {
+        id: `${alert.userId}:${alert.key}`,
+        userId: alert.userId,
+        key: alert.key,
+        entity: alert.entity,
+        entityId: alert.entityId,
+        createdAt: now
+    });
+}
+
+/**
+ * Copies the alerts still in the inbox to the alert log
+ * Inboxes kept the only record of the alerts sent before the log existed; without
+ * this, alerts pruned from the log's point of view would be announced again
+ * @param {Object} store - Data store
+ * @returns {number} How many were recorded
+ */
+function backfillAlerts(store) {
+    return store.transaction(() => {
+        const now = new Date().toISOString();
+        const known = new Set(store.all(ALERT_COLLECTION).map(alert => alert.id));
+        const alerts = new Map();
+        
+        store.all(NOTIFICATION_COLLECTION)
+            .filter(item => ALERT_TYPES.includes(item.type) && !known.has(`${item.userId}:${item.key}`))
+            .forEach(item => alerts.set(`${item.userId}:${item.key}`, item));
+        
+        alerts.forEach(alert => rememberAlert(store, alert, now));
+        return alerts.size;
+    });
+}
+
+/**
+ * Adds notifications to their users' inboxes
+ * A notification is skipped if the user is inactive, has turned its type off, was
+ * already sent the same key (see ALERT_TYPES) or may not see what it is about
+ * @param {Object} store - Data store
+ * @param {Array<Object>} drafts - { userId, type, title, message, entity, entityId, projectId, key }
+ * @param {Function} canReceive - Receives (user, draft) and returns true if the user may see it
+ * @returns {Array<Object>} The stored notifications
+ */
+function deliver(store, drafts, canReceive) {
+    if (drafts.length === 0) return [];
+    
+    return store.transaction(() => {
+        const users = new Map(store.all('users').map(user => [user.id, user]));
+        const sent = new Set([
+            ...store.all(NOTIFICATION_COLLECTION).map(item => `${item.userId}:${item.key}`),
+            ...store.all(ALERT_COLLECTION).map(alert => alert.id)
+        ]);
+        const enabled = new Map();
+        const now = new Date().toISOString();
+        
+        return drafts.filter(draft => {
+            const user = users.get(draft.userId);
+            const sentKey = `${draft.userId}:${draft.key}`;
+            if (!user || user.active === false || sent.has(sentKey)) return false;
+            
+            if (!enabled.has(user.id)) {
+                enabled.set(user.id, getSettings(store, user.id).types);
+            }
+            if (!enabled.get(user.id)[draft.type] || !canReceive(user, draft)) return false;
+            
+            sent.add(sentKey);
+            return true;
+        }).map(draft => {
+            if (ALERT_TYPES.includes(draft.type)) {
+                rememberAlert(store, draft, now);
+            }
+            
+            return store.insert(NOTIFICATION_COLLECTION, {
+                id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+                ...draft,
+                read: false,
+                readAt: null,
+                createdAt: now
+            });
+        });
+    });
+}
+
+/**
+ * Lists a user's notifications, newest first
+ * @param {Object} store - Data store
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { unread: true for unread ones only, limit (default 20, at most 100) }
+ * @returns {Object} { items, unreadCount }
+ */
+function listNotifications(store, userId, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+    const mine = store.all(NOTIFICATION_COLLECTION).filter(item => item.userId === userId);
+    
+    return {
+        items: mine.filter(item => !options.unread || !item.read).reverse().slice(0, limit),
+        unreadCount: mine.filter(item => !item.read).length
+    };
+}
+
+/**
+ * Marks one of a user's notifications as read or unread
+ * @param {Object} store - Data store
+ * @param {string} userId - User ID
+ * @param {string} id - Notification ID
+ * @param {boolean} read - True for read, false for unread
+ * @returns {Object|null} The updated notification, or null if the user has no such notification
+ */
+function markRead(store, userId, id, read) {
+    return store.transaction(() => {
+        const notification = store.get(NOTIFICATION_COLLECTION, id);
+        if (!notification || notification.userId !== userId) return null;
+        
+        return store.update(NOTIFICATION_COLLECTION, id, {
+            read,
+            readAt: read ? notification.readAt || new Date().toISOString() : null
+        });
+    });
+}
+
+/**
+ * Marks all of a user's notifications as read
+ * @param {Object} store - Data store
+ * @param {string} userId - User ID
+ * @returns {number} How many were unread
+ */
+function markAllRead(store, userId) {
+    return store.transaction(() => {
+        const now = new Date().toISOString();
+        const unread = store.all(NOTIFICATION_COLLECTION).filter(item => item.userId === userId && !item.read);
+        
+        unread.forEach(item => store.update(NOTIFICATION_COLLECTION, item.id, { read: true, readAt: now }));
+        return unread.length;
+    });
+}
+
+/**
+ * Removes read notifications older than RETENTION_DAYS, and the alerts remembered
+ * for tasks and projects that have been deleted for good
+ * @param {Object} store - Data store
+ * @returns {number} How many notifications were removed
+ */
+function pruneNotifications(store) {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * MS_PER_DAY).toISOString();
+    
+    return store.transaction(() => {
+        const all = store.all(NOTIFICATION_COLLECTION);
+        const kept = all.filter(item => !item.read || item.createdAt >= cutoff);
+        
+        if (kept.length < all.length) {
+            store.replaceAll(NOTIFICATION_COLLECTION, kept);
+        }
+        
+        const alerts = store.all(ALERT_COLLECTION);
+        const keptAlerts = alerts.filter(alert => store.get(WATCHABLE[alert.entity], alert.entityId));
+        if (keptAlerts.length < alerts.length) {
+            store.replaceAll(ALERT_COLLECTION, keptAlerts);
+        }
+        
+        return all.length - kept.length;
+    });
+}
+
+module.exports = {
+    NOTIFICATION_COLLECTION,
+    SETTINGS_COLLECTION,
+    ALERT_COLLECTION,
+    TYPES,
+    ALERT_TYPES,
+    DIGEST,
+    BUDGET_THRESHOLDS,
+    WATCHABLE,
+    getSettings,
+    getEmailOptions,
+    validateSettings,
+    saveSettings,
+    setWatching,
+    getUnsubscribeToken,
+    unsubscribe,
+    draftsForChange,
+    draftsForDeadlines,
+    draftsForBudgets,
+    backfillAlerts,
+    deliver,
+    listNotifications,
+    markRead,
+    markAllRead,
+    pruneNotifications
+};
@@ -0,0 +1,141 @@
+/**
+ * Password Hashing Module
+ *
+ * Hashes and verifies user passwords with Node's built-in scrypt function.
+ *
+ * Stored hashes look like "scrypt$<salt>$<hash>", where salt and hash are hex strings.
+ * Every password gets its own random salt, so two users with the same password
+ * end up with different hashes.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Length of the random salt (in bytes)
+ */
+const SALT_LENGTH = 16;
+
+/**
+ * Length of the derived key (in bytes)
+ */
+const KEY_LENGTH = 64;
+
+/**
+ * Minimum length for new passwords
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * How long an admin-issued password reset token stays valid (in milliseconds)
+ */
+const RESET_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// HASHING FUNCTIONS
+// ============================================
+
+/**
+ * Hashes a password with a new random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Stored hash string
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Hashes a password synchronously
+ * Only used by the startup migration, before the server accepts requests
+ * @param {string} password - Plain text password
+ * @returns {string} Stored hash string
+ */
+function hashPasswordSync(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH).toString('hex');
+    const hash = crypto.scryptSync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash
+ * @param {string} password - Plain text password to check
+ * @param {string} storedHash - Hash string from the user record
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') {
+        return false;
+    }
+    
+    const [scheme, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    
+    // Compare in constant time to avoid leaking timing information
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Checks that a new password meets the password policy
+ * @param {string} password - Proposed password
+ * @returns {string|null} Error message, or null if the password is acceptable
+ */
+function validatePasswordStrength(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+    }
+    
+    if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+        return 'Password must contain both letters and numbers';
+    }
+    
+    return null;
+}
+
+// ============================================
+// RESET TOKENS
+// ============================================
+
+/**
+ * Hashes a reset token so only its digest is stored in users.json
+ * @param {string} token - Reset token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Creates a one-time password reset token
+ * @returns {Object} { token, tokenHash, expiresAt } - give token to the user, store the rest
+ */
+function createResetToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    
+    return {
+        token,
+        tokenHash: hashResetToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString()
+    };
+}
+
+module.exports = {
+    hashPassword,
+    hashPasswordSync,
+    verifyPassword,
+    validatePasswordStrength,
+    hashResetToken,
+    createResetToken
+};
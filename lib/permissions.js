@@ -0,0 +1,236 @@
+/**
+ * Permissions Module
+ *
+ * Defines what each user role is allowed to do and provides the
+ * Express middleware that enforces it on the API routes.
+ *
+ * Permissions are "<resource>:<action>" strings (e.g. 'projects:delete').
+ * Some roles are further limited to a subset of records:
+ * - Department heads only see projects from their own department
+ * - Team members may only update (and log time on) tasks assigned to them
+ * - Project managers approve the timesheets and expenses of the projects they manage
+ */
+
+// ============================================
+// PERMISSION MATRIX
+// ============================================
+
+/**
+ * Permissions granted to each role
+ * '*' grants every permission
+ */
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    project_manager: [
+        'projects:read', 'projects:create', 'projects:update', 'projects:delete',
+        'tasks:read', 'tasks:create', 'tasks:update', 'tasks:delete',
+        'resources:read', 'resources:create', 'resources:update', 'resources:delete',
+        'risks:read', 'risks:create', 'risks:update', 'risks:delete',
+        'timesheets:log', 'timesheets:approve',
+        'expenses:read', 'expenses:create', 'expenses:approve',
+        'reports:read',
+        'audit:read',
+        'users:read'
+    ],
+    department_head: [
+        'projects:read', 'projects:update',
+        'tasks:read', 'tasks:create', 'tasks:update',
+        'resources:read',
+        'risks:read', 'risks:create', 'risks:update',
+        'timesheets:log', 'timesheets:approve',
+        'expenses:read', 'expenses:create', 'expenses:approve',
+        'reports:read',
+        'audit:read',
+        'users:read'
+    ],
+    team_member: [
+        'projects:read',
+        'tasks:read', 'tasks:update',
+        'resources:read',
+        'risks:read',
+        'timesheets:log',
+        'reports:read',
+        'audit:read',
+        'users:read'
+    ],
+    executive: [
+        'projects:read',
+        'tasks:read',
+        'resources:read',
+        'risks:read',
+        'expenses:read',
+        'reports:read',
+        'audit:read',
+        'users:read'
+    ]
+};
+
+/**
+ * Every valid user role
+ */
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Every permission used by the API
+ * Used to expand the admin wildcard when sending permissions to the client
+ */
+const ALL_PERMISSIONS = [
+    'projects:read', 'projects:create', 'projects:update', 'projects:delete',
+    'tasks:read', 'tasks:create', 'tasks:update', 'tasks:delete',
+    'resources:read', 'resources:create', 'resources:update', 'resources:delete',
+    'risks:read', 'risks:create', 'risks:update', 'risks:delete',
+    'timesheets:log', 'timesheets:approve',
+    'expenses:read', 'expenses:create', 'expenses:approve',
+    'reports:read',
+    'audit:read',
+    'users:read', 'users:manage',
+    'workflows:manage'
+];
+
+// ============================================
+// PERMISSION CHECKS
+// ============================================
+
+/**
+ * Gets the full list of permissions for a role
+ * @param {string} role - User role
+ * @returns {Array<string>} Permissions granted to the role
+ */
+function getPermissions(role) {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes('*') ? [...ALL_PERMISSIONS] : [...granted];
+}
+
+/**
+ * Checks whether a user has a permission
+ * @param {Object} user - User (needs a role)
+ * @param {string} permission - Permission to check (e.g. 'projects:delete')
+ * @returns {boolean} True if the user's role grants the permission
+ */
+function hasPermission(user, permission) {
+    if (!user) return false;
+    
+    const granted = ROLE_PERMISSIONS[user.role] || [];
+    return granted.includes('*') || granted.includes(permission);
+}
+
+/**
+ * Creates middleware that rejects users without a permission
+ * Must run after requireAuth so req.user is set
+ * @param {string} permission - Permission the route needs
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+    return function(req, res, next) {
+        if (!hasPermission(req.user, permission)) {
+            return res.status(403).json({ error: 'You do not have permission to perform this action' });
+        }
+        next();
+    };
+}
+
+// ============================================
+// RECORD-LEVEL RULES
+// ============================================
+
+/**
+ * Checks whether a user can see (and, with the right permission, change) a project
+ * Department heads are limited to their own department
+ * @param {Object} user - Current user
+ * @param {Object} project - Project record
+ * @returns {boolean} True if the project is within the user's scope
+ */
+function canAccessProject(user, project) {
+    if (!user || !project) return false;
+    
+    if (user.role === 'department_head') {
+        return project.department === user.department;
+    }
+    
+    return true;
+}
+
+/**
+ * Checks whether a user may update a specific task
+ * Team members may only update tasks assigned to them
+ * @param {Object} user - Current user
+ * @param {Object} task - Task record
+ * @returns {boolean} True if the user may update the task
+ */
+function canUpdateTask(user, task) {
+    if (!hasPermission(user, 'tasks:update')) return false;
+    
+    if (user.role === 'team_member') {
+        return task.assignedTo === user.id;
+    }
+    
+    return true;
+}
+
+/**
+ * Checks whether a user may log time on a task
+ * Team members may only log time on tasks assigned to them
+ * @param {Object} user - Current user
+ * @param {Object} task - Task record
+ * @returns {boolean} True if the user may log time on the task
+ */
+function canLogTime(user, task) {
+    if (!hasPermission(user, 'timesheets:log')) return false;
+    
+    if (user.role === 'team_member') {
+        return task.assignedTo === user.id;
+    }
+    
+    return true;
+}
+
+/**
+ * Checks whether a user may approve or reject time logged on a project
+ * Project managers approve the projects they manage; nobody approves their own time
+ * @param {Object} user - Current user
+ * @param {Object} project - Project the time was logged on
+ * @param {Object} entry - Time entry
+ * @returns {boolean} True if the user may review the entry
+ */
+function canApproveTime(user, project, entry) {
+    if (!hasPermission(user, 'timesheets:approve') || !canAccessProject(user, project)) return false;
+    if (entry.userId === user.id) return false;
+    
+    if (user.role === 'project_manager') {
+        return project.projectManager === user.id;
+    }
+    
+    return true;
+}
+
+/**
+ * Checks whether a user may approve or reject an expense
+ * Same rules as for time: project managers approve the projects they manage,
+ * and nobody approves an expense they entered
+ * @param {Object} user - Current user
+ * @param {Object} project - Project the expense belongs to
+ * @param {Object} expense - Expense record
+ * @returns {boolean} True if the user may review the expense
+ */
+function canApproveExpense(user, project, expense) {
+    if (!hasPermission(user, 'expenses:approve') || !canAccessProject(user, project)) return false;
+    if (expense.submittedBy === user.id) return false;
+    
+    if (user.role === 'project_manager') {
+        return project.projectManager === user.id;
+    }
+    
+    return true;
+}
+
+module.exports = {
+    ROLES,
+    getPermissions,
+    hasPermission,
+    requirePermission,
+    canAccessProject,
+    canUpdateTask,
+    canLogTime,
+    canApproveTime,
+    canApproveExpense
+};
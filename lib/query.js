@@ -0,0 +1,388 @@
+/**
+ * Query Module
+ *
+ * Filtering, sorting and pagination for the list endpoints. Each endpoint describes
+ * what its records can be queried by in a query spec:
+ * - filters:     { param: field } - exact match; a comma-separated value matches any
+ *                of its values (?status=pending,in-progress), and an array field
+ *                matches when any of its items does
+ * - flags:       { param: field } - true/false filters on a field's truthiness
+ * - tags:        field holding an array of tags; ?tag= matches records having the tag
+ *                (comma-separated: any of them)
+ * - dates:       { param: field } - inclusive ranges with <param>From and <param>To
+ *                (?dueDateFrom=2024-03-01&dueDateTo=2024-03-31)
+ * - search:      fields searched by ?q=; every word must appear in one of them
+ * - sort:        { name: field } - fields ?sort= may use, comma-separated, with a
+ *                leading '-' for descending (?sort=-priority,dueDate)
+ * - defaultSort: sort used when ?sort= is not given
+ *
+ * A field is a record key or a function returning the value to use.
+ *
+ * Pagination is by cursor: ?limit= sets the page size and each page returns the
+ * cursor of the next one (null on the last page), which is passed back as ?cursor=.
+ * A cursor holds the sort values of the last record shown, so records added or
+ * removed between requests do not shift the pages.
+ *
+ * The specs of the list endpoints are in SPECS; computed fields (such as a task's
+ * statusCategory or a project's budgetSpent) are added before querying.
+ */
+
+const { PRIORITIES } = require('./validation');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Page size when a cursor is given without a limit
+ */
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Largest page a client can ask for
+ */
+const MAX_LIMIT = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Sorts by priority from low to high (-priority puts high first)
+ * @param {Object} record - Task or project
+ * @returns {number} Position in PRIORITIES
+ */
+function priorityRank(record) {
+    return PRIORITIES.indexOf(record.priority);
+}
+
+/**
+ * Query specs of the list endpoints, keyed by collection
+ */
+const SPECS = {
+    users: {
+        filters: { role: 'role', department: 'department' },
+        flags: { deactivated: 'deactivatedAt' },
+        search: ['username', 'fullName', 'email', 'department'],
+        sort: { username: 'username', fullName: 'fullName', role: 'role', department: 'department', createdAt: 'createdAt' },
+        defaultSort: ''
+    },
+    projects: {
+        filters: { status: 'status', priority: 'priority', department: 'department', manager: 'projectManager', member: 'teamMembers' },
+        flags: { archived: 'archivedAt' },
+        dates: { startDate: 'startDate', endDate: 'endDate' },
+        search: ['name', 'description', 'department'],
+        sort: {
+            name: 'name', status: 'status', priority: priorityRank, startDate: 'startDate', endDate: 'endDate',
+            budget: 'budget', budgetSpent: 'budgetSpent', createdAt: 'createdAt', updatedAt: 'updatedAt'
+        },
+        defaultSort: 'createdAt'
+    },
+    tasks: {
+        filters: {
+            id: 'id', projectId: 'projectId', status: 'status', priority: 'priority', category: 'statusCategory',
+            assignee: 'assignedTo', createdBy: 'createdBy', milestoneId: 'milestoneId'
+        },
+        flags: { blocked: 'blocked', overdue: 'overdue', archived: 'archivedAt' },
+        tags: 'tags',
+        dates: { startDate: 'startDate', dueDate: 'dueDate', completedDate: 'completedDate', createdAt: 'createdAt' },
+        search: ['title', 'description', 'tags'],
+        sort: {
+            title: 'title', status: 'status', priority: priorityRank, assignee: 'assignedTo', startDate: 'startDate',
+            dueDate: 'dueDate', completedDate: 'completedDate', estimatedHours: 'estimatedHours',
+            actualHours: 'actualHours', rank: 'rank', createdAt: 'createdAt', updatedAt: 'updatedAt'
+        },
+        defaultSort: 'createdAt'
+    },
+    resources: {
+        filters: { projectId: 'projectId', user: 'userId', role: 'role', status: 'status' },
+        dates: { startDate: 'startDate', endDate: 'endDate' },
+        search: ['userName', 'role'],
+        sort: {
+            userName: 'userName', role: 'role', startDate: 'startDate', endDate: 'endDate', allocatedHours: 'allocatedHours',
+            usedHours: 'usedHours', utilizationPercentage: 'utilizationPercentage', hourlyRate: 'hourlyRate', createdAt: 'createdAt'
+        },
+        defaultSort: 'createdAt'
+    },
+    risks: {
+        filters: { projectId: 'projectId', status: 'status', type: 'type', owner: 'ownerId', level: 'level' },
+        flags: { overdue: 'overdue' },
+        dates: { dueDate: 'dueDate' },
+        search: ['title', 'description'],
+        sort: {
+            score: 'score', title: 'title', status: 'status', probability: 'probability', impact: 'impact',
+            dueDate: 'dueDate', createdAt: 'createdAt'
+        },
+        defaultSort: '-score,title'
+    },
+    expenses: {
+        filters: { projectId: 'projectId', status: 'status', category: 'category', submittedBy: 'submittedBy' },
+        dates: { date: 'date' },
+        search: ['description', 'vendor', 'receiptNote'],
+        sort: { date: 'date', amount: 'amount', description: 'description', category: 'category', status: 'status', createdAt: 'createdAt' },
+        defaultSort: '-date,description'
+    }
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Reads a field of a record
+ * @param {Object} record - Record
+ * @param {string|Function} field - Record key, or function returning the value
+ * @returns {*} Field value
+ */
+function readField(record, field) {
+    return typeof field === 'function' ? field(record) : record[field];
+}
+
+/**
+ * Splits a comma-separated parameter into its values
+ * @param {string} value - Parameter value
+ * @returns {Array<string>} Non-blank values
+ */
+function splitValues(value) {
+    return String(value).split(',').map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Compares two sort values; missing values (null, undefined, '') come last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+    const aMissing = a === null || a === undefined || a === '';
+    const bMissing = b === null || b === undefined || b === '';
+    
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+}
+
+/**
+ * Compares two sort keys field by field
+ * @param {Array} a - Sort key of the first record (see getSortKey)
+ * @param {Array} b - Sort key of the second record
+ * @param {Array<Object>} order - Parsed sort ({ field, descending } per field, then the ID)
+ * @returns {number} Negative, zero or positive
+ */
+function compareKeys(a, b, order) {
+    for (let i = 0; i < order.length; i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) {
+            // Missing values stay last in both directions
+            const missing = [a[i], b[i]].some(value => value === null || value === undefined || value === '');
+            return order[i].descending && !missing ? -result : result;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Gets the values a record is sorted by
+ * @param {Object} record - Record
+ * @param {Array<Object>} order - Parsed sort
+ * @returns {Array} One value per sort field
+ */
+function getSortKey(record, order) {
+    return order.map(({ field }) => {
+        const value = readField(record, field);
+        return value === undefined ? null : value;
+    });
+}
+
+/**
+ * Encodes a sort key as an opaque cursor
+ * @param {Array} key - Sort key
+ * @returns {string} Cursor (base64url)
+ */
+function encodeCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor back to a sort key
+ * @param {string} cursor - Cursor from a previous page
+ * @param {number} length - Number of values the current sort needs
+ * @returns {Array|null} Sort key, or null if the cursor is invalid for this sort
+ */
+function decodeCursor(cursor, length) {
+    try {
+        const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Array.isArray(key) && key.length === length ? key : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Parses the sort parameter against a spec
+ * The record ID is always added last, so records with equal values keep one order
+ * @param {string} [value] - ?sort= value (defaults to the spec's defaultSort)
+ * @param {Object} spec - Query spec
+ * @returns {Object} { order, error } - order lists { field, descending } per field
+ */
+function parseSort(value, spec) {
+    const names = splitValues(value || spec.defaultSort || '');
+    const order = [];
+    
+    for (const name of names) {
+        const descending = name.startsWith('-');
+        const key = descending ? name.slice(1) : name;
+        
+        if (!Object.prototype.hasOwnProperty.call(spec.sort, key)) {
+            return { order: [], error: `sort can use: ${Object.keys(spec.sort).join(', ')} (prefix with - for descending)` };
+        }
+        order.push({ field: spec.sort[key], descending });
+    }
+    
+    order.push({ field: 'id', descending: false });
+    return { order, error: null };
+}
+
+/**
+ * Parses the page size
+ * @param {Object} params - Query parameters
+ * @returns {Object} { limit, error } - limit is null when the list is not paged
+ */
+function parseLimit(params) {
+    if (params.limit === undefined) {
+        return { limit: params.cursor !== undefined ? DEFAULT_LIMIT : null, error: null };
+    }
+    
+    const limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { limit: null, error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+    }
+    return { limit, error: null };
+}
+
+/**
+ * Builds the filter a request asks for
+ * @param {Object} params - Query parameters
+ * @param {Object} spec - Query spec
+ * @returns {Object} { matches, error } - matches(record) is true for records to keep
+ */
+function buildFilter(params, spec) {
+    const checks = [];
+    
+    Object.entries(spec.filters || {}).forEach(([param, field]) => {
+        if (params[param] === undefined || params[param] === '') return;
+        const values = splitValues(params[param]);
+        checks.push(record => {
+            const value = readField(record, field);
+            return (Array.isArray(value) ? value : [value]).some(item => values.includes(String(item)));
+        });
+    });
+    
+    for (const [param, field] of Object.entries(spec.flags || {})) {
+        if (params[param] === undefined) continue;
+        if (params[param] !== 'true' && params[param] !== 'false') {
+            return { matches: null, error: `${param} must be true or false` };
+        }
+        const wanted = params[param] === 'true';
+        checks.push(record => Boolean(readField(record, field)) === wanted);
+    }
+    
+    if (spec.tags && params.tag) {
+        const tags = splitValues(params.tag).map(tag => tag.toLowerCase());
+        checks.push(record => (readField(record, spec.tags) || []).some(tag => tags.includes(String(tag).toLowerCase())));
+    }
+    
+    for (const [param, field] of Object.entries(spec.dates || {})) {
+        for (const [suffix, keep] of [['From', (date, bound) => date >= bound], ['To', (date, bound) => date <= bound]]) {
+            const bound = params[param + suffix];
+            if (bound === undefined) continue;
+            if (!DATE_PATTERN.test(bound)) {
+                return { matches: null, error: `${param + suffix} must be a date (YYYY-MM-DD)` };
+            }
+            checks.push(record => {
+                const date = readField(record, field);
+                return Boolean(date) && keep(String(date).slice(0, 10), bound);
+            });
+        }
+    }
+    
+    if (spec.search && params.q) {
+        const words = String(params.q).toLowerCase().split(/\s+/).filter(Boolean);
+        checks.push(record => {
+            const text = spec.search
+                .map(field => readField(record, field))
+                .map(value => Array.isArray(value) ? value.join(' ') : value === null || value === undefined ? '' : String(value))
+                .join('\n')
+                .toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+    
+    return { matches: record => checks.every(check => check(record)), error: null };
+}
+
+// ============================================
+// QUERYING
+// ============================================
+
+/**
+ * Filters, sorts and pages records as the request's query parameters ask
+ * @param {Array<Object>} records - Records the user may see
+ * @param {Object} params - Query parameters (req.query)
+ * @param {Object} spec - Query spec of the endpoint
+ * @returns {Object} { items, total, nextCursor, paged, error }
+ *   - total: records matching the filters, over all pages
+ *   - paged: true when a limit or cursor was given
+ *   - error: message for an invalid parameter (the other fields are then empty)
+ */
+function queryList(records, params, spec) {
+    const invalid = error => ({ items: [], total: 0, nextCursor: null, paged: false, error });
+    
+    const { order, error: sortError } = parseSort(params.sort, spec);
+    if (sortError) return invalid(sortError);
+    
+    const { limit, error: limitError } = parseLimit(params);
+    if (limitError) return invalid(limitError);
+    
+    const { matches, error: filterError } = buildFilter(params, spec);
+    if (filterError) return invalid(filterError);
+    
+    const sorted = records
+        .filter(matches)
+        .map(record => ({ record, key: getSortKey(record, order) }))
+        .sort((a, b) => compareKeys(a.key, b.key, order));
+    
+    if (limit === null) {
+        return { items: sorted.map(entry => entry.record), total: sorted.length, nextCursor: null, paged: false, error: null };
+    }
+    
+    let start = 0;
+    if (params.cursor !== undefined) {
+        const after = decodeCursor(params.cursor, order.length);
+        if (!after) return invalid('cursor is invalid; start again without it');
+        
+        start = sorted.findIndex(entry => compareKeys(entry.key, after, order) > 0);
+        if (start === -1) start = sorted.length;
+    }
+    
+    const page = sorted.slice(start, start + limit);
+    const hasMore = start + limit < sorted.length;
+    
+    return {
+        items: page.map(entry => entry.record),
+        total: sorted.length,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null,
+        paged: true,
+        error: null
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    SPECS,
+    queryList
+};
@@ -0,0 +1,295 @@
+/**
+ * Risks Module
+ *
+ * Rules for the risk and issue register (the "risks" collection). Each entry belongs
+ * to a project and is either a risk (something that may happen) or an issue (something
+ * that has happened and needs handling).
+ *
+ * Risk records: { id, projectId, type, title, description, probability, impact,
+ *                 ownerId, dueDate, status, mitigations }
+ * - probability and impact are rated 1 (very low) to 5 (very high); the score is their
+ *   product and is worked out when risks are read, along with its level
+ * - status moves through identified → mitigation-planned → mitigated → closed
+ *   (see TRANSITIONS); a risk is "open" until it is closed
+ * - mitigations: [{ id, description, done, taskId }] - actions taken against the risk.
+ *   An action can become a task; its done state then follows that task
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Collection holding the register
+ */
+const RISK_COLLECTION = 'risks';
+
+/**
+ * Ratings allowed for probability and impact
+ */
+const RISK_SCALE = [1, 2, 3, 4, 5];
+
+/**
+ * Statuses in workflow order
+ */
+const RISK_STATUSES = ['identified', 'mitigation-planned', 'mitigated', 'closed'];
+
+/**
+ * Status changes allowed from each status
+ * A closed risk can only be reopened (back to identified)
+ */
+const TRANSITIONS = {
+    'identified': ['mitigation-planned', 'closed'],
+    'mitigation-planned': ['identified', 'mitigated', 'closed'],
+    'mitigated': ['mitigation-planned', 'closed'],
+    'closed': ['identified']
+};
+
+/**
+ * Score levels, highest first: a score at or above min gets the level
+ */
+const LEVELS = [
+    { level: 'critical', min: 15 },
+    { level: 'high', min: 8 },
+    { level: 'medium', min: 4 },
+    { level: 'low', min: 1 }
+];
+
+/**
+ * Longest mitigation action description
+ */
+const MAX_ACTION_LENGTH = 500;
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Works out a risk's score and level
+ * @param {Object} risk - Risk record
+ * @returns {Object} { score, level } - score is probability × impact (1-25)
+ */
+function scoreRisk(risk) {
+    const score = risk.probability * risk.impact;
+    const { level } = LEVELS.find(entry => score >= entry.min) || LEVELS[LEVELS.length - 1];
+    
+    return { score, level };
+}
+
+/**
+ * Checks whether a risk still needs attention
+ * @param {Object} risk - Risk record
+ * @returns {boolean} True unless the risk is closed
+ */
+function isOpen(risk) {
+    return risk.status !== 'closed';
+}
+
+/**
+ * Gets a mitigation action's done state, following its task when it has one
+ * @param {Object} action - Mitigation action
+ * @param {Map} tasksById - Tasks not in the trash, keyed by ID
+ * @param {Function} isDone - Checks whether a task is done
+ * @returns {boolean} True if the action is done
+ */
+function isActionDone(action, tasksById, isDone) {
+    const task = action.taskId ? tasksById.get(action.taskId) : null;
+    return task ? isDone(task) : Boolean(action.done);
+}
+
+/**
+ * Adds the computed fields to risks being returned to a client
+ * - score, level: see scoreRisk
+ * - overdue:      open and past its due date
+ * - nextStatuses: statuses it may move to (see TRANSITIONS)
+ * - mitigations:  each action gets done (from its task, if any) and taskTitle
+ *                 (null when it has no task or the task is in the trash)
+ * @param {Array<Object>} risks - Risks to annotate
+ * @param {Map} tasksById - Tasks not in the trash, keyed by ID
+ * @param {Function} isDone - Checks whether a task is done
+ * @param {string} [today] - Current date (defaults to today)
+ * @returns {Array<Object>} Copies of the risks with the extra fields
+ */
+function withDetails(risks, tasksById, isDone, today = new Date().toISOString().slice(0, 10)) {
+    return risks.map(risk => ({
+        ...risk,
+        ...scoreRisk(risk),
+        overdue: isOpen(risk) && Boolean(risk.dueDate) && risk.dueDate < today,
+        nextStatuses: TRANSITIONS[risk.status] || RISK_STATUSES,
+        mitigations: (risk.mitigations || []).map(action => {
+            const task = action.taskId ? tasksById.get(action.taskId) : null;
+            return {
+                ...action,
+                done: isActionDone(action, tasksById, isDone),
+                taskTitle: task ? task.title : null
+            };
+        })
+    }));
+}
+
+/**
+ * Counts open risks by probability and impact for the heat map
+ * @param {Array<Object>} risks - Risks with details (see withDetails)
+ * @returns {Array<Object>} 25 cells { probability, impact, score, level, riskIds },
+ *   highest impact first, then by probability
+ */
+function buildHeatMap(risks) {
+    const open = risks.filter(isOpen);
+    const cells = [];
+    
+    [...RISK_SCALE].reverse().forEach(impact => {
+        RISK_SCALE.forEach(probability => {
+            cells.push({
+                probability,
+                impact,
+                ...scoreRisk({ probability, impact }),
+                riskIds: open
+                    .filter(risk => risk.probability === probability && risk.impact === impact)
+                    .map(risk => risk.id)
+            });
+        });
+    });
+    
+    return cells;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validates the mitigation actions sent for a risk
+ * Actions keep their task links: a taskId is only ever set when a task is created
+ * from the action, so a taskId sent by the client is ignored
+ * @param {*} actions - Actions from the request
+ * @param {Array<Object>} [existing] - The risk's stored actions
+ * @returns {Object} { value, error } - value holds the cleaned actions (new ones get
+ *   an ID); error is a message, or null if valid
+ */
+function validateMitigations(actions, existing = []) {
+    if (!Array.isArray(actions)) {
+        return { value: existing, error: 'Mitigation actions must be a list' };
+    }
+    
+    const stored = new Map(existing.map(action => [action.id, action]));
+    let nextNumber = Math.max(0, ...existing.map(action => parseInt(String(action.id).replace(/^a/, ''), 10) || 0)) + 1;
+    const value = [];
+    
+    for (const action of actions) {
+        const description = action && typeof action.description === 'string' ? action.description.trim() : '';
+        
+        if (!description) {
+            return { value: existing, error: 'Each mitigation action needs a description' };
+        }
+        if (description.length > MAX_ACTION_LENGTH) {
+            return { value: existing, error: `Mitigation actions must be at most ${MAX_ACTION_LENGTH} characters` };
+        }
+        if (action.done !== undefined && typeof action.done !== 'boolean') {
+            return { value: existing, error: 'Whether a mitigation action is done must be true or false' };
+        }
+        
+        const previous = stored.get(action.id);
+        value.push({
+            id: previous ? previous.id : `a${nextNumber++}`,
+            description,
+            done: action.done === true,
+            taskId: previous ? previous.taskId || null : null
+        });
+    }
+    
+    return { value, error: null };
+}
+
+/**
+ * Checks a risk's status against the register's workflow
+ * - New risks start as identified
+ * - Changes must follow TRANSITIONS
+ * - Moving to mitigation-planned needs at least one action; to mitigated, every action done
+ * @param {Object} changes - Validated fields being saved
+ * @param {Object} [existing] - Stored risk when updating
+ * @param {Map} tasksById - Tasks not in the trash, keyed by ID
+ * @param {Function} isDone - Checks whether a task is done
+ * @returns {Object|null} Error messages keyed by field name, or null if valid
+ */
+function checkRiskStatus(changes, existing, tasksById, isDone) {
+    const risk = { ...existing, ...changes };
+    const actions = risk.mitigations || [];
+    
+    if (!existing) {
+        return risk.status === 'identified' ? null : { status: 'New risks start as identified' };
+    }
+    
+    if (risk.status === existing.status) {
+        return null;
+    }
+    
+    const allowed = TRANSITIONS[existing.status] || RISK_STATUSES;
+    if (!allowed.includes(risk.status)) {
+        return { status: `A risk that is ${existing.status} can only move to: ${allowed.join(', ')}` };
+    }
+    
+    if (risk.status === 'mitigation-planned' && actions.length === 0) {
+        return { status: 'Add at least one mitigation action before planning mitigation' };
+    }
+    
+    if (risk.status === 'mitigated') {
+        const open = actions.filter(action => !isActionDone(action, tasksById, isDone));
+        if (actions.length === 0 || open.length > 0) {
+            return {
+                status: actions.length === 0
+                    ? 'A risk needs mitigation actions before it can be mitigated'
+                    : `${open.length} mitigation action(s) are not done yet`
+            };
+        }
+    }
+    
+    return null;
+}
+
+// ============================================
+// MIGRATION
+// ============================================
+
+/**
+ * Plans moving risks kept on projects by older versions (project.risks holding
+ * { id, description, severity, status }) into the register
+ * Severity becomes the impact (high 4, medium 3, low 2) with a middle probability
+ * @param {Object} store - Data store
+ * @returns {Array<Object>} { projectId, risks } for each project with risks to move,
+ *   empty if there is nothing to migrate
+ */
+function planLegacyRisks(store) {
+    const impacts = { high: 4, medium: 3, low: 2 };
+    
+    return store.all('projects')
+        .filter(project => Array.isArray(project.risks))
+        .map(project => ({
+            projectId: project.id,
+            risks: project.risks.map(legacy => ({
+                projectId: project.id,
+                type: 'risk',
+                title: String(legacy.description || 'Untitled risk').slice(0, 200),
+                description: '',
+                probability: 3,
+                impact: impacts[legacy.severity] || 3,
+                ownerId: project.projectManager || null,
+                dueDate: null,
+                status: RISK_STATUSES.includes(legacy.status) ? legacy.status : 'identified',
+                mitigations: []
+            }))
+        }));
+}
+
+module.exports = {
+    RISK_COLLECTION,
+    RISK_SCALE,
+    RISK_STATUSES,
+    TRANSITIONS,
+    scoreRisk,
+    isOpen,
+    withDetails,
+    buildHeatMap,
+    validateMitigations,
+    checkRiskStatus,
+    planLegacyRisks
+};
@@ -0,0 +1,183 @@
+/**
+ * Schedule Module
+ *
+ * Computes a project's schedule from its tasks using the critical path method:
+ * - Forward pass: the earliest each task can start and finish, given its
+ *   planned start date and the finish of the tasks it depends on
+ * - Backward pass: the latest each task can start and finish without
+ *   delaying the predicted project finish
+ * - Slack is the number of days a task can slip before the project does;
+ *   open tasks without slack form the critical path
+ *
+ * A task's duration is its planned span in days (start date to due date, inclusive).
+ * Tasks in the workflow's "done" category are fixed at their actual dates, and
+ * open work cannot be scheduled before today, so late tasks push the prediction out.
+ * Tasks in an "active" status are treated as started on their start date.
+ *
+ * Days are counted in whole UTC days and finishes are inclusive, so a task
+ * starting and finishing on the same date takes one day.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// DATE HELPERS
+// ============================================
+
+/**
+ * Converts a date (YYYY-MM-DD or ISO date/time) to a day number
+ * @param {string} value - Date string
+ * @returns {number} Days since 1970-01-01 (UTC)
+ */
+function toDay(value) {
+    return Math.floor(Date.parse(value.slice(0, 10)) / MS_PER_DAY);
+}
+
+/**
+ * Converts a day number back to a date
+ * @param {number} day - Days since 1970-01-01 (UTC)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function fromDay(day) {
+    return new Date(day * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+// ============================================
+// CRITICAL PATH
+// ============================================
+
+/**
+ * Orders tasks so every task comes after the tasks it depends on
+ * Dependencies on tasks outside the list are ignored. Dependencies are validated
+ * to be acyclic when saved; any task caught in a cycle anyway is left out.
+ * @param {Array<Object>} tasks - Tasks of one project
+ * @returns {Array<Object>} Tasks in dependency order
+ */
+function sortByDependencies(tasks) {
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const state = new Map();
+    const ordered = [];
+    
+    const visit = task => {
+        if (state.get(task.id) === 'done') return true;
+        if (state.get(task.id) === 'visiting') return false;
+        state.set(task.id, 'visiting');
+        
+        for (const id of task.dependencies || []) {
+            const predecessor = tasksById.get(id);
+            if (predecessor && !visit(predecessor)) return false;
+        }
+        
+        state.set(task.id, 'done');
+        ordered.push(task);
+        return true;
+    };
+    
+    tasks.forEach(visit);
+    return ordered;
+}
+
+/**
+ * Computes the schedule of a project
+ * @param {Object} project - Project record
+ * @param {Array<Object>} tasks - The project's tasks (not in the trash)
+ * @param {Function} categoryOf - Gets a task's status category ('todo', 'active' or 'done')
+ * @param {string} [today] - Date to schedule open work from (defaults to the current date)
+ * @returns {Object} { projectId, plannedEnd, predictedFinish, slipDays, criticalPath, tasks }
+ *   - predictedFinish: date the last task is expected to finish (null without tasks)
+ *   - slipDays:        days the predicted finish is past the planned end (0 if on time)
+ *   - criticalPath:    IDs of the open tasks without slack, in start order
+ *   - tasks:           per task { id, title, status, duration, earliestStart, earliestFinish,
+ *                      latestStart, latestFinish, slack, critical }
+ */
+function computeSchedule(project, tasks, categoryOf, today = new Date().toISOString()) {
+    const todayDay = toDay(today);
+    const ordered = sortByDependencies(tasks);
+    const timings = new Map();
+    
+    // Forward pass: earliest start and finish (finish is exclusive while computing)
+    ordered.forEach(task => {
+        const duration = Math.max(1, toDay(task.dueDate) - toDay(task.startDate) + 1);
+        
+        const category = categoryOf(task);
+        
+        if (category === 'done') {
+            const finish = toDay(task.completedDate || task.dueDate) + 1;
+            timings.set(task.id, { duration, start: Math.min(toDay(task.startDate), finish - 1), finish });
+            return;
+        }
+        
+        const predecessorFinishes = (task.dependencies || [])
+            .filter(id => timings.has(id))
+            .map(id => timings.get(id).finish);
+        
+        let start = Math.max(toDay(task.startDate), ...predecessorFinishes);
+        if (category !== 'active') {
+            start = Math.max(start, todayDay);
+        }
+        
+        // Unfinished work cannot be done before the end of today
+        const finish = Math.max(start + duration, todayDay + 1);
+        timings.set(task.id, { duration, start, finish });
+    });
+    
+    if (timings.size === 0) {
+        return {
+            projectId: project.id,
+            plannedEnd: project.endDate,
+            predictedFinish: null,
+            slipDays: 0,
+            criticalPath: [],
+            tasks: []
+        };
+    }
+    
+    const projectFinish = Math.max(...Array.from(timings.values()).map(timing => timing.finish));
+    
+    // Backward pass: latest finish is the earliest latest start of the tasks depending on it
+    const successors = new Map(ordered.map(task => [task.id, []]));
+    ordered.forEach(task => {
+        (task.dependencies || []).filter(id => successors.has(id)).forEach(id => successors.get(id).push(task.id));
+    });
+    
+    [...ordered].reverse().forEach(task => {
+        const timing = timings.get(task.id);
+        const successorStarts = successors.get(task.id).map(id => timings.get(id).latestStart);
+        
+        timing.latestFinish = Math.min(projectFinish, ...successorStarts);
+        timing.latestStart = timing.latestFinish - (timing.finish - timing.start);
+    });
+    
+    const scheduled = ordered.map(task => {
+        const timing = timings.get(task.id);
+        const slack = categoryOf(task) === 'done' ? null : timing.latestFinish - timing.finish;
+        
+        return {
+            id: task.id,
+            title: task.title,
+            status: task.status,
+            duration: timing.duration,
+            earliestStart: fromDay(timing.start),
+            earliestFinish: fromDay(timing.finish - 1),
+            latestStart: fromDay(timing.latestStart),
+            latestFinish: fromDay(timing.latestFinish - 1),
+            slack,
+            critical: slack === 0
+        };
+    }).sort((a, b) => a.earliestStart.localeCompare(b.earliestStart));
+    
+    const predictedFinish = fromDay(projectFinish - 1);
+    
+    return {
+        projectId: project.id,
+        plannedEnd: project.endDate,
+        predictedFinish,
+        slipDays: Math.max(0, toDay(predictedFinish) - toDay(project.endDate)),
+        criticalPath: scheduled.filter(task => task.critical).map(task => task.id),
+        tasks: scheduled
+    };
+}
+
+module.exports = {
+    computeSchedule
+};
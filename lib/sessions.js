@@ -0,0 +1,215 @@
+/**
+ * Session Management Module
+ *
+ * Issues, verifies, refreshes and revokes the session tokens handed out by /api/login.
+ *
+ * A token looks like "<payload>.<signature>":
+ * - payload is base64url-encoded JSON holding the session ID, user ID and expiry time
+ * - signature is an HMAC-SHA256 of the payload using the server secret
+ *
+ * Tokens are only accepted while their session is still active, so logging out
+ * (or restarting the server) invalidates them even before they expire.
+ */
+
+const crypto = require('crypto');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Secret used to sign tokens
+ * Set SESSION_SECRET in production so it survives restarts of a single server
+ */
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * How long a token stays valid (in milliseconds)
+ * Defaults to 60 minutes, configurable with SESSION_TTL_MINUTES
+ */
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+/**
+ * Active sessions, keyed by session ID
+ * Each entry holds { userId, expiresAt }
+ */
+const activeSessions = new Map();
+
+// ============================================
+// ENCODING HELPERS
+// ============================================
+
+/**
+ * Encodes a buffer or string as base64url (URL-safe, no padding)
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} base64url string
+ */
+function toBase64Url(value) {
+    return Buffer.from(value)
+        .toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+/**
+ * Decodes a base64url string back into a UTF-8 string
+ * @param {string} value - base64url string
+ * @returns {string} Decoded string
+ */
+function fromBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    return Buffer.from(base64, 'base64').toString('utf8');
+}
+
+/**
+ * Signs a token payload with the server secret
+ * @param {string} encodedPayload - base64url-encoded payload
+ * @returns {string} base64url-encoded signature
+ */
+function sign(encodedPayload) {
+    return toBase64Url(
+        crypto.createHmac('sha256', SESSION_SECRET).update(encodedPayload).digest()
+    );
+}
+
+// ============================================
+// SESSION FUNCTIONS
+// ============================================
+
+/**
+ * Removes sessions whose expiry time has passed
+ */
+function pruneExpiredSessions() {
+    const now = Date.now();
+    activeSessions.forEach((session, sessionId) => {
+        if (session.expiresAt <= now) {
+            activeSessions.delete(sessionId);
+        }
+    });
+}
+
+/**
+ * Creates a new session for a user and returns its signed token
+ * @param {Object} user - User the session belongs to
+ * @returns {Object} { token, expiresAt } where expiresAt is an ISO date string
+ */
+function createSession(user) {
+    pruneExpiredSessions();
+    
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    
+    activeSessions.set(sessionId, { userId: user.id, expiresAt });
+    
+    const encodedPayload = toBase64Url(JSON.stringify({
+        sid: sessionId,
+        sub: user.id,
+        exp: expiresAt
+    }));
+    
+    return {
+        token: `${encodedPayload}.${sign(encodedPayload)}`,
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+/**
+ * Verifies a token's signature, expiry and session state
+ * @param {string} token - Token sent by the client
+ * @returns {Object|null} { sessionId, userId, expiresAt } or null if the token is invalid
+ */
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+    
+    const [encodedPayload, signature] = token.split('.');
+    if (!encodedPayload || !signature) return null;
+    
+    // Compare signatures in constant time to avoid leaking timing information
+    const expected = Buffer.from(sign(encodedPayload));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+    
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(encodedPayload));
+    } catch (error) {
+        return null;
+    }
+    
+    // The session must still be active and belong to the same user
+    const session = activeSessions.get(payload.sid);
+    if (!session || session.userId !== payload.sub || session.expiresAt <= Date.now()) {
+        return null;
+    }
+    
+    return {
+        sessionId: payload.sid,
+        userId: payload.sub,
+        expiresAt: session.expiresAt
+    };
+}
+
+/**
+ * Checks whether a session is still active
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} True until the session is revoked or expires
+ */
+function isSessionActive(sessionId) {
+    const session = activeSessions.get(sessionId);
+    return Boolean(session) && session.expiresAt > Date.now();
+}
+
+/**
+ * Ends a session so its token can no longer be used
+ * @param {string} sessionId - ID of the session to revoke
+ */
+function revokeSession(sessionId) {
+    activeSessions.delete(sessionId);
+}
+
+/**
+ * Ends every session belonging to a user
+ * @param {string} userId - ID of the user
+ */
+function revokeUserSessions(userId) {
+    activeSessions.forEach((session, sessionId) => {
+        if (session.userId === userId) {
+            activeSessions.delete(sessionId);
+        }
+    });
+}
+
+/**
+ * Replaces a session with a fresh one that has a new expiry time
+ * @param {string} sessionId - ID of the session being refreshed
+ * @param {Object} user - User the session belongs to
+ * @returns {Object} { token, expiresAt } for the new session
+ */
+function refreshSession(sessionId, user) {
+    revokeSession(sessionId);
+    return createSession(user);
+}
+
+/**
+ * Extracts the bearer token from a request's Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null if none was sent
+ */
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+module.exports = {
+    createSession,
+    verifyToken,
+    isSessionActive,
+    revokeSession,
+    revokeUserSessions,
+    refreshSession,
+    getRequestToken
+};
@@ -0,0 +1,105 @@
+/**
+ * Storage Helpers
+ *
+ * Small helpers shared by the JSON and SQLite storage drivers so both
+ * drivers store and return records in exactly the same shape.
+ *
+ * Every record carries a version number: new records start at 1 and each
+ * update adds 1. The API uses it to detect edits based on an out-of-date copy.
+ */
+
+/**
+ * Collection names become file names and table names, so keep them simple
+ */
+const COLLECTION_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Throws if a collection name is not safe to use as a file or table name
+ * @param {string} collection - Collection name (e.g. 'tasks')
+ */
+function assertCollectionName(collection) {
+    if (typeof collection !== 'string' || !COLLECTION_NAME_PATTERN.test(collection)) {
+        throw new Error(`Invalid collection name "${collection}"`);
+    }
+}
+
+/**
+ * Makes a deep copy of a record through JSON
+ * Fields set to undefined are dropped, which is how callers remove a field
+ * @param {Object} record - Record to copy
+ * @returns {Object} Plain JSON copy of the record
+ */
+function toRecord(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Prepares a record as it is read from storage
+ * Records saved before versioning was introduced count as version 1
+ * @param {Object} record - Stored record
+ * @returns {Object} The record with a version number
+ */
+function readRecord(record) {
+    return record.version ? record : { ...record, version: 1 };
+}
+
+/**
+ * Prepares a new record for storage, starting its version at 1
+ * @param {Object} record - Record being inserted
+ * @returns {Object} Plain JSON copy of the record
+ */
+function newRecord(record) {
+    return toRecord({ ...record, version: 1 });
+}
+
+/**
+ * Applies changes to a stored record
+ * @param {Object} current - Record as currently stored
+ * @param {Object|Function} changes - Fields to merge, or a function that receives
+ *   a copy of the current record and returns the fields to merge
+ * @returns {Object} Updated record with the next version number (the ID can never change)
+ */
+function mergeRecord(current, changes) {
+    const stored = readRecord(current);
+    const fields = typeof changes === 'function' ? changes(toRecord(stored)) : changes;
+    return toRecord({ ...stored, ...fields, id: stored.id, version: stored.version + 1 });
+}
+
+/**
+ * Throws if a transaction callback returned a promise
+ * Transactions hold a lock, so they must finish without awaiting anything
+ * @param {*} result - Value returned by the transaction callback
+ * @returns {*} The same value
+ */
+function assertSynchronous(result) {
+    if (result && typeof result.then === 'function') {
+        throw new Error('Storage transactions must be synchronous');
+    }
+    return result;
+}
+
+/**
+ * Runs the callbacks waiting for a transaction to be saved
+ * A failing callback is logged; the data is already saved, so the others still run
+ * @param {Array<Function>} callbacks - Callbacks registered with afterCommit
+ */
+function runCommitCallbacks(callbacks) {
+    callbacks.forEach(callback => {
+        try {
+            callback();
+        } catch (error) {
+            console.error('After-commit callback failed:', error);
+        }
+    });
+}
+
+module.exports = {
+    COLLECTION_NAME_PATTERN,
+    assertCollectionName,
+    toRecord,
+    readRecord,
+    newRecord,
+    mergeRecord,
+    assertSynchronous,
+    runCommitCallbacks
+};
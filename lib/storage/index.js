@@ -0,0 +1,63 @@
+/**
+ * Storage Module
+ *
+ * Gives the server one repository interface for reading and writing records,
+ * whichever storage driver is configured:
+ * - json   (default) - one JSON file per collection in the data/ directory
+ * - sqlite           - one table per collection in an embedded SQLite database
+ *
+ * Choose the driver with the STORAGE_DRIVER environment variable.
+ * DATA_DIR changes where the JSON files live and SQLITE_FILE where the
+ * database lives (defaults to data/pts.sqlite).
+ *
+ * Every store provides the same synchronous methods:
+ * - all(collection)                   - every record, in insertion order
+ * - get(collection, id)               - one record or null
+ * - insert(collection, record)        - add a record
+ * - update(collection, id, changes)   - merge changes into a record, returns it or null
+ * - remove(collection, id)            - delete a record, returns true if it existed
+ * - replaceAll(collection, records)   - overwrite a whole collection
+ * - transaction(fn)                   - run several reads and writes atomically
+ * - afterCommit(callback)             - run a callback once the current transaction has
+ *                                       been saved (straight away outside transactions);
+ *                                       it is dropped if the transaction fails
+ * - collections()                     - names of the stored collections
+ * - close()                           - release the underlying files
+ *
+ * Records always carry a version number that starts at 1 and goes up with every update.
+ */
+
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+/**
+ * Default location of the data files
+ */
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Creates a store for the configured driver
+ * @param {Object} [options] - Overrides for the environment configuration
+ * @param {string} [options.driver] - 'json' or 'sqlite'
+ * @param {string} [options.dataDir] - Directory holding the JSON files
+ * @param {string} [options.sqliteFile] - Path of the SQLite database file
+ * @returns {Object} Store instance
+ */
+function createStore(options = {}) {
+    const driver = options.driver || process.env.STORAGE_DRIVER || 'json';
+    const dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+    const sqliteFile = options.sqliteFile || process.env.SQLITE_FILE || path.join(dataDir, 'pts.sqlite');
+    
+    if (driver === 'json') {
+        return createJsonStore({ dataDir });
+    }
+    
+    if (driver === 'sqlite') {
+        return createSqliteStore({ file: sqliteFile });
+    }
+    
+    throw new Error(`Unknown storage driver "${driver}" (expected "json" or "sqlite")`);
+}
+
+module.exports = { createStore };
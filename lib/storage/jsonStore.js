@@ -0,0 +1,292 @@
+/**
+ * JSON File Storage Driver
+ *
+ * Keeps each collection as a JSON array in data/<collection>.json, the format
+ * the system has always used, so the data stays easy to read and edit by hand.
+ *
+ * Every write runs as a transaction:
+ * - Changes are held in memory until the transaction callback returns
+ * - Each changed file is written to a temporary file and then renamed over the
+ *   original, so a crash never leaves a half-written file behind
+ * - If the callback throws, nothing is written
+ * - A nested transaction that throws undoes only its own changes, so the outer
+ *   one can catch the error and carry on (like a savepoint)
+ *
+ * This driver assumes a single server process owns the data directory.
+ * Use the SQLite driver to share data between several processes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    COLLECTION_NAME_PATTERN,
+    assertCollectionName,
+    toRecord,
+    readRecord,
+    newRecord,
+    mergeRecord,
+    assertSynchronous,
+    runCommitCallbacks
+} = require('./common');
+
+/**
+ * Creates a store backed by JSON files
+ * @param {Object} options - Driver options
+ * @param {string} options.dataDir - Directory holding the JSON files
+ * @returns {Object} Store with the standard repository methods
+ */
+function createJsonStore(options) {
+    const dataDir = options.dataDir;
+    
+    /**
+     * Collections changed by the transaction in progress, keyed by name
+     * null when no transaction is running
+     */
+    let pending = null;
+    
+    /**
+     * Callbacks to run once the transaction in progress has been saved
+     */
+    let committed = [];
+    
+    /**
+     * Gets the path of a collection's JSON file
+     * @param {string} collection - Collection name
+     * @returns {string} File path
+     */
+    function filePath(collection) {
+        return path.join(dataDir, `${collection}.json`);
+    }
+    
+    /**
+     * Loads a collection, including changes made earlier in the current transaction
+     * Missing files are treated as empty collections
+     * @param {string} collection - Collection name
+     * @returns {Array} Records (not copied - callers must not expose them)
+     */
+    function load(collection) {
+        assertCollectionName(collection);
+        
+        if (pending && pending.has(collection)) {
+            return pending.get(collection);
+        }
+        
+        const file = filePath(collection);
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+        
+        const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(records)) {
+            throw new Error(`${collection}.json must contain an array of records`);
+        }
+        
+        return records;
+    }
+    
+    /**
+     * Writes every collection changed by the transaction
+     * All temporary files are written before any of them replace the originals
+     * @param {Map} changed - Records to write, keyed by collection name
+     */
+    function commit(changed) {
+        const staged = [];
+        
+        fs.mkdirSync(dataDir, { recursive: true });
+        
+        try {
+            changed.forEach((records, collection) => {
+                const file = filePath(collection);
+                const tempFile = `${file}.${process.pid}.tmp`;
+                fs.writeFileSync(tempFile, JSON.stringify(records, null, 2), 'utf8');
+                staged.push({ file, tempFile });
+            });
+        } catch (error) {
+            staged.forEach(({ tempFile }) => fs.rmSync(tempFile, { force: true }));
+            throw error;
+        }
+        
+        staged.forEach(({ file, tempFile }) => fs.renameSync(tempFile, file));
+    }
+    
+    /**
+     * Runs a function as a single transaction
+     * Nested calls join the outer transaction; if one throws, the changes and
+     * callbacks it added are dropped before the error reaches the outer one
+     * @param {Function} fn - Synchronous function making the changes
+     * @returns {*} Whatever fn returns
+     */
+    function transaction(fn) {
+        if (pending) {
+            // Staged collections are replaced rather than changed, so a shallow copy is a savepoint
+            const savepoint = new Map(pending);
+            const waiting = committed.length;
+            try {
+                return assertSynchronous(fn());
+            } catch (error) {
+                pending = savepoint;
+                committed = committed.slice(0, waiting);
+                throw error;
+            }
+        }
+        
+        pending = new Map();
+        
+        let result;
+        let callbacks;
+        try {
+            result = assertSynchronous(fn());
+            commit(pending);
+        } finally {
+            pending = null;
+            callbacks = committed;
+            committed = [];
+        }
+        
+        runCommitCallbacks(callbacks);
+        return result;
+    }
+    
+    /**
+     * Runs a callback once the current transaction has been saved
+     * Nested transactions join the outer one, so the callback waits for it, and is
+     * dropped if the nested transaction it was registered in throws
+     * @param {Function} callback - Function to run
+     */
+    function afterCommit(callback) {
+        if (pending) {
+            committed.push(callback);
+        } else {
+            callback();
+        }
+    }
+    
+    /**
+     * Replaces a collection's records within the current transaction
+     * @param {string} collection - Collection name
+     * @param {Array} records - New records
+     */
+    function stage(collection, records) {
+        pending.set(collection, records);
+    }
+    
+    return {
+        driver: 'json',
+        
+        transaction,
+        
+        afterCommit,
+        
+        /**
+         * Lists the collections that have data
+         * @returns {Array<string>} Collection names
+         */
+        collections() {
+            if (!fs.existsSync(dataDir)) return [];
+            
+            return fs.readdirSync(dataDir)
+                .filter(name => name.endsWith('.json'))
+                .map(name => name.slice(0, -'.json'.length))
+                .filter(name => COLLECTION_NAME_PATTERN.test(name));
+        },
+        
+        /**
+         * Gets every record in a collection
+         * @param {string} collection - Collection name
+         * @returns {Array} Copies of the records, in insertion order
+         */
+        all(collection) {
+            return toRecord(load(collection)).map(readRecord);
+        },
+        
+        /**
+         * Gets a single record by ID
+         * @param {string} collection - Collection name
+         * @param {string} id - Record ID
+         * @returns {Object|null} Copy of the record, or null if not found
+         */
+        get(collection, id) {
+            const record = load(collection).find(r => r.id === id);
+            return record ? readRecord(toRecord(record)) : null;
+        },
+        
+        /**
+         * Adds a record to a collection
+         * @param {string} collection - Collection name
+         * @param {Object} record - Record to add (must have a unique ID)
+         * @returns {Object} The stored record (version 1)
+         */
+        insert(collection, record) {
+            return transaction(() => {
+                const records = load(collection);
+                
+                if (records.some(r => r.id === record.id)) {
+                    throw new Error(`Duplicate ID "${record.id}" in ${collection}`);
+                }
+                
+                const stored = newRecord(record);
+                stage(collection, [...records, stored]);
+                return toRecord(stored);
+            });
+        },
+        
+        /**
+         * Updates a record by merging in changes and bumping its version
+         * @param {string} collection - Collection name
+         * @param {string} id - Record ID
+         * @param {Object|Function} changes - Fields to merge, or a function returning them
+         * @returns {Object|null} The updated record, or null if not found
+         */
+        update(collection, id, changes) {
+            return transaction(() => {
+                const records = load(collection);
+                const index = records.findIndex(r => r.id === id);
+                
+                if (index === -1) return null;
+                
+                const updated = mergeRecord(records[index], changes);
+                const next = [...records];
+                next[index] = updated;
+                stage(collection, next);
+                return toRecord(updated);
+            });
+        },
+        
+        /**
+         * Removes a record
+         * @param {string} collection - Collection name
+         * @param {string} id - Record ID
+         * @returns {boolean} True if a record was removed
+         */
+        remove(collection, id) {
+            return transaction(() => {
+                const records = load(collection);
+                const remaining = records.filter(r => r.id !== id);
+                
+                if (remaining.length === records.length) return false;
+                
+                stage(collection, remaining);
+                return true;
+            });
+        },
+        
+        /**
+         * Replaces every record in a collection (used by imports and migrations)
+         * @param {string} collection - Collection name
+         * @param {Array} records - New records
+         */
+        replaceAll(collection, records) {
+            transaction(() => {
+                assertCollectionName(collection);
+                stage(collection, toRecord(records));
+            });
+        },
+        
+        /**
+         * Releases any resources held by the store (nothing to do for JSON files)
+         */
+        close() {}
+    };
+}
+
+module.exports = { createJsonStore };
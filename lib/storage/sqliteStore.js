@@ -0,0 +1,254 @@
+/**
+ * SQLite Storage Driver
+ *
+ * Keeps every collection in its own table of an embedded SQLite database.
+ * Each row holds the record's ID, its insertion position and the record itself
+ * as JSON, so records keep exactly the same shape as in the JSON files.
+ *
+ * Writes run inside SQLite transactions, which makes them atomic and safe even
+ * when several server processes share the same database file.
+ *
+ * Uses the better-sqlite3 package, which is only loaded when this driver is selected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    assertCollectionName,
+    toRecord,
+    readRecord,
+    newRecord,
+    mergeRecord,
+    assertSynchronous,
+    runCommitCallbacks
+} = require('./common');
+
+/**
+ * Loads the better-sqlite3 package with a helpful error if it is missing
+ * @returns {Function} better-sqlite3 Database constructor
+ */
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite storage driver needs the better-sqlite3 package (run "npm install better-sqlite3")');
+    }
+}
+
+/**
+ * Creates a store backed by a SQLite database file
+ * @param {Object} options - Driver options
+ * @param {string} options.file - Path of the database file (created if missing)
+ * @returns {Object} Store with the standard repository methods
+ */
+function createSqliteStore(options) {
+    const Database = loadDriver();
+    
+    fs.mkdirSync(path.dirname(options.file), { recursive: true });
+    
+    const db = new Database(options.file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    
+    /**
+     * Prepared statements for each collection, keyed by collection name
+     */
+    const statementCache = new Map();
+    
+    /**
+     * Callbacks waiting for each open transaction and savepoint to be saved, innermost last
+     */
+    const committed = [];
+    
+    /**
+     * Creates a collection's table if needed and returns its prepared statements
+     * @param {string} collection - Collection name
+     * @returns {Object} Prepared statements for the collection
+     */
+    function statements(collection) {
+        assertCollectionName(collection);
+        
+        if (!statementCache.has(collection)) {
+            const table = `"${collection}"`;
+            
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS ${table} (
+                    id TEXT PRIMARY KEY,
+                    position INTEGER NOT NULL,
+                    data TEXT NOT NULL
+                )
+            `);
+            
+            statementCache.set(collection, {
+                all: db.prepare(`SELECT data FROM ${table} ORDER BY position`),
+                get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+                insert: db.prepare(`
+                    INSERT INTO ${table} (id, position, data)
+                    VALUES (?, (SELECT COALESCE(MAX(position), 0) + 1 FROM ${table}), ?)
+                `),
+                update: db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`),
+                remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+                clear: db.prepare(`DELETE FROM ${table}`)
+            });
+        }
+        
+        return statementCache.get(collection);
+    }
+    
+    /**
+     * Runs a function as a single transaction
+     * The outer transaction takes the write lock up front (BEGIN IMMEDIATE) so
+     * concurrent writers wait instead of failing part-way through.
+     * Nested calls become savepoints inside the outer transaction.
+     * @param {Function} fn - Synchronous function making the changes
+     * @returns {*} Whatever fn returns
+     */
+    function transaction(fn) {
+        const run = db.transaction(() => assertSynchronous(fn()));
+        const outer = !db.inTransaction;
+        
+        committed.push([]);
+        let result;
+        let callbacks;
+        try {
+            result = outer ? run.immediate() : run();
+        } finally {
+            callbacks = committed.pop();
+        }
+        
+        // A savepoint's callbacks wait for the outer transaction
+        if (outer) {
+            runCommitCallbacks(callbacks);
+        } else {
+            committed[committed.length - 1].push(...callbacks);
+        }
+        return result;
+    }
+    
+    /**
+     * Runs a callback once the current transaction has been saved
+     * It is dropped if the transaction (or the savepoint it was registered in) rolls back
+     * @param {Function} callback - Function to run
+     */
+    function afterCommit(callback) {
+        if (committed.length > 0) {
+            committed[committed.length - 1].push(callback);
+        } else {
+            callback();
+        }
+    }
+    
+    return {
+        driver: 'sqlite',
+        
+        transaction,
+        
+        afterCommit,
+        
+        /**
+         * Lists the collections stored in the database
+         * @returns {Array<string>} Collection names
+         */
+        collections() {
+            return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name")
+                .all()
+                .map(row => row.name);
+        },
+        
+        /**
+         * Gets every record in a collection
+         * @param {string} collection - Collection name
+         * @returns {Array} Records, in insertion order
+         */
+        all(collection) {
+            return statements(collection).all.all().map(row => readRecord(JSON.parse(row.data)));
+        },
+        
+        /**
+         * Gets a single record by ID
+         * @param {string} collection - Collection name
+         * @param {string} id - Record ID
+         * @returns {Object|null} The record, or null if not found
+         */
+        get(collection, id) {
+            const row = statements(collection).get.get(id);
+            return row ? readRecord(JSON.parse(row.data)) : null;
+        },
+        
+        /**
+         * Adds a record to a collection
+         * @param {string} collection - Collection name
+         * @param {Object} record - Record to add (must have a unique ID)
+         * @returns {Object} The stored record (version 1)
+         */
+        insert(collection, record) {
+            const stored = newRecord(record);
+            
+            try {
+                statements(collection).insert.run(stored.id, JSON.stringify(stored));
+            } catch (error) {
+                if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+                    throw new Error(`Duplicate ID "${stored.id}" in ${collection}`);
+                }
+                throw error;
+            }
+            
+            return stored;
+        },
+        
+        /**
+         * Updates a record by merging in changes and bumping its version
+         * @param {string} collection - Collection name
+         * @param {string} id - Record ID
+         * @param {Object|Function} changes - Fields to merge, or a function returning them
+         * @returns {Object|null} The updated record, or null if not found
+         */
+        update(collection, id, changes) {
+            return transaction(() => {
+                const stmts = statements(collection);
+                const row = stmts.get.get(id);
+                
+                if (!row) return null;
+                
+                const updated = mergeRecord(JSON.parse(row.data), changes);
+                stmts.update.run(JSON.stringify(updated), id);
+                return updated;
+            });
+        },
+        
+        /**
+         * Removes a record
+         * @param {string} collection - Collection name
+         * @param {string} id - Record ID
+         * @returns {boolean} True if a record was removed
+         */
+        remove(collection, id) {
+            return statements(collection).remove.run(id).changes > 0;
+        },
+        
+        /**
+         * Replaces every record in a collection (used by imports and migrations)
+         * @param {string} collection - Collection name
+         * @param {Array} records - New records
+         */
+        replaceAll(collection, records) {
+            transaction(() => {
+                const stmts = statements(collection);
+                stmts.clear.run();
+                records.forEach(record => {
+                    const stored = toRecord(record);
+                    stmts.insert.run(stored.id, JSON.stringify(stored));
+                });
+            });
+        },
+        
+        /**
+         * Closes the database connection
+         */
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteStore };
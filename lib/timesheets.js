@@ -0,0 +1,269 @@
+/**
+ * Timesheets Module
+ *
+ * Team members log the hours they spend on tasks as time entries (the "timesheets"
+ * collection) and submit them a week at a time for their project manager to approve.
+ *
+ * Time entry records: { id, userId, taskId, projectId, date, hours, note, billable, status,
+ *                       submittedAt, reviewedBy, reviewedAt, rejectionReason }
+ * - one entry per user, task and day; projectId is the task's project when it was logged
+ * - status: draft → submitted → approved, or rejected back to its author, who can correct
+ *   it (it becomes a draft again) and submit it again
+ * - weeks run Monday to Sunday and are named by their Monday (weekStart)
+ *
+ * Approved hours roll up into the actuals: approving entries adds their hours to the
+ * actualHours of their tasks and the usedHours of the matching allocations (same user and
+ * project, preferring the allocation whose dates cover the entry). Hours typed in before
+ * any time was logged are kept; once a task or allocation has approved hours, those
+ * fields can no longer be typed in.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Collection holding the time entries
+ */
+const TIMESHEET_COLLECTION = 'timesheets';
+
+/**
+ * Entry statuses, in workflow order
+ */
+const ENTRY_STATUSES = ['draft', 'submitted', 'approved', 'rejected'];
+
+/**
+ * Statuses in which an entry's author may still change or delete it
+ */
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+
+/**
+ * Most hours a user can log on one day, across all tasks
+ */
+const MAX_HOURS_PER_DAY = 24;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// WEEKS
+// ============================================
+
+/**
+ * Gets the Monday of the week a date falls in
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Monday of that week (YYYY-MM-DD)
+ */
+function getWeekStart(date) {
+    const time = Date.parse(date.slice(0, 10));
+    const daysSinceMonday = (new Date(time).getUTCDay() + 6) % 7;
+    
+    return new Date(time - daysSinceMonday * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Lists the days of a week
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @returns {Array<string>} Monday to Sunday (YYYY-MM-DD)
+ */
+function getWeekDates(weekStart) {
+    const monday = Date.parse(weekStart);
+    return Array.from({ length: 7 }, (_, day) => new Date(monday + day * MS_PER_DAY).toISOString().slice(0, 10));
+}
+
+/**
+ * Sums up a week's entries
+ * The status is the one that needs attention first: rejected, then draft, then submitted
+ * @param {Array<Object>} entries - Entries of one user and week
+ * @returns {Object} { status, totalHours, billableHours } - status is 'empty' without entries
+ */
+function summarizeWeek(entries) {
+    const has = status => entries.some(entry => entry.status === status);
+    const status = entries.length === 0 ? 'empty'
+        : has('rejected') ? 'rejected'
+            : has('draft') ? 'draft'
+                : has('submitted') ? 'submitted' : 'approved';
+    
+    return {
+        status,
+        totalHours: sumHours(entries),
+        billableHours: sumHours(entries.filter(entry => entry.billable))
+    };
+}
+
+/**
+ * Adds up the hours of entries
+ * @param {Array<Object>} entries - Time entries
+ * @returns {number} Total hours (rounded to two decimals)
+ */
+function sumHours(entries) {
+    return Math.round(entries.reduce((sum, entry) => sum + entry.hours, 0) * 100) / 100;
+}
+
+/**
+ * Checks whether an entry's author may still change it
+ * @param {Object} entry - Time entry
+ * @returns {boolean} True for draft and rejected entries
+ */
+function isEditable(entry) {
+    return EDITABLE_STATUSES.includes(entry.status);
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Checks a time entry against the other entries of its author
+ * - no dates in the future
+ * - one entry per task and day
+ * - at most MAX_HOURS_PER_DAY hours per day
+ * @param {Object} store - Data store
+ * @param {Object} changes - Validated fields being saved
+ * @param {Object} existing - Stored entry when updating, or { userId } when creating
+ * @param {string} [today] - Current date (defaults to today)
+ * @returns {Object|null} Error messages keyed by field name, or null if valid
+ */
+function checkEntry(store, changes, existing, today = new Date().toISOString().slice(0, 10)) {
+    const entry = { ...existing, ...changes };
+    
+    if (entry.date > today) {
+        return { date: 'Time cannot be logged for future days' };
+    }
+    
+    const sameDay = store.all(TIMESHEET_COLLECTION).filter(other =>
+        other.userId === entry.userId && other.date === entry.date && other.id !== entry.id && !other.deletedAt
+    );
+    
+    if (sameDay.some(other => other.taskId === entry.taskId)) {
+        return { taskId: 'Time is already logged on this task for that day; change that entry instead' };
+    }
+    
+    const dayTotal = sumHours(sameDay) + entry.hours;
+    if (dayTotal > MAX_HOURS_PER_DAY) {
+        return { hours: `That makes ${dayTotal} hours on ${entry.date}; a day has at most ${MAX_HOURS_PER_DAY}` };
+    }
+    
+    return null;
+}
+
+// ============================================
+// ROLL-UP
+// ============================================
+
+/**
+ * Finds the allocation an entry's hours (and their cost) count towards
+ * @param {Array<Object>} resources - Allocations not in the trash
+ * @param {Object} entry - Time entry
+ * @returns {Object|null} The allocation covering the entry's date, else the user's latest
+ *   allocation on the project, or null if the user has none there
+ */
+function findAllocation(resources, entry) {
+    const matching = resources
+        .filter(resource => resource.userId === entry.userId && resource.projectId === entry.projectId)
+        .sort((a, b) => b.startDate.localeCompare(a.startDate));
+    
+    return matching.find(resource => resource.startDate <= entry.date && entry.date <= resource.endDate) ||
+        matching[0] || null;
+}
+
+/**
+ * Adds up the approved hours per task and per allocation
+ * @param {Object} store - Data store
+ * @returns {Object} { byTask, byResource } - Maps of hours keyed by task and allocation ID
+ */
+function getApprovedHours(store) {
+    const resources = store.all('resources').filter(resource => !resource.deletedAt);
+    const byTask = new Map();
+    const byResource = new Map();
+    const add = (map, id, hours) => map.set(id, Math.round(((map.get(id) || 0) + hours) * 100) / 100);
+    
+    store.all(TIMESHEET_COLLECTION)
+        .filter(entry => entry.status === 'approved' && !entry.deletedAt)
+        .forEach(entry => {
+            add(byTask, entry.taskId, entry.hours);
+            
+            const allocation = findAllocation(resources, entry);
+            if (allocation) {
+                add(byResource, allocation.id, entry.hours);
+            }
+        });
+    
+    return { byTask, byResource };
+}
+
+/**
+ * Plans the actuals to save when entries are approved
+ * @param {Object} store - Data store
+ * @param {Array<Object>} entries - The entries being approved
+ * @returns {Object} { tasks: [{ id, actualHours }],
+ *   resources: [{ id, usedHours, utilizationPercentage }] } - the tasks and allocations
+ *   the entries count towards, with their hours added
+ */
+function planRollUp(store, entries) {
+    const resources = store.all('resources').filter(resource => !resource.deletedAt);
+    const taskHours = new Map();
+    const resourceHours = new Map();
+    const add = (map, id, hours) => map.set(id, (map.get(id) || 0) + hours);
+    const round = hours => Math.round(hours * 100) / 100;
+    
+    entries.forEach(entry => {
+        add(taskHours, entry.taskId, entry.hours);
+        
+        const allocation = findAllocation(resources, entry);
+        if (allocation) {
+            add(resourceHours, allocation.id, entry.hours);
+        }
+    });
+    
+    const tasks = Array.from(taskHours)
+        .map(([id, hours]) => ({ task: store.get('tasks', id), hours }))
+        .filter(({ task }) => task)
+        .map(({ task, hours }) => ({ id: task.id, actualHours: round((task.actualHours || 0) + hours) }));
+    
+    const allocations = resources
+        .filter(resource => resourceHours.has(resource.id))
+        .map(resource => {
+            const usedHours = round((resource.usedHours || 0) + resourceHours.get(resource.id));
+            return {
+                id: resource.id,
+                usedHours,
+                utilizationPercentage: resource.allocatedHours > 0 ? Math.round((usedHours / resource.allocatedHours) * 100) : 0
+            };
+        });
+    
+    return { tasks, resources: allocations };
+}
+
+/**
+ * Refuses typed-in actuals on records whose actuals come from approved timesheets
+ * @param {Map} approvedHours - Approved hours keyed by record ID (see getApprovedHours)
+ * @param {string} field - Field holding the actuals ('actualHours' or 'usedHours')
+ * @param {Object} changes - Validated fields being saved
+ * @param {Object} [existing] - Stored record when updating
+ * @returns {Object|null} Error messages keyed by field name, or null if the change is allowed
+ */
+function checkLockedActuals(approvedHours, field, changes, existing) {
+    if (!existing || changes[field] === undefined || changes[field] === existing[field]) {
+        return null;
+    }
+    
+    if (approvedHours.has(existing.id)) {
+        return { [field]: `Set from approved timesheets (${approvedHours.get(existing.id)}h logged)` };
+    }
+    
+    return null;
+}
+
+module.exports = {
+    TIMESHEET_COLLECTION,
+    ENTRY_STATUSES,
+    getWeekStart,
+    getWeekDates,
+    summarizeWeek,
+    isEditable,
+    checkEntry,
+    findAllocation,
+    getApprovedHours,
+    planRollUp,
+    checkLockedActuals
+};
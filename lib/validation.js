@@ -0,0 +1,304 @@
+/**
+ * Validation Module
+ *
+ * Declarative schemas for the records clients can create and edit, and the
+ * function that checks request bodies against them.
+ *
+ * Each schema lists the fields a client may send. Anything else is dropped:
+ * - Server-managed fields (id, version, createdAt, updatedAt, ...) are set by the server
+ * - Unknown fields are ignored so clients cannot store arbitrary data
+ *
+ * Field rules:
+ * - type:     'string', 'number', 'boolean', 'date' (YYYY-MM-DD), 'datetime' (ISO date/time),
+ *             'array' or 'object' (a plain object; its contents are checked elsewhere)
+ * - required: must be present (and not blank) when creating a record
+ * - nullable: null is accepted
+ * - enum:     list of allowed values
+ * - min:      smallest allowed number
+ * - maxLength: longest allowed string
+ * - items:    type of each array element ('string')
+ * - default:  value used when creating a record without this field
+ *
+ * dateRanges lists [startField, endField] pairs where the end may not be before the start.
+ */
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+/**
+ * Allowed values shared by several schemas
+ */
+const PRIORITIES = ['low', 'medium', 'high'];
+
+/**
+ * Probability and impact ratings of risks (see lib/risks.js)
+ */
+const RISK_SCALE = [1, 2, 3, 4, 5];
+
+/**
+ * Categories of the expense ledger (see lib/budget.js); labour comes from timesheets
+ */
+const EXPENSE_CATEGORIES = ['software', 'hardware', 'travel', 'contractors', 'training', 'other'];
+
+const SCHEMAS = {
+    project: {
+        fields: {
+            name: { type: 'string', label: 'Project name', required: true, maxLength: 200 },
+            description: { type: 'string', label: 'Description', required: true, maxLength: 5000 },
+            status: { type: 'string', label: 'Status', required: true, enum: ['planning', 'active', 'on-hold', 'completed'] },
+            priority: { type: 'string', label: 'Priority', required: true, enum: PRIORITIES },
+            startDate: { type: 'date', label: 'Start date', required: true },
+            endDate: { type: 'date', label: 'End date', required: true },
+            budget: { type: 'number', label: 'Budget', required: true, min: 0 },
+            department: { type: 'string', label: 'Department', required: true, maxLength: 100 },
+            projectManager: { type: 'string', label: 'Project manager', nullable: true },
+            teamMembers: { type: 'array', label: 'Team members', items: 'string', default: [] },
+            workflowId: { type: 'string', label: 'Workflow', default: 'default' },
+            // Checked against the workflow's statuses in lib/board.js
+            wipLimits: { type: 'object', label: 'WIP limits', default: {} }
+        },
+        dateRanges: [['startDate', 'endDate']]
+    },
+    
+    task: {
+        fields: {
+            projectId: { type: 'string', label: 'Project', required: true },
+            title: { type: 'string', label: 'Title', required: true, maxLength: 200 },
+            description: { type: 'string', label: 'Description', maxLength: 5000, default: '' },
+            // Allowed values come from the project's workflow (see lib/workflows.js)
+            status: { type: 'string', label: 'Status', required: true, maxLength: 50 },
+            priority: { type: 'string', label: 'Priority', required: true, enum: PRIORITIES },
+            assignedTo: { type: 'string', label: 'Assignee', required: true },
+            startDate: { type: 'date', label: 'Start date', required: true },
+            dueDate: { type: 'date', label: 'Due date', required: true },
+            completedDate: { type: 'datetime', label: 'Completed date', nullable: true, default: null },
+            estimatedHours: { type: 'number', label: 'Estimated hours', required: true, min: 0 },
+            actualHours: { type: 'number', label: 'Actual hours', min: 0, default: 0 },
+            tags: { type: 'array', label: 'Tags', items: 'string', default: [] },
+            dependencies: { type: 'array', label: 'Dependencies', items: 'string', default: [] },
+            // Position on the board; new tasks without one go to the bottom of their column
+            rank: { type: 'number', label: 'Rank' },
+            // One of the project's milestones (see lib/milestones.js)
+            milestoneId: { type: 'string', label: 'Milestone', nullable: true, default: null }
+        },
+        dateRanges: [['startDate', 'dueDate']]
+    },
+    
+    // Milestones are kept on their project; see lib/milestones.js
+    milestone: {
+        fields: {
+            name: { type: 'string', label: 'Milestone name', required: true, maxLength: 200 },
+            description: { type: 'string', label: 'Description', maxLength: 5000, default: '' },
+            dueDate: { type: 'date', label: 'Due date', required: true },
+            status: { type: 'string', label: 'Status', enum: ['pending', 'in-progress', 'completed'], default: 'pending' }
+        }
+    },
+    
+    // Statuses follow the workflow in lib/risks.js
+    risk: {
+        fields: {
+            projectId: { type: 'string', label: 'Project', required: true },
+            type: { type: 'string', label: 'Type', enum: ['risk', 'issue'], default: 'risk' },
+            title: { type: 'string', label: 'Title', required: true, maxLength: 200 },
+            description: { type: 'string', label: 'Description', maxLength: 5000, default: '' },
+            probability: { type: 'number', label: 'Probability', required: true, enum: RISK_SCALE },
+            impact: { type: 'number', label: 'Impact', required: true, enum: RISK_SCALE },
+            ownerId: { type: 'string', label: 'Owner', nullable: true, default: null },
+            dueDate: { type: 'date', label: 'Due date', nullable: true, default: null },
+            status: { type: 'string', label: 'Status', enum: ['identified', 'mitigation-planned', 'mitigated', 'closed'], default: 'identified' },
+            // Checked and given IDs in lib/risks.js
+            mitigations: { type: 'array', label: 'Mitigation actions', default: [] }
+        }
+    },
+    
+    timesheet: {
+        fields: {
+            taskId: { type: 'string', label: 'Task', required: true },
+            date: { type: 'date', label: 'Date', required: true },
+            // Checked against the author's other entries that day in lib/timesheets.js
+            hours: { type: 'number', label: 'Hours', required: true, min: 0.25 },
+            note: { type: 'string', label: 'Note', maxLength: 500, default: '' },
+            billable: { type: 'boolean', label: 'Billable', default: true }
+        }
+    },
+    
+    // Approval states follow lib/budget.js
+    expense: {
+        fields: {
+            projectId: { type: 'string', label: 'Project', required: true },
+            category: { type: 'string', label: 'Category', required: true, enum: EXPENSE_CATEGORIES },
+            description: { type: 'string', label: 'Description', required: true, maxLength: 200 },
+            vendor: { type: 'string', label: 'Vendor', maxLength: 200, default: '' },
+            date: { type: 'date', label: 'Date', required: true },
+            amount: { type: 'number', label: 'Amount', required: true, min: 0.01 },
+            receiptNote: { type: 'string', label: 'Receipt note', maxLength: 500, default: '' }
+        }
+    },
+    
+    resource: {
+        fields: {
+            projectId: { type: 'string', label: 'Project', required: true },
+            userId: { type: 'string', label: 'Team member', required: true },
+            userName: { type: 'string', label: 'Team member name', maxLength: 200 },
+            role: { type: 'string', label: 'Role', required: true, maxLength: 100 },
+            allocatedHours: { type: 'number', label: 'Allocated hours', required: true, min: 0 },
+            usedHours: { type: 'number', label: 'Used hours', min: 0, default: 0 },
+            hourlyRate: { type: 'number', label: 'Hourly rate', required: true, min: 0 },
+            startDate: { type: 'date', label: 'Start date', required: true },
+            endDate: { type: 'date', label: 'End date', required: true },
+            utilizationPercentage: { type: 'number', label: 'Utilization', min: 0 },
+            status: { type: 'string', label: 'Status', required: true, enum: ['planned', 'active', 'completed'] }
+        },
+        dateRanges: [['startDate', 'endDate']]
+    }
+};
+
+// ============================================
+// FIELD CHECKS
+// ============================================
+
+/**
+ * Checks whether a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    
+    // Reject dates like 2024-02-31 that Date would silently roll over
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Checks one field value against its rule
+ * @param {*} value - Value sent by the client
+ * @param {Object} rule - Field rule from the schema
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function checkField(value, rule) {
+    const label = rule.label;
+    
+    if (value === null) {
+        return rule.nullable ? null : `${label} is required`;
+    }
+    
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${label} must be text`;
+            if (rule.required && value.trim() === '') return `${label} is required`;
+            if (rule.maxLength && value.length > rule.maxLength) {
+                return `${label} must be at most ${rule.maxLength} characters`;
+            }
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !isFinite(value)) return `${label} must be a number`;
+            if (rule.min !== undefined && value < rule.min) {
+                return rule.min === 0 ? `${label} cannot be negative` : `${label} must be at least ${rule.min}`;
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `${label} must be true or false`;
+            break;
+        case 'date':
+            if (!isDateString(value)) return `${label} must be a valid date (YYYY-MM-DD)`;
+            break;
+        case 'datetime':
+            if (typeof value !== 'string' || isNaN(Date.parse(value))) return `${label} must be a valid date`;
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return `${label} must be a list`;
+            if (rule.items === 'string' && value.some(item => typeof item !== 'string')) {
+                return `${label} must be a list of text values`;
+            }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return `${label} must be an object`;
+            break;
+    }
+    
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `${label} must be one of: ${rule.enum.join(', ')}`;
+    }
+    
+    return null;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validates a request body against an entity schema
+ * @param {string} entity - Schema name ('project', 'task', 'milestone', 'risk', 'timesheet', 'expense' or 'resource')
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored record when updating; omit when creating
+ * @returns {Object} { value, errors } - value holds only the allowed fields (with
+ *   defaults filled in when creating); errors maps field names to messages, or is null
+ */
+function validate(entity, body, existing) {
+    const schema = SCHEMAS[entity];
+    const isNew = !existing;
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const value = {};
+    const errors = {};
+    
+    Object.keys(schema.fields).forEach(field => {
+        const rule = schema.fields[field];
+        
+        if (input[field] === undefined) {
+            if (isNew && rule.required) {
+                errors[field] = `${rule.label} is required`;
+            } else if (isNew && rule.default !== undefined) {
+                value[field] = JSON.parse(JSON.stringify(rule.default));
+            }
+            return;
+        }
+        
+        const error = checkField(input[field], rule);
+        if (error) {
+            errors[field] = error;
+        } else {
+            value[field] = input[field];
+        }
+    });
+    
+    // Check date ranges against the record as it will be saved
+    const merged = { ...existing, ...value };
+    (schema.dateRanges || []).forEach(([startField, endField]) => {
+        if (errors[startField] || errors[endField]) return;
+        if (!merged[startField] || !merged[endField]) return;
+        
+        if (merged[endField] < merged[startField]) {
+            const startLabel = schema.fields[startField].label.toLowerCase();
+            errors[endField] = `${schema.fields[endField].label} must be on or after the ${startLabel}`;
+        }
+    });
+    
+    return {
+        value,
+        errors: Object.keys(errors).length > 0 ? errors : null
+    };
+}
+
+/**
+ * Sends the standard 422 response for validation errors
+ * @param {Object} res - Express response
+ * @param {Object} errors - Messages keyed by field name
+ */
+function sendValidationErrors(res, errors) {
+    res.status(422).json({
+        error: 'Please correct the highlighted fields',
+        fields: errors
+    });
+}
+
+module.exports = {
+    PRIORITIES,
+    SCHEMAS,
+    validate,
+    sendValidationErrors
+};
@@ -0,0 +1,309 @@
+/**
+ * Workflows Module
+ *
+ * A workflow lists the statuses a project's tasks move through, in board order,
+ * and which status changes are allowed. Projects pick a workflow with workflowId;
+ * projects without one use the default workflow.
+ *
+ * Workflow records (the "workflows" collection):
+ * - statuses:    [{ key, label, category }] in column order
+ * - transitions: { fromKey: [toKey, ...] } - statuses left out (or no transitions
+ *                at all) may move to any status
+ *
+ * Every status belongs to a category, which is what the rest of the system
+ * looks at instead of status names:
+ * - todo   - not started
+ * - active - being worked on (in progress, in review, blocked, ...)
+ * - done   - finished; counts as completed in reports and unblocks dependent tasks
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Collection holding the workflows
+ */
+const WORKFLOW_COLLECTION = 'workflows';
+
+/**
+ * Workflow used by projects without a workflowId
+ */
+const DEFAULT_WORKFLOW_ID = 'default';
+
+/**
+ * Status categories, in board order
+ */
+const CATEGORIES = ['todo', 'active', 'done'];
+
+/**
+ * Used when the default workflow is missing from the data, so tasks always have statuses
+ */
+const STANDARD_WORKFLOW = {
+    id: DEFAULT_WORKFLOW_ID,
+    name: 'Standard',
+    statuses: [
+        { key: 'pending', label: 'Pending', category: 'todo' },
+        { key: 'in-progress', label: 'In Progress', category: 'active' },
+        { key: 'completed', label: 'Completed', category: 'done' }
+    ],
+    transitions: {}
+};
+
+// ============================================
+// LOOKUPS
+// ============================================
+
+/**
+ * Gets a workflow, falling back to the default one
+ * @param {Object} store - Data store
+ * @param {string} [workflowId] - Workflow ID (usually project.workflowId)
+ * @returns {Object} Workflow
+ */
+function getWorkflow(store, workflowId) {
+    return (workflowId && store.get(WORKFLOW_COLLECTION, workflowId)) ||
+        store.get(WORKFLOW_COLLECTION, DEFAULT_WORKFLOW_ID) ||
+        STANDARD_WORKFLOW;
+}
+
+/**
+ * Finds a status in a workflow
+ * @param {Object} workflow - Workflow
+ * @param {string} key - Status key
+ * @returns {Object|null} The status ({ key, label, category }), or null if the workflow has no such status
+ */
+function findStatus(workflow, key) {
+    return workflow.statuses.find(status => status.key === key) || null;
+}
+
+/**
+ * Creates a lookup of each task's status category
+ * Workflows and projects are read once, so it can be used on long task lists
+ * @param {Object} store - Data store
+ * @returns {Object} { workflowFor(projectId), categoryOf(task), isDone(task) }
+ */
+function createStatusResolver(store) {
+    const projects = new Map(store.all('projects').map(project => [project.id, project]));
+    const workflows = new Map();
+    
+    const workflowFor = projectId => {
+        const project = projects.get(projectId);
+        const workflowId = (project && project.workflowId) || DEFAULT_WORKFLOW_ID;
+        
+        if (!workflows.has(workflowId)) {
+            workflows.set(workflowId, getWorkflow(store, workflowId));
+        }
+        return workflows.get(workflowId);
+    };
+    
+    // Statuses missing from the workflow count as not started
+    const categoryOf = task => {
+        const status = findStatus(workflowFor(task.projectId), task.status);
+        return status ? status.category : 'todo';
+    };
+    
+    return {
+        workflowFor,
+        categoryOf,
+        isDone: task => categoryOf(task) === 'done'
+    };
+}
+
+/**
+ * Adds each task's status category (statusCategory) to tasks being returned to a client
+ * @param {Array<Object>} tasks - Tasks to annotate
+ * @param {Object} resolver - Status resolver from createStatusResolver
+ * @returns {Array<Object>} Copies of the tasks with statusCategory
+ */
+function withStatusCategory(tasks, resolver) {
+    return tasks.map(task => ({ ...task, statusCategory: resolver.categoryOf(task) }));
+}
+
+/**
+ * Finds tasks whose status a workflow does not have
+ * Used before a project switches workflow or a workflow loses statuses
+ * @param {Object} store - Data store
+ * @param {Object} workflow - Workflow the tasks would use
+ * @param {Array<string>} projectIds - Projects that would use it
+ * @returns {Array<Object>} Tasks (not in the trash) with an unknown status
+ */
+function findTasksOutsideWorkflow(store, workflow, projectIds) {
+    return store.all('tasks').filter(task =>
+        projectIds.includes(task.projectId) && !task.deletedAt && !findStatus(workflow, task.status)
+    );
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Checks that a task's status exists in its project's workflow and that the
+ * change from its current status is an allowed transition
+ * @param {Object} store - Data store
+ * @param {Object} changes - Validated fields being saved
+ * @param {Object} [existing] - Stored task when updating
+ * @returns {Object|null} Error messages keyed by field name, or null if valid
+ */
+function checkTaskStatus(store, changes, existing) {
+    const task = { ...existing, ...changes };
+    const movedProject = existing && changes.projectId !== undefined && changes.projectId !== existing.projectId;
+    
+    if (existing && !movedProject && (changes.status === undefined || changes.status === existing.status)) {
+        return null;
+    }
+    
+    const project = store.get('projects', task.projectId);
+    const workflow = getWorkflow(store, project && project.workflowId);
+    const status = findStatus(workflow, task.status);
+    
+    if (!status) {
+        const labels = workflow.statuses.map(s => s.label).join(', ');
+        return { status: `Status must be one of: ${labels} (${workflow.name} workflow)` };
+    }
+    
+    // Transitions only apply within a workflow, so tasks moving to another project skip them
+    if (!existing || movedProject) {
+        return null;
+    }
+    
+    const allowed = (workflow.transitions || {})[existing.status];
+    
+    if (allowed && !allowed.includes(task.status)) {
+        const from = findStatus(workflow, existing.status);
+        const fromLabel = from ? from.label : existing.status;
+        const targets = allowed.map(key => (findStatus(workflow, key) || { label: key }).label);
+        
+        return {
+            status: targets.length > 0
+                ? `A task in "${fromLabel}" can only move to: ${targets.join(', ')}`
+                : `A task in "${fromLabel}" cannot change status`
+        };
+    }
+    
+    return null;
+}
+
+/**
+ * Validates a workflow definition
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored workflow when updating
+ * @returns {Object} { value, errors } - value holds name, statuses and transitions;
+ *   errors is keyed by field name, or null if valid
+ */
+function validateWorkflow(body, existing) {
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const value = {};
+    const errors = {};
+    
+    if (input.name !== undefined || !existing) {
+        if (typeof input.name !== 'string' || input.name.trim() === '') {
+            errors.name = 'Workflow name is required';
+        } else {
+            value.name = input.name.trim();
+        }
+    }
+    
+    if (input.statuses !== undefined || !existing) {
+        const statusErrors = checkStatuses(input.statuses);
+        if (statusErrors) {
+            errors.statuses = statusErrors;
+        } else {
+            value.statuses = input.statuses.map(({ key, label, category }) => ({ key, label: label.trim(), category }));
+        }
+    }
+    
+    // Kept transitions are rechecked when statuses change, so none point at removed statuses
+    if (input.transitions !== undefined || input.statuses !== undefined || !existing) {
+        const statuses = value.statuses || (existing && existing.statuses) || [];
+        const transitions = input.transitions !== undefined
+            ? input.transitions || {}
+            : (existing && existing.transitions) || {};
+        const transitionError = checkTransitions(transitions, statuses);
+        
+        if (transitionError) {
+            errors.transitions = transitionError;
+        } else {
+            value.transitions = transitions;
+        }
+    }
+    
+    return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Checks a workflow's list of statuses
+ * @param {*} statuses - Statuses from the request
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkStatuses(statuses) {
+    if (!Array.isArray(statuses) || statuses.length === 0) {
+        return 'A workflow needs at least one status';
+    }
+    
+    const keys = new Set();
+    
+    for (const status of statuses) {
+        if (!status || typeof status.key !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(status.key)) {
+            return 'Status keys must be lowercase letters, digits and dashes';
+        }
+        if (keys.has(status.key)) {
+            return `Status "${status.key}" is listed twice`;
+        }
+        if (typeof status.label !== 'string' || status.label.trim() === '') {
+            return `Status "${status.key}" needs a label`;
+        }
+        if (!CATEGORIES.includes(status.category)) {
+            return `Status "${status.key}" must have a category of ${CATEGORIES.join(', ')}`;
+        }
+        keys.add(status.key);
+    }
+    
+    if (!statuses.some(status => status.category === 'done')) {
+        return 'A workflow needs at least one status in the "done" category';
+    }
+    
+    return null;
+}
+
+/**
+ * Checks a workflow's allowed transitions against its statuses
+ * @param {*} transitions - Transitions from the request
+ * @param {Array<Object>} statuses - The workflow's statuses
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkTransitions(transitions, statuses) {
+    if (typeof transitions !== 'object' || Array.isArray(transitions)) {
+        return 'Transitions must map each status to the statuses it may move to';
+    }
+    
+    const keys = statuses.map(status => status.key);
+    
+    for (const [from, targets] of Object.entries(transitions)) {
+        if (!keys.includes(from)) {
+            return `Transitions mention unknown status "${from}"`;
+        }
+        if (!Array.isArray(targets)) {
+            return `Transitions from "${from}" must be a list of statuses`;
+        }
+        const unknown = targets.find(key => !keys.includes(key));
+        if (unknown !== undefined) {
+            return `Transitions mention unknown status "${unknown}"`;
+        }
+    }
+    
+    return null;
+}
+
+module.exports = {
+    WORKFLOW_COLLECTION,
+    DEFAULT_WORKFLOW_ID,
+    CATEGORIES,
+    getWorkflow,
+    findStatus,
+    createStatusResolver,
+    withStatusCategory,
+    findTasksOutsideWorkflow,
+    checkTaskStatus,
+    validateWorkflow
+};
@@ -17,9 +17,17 @@ const appState = {
     projects: [],
     tasks: [],
     users: [],
-    resources: []
+    resources: [],
+    workflows: [],
+    risks: [],
+    expenses: []
 };
 
+/**
+ * Workflow used by projects without a workflowId
+ */
+const DEFAULT_WORKFLOW_ID = 'default';
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -41,11 +49,20 @@ document.addEventListener('DOMContentLoaded', function() {
     // Load current user data
     appState.currentUser = getCurrentUser();
     
+    // Hide controls the current role is not allowed to use
+    applyPermissionVisibility();
+    
     // Set up logout button if it exists
     const logoutBtn = document.getElementById('logoutBtn');
     if (logoutBtn) {
         logoutBtn.addEventListener('click', handleLogout);
     }
+    
+    // Set up change password button if it exists
+    const changePasswordBtn = document.getElementById('changePasswordBtn');
+    if (changePasswordBtn) {
+        changePasswordBtn.addEventListener('click', openChangePasswordModal);
+    }
 });
 
 /**
@@ -57,17 +74,63 @@ function handleLogout() {
     }
 }
 
+// ============================================
+// PERMISSION FUNCTIONS
+// ============================================
+
+/**
+ * Checks whether the current user has a permission
+ * The server sends the role's permissions at login; it still enforces them on every request
+ * @param {string} permission - Permission to check (e.g. 'projects:delete')
+ * @returns {boolean} True if the current user has the permission
+ */
+function hasPermission(permission) {
+    const user = appState.currentUser || getCurrentUser();
+    return !!(user && user.permissions && user.permissions.includes(permission));
+}
+
+/**
+ * Checks whether the current user may edit a task
+ * Team members may only edit tasks assigned to them
+ * @param {Object} task - Task to check
+ * @returns {boolean} True if the current user may edit the task
+ */
+function canEditTask(task) {
+    const user = appState.currentUser || getCurrentUser();
+    
+    if (!hasPermission('tasks:update')) return false;
+    
+    if (user.role === 'team_member') {
+        return task.assignedTo === user.id;
+    }
+    
+    return true;
+}
+
+/**
+ * Hides every element whose data-permission attribute names a permission
+ * the current user does not have
+ */
+function applyPermissionVisibility() {
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        if (!hasPermission(element.dataset.permission)) {
+            element.style.display = 'none';
+        }
+    });
+}
+
 // ============================================
 // DATA LOADING FUNCTIONS
 // ============================================
 
 /**
  * Loads all projects from the server
+ * @param {boolean} includeArchived - Also load archived projects
  * @returns {Promise<Array>} Array of projects
  */
-async function loadProjects() {
+async function loadProjects(includeArchived = false) {
     try {
-        const projects = await fetchAPI('/projects');
+        const projects = await fetchAPI(includeArchived ? '/projects?includeArchived=true' : '/projects');
         appState.projects = projects;
         return projects;
     } catch (error) {
@@ -77,14 +140,50 @@ async function loadProjects() {
     }
 }
 
+/**
+ * Loads one project from the server and keeps it in appState.projects
+ * Used to pick up its latest task counts after its tasks change
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} The project, or null if it could not be loaded
+ */
+async function loadProject(projectId) {
+    try {
+        const project = await fetchAPI(`/projects/${projectId}`);
+        rememberProject(project);
+        return project;
+    } catch (error) {
+        console.error('Error loading project:', error);
+        return null;
+    }
+}
+
+/**
+ * Adds a project to appState.projects, or replaces the copy held there
+ * @param {Object} project - Project as returned by the API
+ */
+function rememberProject(project) {
+    const index = appState.projects.findIndex(p => p.id === project.id);
+    if (index !== -1) {
+        appState.projects[index] = project;
+    } else {
+        appState.projects.push(project);
+    }
+}
+
 /**
  * Loads all tasks from the server
  * @param {string} projectId - Optional project ID to filter tasks
+ * @param {boolean} includeArchived - Also load tasks of archived projects
  * @returns {Promise<Array>} Array of tasks
  */
-async function loadTasks(projectId = null) {
+async function loadTasks(projectId = null, includeArchived = false) {
     try {
-        const endpoint = projectId ? `/tasks?projectId=${projectId}` : '/tasks';
+        const params = new URLSearchParams();
+        if (projectId) params.set('projectId', projectId);
+        if (includeArchived) params.set('includeArchived', 'true');
+        
+        const query = params.toString();
+        const endpoint = query ? `/tasks?${query}` : '/tasks';
         const tasks = await fetchAPI(endpoint);
         appState.tasks = tasks;
         return tasks;
@@ -95,6 +194,37 @@ async function loadTasks(projectId = null) {
     }
 }
 
+/**
+ * Loads one task from the server
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object|null>} The task, or null if it is missing or could not be loaded
+ */
+async function loadTask(taskId) {
+    try {
+        return await fetchAPI(`/tasks/${taskId}`);
+    } catch (error) {
+        console.error('Error loading task:', error);
+        return null;
+    }
+}
+
+/**
+ * Loads the tasks with the given IDs (such as a task's dependencies) from the server
+ * @param {Array<string>} taskIds - Task IDs
+ * @returns {Promise<Array>} The tasks found; empty if they could not be loaded
+ */
+async function loadTasksById(taskIds) {
+    if (taskIds.length === 0) return [];
+    
+    try {
+        const params = new URLSearchParams({ id: taskIds.join(','), includeArchived: 'true' });
+        return await fetchAPI(`/tasks?${params}`);
+    } catch (error) {
+        console.error('Error loading tasks:', error);
+        return [];
+    }
+}
+
 /**
  * Loads all users from the server
  * @returns {Promise<Array>} Array of users
@@ -127,6 +257,55 @@ async function loadResources() {
     }
 }
 
+/**
+ * Loads the risk register from the server
+ * @param {string} [projectId] - Only load the risks of this project
+ * @returns {Promise<Array>} Array of risks, highest score first
+ */
+async function loadRisks(projectId = null) {
+    try {
+        const risks = await fetchAPI(projectId ? `/risks?projectId=${projectId}` : '/risks');
+        appState.risks = risks;
+        return risks;
+    } catch (error) {
+        console.error('Error loading risks:', error);
+        showNotification('Failed to load risks', 'error');
+        return [];
+    }
+}
+
+/**
+ * Loads the expense ledger from the server
+ * @returns {Promise<Array>} Array of expenses, newest first
+ */
+async function loadExpenses() {
+    try {
+        const expenses = await fetchAPI('/expenses');
+        appState.expenses = expenses;
+        return expenses;
+    } catch (error) {
+        console.error('Error loading expenses:', error);
+        showNotification('Failed to load expenses', 'error');
+        return [];
+    }
+}
+
+/**
+ * Loads all task workflows from the server
+ * @returns {Promise<Array>} Array of workflows
+ */
+async function loadWorkflows() {
+    try {
+        const workflows = await fetchAPI('/workflows');
+        appState.workflows = workflows;
+        return workflows;
+    } catch (error) {
+        console.error('Error loading workflows:', error);
+        showNotification('Failed to load workflows', 'error');
+        return [];
+    }
+}
+
 // ============================================
 // PROJECT FUNCTIONS
 // ============================================
@@ -150,20 +329,6 @@ function getProjectName(projectId) {
     return project ? project.name : 'Unknown Project';
 }
 
-/**
- * Calculates project progress based on tasks
- * @param {string} projectId - Project ID
- * @returns {number} Progress percentage (0-100)
- */
-function calculateProjectProgress(projectId) {
-    const projectTasks = appState.tasks.filter(t => t.projectId === projectId);
-    
-    if (projectTasks.length === 0) return 0;
-    
-    const completedTasks = projectTasks.filter(t => t.status === 'completed').length;
-    return calculatePercentage(completedTasks, projectTasks.length);
-}
-
 // ============================================
 // USER FUNCTIONS
 // ============================================
@@ -229,17 +394,79 @@ function getTasksByProject(projectId) {
 
 /**
  * Gets overdue tasks
+ * Uses the overdue flag the server adds to each task, so the pages and the
+ * overdue notifications agree on which tasks are late
  * @returns {Array} Array of overdue tasks
  */
 function getOverdueTasks() {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    return appState.tasks.filter(task => {
-        if (task.status === 'completed') return false;
-        const dueDate = new Date(task.dueDate);
-        return dueDate < today;
-    });
+    return appState.tasks.filter(task => task.overdue);
+}
+
+/**
+ * Checks whether a task is finished (its status is in the workflow's "done" category)
+ * @param {Object} task - Task as returned by the API
+ * @returns {boolean} True if the task is done
+ */
+function isTaskDone(task) {
+    return task.statusCategory === 'done';
+}
+
+// ============================================
+// WORKFLOW FUNCTIONS
+// ============================================
+
+/**
+ * Gets a workflow by ID, falling back to the default workflow
+ * @param {string} workflowId - Workflow ID
+ * @returns {Object|null} Workflow or null if none are loaded
+ */
+function getWorkflowById(workflowId) {
+    return appState.workflows.find(w => w.id === workflowId) ||
+        appState.workflows.find(w => w.id === DEFAULT_WORKFLOW_ID) ||
+        null;
+}
+
+/**
+ * Gets the workflow a project's tasks follow
+ * @param {string} projectId - Project ID
+ * @returns {Object|null} Workflow or null if none are loaded
+ */
+function getProjectWorkflow(projectId) {
+    const project = getProjectById(projectId);
+    return getWorkflowById((project && project.workflowId) || DEFAULT_WORKFLOW_ID);
+}
+
+/**
+ * Gets a status of a project's workflow
+ * @param {string} projectId - Project ID
+ * @param {string} statusKey - Status key
+ * @returns {Object|null} Status ({ key, label, category }) or null
+ */
+function getWorkflowStatus(projectId, statusKey) {
+    const workflow = getProjectWorkflow(projectId);
+    return workflow ? workflow.statuses.find(s => s.key === statusKey) || null : null;
+}
+
+/**
+ * Gets the category of a task status ('todo', 'active' or 'done')
+ * @param {string} projectId - Project the task belongs to
+ * @param {string} statusKey - Status key
+ * @returns {string} Category; statuses missing from the workflow count as 'todo'
+ */
+function getStatusCategory(projectId, statusKey) {
+    const status = getWorkflowStatus(projectId, statusKey);
+    return status ? status.category : 'todo';
+}
+
+/**
+ * Gets the display name of a task status
+ * @param {string} projectId - Project the task belongs to
+ * @param {string} statusKey - Status key
+ * @returns {string} Status label, or the key if the workflow has no such status
+ */
+function getStatusLabel(projectId, statusKey) {
+    const status = getWorkflowStatus(projectId, statusKey);
+    return status ? status.label : statusKey;
 }
 
 // ============================================
@@ -289,9 +516,9 @@ function calculateStatistics() {
         activeProjects: appState.projects.filter(p => p.status === 'active').length,
         completedProjects: appState.projects.filter(p => p.status === 'completed').length,
         totalTasks: appState.tasks.length,
-        completedTasks: appState.tasks.filter(t => t.status === 'completed').length,
-        inProgressTasks: appState.tasks.filter(t => t.status === 'in-progress').length,
-        pendingTasks: appState.tasks.filter(t => t.status === 'pending').length,
+        completedTasks: appState.tasks.filter(t => t.statusCategory === 'done').length,
+        inProgressTasks: appState.tasks.filter(t => t.statusCategory === 'active').length,
+        pendingTasks: appState.tasks.filter(t => t.statusCategory === 'todo').length,
         overdueTasks: getOverdueTasks().length,
         totalBudget: appState.projects.reduce((sum, p) => sum + (p.budget || 0), 0),
         budgetSpent: appState.projects.reduce((sum, p) => sum + (p.budgetSpent || 0), 0),
@@ -307,10 +534,11 @@ function calculateStatistics() {
 /**
  * Renders a status badge
  * @param {string} status - Status value
+ * @param {string} [label] - Text to show (defaults to the status value)
  * @returns {string} HTML for status badge
  */
-function renderStatusBadge(status) {
-    return `<span class="badge badge-${status}">${status}</span>`;
+function renderStatusBadge(status, label = status) {
+    return `<span class="badge badge-${status}">${escapeHtml(label)}</span>`;
 }
 
 /**
@@ -322,6 +550,76 @@ function renderPriorityBadge(priority) {
     return `<span class="badge badge-priority-${priority}">${priority}</span>`;
 }
 
+/**
+ * Labels for the statuses of the risk register, in workflow order
+ */
+const RISK_STATUS_LABELS = {
+    'identified': 'Identified',
+    'mitigation-planned': 'Mitigation Planned',
+    'mitigated': 'Mitigated',
+    'closed': 'Closed'
+};
+
+/**
+ * Meaning of each probability rating (1-5)
+ */
+const RISK_PROBABILITY_LABELS = ['', 'Rare', 'Unlikely', 'Possible', 'Likely', 'Almost certain'];
+
+/**
+ * Meaning of each impact rating (1-5)
+ */
+const RISK_IMPACT_LABELS = ['', 'Negligible', 'Minor', 'Moderate', 'Major', 'Severe'];
+
+/**
+ * Renders a risk's score (probability × impact) coloured by its level
+ * @param {Object} risk - Risk with score and level (from /api/risks)
+ * @returns {string} HTML for score badge
+ */
+function renderRiskScore(risk) {
+    return `<span class="badge badge-risk-${risk.level}" title="Probability ${risk.probability} × impact ${risk.impact}">${risk.score} · ${risk.level}</span>`;
+}
+
+/**
+ * Labels for the spend categories of the budget ledger (labour comes from timesheets)
+ */
+const EXPENSE_CATEGORY_LABELS = {
+    labour: 'Labour',
+    software: 'Software',
+    hardware: 'Hardware',
+    travel: 'Travel',
+    contractors: 'Contractors',
+    training: 'Training',
+    other: 'Other'
+};
+
+/**
+ * Labels for the approval states of expenses
+ */
+const EXPENSE_STATUS_LABELS = {
+    pending: 'Pending Approval',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+
+/**
+ * Labels for milestone health, as worked out by the server
+ */
+const MILESTONE_HEALTH_LABELS = {
+    'completed': '✅ Completed',
+    'on-track': '🟢 On Track',
+    'at-risk': '⚠️ At Risk',
+    'slipped': '🔴 Slipped'
+};
+
+/**
+ * Renders a milestone health badge
+ * @param {string} health - 'completed', 'on-track', 'at-risk' or 'slipped'
+ * @returns {string} HTML for health badge
+ */
+function renderMilestoneHealth(health) {
+    return `<span class="badge badge-${health}">${MILESTONE_HEALTH_LABELS[health] || health}</span>`;
+}
+
 /**
  * Renders action buttons for a record
  * @param {string} id - Record ID
@@ -333,12 +631,16 @@ function renderActionButtons(id, type) {
         <button class="btn btn-sm btn-secondary" onclick="view${capitalize(type)}('${id}')">
             View
         </button>
-        <button class="btn btn-sm btn-primary" onclick="edit${capitalize(type)}('${id}')">
-            Edit
-        </button>
-        <button class="btn btn-sm btn-danger" onclick="delete${capitalize(type)}('${id}')">
-            Delete
-        </button>
+        ${hasPermission(`${type}s:update`) ? `
+            <button class="btn btn-sm btn-primary" onclick="edit${capitalize(type)}('${id}')">
+                Edit
+            </button>
+        ` : ''}
+        ${hasPermission(`${type}s:delete`) ? `
+            <button class="btn btn-sm btn-danger" onclick="delete${capitalize(type)}('${id}')">
+                Delete
+            </button>
+        ` : ''}
     `;
 }
 
@@ -431,6 +733,145 @@ function applyFilters(items, filters, searchFields) {
     return filtered;
 }
 
+/**
+ * Turns the current filter values into list query parameters for the server
+ * @param {Object} filters - Filter values (see getFilterValues)
+ * @returns {Object} { status, priority, projectId, q } for the filters that are set
+ */
+function getFilterParams(filters) {
+    const params = {};
+    
+    if (filters.status && filters.status !== 'all') params.status = filters.status;
+    if (filters.priority && filters.priority !== 'all') params.priority = filters.priority;
+    if (filters.project && filters.project !== 'all') params.projectId = filters.project;
+    if (filters.search.trim()) params.q = filters.search.trim();
+    
+    return params;
+}
+
+// ============================================
+// INFINITE SCROLL
+// ============================================
+
+/**
+ * Number of records loaded per page by infinite lists
+ */
+const LIST_PAGE_SIZE = 30;
+
+/**
+ * Creates a list that loads its records from a list endpoint a page at a time
+ * The next page loads when the end of the list scrolls into view; reload() starts
+ * again from the first page (call it when the filters or sort change)
+ * @param {Object} options - List options
+ * @param {string} options.path - List endpoint (e.g. '/tasks')
+ * @param {Function} options.getParams - Returns the query parameters (filters and sort)
+ * @param {HTMLElement} options.container - Element the list is rendered into
+ * @param {Function} [options.renderItems] - Returns the HTML for the records loaded so far
+ * @param {Function} [options.renderInto] - Draws the records loaded so far into the
+ *   container itself, for views that attach listeners (used instead of renderItems)
+ * @param {Function} [options.onPage] - Called with each page's records before they are
+ *   shown, to load what drawing them needs (may return a promise)
+ * @param {string} [options.emptyMessage] - Shown when nothing matches
+ * @param {Function} [options.onLoad] - Called with (loaded, total) after each page
+ *   and after patchItem
+ * @returns {Object} { reload, redraw, getItems, patchItem }
+ */
+function createInfiniteList(options) {
+    const sentinel = document.createElement('div');
+    sentinel.className = 'list-sentinel';
+    
+    let items = [];
+    let total = 0;
+    let nextCursor = null;
+    let loading = false;
+    let generation = 0;
+    
+    // Keeps loading while the end of the list is (nearly) visible
+    const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadMore();
+    }, { rootMargin: '200px' });
+    
+    const fetchPage = cursor => {
+        const params = new URLSearchParams(options.getParams());
+        params.set('limit', LIST_PAGE_SIZE);
+        if (cursor) params.set('cursor', cursor);
+        return fetchAPI(`${options.path}?${params}`);
+    };
+    
+    const render = () => {
+        observer.disconnect();
+        
+        if (items.length === 0) {
+            showEmptyState(options.container, options.emptyMessage);
+        } else {
+            if (options.renderInto) {
+                options.renderInto(options.container, items);
+            } else {
+                options.container.innerHTML = options.renderItems(items);
+            }
+            sentinel.innerHTML = nextCursor ? '<div class="loading">Loading more...</div>' : '';
+            options.container.appendChild(sentinel);
+            if (nextCursor) observer.observe(sentinel);
+        }
+        
+        if (options.onLoad) options.onLoad(items.length, total);
+    };
+    
+    // Pages of an earlier reload are dropped if they arrive after a newer one started
+    const load = async (cursor, current) => {
+        loading = true;
+        try {
+            const page = await fetchPage(cursor);
+            if (options.onPage) await options.onPage(page.items);
+            if (current !== generation) return;
+            items = cursor ? items.concat(page.items) : page.items;
+            total = page.total;
+            nextCursor = page.nextCursor;
+            render();
+        } catch (error) {
+            if (current !== generation) return;
+            console.error('Error loading list:', error);
+            nextCursor = null;
+            showErrorState(options.container, error.message || 'Failed to load data');
+        } finally {
+            if (current === generation) loading = false;
+        }
+    };
+    
+    function loadMore() {
+        if (!loading && nextCursor) load(nextCursor, generation);
+    }
+    
+    return {
+        reload: () => {
+            generation++;
+            observer.disconnect();
+            if (items.length === 0) showLoading(options.container);
+            return load(null, generation);
+        },
+        
+        // Draws the loaded items again without going back to the server
+        redraw: render,
+        getItems: () => items,
+        
+        // Swaps a loaded item for a newer version, or drops it when record is null;
+        // items not loaded yet are left for the next reload to pick up
+        patchItem: (id, record) => {
+            const index = items.findIndex(item => item.id === id);
+            if (index === -1) return false;
+            
+            if (record) {
+                items[index] = record;
+            } else {
+                items.splice(index, 1);
+                total--;
+            }
+            render();
+            return true;
+        }
+    };
+}
+
 // ============================================
 // MODAL HELPER FUNCTIONS
 // ============================================
@@ -467,7 +908,744 @@ function resetForm(formId) {
     const form = document.getElementById(formId);
     if (form) {
         form.reset();
+        clearFieldErrors(formId);
+    }
+}
+
+/**
+ * Makes an actual hours input read-only once approved timesheets set its value
+ * @param {string} inputId - ID of the hours input
+ * @param {number} [loggedHours] - Approved hours logged against the record
+ */
+function setActualsLocked(inputId, loggedHours) {
+    const input = document.getElementById(inputId);
+    const locked = loggedHours > 0;
+    
+    input.readOnly = locked;
+    input.title = locked ? `Set from approved timesheets (${loggedHours}h logged)` : '';
+}
+
+// ============================================
+// FORM VALIDATION MESSAGES
+// ============================================
+
+/**
+ * Shows validation messages underneath the form fields they belong to
+ * @param {string} formId - ID of the form element
+ * @param {Object} fieldErrors - Messages keyed by field name (as returned by the API)
+ * @param {Object} fieldInputs - Input element IDs keyed by field name
+ */
+function showFieldErrors(formId, fieldErrors, fieldInputs) {
+    clearFieldErrors(formId);
+    
+    // Errors for fields that are not on the form are shown in the notification instead
+    const otherErrors = [];
+    
+    Object.keys(fieldErrors).forEach(field => {
+        const input = document.getElementById(fieldInputs[field]);
+        
+        if (!input) {
+            otherErrors.push(fieldErrors[field]);
+            return;
+        }
+        
+        input.classList.add('input-error');
+        
+        const message = document.createElement('div');
+        message.className = 'field-error';
+        message.textContent = fieldErrors[field];
+        input.insertAdjacentElement('afterend', message);
+    });
+    
+    // Move focus to the first field that needs fixing
+    const firstInvalid = document.querySelector(`#${formId} .input-error`);
+    if (firstInvalid) {
+        firstInvalid.focus();
     }
+    
+    showNotification(otherErrors.length > 0 ? otherErrors.join('. ') : 'Please correct the highlighted fields', 'error');
+}
+
+/**
+ * Removes all validation messages from a form
+ * @param {string} formId - ID of the form element
+ */
+function clearFieldErrors(formId) {
+    const form = document.getElementById(formId);
+    if (!form) return;
+    
+    form.querySelectorAll('.field-error').forEach(message => message.remove());
+    form.querySelectorAll('.input-error').forEach(input => input.classList.remove('input-error'));
+}
+
+/**
+ * Reports a failed save: field messages for validation errors (422), otherwise a notification
+ * @param {Error} error - Error thrown by fetchAPI
+ * @param {string} formId - ID of the form that was submitted
+ * @param {Object} fieldInputs - Input element IDs keyed by field name
+ * @param {string} fallbackMessage - Message used when the error has none
+ */
+function showSaveError(error, formId, fieldInputs, fallbackMessage) {
+    if (error.status === 422 && error.data && error.data.fields) {
+        showFieldErrors(formId, error.data.fields, fieldInputs);
+    } else {
+        showNotification(error.message || fallbackMessage, 'error');
+    }
+}
+
+// ============================================
+// CHANGE PASSWORD
+// ============================================
+
+/**
+ * Opens the change password modal
+ * The modal is shared by every page, so it is built on first use
+ */
+function openChangePasswordModal() {
+    if (!document.getElementById('changePasswordModal')) {
+        const modal = document.createElement('div');
+        modal.id = 'changePasswordModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Change Password</h2>
+                    <button class="close-btn" onclick="closeChangePasswordModal()">&times;</button>
+                </div>
+                <form id="changePasswordForm">
+                    <div class="form-group">
+                        <label for="currentPassword">Current Password *</label>
+                        <input type="password" id="currentPassword" required autocomplete="current-password">
+                    </div>
+                    <div class="form-group">
+                        <label for="newPassword">New Password *</label>
+                        <input type="password" id="newPassword" required autocomplete="new-password"
+                               placeholder="At least 8 characters, letters and numbers">
+                    </div>
+                    <div class="form-group">
+                        <label for="confirmNewPassword">Confirm New Password *</label>
+                        <input type="password" id="confirmNewPassword" required autocomplete="new-password">
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" onclick="closeChangePasswordModal()">Cancel</button>
+                        <button type="submit" class="btn btn-primary">Change Password</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        document.getElementById('changePasswordForm').addEventListener('submit', handleChangePassword);
+    }
+    
+    resetForm('changePasswordForm');
+    openModal('changePasswordModal');
+}
+
+/**
+ * Closes the change password modal
+ */
+function closeChangePasswordModal() {
+    closeModal('changePasswordModal');
+    resetForm('changePasswordForm');
+}
+
+/**
+ * Handles the change password form submission
+ * @param {Event} event - Form submit event
+ */
+async function handleChangePassword(event) {
+    event.preventDefault();
+    
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    const confirmNewPassword = document.getElementById('confirmNewPassword').value;
+    
+    if (newPassword !== confirmNewPassword) {
+        showNotification('New passwords do not match', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetchAPI('/change-password', {
+            method: 'POST',
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        
+        // The server signs out other sessions and hands back a fresh token
+        saveSession(response);
+        
+        showNotification('Password changed successfully', 'success');
+        closeChangePasswordModal();
+    } catch (error) {
+        console.error('Error changing password:', error);
+        showNotification(error.message || 'Failed to change password', 'error');
+    }
+}
+
+// ============================================
+// EDIT CONFLICT RESOLUTION
+// ============================================
+
+/**
+ * Conflict currently shown in the conflict dialog
+ * Holds { fields, mine, theirs, resolve } while the dialog is open
+ */
+let pendingConflict = null;
+
+/**
+ * Saves changes to an existing record, letting the user resolve edit conflicts
+ * The request carries the version the form was filled from. If someone else saved
+ * a newer version first, the server answers 409 with its current copy and the user
+ * chooses, field by field, which values to keep.
+ * @param {string} endpoint - API endpoint of the record (e.g. '/projects/123')
+ * @param {Object} data - Values from the edit form
+ * @param {number} version - Version of the record the form was filled from
+ * @param {Object} options - Dialog options: { title, fields, formatValue } (see showConflictDialog)
+ * @returns {Promise<Object|null>} Saved record, or null if the user discarded their changes
+ */
+async function saveWithConflictCheck(endpoint, data, version, options) {
+    try {
+        return await fetchAPI(endpoint, {
+            method: 'PUT',
+            headers: { 'If-Match': `"${version}"` },
+            body: JSON.stringify(data)
+        });
+    } catch (error) {
+        if (error.status !== 409 || !error.data || !error.data.current) {
+            throw error;
+        }
+        
+        const current = error.data.current;
+        const resolved = await showConflictDialog({ ...options, mine: data, theirs: current });
+        
+        if (!resolved) {
+            return null;
+        }
+        
+        // Save again on top of the version the user has now seen
+        return saveWithConflictCheck(endpoint, resolved, current.version, options);
+    }
+}
+
+/**
+ * Shows the user's changes side by side with the latest saved copy of a record
+ * Only fields whose values differ are listed
+ * @param {Object} options - Dialog options
+ * @param {string} options.title - Name of the record being edited
+ * @param {Object} options.fields - Labels of the fields the form edits, keyed by field name
+ * @param {Function} [options.formatValue] - Formats a value for display: (field, value) => string
+ * @param {Object} options.mine - Values the user tried to save
+ * @param {Object} options.theirs - Current server copy of the record
+ * @returns {Promise<Object|null>} Values to save, or null to keep the server copy
+ */
+function showConflictDialog({ title, fields, formatValue, mine, theirs }) {
+    const format = formatValue || ((field, value) => formatConflictValue(value));
+    const differing = Object.keys(fields).filter(field =>
+        field in mine && JSON.stringify(mine[field]) !== JSON.stringify(theirs[field])
+    );
+    
+    // The other person only changed fields this form does not edit, so just save again
+    if (differing.length === 0) {
+        return Promise.resolve(mine);
+    }
+    
+    ensureConflictModal();
+    
+    document.getElementById('conflictRecordName').textContent = title;
+    document.getElementById('conflictUpdatedAt').textContent = formatDateTime(theirs.updatedAt);
+    document.getElementById('conflictTableBody').innerHTML = differing.map(field => `
+        <tr>
+            <td><strong>${escapeHtml(fields[field])}</strong></td>
+            <td>
+                <label class="conflict-choice">
+                    <input type="radio" name="conflict-${field}" value="mine" checked>
+                    <span>${escapeHtml(format(field, mine[field]))}</span>
+                </label>
+            </td>
+            <td>
+                <label class="conflict-choice">
+                    <input type="radio" name="conflict-${field}" value="theirs">
+                    <span>${escapeHtml(format(field, theirs[field]))}</span>
+                </label>
+            </td>
+        </tr>
+    `).join('');
+    
+    openModal('conflictModal');
+    
+    return new Promise(resolve => {
+        pendingConflict = { fields: differing, mine, theirs, resolve };
+    });
+}
+
+/**
+ * Creates the conflict dialog the first time it is needed
+ */
+function ensureConflictModal() {
+    if (document.getElementById('conflictModal')) return;
+    
+    const modal = document.createElement('div');
+    modal.id = 'conflictModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content modal-large">
+            <div class="modal-header">
+                <h2>Edit Conflict</h2>
+            </div>
+            <form onsubmit="return false;">
+                <p class="conflict-intro">
+                    Someone else saved changes to <strong id="conflictRecordName"></strong>
+                    (<span id="conflictUpdatedAt"></span>) while you were editing it.
+                    Choose which value to keep for each field that differs.
+                </p>
+                <div class="table-container">
+                    <table class="data-table conflict-table">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th>Your changes</th>
+                                <th>Saved version</th>
+                            </tr>
+                        </thead>
+                        <tbody id="conflictTableBody"></tbody>
+                    </table>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" onclick="resolveConflict(false)">Discard My Changes</button>
+                    <button type="button" class="btn btn-primary" onclick="resolveConflict(true)">Save Selected Values</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+/**
+ * Closes the conflict dialog with the user's decision
+ * @param {boolean} saveSelection - True to save the chosen values, false to keep the saved version
+ */
+function resolveConflict(saveSelection) {
+    const conflict = pendingConflict;
+    pendingConflict = null;
+    closeModal('conflictModal');
+    
+    if (!conflict) return;
+    
+    if (!saveSelection) {
+        conflict.resolve(null);
+        return;
+    }
+    
+    // Start from the user's values and swap in the saved values they picked
+    const resolved = { ...conflict.mine };
+    conflict.fields.forEach(field => {
+        const choice = document.querySelector(`input[name="conflict-${field}"]:checked`);
+        if (choice && choice.value === 'theirs') {
+            resolved[field] = conflict.theirs[field];
+        }
+    });
+    
+    conflict.resolve(resolved);
+}
+
+/**
+ * Formats a field value for the conflict dialog
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatConflictValue(value) {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(none)';
+    return String(value);
+}
+
+// ============================================
+// DELETE PREVIEW
+// ============================================
+
+/**
+ * Maximum number of affected records named in a delete summary
+ */
+const DELETE_PREVIEW_ITEM_LIMIT = 5;
+
+/**
+ * Asks the server what a delete would affect and confirms it with the user
+ * Deletes that are blocked by existing records are reported instead of confirmed
+ * @param {string} endpoint - Record endpoint (e.g. '/projects/123')
+ * @param {string} question - Confirmation question, shown above the list of affected records
+ * @param {Object} [options] - { permanent: true when purging a record from the trash }
+ * @returns {Promise<boolean>} True if the delete may go ahead
+ */
+async function confirmDeleteWithPreview(endpoint, question, options = {}) {
+    let preview;
+    
+    try {
+        preview = await fetchAPI(`${endpoint}/delete-preview${options.permanent ? '?permanent=true' : ''}`);
+    } catch (error) {
+        console.error('Error loading delete preview:', error);
+        showNotification(error.message || 'Could not check what this would affect', 'error');
+        return false;
+    }
+    
+    if (!preview.allowed) {
+        const blockers = preview.blockers.map(formatDeletePreviewGroup).join('; ');
+        showNotification(`Not possible yet - still has ${blockers}`, 'error');
+        return false;
+    }
+    
+    const effects = preview.effects.map(group => {
+        const verbs = preview.soft
+            ? { cascade: 'Also moves to the trash' }
+            : { cascade: 'Also deletes', archive: 'Archives', detach: 'Unlinks' };
+        const verb = verbs[group.action] || 'Affects';
+        return `- ${verb} ${formatDeletePreviewGroup(group)}`;
+    });
+    
+    const summary = effects.length > 0 ? `\n\n${effects.join('\n')}` : '';
+    return confirmAction(`${question}${summary}`);
+}
+
+/**
+ * Describes one group of affected records, naming the first few
+ * @param {Object} group - Blocker or effect group from a delete preview
+ * @returns {string} Text such as '3 tasks (Design, Build, and 1 more)'
+ */
+function formatDeletePreviewGroup(group) {
+    const names = group.items.slice(0, DELETE_PREVIEW_ITEM_LIMIT).map(item => item.name);
+    const remaining = group.items.length - names.length;
+    
+    if (remaining > 0) {
+        names.push(`and ${remaining} more`);
+    }
+    
+    return `${group.items.length} ${group.label} (${names.join(', ')})`;
+}
+
+// ============================================
+// TRASH
+// ============================================
+
+/**
+ * Record types that have a trash, keyed by API collection
+ */
+const TRASH_TYPES = {
+    projects: { label: 'Project', nameField: 'name' },
+    tasks: { label: 'Task', nameField: 'title' }
+};
+
+/**
+ * Trash currently shown in the trash dialog
+ * Holds { type, items, onChange } while the dialog is open
+ */
+let trashState = null;
+
+/**
+ * Opens the trash dialog for a record type
+ * @param {string} type - 'projects' or 'tasks'
+ * @param {Function} onChange - Called with the record after it is restored or purged, to refresh the page
+ */
+async function openTrash(type, onChange) {
+    ensureTrashModal();
+    trashState = { type, items: [], onChange };
+    
+    document.getElementById('trashTitle').textContent = `${TRASH_TYPES[type].label} Trash`;
+    openModal('trashModal');
+    await renderTrash();
+}
+
+/**
+ * Loads and renders the records in the open trash
+ */
+async function renderTrash() {
+    const container = document.getElementById('trashList');
+    const { type } = trashState;
+    const { nameField } = TRASH_TYPES[type];
+    
+    showLoading(container);
+    
+    try {
+        trashState.items = await fetchAPI(`/${type}/trash`);
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        showErrorState(container, 'Failed to load the trash');
+        return;
+    }
+    
+    if (trashState.items.length === 0) {
+        showEmptyState(container, 'The trash is empty');
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Deleted By</th>
+                    <th>Deleted On</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${trashState.items.map(item => `
+                    <tr>
+                        <td><strong>${escapeHtml(item[nameField])}</strong></td>
+                        <td>${escapeHtml(getUserName(item.deletedBy))}</td>
+                        <td>${formatDateTime(item.deletedAt)}</td>
+                        <td>
+                            <button class="btn btn-sm btn-secondary" onclick="restoreFromTrash('${item.id}')">
+                                ↩️ Restore
+                            </button>
+                            <button class="btn btn-sm btn-danger" onclick="purgeFromTrash('${item.id}')">
+                                🗑️ Delete Forever
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Restores a record from the open trash
+ * @param {string} id - ID of the trashed record
+ */
+async function restoreFromTrash(id) {
+    const { type, items, onChange } = trashState;
+    const item = items.find(i => i.id === id);
+    
+    try {
+        await fetchAPI(`/${type}/${id}/restore`, { method: 'POST' });
+        showNotification(`${TRASH_TYPES[type].label} restored`, 'success');
+        
+        await renderTrash();
+        await onChange(item);
+    } catch (error) {
+        console.error('Error restoring from trash:', error);
+        showNotification(error.message || 'Failed to restore', 'error');
+    }
+}
+
+/**
+ * Permanently deletes a record from the open trash
+ * @param {string} id - ID of the trashed record
+ */
+async function purgeFromTrash(id) {
+    const { type, items, onChange } = trashState;
+    const item = items.find(i => i.id === id);
+    const name = item ? item[TRASH_TYPES[type].nameField] : id;
+    
+    const question = `Permanently delete "${name}"? This action cannot be undone.`;
+    if (!await confirmDeleteWithPreview(`/${type}/${id}`, question, { permanent: true })) {
+        return;
+    }
+    
+    try {
+        await fetchAPI(`/${type}/${id}?permanent=true`, { method: 'DELETE' });
+        showNotification(`${TRASH_TYPES[type].label} deleted permanently`, 'success');
+        
+        await renderTrash();
+        await onChange(item);
+    } catch (error) {
+        console.error('Error purging from trash:', error);
+        showNotification(error.message || 'Failed to delete', 'error');
+    }
+}
+
+/**
+ * Closes the trash dialog
+ */
+function closeTrash() {
+    trashState = null;
+    closeModal('trashModal');
+}
+
+/**
+ * Creates the trash dialog the first time it is needed
+ */
+function ensureTrashModal() {
+    if (document.getElementById('trashModal')) return;
+    
+    const modal = document.createElement('div');
+    modal.id = 'trashModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content modal-large">
+            <div class="modal-header">
+                <h2 id="trashTitle">Trash</h2>
+                <button class="close-btn" onclick="closeTrash()">&times;</button>
+            </div>
+            <div class="trash-body">
+                <p class="trash-intro">
+                    Deleted items stay here until they are restored or deleted forever.
+                </p>
+                <div id="trashList" class="table-container"></div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" onclick="closeTrash()">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// ============================================
+// CHANGE HISTORY
+// ============================================
+
+/**
+ * Wording used for each audit action in the history list
+ */
+const HISTORY_ACTION_LABELS = {
+    create: 'created this',
+    update: 'made changes',
+    delete: 'moved this to the trash',
+    restore: 'restored this from the trash',
+    purge: 'deleted this permanently',
+    archive: 'archived this',
+    unarchive: 'unarchived this'
+};
+
+/**
+ * Fields not worth showing in the history list
+ */
+const HISTORY_HIDDEN_FIELDS = ['id', 'createdAt', 'createdBy', 'deletedWith'];
+
+/**
+ * Labels for fields that forms do not edit but the history can show
+ */
+const HISTORY_FIELD_LABELS = {
+    projectManager: 'Project Manager',
+    budgetSpent: 'Budget Spent',
+    teamMembers: 'Team Members',
+    completedDate: 'Completed Date',
+    dependencies: 'Dependencies',
+    archivedAt: 'Archived',
+    archivedBy: 'Archived By',
+    deletedAt: 'Deleted',
+    deletedBy: 'Deleted By'
+};
+
+/**
+ * Fields holding a user ID, shown as the user's name in the history
+ */
+const HISTORY_USER_FIELDS = ['projectManager', 'assignedTo', 'ownerId', 'archivedBy', 'deletedBy'];
+
+/**
+ * Record whose history the open details view can show
+ * Holds { entity, id, labels, formatValue }
+ */
+let historyView = null;
+
+/**
+ * Wraps a details view in Details and History tabs
+ * The history is loaded from the audit trail when its tab is first opened
+ * @param {string} detailsHTML - Markup of the details view
+ * @param {Object} options - History options
+ * @param {string} options.entity - Audit entity name ('project', 'task' or 'risk')
+ * @param {string} options.id - Record ID
+ * @param {Object} options.labels - Field labels, keyed by field name
+ * @param {Function} [options.formatValue] - Formats a value for display: (field, value) => string
+ * @returns {string} Tabbed markup
+ */
+function renderHistoryTabs(detailsHTML, options) {
+    historyView = options;
+    
+    return `
+        <div class="detail-tabs">
+            <button type="button" class="detail-tab active" data-tab="details" onclick="showDetailTab('details')">
+                📋 Details
+            </button>
+            <button type="button" class="detail-tab" data-tab="history" onclick="showDetailTab('history')">
+                🕓 History
+            </button>
+        </div>
+        <div class="detail-pane" data-pane="details">${detailsHTML}</div>
+        <div class="detail-pane history-pane" data-pane="history" hidden></div>
+    `;
+}
+
+/**
+ * Switches the open details view between its tabs
+ * @param {string} tab - 'details' or 'history'
+ */
+function showDetailTab(tab) {
+    document.querySelectorAll('.detail-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    document.querySelectorAll('.detail-pane').forEach(pane => {
+        pane.hidden = pane.dataset.pane !== tab;
+    });
+    
+    if (tab === 'history') {
+        loadHistory(document.querySelector('.detail-pane[data-pane="history"]'));
+    }
+}
+
+/**
+ * Loads and renders the change history of the record in the open details view
+ * @param {HTMLElement} container - Element to render the history in
+ */
+async function loadHistory(container) {
+    if (!container || !historyView) return;
+    
+    const { entity, id, formatValue } = historyView;
+    const labels = { ...HISTORY_FIELD_LABELS, ...historyView.labels };
+    const format = (field, value) => {
+        if (HISTORY_USER_FIELDS.includes(field) && value) return getUserName(value);
+        return formatValue ? formatValue(field, value) : formatConflictValue(value);
+    };
+    
+    showLoading(container);
+    
+    let entries;
+    try {
+        entries = await fetchAPI(`/audit?entity=${entity}&id=${encodeURIComponent(id)}`);
+    } catch (error) {
+        console.error('Error loading history:', error);
+        showErrorState(container, 'Failed to load the history');
+        return;
+    }
+    
+    if (entries.length === 0) {
+        showEmptyState(container, 'No changes have been recorded yet');
+        return;
+    }
+    
+    container.innerHTML = `
+        <ul class="history-list">
+            ${entries.map(entry => {
+                const changes = entry.action === 'create'
+                    ? []
+                    : entry.changes.filter(change => !HISTORY_HIDDEN_FIELDS.includes(change.field));
+                
+                return `
+                    <li class="history-entry">
+                        <div class="history-header">
+                            <strong>${escapeHtml(entry.userName)}</strong>
+                            ${HISTORY_ACTION_LABELS[entry.action] || escapeHtml(entry.action)}
+                            ${entry.causedBy ? `<span class="history-cause">(with ${escapeHtml(entry.causedBy.entity)})</span>` : ''}
+                            <span class="history-time">${formatDateTime(entry.timestamp)}</span>
+                        </div>
+                        ${changes.length > 0 ? `
+                            <table class="history-changes">
+                                ${changes.map(change => `
+                                    <tr>
+                                        <td>${escapeHtml(labels[change.field] || change.field)}</td>
+                                        <td class="history-before">${escapeHtml(format(change.field, change.before))}</td>
+                                        <td>→</td>
+                                        <td class="history-after">${escapeHtml(format(change.field, change.after))}</td>
+                                    </tr>
+                                `).join('')}
+                            </table>
+                        ` : ''}
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
 }
 
 // ============================================
@@ -17,6 +17,20 @@ document.addEventListener('DOMContentLoaded', function() {
     // Get the login form element
     const loginForm = document.getElementById('loginForm');
     
+    // Opened from an admin-issued reset link - show the reset form instead
+    const resetToken = new URLSearchParams(window.location.search).get('resetToken');
+    if (resetToken) {
+        showResetPasswordForm(resetToken);
+        return;
+    }
+    
+    // Opened from the unsubscribe link in an email - ask before turning the email off
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('unsubscribe')) {
+        showUnsubscribeForm(params.get('token'), params.get('type'));
+        return;
+    }
+    
     // Check if user is already logged in
     // If yes, redirect to dashboard
     if (checkAuth()) {
@@ -71,8 +85,8 @@ async function handleLogin(event) {
         
         // Check if login was successful
         if (response.success) {
-            // Save user data to localStorage
-            saveUser(response.user);
+            // Save user data and session token to localStorage
+            saveSession(response);
             
             // Show success message
             showNotification('Login successful! Redirecting...', 'success');
@@ -92,7 +106,7 @@ async function handleLogin(event) {
     } catch (error) {
         // Handle any errors that occurred during login
         console.error('Login error:', error);
-        showError('An error occurred during login. Please try again.');
+        showError(error.message || 'An error occurred during login. Please try again.');
         
         // Re-enable the submit button
         const submitButton = event.target.querySelector('button[type="submit"]');
@@ -114,6 +128,121 @@ function showError(message) {
     errorMessage.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
+// ============================================
+// PASSWORD RESET
+// ============================================
+
+/**
+ * Swaps the login form for the reset password form
+ * @param {string} resetToken - Token from the reset link
+ */
+function showResetPasswordForm(resetToken) {
+    const loginForm = document.getElementById('loginForm');
+    const resetForm = document.getElementById('resetPasswordForm');
+    
+    if (!resetForm) return;
+    
+    loginForm.style.display = 'none';
+    resetForm.style.display = 'block';
+    
+    resetForm.addEventListener('submit', function(event) {
+        handleResetPassword(event, resetToken);
+    });
+}
+
+/**
+ * Handles the reset password form submission
+ * @param {Event} event - Form submit event
+ * @param {string} resetToken - Token from the reset link
+ */
+async function handleResetPassword(event, resetToken) {
+    event.preventDefault();
+    
+    const newPassword = document.getElementById('resetNewPassword').value;
+    const confirmPassword = document.getElementById('resetConfirmPassword').value;
+    const errorMessage = document.getElementById('resetErrorMessage');
+    
+    errorMessage.style.display = 'none';
+    
+    if (newPassword !== confirmPassword) {
+        errorMessage.textContent = 'Passwords do not match';
+        errorMessage.style.display = 'block';
+        return;
+    }
+    
+    try {
+        await fetchAPI('/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({
+                token: resetToken,
+                newPassword: newPassword
+            })
+        });
+        
+        showNotification('Password reset! Please log in with your new password.', 'success');
+        
+        // Drop the token from the URL and show the login form again
+        setTimeout(() => {
+            window.location.href = 'index.html';
+        }, 1000);
+    } catch (error) {
+        errorMessage.textContent = error.message;
+        errorMessage.style.display = 'block';
+    }
+}
+
+// ============================================
+// EMAIL UNSUBSCRIBE
+// ============================================
+
+/**
+ * Swaps the login form for the unsubscribe form
+ * @param {string} token - Unsubscribe token from the link
+ * @param {string} type - Email to stop (a notification type, digest or all)
+ */
+function showUnsubscribeForm(token, type) {
+    const loginForm = document.getElementById('loginForm');
+    const unsubscribeForm = document.getElementById('unsubscribeForm');
+    
+    if (!unsubscribeForm) return;
+    
+    loginForm.style.display = 'none';
+    unsubscribeForm.style.display = 'block';
+    
+    unsubscribeForm.addEventListener('submit', function(event) {
+        handleUnsubscribe(event, token, type);
+    });
+}
+
+/**
+ * Handles the unsubscribe form submission
+ * @param {Event} event - Form submit event
+ * @param {string} token - Unsubscribe token from the link
+ * @param {string} type - Email to stop
+ */
+async function handleUnsubscribe(event, token, type) {
+    event.preventDefault();
+    
+    const unsubscribeForm = document.getElementById('unsubscribeForm');
+    const errorMessage = document.getElementById('unsubscribeErrorMessage');
+    
+    errorMessage.style.display = 'none';
+    
+    try {
+        const result = await fetchAPI('/notifications/unsubscribe', {
+            method: 'POST',
+            body: JSON.stringify({ token, type })
+        });
+        
+        // Nothing left to do here - show the outcome instead of the button
+        document.getElementById('unsubscribeMessage').textContent = result.message;
+        unsubscribeForm.querySelector('button[type="submit"]').style.display = 'none';
+    } catch (error) {
+        errorMessage.textContent = error.message;
+        errorMessage.style.display = 'block';
+    }
+}
+
 /**
  * Auto-fill login form with demo credentials
  * This is a helper function for development/demo purposes
@@ -0,0 +1,598 @@
+/**
+ * Expense Ledger Module
+ *
+ * This file handles the expense ledger including:
+ * - Loading and displaying expenses, newest first
+ * - Entering, correcting and deleting expenses
+ * - Approving and rejecting expenses entered by others
+ * - Showing spend (approved expenses plus labour from timesheets) against the budget
+ */
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Labels for the expense form fields, used when showing edit conflicts and history
+ */
+const EXPENSE_FIELD_LABELS = {
+    projectId: 'Project',
+    category: 'Category',
+    description: 'Description',
+    vendor: 'Vendor',
+    date: 'Date',
+    amount: 'Amount',
+    receiptNote: 'Receipt',
+    status: 'Status',
+    reviewedBy: 'Reviewed By',
+    rejectionReason: 'Rejection Reason'
+};
+
+/**
+ * Form input IDs for each expense field, used to show validation messages
+ */
+const EXPENSE_FIELD_INPUTS = {
+    projectId: 'expenseProject',
+    category: 'expenseCategory',
+    description: 'expenseDescription',
+    vendor: 'expenseVendor',
+    date: 'expenseDate',
+    amount: 'expenseAmount',
+    receiptNote: 'expenseReceiptNote'
+};
+
+/**
+ * Initialize the expenses page
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    // Check authentication
+    if (!checkAuth()) {
+        window.location.href = 'index.html';
+        return;
+    }
+    
+    // Display user info
+    displayUserInfo();
+    
+    // Load initial data
+    await loadAllData();
+    
+    // Populate filter dropdowns (a project can be picked with ?project=<id>)
+    populateFilters(new URLSearchParams(window.location.search).get('project'));
+    
+    // Populate form dropdowns
+    populateFormDropdowns();
+    
+    // Render expenses and the budget summary
+    renderExpenses();
+    renderStatistics();
+    
+    // Set up event listeners
+    setupEventListeners();
+    
+    // Set up filters
+    setupFilters(renderExpenses);
+});
+
+/**
+ * Load all necessary data for the expenses page
+ */
+async function loadAllData() {
+    try {
+        await Promise.all([
+            loadProjects(),
+            loadUsers(),
+            loadExpenses()
+        ]);
+    } catch (error) {
+        console.error('Error loading data:', error);
+        showNotification('Failed to load data', 'error');
+    }
+}
+
+/**
+ * Set up event listeners for buttons and forms
+ */
+function setupEventListeners() {
+    // Add expense button
+    const addBtn = document.getElementById('addExpenseBtn');
+    if (addBtn) {
+        addBtn.addEventListener('click', openCreateExpenseModal);
+    }
+    
+    // Expense and reject forms
+    document.getElementById('expenseForm').addEventListener('submit', handleExpenseSubmit);
+    document.getElementById('rejectForm').addEventListener('submit', handleRejectSubmit);
+    
+    // Category filter (the shared filters do not know about it)
+    document.getElementById('categoryFilter').addEventListener('change', renderExpenses);
+    
+    // The budget summary follows the project filter
+    document.getElementById('projectFilter').addEventListener('change', renderStatistics);
+    
+    // Logout button
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', logout);
+    }
+}
+
+/**
+ * Populates the project and category filter dropdowns
+ * @param {string|null} selectedId - Project to select, if it is in the list
+ */
+function populateFilters(selectedId) {
+    const projectFilter = document.getElementById('projectFilter');
+    const projectOptions = appState.projects.map(project =>
+        `<option value="${project.id}">${escapeHtml(project.name)}</option>`
+    ).join('');
+    
+    projectFilter.innerHTML = '<option value="all">All Projects</option>' + projectOptions;
+    
+    if (selectedId && getProjectById(selectedId)) {
+        projectFilter.value = selectedId;
+    }
+    
+    document.getElementById('categoryFilter').innerHTML = '<option value="all">All Categories</option>' +
+        getExpenseCategories().map(category =>
+            `<option value="${category}">${EXPENSE_CATEGORY_LABELS[category]}</option>`
+        ).join('');
+}
+
+/**
+ * Populates form dropdowns (projects and categories)
+ */
+function populateFormDropdowns() {
+    const projectOptions = appState.projects.map(project =>
+        `<option value="${project.id}">${escapeHtml(project.name)}</option>`
+    ).join('');
+    document.getElementById('expenseProject').innerHTML = '<option value="">Select a project</option>' + projectOptions;
+    
+    document.getElementById('expenseCategory').innerHTML = getExpenseCategories().map(category =>
+        `<option value="${category}">${EXPENSE_CATEGORY_LABELS[category]}</option>`
+    ).join('');
+}
+
+/**
+ * Lists the categories an expense can be entered under
+ * Labour is left out: it only ever comes from approved timesheets
+ * @returns {Array<string>} Category values
+ */
+function getExpenseCategories() {
+    return Object.keys(EXPENSE_CATEGORY_LABELS).filter(category => category !== 'labour');
+}
+
+/**
+ * Checks whether the current user may approve or reject an expense
+ * Mirrors the server: nobody reviews their own expenses, and project managers
+ * only review expenses of the projects they manage
+ * @param {Object} expense - Expense to check
+ * @returns {boolean} True if the expense is pending and the user may review it
+ */
+function canReviewExpense(expense) {
+    const user = appState.currentUser || getCurrentUser();
+    const project = getProjectById(expense.projectId);
+    
+    if (expense.status !== 'pending' || !hasPermission('expenses:approve') || expense.submittedBy === user.id) {
+        return false;
+    }
+    
+    return user.role !== 'project_manager' || Boolean(project && project.projectManager === user.id);
+}
+
+// ============================================
+// RENDER FUNCTIONS
+// ============================================
+
+/**
+ * Renders the budget summary cards for the project picked in the filter
+ * Spend includes labour, so it comes from the budget report rather than the ledger
+ */
+async function renderStatistics() {
+    const projectId = document.getElementById('projectFilter').value;
+    
+    try {
+        const report = await fetchAPI(`/reports/budget${projectId !== 'all' ? `?projectId=${encodeURIComponent(projectId)}` : ''}`);
+        const labour = report.byCategory.find(entry => entry.category === 'labour');
+        
+        document.getElementById('totalSpent').textContent = formatCurrency(report.spent);
+        document.getElementById('labourCost').textContent = formatCurrency(labour ? labour.amount : 0);
+        document.getElementById('pendingSpend').textContent = formatCurrency(report.pending);
+        document.getElementById('remainingBudget').textContent = formatCurrency(report.remaining);
+    } catch (error) {
+        console.error('Error loading budget summary:', error);
+    }
+}
+
+/**
+ * Renders all expenses in the table based on current filters
+ */
+function renderExpenses() {
+    const tbody = document.getElementById('expensesTableBody');
+    
+    if (!tbody) return;
+    
+    // Get filter values
+    const filters = getFilterValues();
+    const category = document.getElementById('categoryFilter').value;
+    
+    // Apply filters to expenses
+    const filteredExpenses = applyFilters(appState.expenses, filters, ['description', 'vendor', 'receiptNote'])
+        .filter(expense => category === 'all' || expense.category === category);
+    
+    // Check if there are any expenses
+    if (filteredExpenses.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="empty-state">No expenses found</td></tr>';
+        return;
+    }
+    
+    // Build HTML for table rows
+    tbody.innerHTML = filteredExpenses.map(expense => `
+        <tr>
+            <td>${formatDate(expense.date)}</td>
+            <td>
+                <a href="#" onclick="viewExpense('${expense.id}'); return false;">
+                    ${escapeHtml(expense.description)}
+                </a>
+                ${expense.vendor ? `<br><small>${escapeHtml(expense.vendor)}</small>` : ''}
+            </td>
+            <td>${escapeHtml(getProjectName(expense.projectId))}</td>
+            <td>${EXPENSE_CATEGORY_LABELS[expense.category] || expense.category}</td>
+            <td>${formatCurrency(expense.amount)}</td>
+            <td>${renderStatusBadge(expense.status, EXPENSE_STATUS_LABELS[expense.status])}</td>
+            <td>${escapeHtml(getUserName(expense.submittedBy))}</td>
+            <td>
+                ${canReviewExpense(expense) ? `
+                    <button class="btn btn-sm btn-success" onclick="approveExpense('${expense.id}')">
+                        ✅ Approve
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="openRejectModal('${expense.id}')">
+                        ✖️ Reject
+                    </button>
+                ` : ''}
+                ${expense.status !== 'approved' && hasPermission('expenses:create') ? `
+                    <button class="btn btn-sm btn-primary" onclick="editExpense('${expense.id}')">
+                        ✏️ Edit
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteExpense('${expense.id}')">
+                        🗑️ Delete
+                    </button>
+                ` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+// ============================================
+// MODAL FUNCTIONS
+// ============================================
+
+/**
+ * Opens the modal to enter a new expense
+ */
+function openCreateExpenseModal() {
+    // Reset the form
+    resetForm('expenseForm');
+    
+    // Clear the hidden ID and version fields
+    document.getElementById('expenseId').value = '';
+    document.getElementById('expenseVersion').value = '';
+    
+    // Set modal title
+    document.getElementById('modalTitle').textContent = 'Add Expense';
+    
+    // Set default values
+    const projectFilter = document.getElementById('projectFilter').value;
+    document.getElementById('expenseProject').value = projectFilter !== 'all' ? projectFilter : '';
+    document.getElementById('expenseDate').value = new Date().toISOString().slice(0, 10);
+    
+    // Open the modal
+    openModal('expenseModal');
+}
+
+/**
+ * Opens the modal to correct a pending or rejected expense
+ * @param {string} expenseId - ID of the expense to edit
+ */
+function editExpense(expenseId) {
+    const expense = appState.expenses.find(e => e.id === expenseId);
+    
+    if (!expense) {
+        showNotification('Expense not found', 'error');
+        return;
+    }
+    
+    // Set modal title
+    document.getElementById('modalTitle').textContent = 'Edit Expense';
+    
+    // Fill form with expense data
+    document.getElementById('expenseId').value = expense.id;
+    document.getElementById('expenseVersion').value = expense.version;
+    document.getElementById('expenseProject').value = expense.projectId;
+    document.getElementById('expenseCategory').value = expense.category;
+    document.getElementById('expenseDescription').value = expense.description;
+    document.getElementById('expenseVendor').value = expense.vendor || '';
+    document.getElementById('expenseDate').value = expense.date;
+    document.getElementById('expenseAmount').value = expense.amount;
+    document.getElementById('expenseReceiptNote').value = expense.receiptNote || '';
+    
+    // Open the modal
+    openModal('expenseModal');
+}
+
+/**
+ * Closes the expense modal
+ */
+function closeExpenseModal() {
+    closeModal('expenseModal');
+    resetForm('expenseForm');
+}
+
+/**
+ * Views detailed information about an expense
+ * @param {string} expenseId - ID of the expense to view
+ */
+function viewExpense(expenseId) {
+    const expense = appState.expenses.find(e => e.id === expenseId);
+    
+    if (!expense) {
+        showNotification('Expense not found', 'error');
+        return;
+    }
+    
+    // Build detailed view HTML
+    const detailsHTML = `
+        <div style="padding: 25px;">
+            <div class="task-meta" style="margin-bottom: 20px;">
+                ${renderStatusBadge(expense.status, EXPENSE_STATUS_LABELS[expense.status])}
+                <span class="badge">${EXPENSE_CATEGORY_LABELS[expense.category] || expense.category}</span>
+            </div>
+            
+            ${expense.status === 'rejected' && expense.rejectionReason ? `
+                <div class="rejection-notice">
+                    <strong>Rejected:</strong> ${escapeHtml(expense.rejectionReason)}
+                </div>
+            ` : ''}
+            
+            <h3>Expense</h3>
+            <div class="project-meta" style="margin-bottom: 20px;">
+                <span><strong>Project:</strong> ${escapeHtml(getProjectName(expense.projectId))}</span>
+                <span><strong>Amount:</strong> ${formatCurrency(expense.amount)}</span>
+                <span><strong>Date:</strong> ${formatDate(expense.date)}</span>
+                <span><strong>Vendor:</strong> ${escapeHtml(expense.vendor || '-')}</span>
+            </div>
+            
+            <h3>Receipt</h3>
+            <p style="margin-bottom: 20px;">${escapeHtml(expense.receiptNote || 'No receipt details')}</p>
+            
+            <h3>Approval</h3>
+            <div class="project-meta" style="margin-bottom: 20px;">
+                <span><strong>Entered By:</strong> ${escapeHtml(getUserName(expense.submittedBy))}</span>
+                ${expense.reviewedBy ? `
+                    <span><strong>Reviewed By:</strong> ${escapeHtml(getUserName(expense.reviewedBy))}</span>
+                    <span><strong>Reviewed:</strong> ${formatDate(expense.reviewedAt)}</span>
+                ` : ''}
+            </div>
+            
+            <div style="margin-top: 30px; display: flex; gap: 10px; justify-content: flex-end;">
+                ${expense.status !== 'approved' && hasPermission('expenses:create') ? `
+                    <button class="btn btn-primary" onclick="editExpense('${expense.id}'); closeViewExpenseModal();">
+                        Edit
+                    </button>
+                ` : ''}
+                <button class="btn btn-secondary" onclick="closeViewExpenseModal()">
+                    Close
+                </button>
+            </div>
+        </div>
+    `;
+    
+    // Set modal content
+    document.getElementById('viewExpenseTitle').textContent = expense.description;
+    document.getElementById('expenseDetails').innerHTML = renderHistoryTabs(detailsHTML, {
+        entity: 'expense',
+        id: expense.id,
+        labels: EXPENSE_FIELD_LABELS,
+        formatValue: formatExpenseFieldValue
+    });
+    
+    // Open the modal
+    openModal('viewExpenseModal');
+}
+
+/**
+ * Closes the view expense modal
+ */
+function closeViewExpenseModal() {
+    closeModal('viewExpenseModal');
+}
+
+// ============================================
+// CRUD OPERATIONS
+// ============================================
+
+/**
+ * Formats an expense field value for the conflict dialog and history
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatExpenseFieldValue(field, value) {
+    if (field === 'projectId') return getProjectName(value);
+    if (field === 'reviewedBy') return value ? getUserName(value) : '(none)';
+    if (field === 'category') return EXPENSE_CATEGORY_LABELS[value] || formatConflictValue(value);
+    if (field === 'status') return EXPENSE_STATUS_LABELS[value] || formatConflictValue(value);
+    if (field === 'amount' && typeof value === 'number') return formatCurrency(value);
+    return formatConflictValue(value);
+}
+
+/**
+ * Reloads the ledger and everything worked out from it
+ */
+async function reloadExpenses() {
+    await loadExpenses();
+    renderExpenses();
+    renderStatistics();
+}
+
+/**
+ * Handles expense form submission (create or update)
+ * Saving a rejected expense sends it back for approval
+ * @param {Event} event - Form submit event
+ */
+async function handleExpenseSubmit(event) {
+    event.preventDefault();
+    
+    // Get form values
+    const expenseId = document.getElementById('expenseId').value;
+    
+    const expenseData = {
+        projectId: document.getElementById('expenseProject').value,
+        category: document.getElementById('expenseCategory').value,
+        description: document.getElementById('expenseDescription').value.trim(),
+        vendor: document.getElementById('expenseVendor').value.trim(),
+        date: document.getElementById('expenseDate').value,
+        amount: parseFloat(document.getElementById('expenseAmount').value),
+        receiptNote: document.getElementById('expenseReceiptNote').value.trim()
+    };
+    
+    clearFieldErrors('expenseForm');
+    
+    try {
+        if (expenseId) {
+            // Save, checking nobody else changed the expense in the meantime
+            const version = parseInt(document.getElementById('expenseVersion').value, 10);
+            const result = await saveWithConflictCheck(`/expenses/${expenseId}`, expenseData, version, {
+                title: expenseData.description,
+                fields: EXPENSE_FIELD_LABELS,
+                formatValue: formatExpenseFieldValue
+            });
+            
+            if (result) {
+                showNotification('Expense updated and sent for approval', 'success');
+            } else {
+                showNotification('Your changes were discarded and the saved version kept', 'info');
+            }
+        } else {
+            // Add new expense
+            await fetchAPI('/expenses', {
+                method: 'POST',
+                body: JSON.stringify(expenseData)
+            });
+            showNotification('Expense added and sent for approval', 'success');
+        }
+        
+        await reloadExpenses();
+        
+        // Close modal
+        closeExpenseModal();
+    } catch (error) {
+        console.error('Error saving expense:', error);
+        showSaveError(error, 'expenseForm', EXPENSE_FIELD_INPUTS, 'Failed to save expense');
+    }
+}
+
+/**
+ * Deletes a pending or rejected expense
+ * @param {string} expenseId - ID of the expense to delete
+ */
+async function deleteExpense(expenseId) {
+    const expense = appState.expenses.find(e => e.id === expenseId);
+    
+    if (!expense) {
+        showNotification('Expense not found', 'error');
+        return;
+    }
+    
+    // Confirm deletion
+    if (!confirmAction(`Are you sure you want to delete "${expense.description}"? This action cannot be undone.`)) {
+        return;
+    }
+    
+    try {
+        await fetchAPI(`/expenses/${expenseId}`, {
+            method: 'DELETE'
+        });
+        
+        showNotification('Expense deleted successfully', 'success');
+        await reloadExpenses();
+    } catch (error) {
+        console.error('Error deleting expense:', error);
+        showNotification(error.message || 'Failed to delete expense', 'error');
+    }
+}
+
+// ============================================
+// APPROVALS
+// ============================================
+
+/**
+ * Approves a pending expense, adding it to its project's spend
+ * @param {string} expenseId - ID of the expense to approve
+ */
+async function approveExpense(expenseId) {
+    const expense = appState.expenses.find(e => e.id === expenseId);
+    
+    if (!expense || !confirmAction(`Approve ${formatCurrency(expense.amount)} for "${expense.description}"? Approved expenses can no longer be changed.`)) {
+        return;
+    }
+    
+    try {
+        await fetchAPI(`/expenses/${expenseId}/approve`, {
+            method: 'POST',
+            body: JSON.stringify({})
+        });
+        
+        showNotification('Expense approved', 'success');
+        await reloadExpenses();
+    } catch (error) {
+        console.error('Error approving expense:', error);
+        showNotification(error.message || 'Failed to approve expense', 'error');
+    }
+}
+
+/**
+ * Opens the modal asking why an expense is rejected
+ * @param {string} expenseId - ID of the expense to reject
+ */
+function openRejectModal(expenseId) {
+    const expense = appState.expenses.find(e => e.id === expenseId);
+    
+    if (!expense) return;
+    
+    resetForm('rejectForm');
+    document.getElementById('rejectModalTitle').textContent = `Reject "${expense.description}"`;
+    document.getElementById('rejectExpenseId').value = expense.id;
+    
+    openModal('rejectModal');
+}
+
+/**
+ * Closes the reject modal
+ */
+function closeRejectModal() {
+    closeModal('rejectModal');
+    resetForm('rejectForm');
+}
+
+/**
+ * Handles reject form submission
+ * @param {Event} event - Form submit event
+ */
+async function handleRejectSubmit(event) {
+    event.preventDefault();
+    
+    try {
+        await fetchAPI(`/expenses/${document.getElementById('rejectExpenseId').value}/reject`, {
+            method: 'POST',
+            body: JSON.stringify({ reason: document.getElementById('rejectReason').value.trim() })
+        });
+        
+        showNotification('Expense sent back for correction', 'success');
+        closeRejectModal();
+        await reloadExpenses();
+    } catch (error) {
+        console.error('Error rejecting expense:', error);
+        showSaveError(error, 'rejectForm', { reason: 'rejectReason' }, 'Failed to reject expense');
+    }
+}
\ No newline at end of file
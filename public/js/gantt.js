@@ -0,0 +1,451 @@
+/**
+ * Gantt Chart Module
+ *
+ * Draws tasks on a timeline as an SVG Gantt chart, used by the Projects and Tasks pages:
+ * - A row per project (its planned span and milestones), followed by a row per task
+ * - Arrows from each task to the tasks that depend on it
+ * - Diamonds for project milestones and a line for today
+ * - Task bars can be dragged to move a task; the new dates are saved with PUT /api/tasks/:id
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Chart dimensions in pixels
+ */
+const GANTT_LAYOUT = {
+    labelWidth: 240,
+    dayWidth: 18,
+    rowHeight: 30,
+    barHeight: 18,
+    headerHeight: 44,
+    paddingDays: 3
+};
+
+/**
+ * Labels of the fields a drag changes, used when showing edit conflicts
+ */
+const GANTT_FIELD_LABELS = {
+    startDate: 'Start Date',
+    dueDate: 'Due Date'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Bar being dragged: { task, group, startX, days, onChange, onSelect }
+ */
+let ganttDrag = null;
+
+// ============================================
+// VIEW TOGGLE
+// ============================================
+
+/**
+ * Sets up the buttons switching a page between its normal view and the timeline
+ * Buttons are in a .view-toggle element and name their view in data-view
+ * @param {Function} onChange - Called after the view changes
+ */
+function setupViewToggle(onChange) {
+    document.querySelectorAll('.view-toggle button').forEach(button => {
+        button.addEventListener('click', () => {
+            document.querySelectorAll('.view-toggle button').forEach(other => {
+                other.classList.toggle('active', other === button);
+            });
+            onChange();
+        });
+    });
+}
+
+/**
+ * Gets the view selected with the view toggle
+ * @returns {string} The active button's data-view (e.g. 'timeline')
+ */
+function getSelectedView() {
+    const active = document.querySelector('.view-toggle button.active');
+    return active ? active.dataset.view : null;
+}
+
+// ============================================
+// DATE HELPERS
+// ============================================
+
+/**
+ * Converts a date to a day number (whole UTC days since 1970-01-01)
+ * @param {string} dateString - Date (YYYY-MM-DD or ISO date/time)
+ * @returns {number} Day number
+ */
+function toGanttDay(dateString) {
+    return Math.floor(Date.parse(dateString.slice(0, 10)) / MS_PER_DAY);
+}
+
+/**
+ * Converts a day number back to a date
+ * @param {number} day - Day number
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function fromGanttDay(day) {
+    return new Date(day * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Draws the Gantt chart
+ * @param {HTMLElement} container - Element to draw into
+ * @param {Array} tasks - Tasks to show
+ * @param {Array} projects - Projects to group them under (projects without tasks are skipped
+ *   unless they have milestones)
+ * @param {Object} [options] - { onChange: called after a task was moved,
+ *   onSelect: called with a task ID when a bar is clicked }
+ */
+function renderGantt(container, tasks, projects, options = {}) {
+    const rows = buildGanttRows(tasks, projects);
+    
+    if (rows.length === 0) {
+        showEmptyState(container, 'No tasks to show on the timeline');
+        return;
+    }
+    
+    const { labelWidth, dayWidth, rowHeight, headerHeight, paddingDays } = GANTT_LAYOUT;
+    
+    // Time range covering every bar and milestone, with some space on both sides
+    const days = [];
+    rows.forEach(row => {
+        if (row.task) {
+            days.push(toGanttDay(row.task.startDate), toGanttDay(row.task.dueDate));
+        } else {
+            days.push(toGanttDay(row.project.startDate), toGanttDay(row.project.endDate));
+            (row.project.milestones || []).forEach(milestone => days.push(toGanttDay(milestone.dueDate)));
+        }
+    });
+    const firstDay = Math.min(...days) - paddingDays;
+    const lastDay = Math.max(...days) + paddingDays;
+    
+    const width = labelWidth + (lastDay - firstDay + 1) * dayWidth;
+    const height = headerHeight + rows.length * rowHeight;
+    const x = day => labelWidth + (day - firstDay) * dayWidth;
+    const rowY = index => headerHeight + index * rowHeight;
+    
+    const rowIndex = new Map();
+    rows.forEach((row, index) => {
+        if (row.task) rowIndex.set(row.task.id, index);
+    });
+    
+    container.innerHTML = `
+        <svg class="gantt-chart" width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+            <defs>
+                <marker id="ganttArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                    <path d="M 0 0 L 10 5 L 0 10 z" class="gantt-arrow-head"></path>
+                </marker>
+            </defs>
+            ${renderGanttGrid(firstDay, lastDay, x, height)}
+            ${rows.map((row, index) => `
+                <rect class="gantt-row ${row.task ? '' : 'gantt-project-row'}" x="0" y="${rowY(index)}" width="${width}" height="${rowHeight}"></rect>
+            `).join('')}
+            ${renderGanttDependencies(rows, rowIndex, x, rowY)}
+            ${rows.map((row, index) => row.task
+                ? renderGanttTask(row.task, x, rowY(index))
+                : renderGanttProject(row.project, x, rowY(index))
+            ).join('')}
+            ${renderGanttToday(firstDay, lastDay, x, height)}
+        </svg>
+    `;
+    
+    const svg = container.querySelector('svg');
+    svg.addEventListener('pointerdown', event => startGanttDrag(event, tasks, options));
+    svg.addEventListener('pointermove', moveGanttDrag);
+    svg.addEventListener('pointerup', endGanttDrag);
+    svg.addEventListener('pointercancel', cancelGanttDrag);
+}
+
+/**
+ * Orders the chart rows: each project, then its tasks by start date
+ * @param {Array} tasks - Tasks to show
+ * @param {Array} projects - Projects to group them under
+ * @returns {Array} Rows as { project } or { task }
+ */
+function buildGanttRows(tasks, projects) {
+    const rows = [];
+    const sortedProjects = [...projects].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    
+    sortedProjects.forEach(project => {
+        const projectTasks = tasks
+            .filter(task => task.projectId === project.id)
+            .sort((a, b) => a.startDate.localeCompare(b.startDate));
+        
+        if (projectTasks.length === 0 && !(project.milestones && project.milestones.length > 0)) {
+            return;
+        }
+        
+        rows.push({ project });
+        projectTasks.forEach(task => rows.push({ task }));
+    });
+    
+    return rows;
+}
+
+/**
+ * Draws the date header and the week lines
+ * @param {number} firstDay - First day shown
+ * @param {number} lastDay - Last day shown
+ * @param {Function} x - Converts a day number to an x position
+ * @param {number} height - Chart height
+ * @returns {string} SVG markup
+ */
+function renderGanttGrid(firstDay, lastDay, x, height) {
+    const { headerHeight, dayWidth } = GANTT_LAYOUT;
+    const parts = [];
+    
+    for (let day = firstDay; day <= lastDay; day++) {
+        const date = new Date(day * MS_PER_DAY);
+        
+        // Month names on the first of the month (and on the first day shown)
+        if (date.getUTCDate() === 1 || day === firstDay) {
+            const label = date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+            parts.push(`<text class="gantt-month" x="${x(day) + 4}" y="16">${label}</text>`);
+        }
+        
+        // A line and the day of the month at the start of each week (Monday)
+        if (date.getUTCDay() === 1) {
+            parts.push(`<line class="gantt-week" x1="${x(day)}" y1="24" x2="${x(day)}" y2="${height}"></line>`);
+            parts.push(`<text class="gantt-day" x="${x(day) + 3}" y="${headerHeight - 6}">${date.getUTCDate()}</text>`);
+        }
+    }
+    
+    parts.push(`<line class="gantt-header-line" x1="0" y1="${headerHeight}" x2="${x(lastDay) + dayWidth}" y2="${headerHeight}"></line>`);
+    return parts.join('');
+}
+
+/**
+ * Draws a project row: its name, planned span and milestones
+ * @param {Object} project - Project
+ * @param {Function} x - Converts a day number to an x position
+ * @param {number} y - Top of the row
+ * @returns {string} SVG markup
+ */
+function renderGanttProject(project, x, y) {
+    const { rowHeight, dayWidth } = GANTT_LAYOUT;
+    const middle = y + rowHeight / 2;
+    const start = x(toGanttDay(project.startDate));
+    const end = x(toGanttDay(project.endDate)) + dayWidth;
+    
+    return `
+        <text class="gantt-label gantt-project-label" x="8" y="${middle + 4}">
+            📁 ${escapeHtml(truncateGanttLabel(project.name))}
+            <title>${escapeHtml(project.name)}</title>
+        </text>
+        <rect class="gantt-project-bar" x="${start}" y="${middle - 3}" width="${end - start}" height="6" rx="3">
+            <title>${escapeHtml(project.name)}: ${formatDate(project.startDate)} - ${formatDate(project.endDate)}</title>
+        </rect>
+        ${(project.milestones || []).map(milestone => {
+            const cx = x(toGanttDay(milestone.dueDate)) + dayWidth / 2;
+            return `
+                <polygon class="gantt-milestone ${milestone.status === 'completed' ? 'completed' : ''}"
+                    points="${cx},${middle - 8} ${cx + 8},${middle} ${cx},${middle + 8} ${cx - 8},${middle}">
+                    <title>◆ ${escapeHtml(milestone.name)} (${formatDate(milestone.dueDate)})</title>
+                </polygon>
+            `;
+        }).join('')}
+    `;
+}
+
+/**
+ * Draws a task row: its title and bar
+ * @param {Object} task - Task
+ * @param {Function} x - Converts a day number to an x position
+ * @param {number} y - Top of the row
+ * @returns {string} SVG markup
+ */
+function renderGanttTask(task, x, y) {
+    const { rowHeight, barHeight, dayWidth } = GANTT_LAYOUT;
+    const start = x(toGanttDay(task.startDate));
+    const end = x(toGanttDay(task.dueDate)) + dayWidth;
+    const top = y + (rowHeight - barHeight) / 2;
+    const classes = ['gantt-task', `status-${task.statusCategory}`];
+    
+    if (task.blocked) classes.push('blocked');
+    if (canEditTask(task)) classes.push('draggable');
+    
+    return `
+        <text class="gantt-label" x="20" y="${y + rowHeight / 2 + 4}">
+            ${escapeHtml(truncateGanttLabel(task.title))}
+            <title>${escapeHtml(task.title)}</title>
+        </text>
+        <g class="${classes.join(' ')}" data-task-id="${task.id}">
+            <rect x="${start}" y="${top}" width="${end - start}" height="${barHeight}" rx="4"></rect>
+            <title>${escapeHtml(task.title)}: ${formatDate(task.startDate)} - ${formatDate(task.dueDate)}${task.blocked ? ' (blocked)' : ''}</title>
+        </g>
+    `;
+}
+
+/**
+ * Draws an arrow from each task to the tasks depending on it
+ * @param {Array} rows - Chart rows
+ * @param {Map} rowIndex - Row number of each task, keyed by task ID
+ * @param {Function} x - Converts a day number to an x position
+ * @param {Function} rowY - Gets the top of a row
+ * @returns {string} SVG markup
+ */
+function renderGanttDependencies(rows, rowIndex, x, rowY) {
+    const { rowHeight, dayWidth } = GANTT_LAYOUT;
+    const arrows = [];
+    
+    rows.filter(row => row.task).forEach(row => {
+        (row.task.dependencies || []).forEach(id => {
+            if (!rowIndex.has(id)) return;
+            
+            const predecessor = rows[rowIndex.get(id)].task;
+            const fromX = x(toGanttDay(predecessor.dueDate)) + dayWidth;
+            const fromY = rowY(rowIndex.get(id)) + rowHeight / 2;
+            const toX = x(toGanttDay(row.task.startDate));
+            const toY = rowY(rowIndex.get(row.task.id)) + rowHeight / 2;
+            
+            // Out of the end of the predecessor, down to the successor's row, into its start
+            const bendX = fromX + 8;
+            arrows.push(`
+                <path class="gantt-dependency" marker-end="url(#ganttArrow)"
+                    d="M ${fromX} ${fromY} H ${bendX} V ${toY} H ${Math.max(toX, bendX + 8)}"></path>
+            `);
+        });
+    });
+    
+    return arrows.join('');
+}
+
+/**
+ * Draws the line marking today, if today is within the chart
+ * @param {number} firstDay - First day shown
+ * @param {number} lastDay - Last day shown
+ * @param {Function} x - Converts a day number to an x position
+ * @param {number} height - Chart height
+ * @returns {string} SVG markup
+ */
+function renderGanttToday(firstDay, lastDay, x, height) {
+    const today = toGanttDay(new Date().toISOString());
+    
+    if (today < firstDay || today > lastDay) {
+        return '';
+    }
+    
+    const todayX = x(today) + GANTT_LAYOUT.dayWidth / 2;
+    return `
+        <line class="gantt-today" x1="${todayX}" y1="24" x2="${todayX}" y2="${height}"></line>
+        <text class="gantt-today-label" x="${todayX + 4}" y="${GANTT_LAYOUT.headerHeight - 6}">Today</text>
+    `;
+}
+
+/**
+ * Shortens a label to fit the label column
+ * @param {string} text - Label text
+ * @returns {string} Text of at most 30 characters
+ */
+function truncateGanttLabel(text) {
+    return text.length > 30 ? `${text.slice(0, 29)}…` : text;
+}
+
+// ============================================
+// DRAG TO RESCHEDULE
+// ============================================
+
+/**
+ * Starts dragging a task bar
+ * @param {PointerEvent} event - Pointer event on the chart
+ * @param {Array} tasks - Tasks shown on the chart
+ * @param {Object} options - Chart options ({ onChange, onSelect })
+ */
+function startGanttDrag(event, tasks, options) {
+    const group = event.target.closest('.gantt-task');
+    if (!group) return;
+    
+    const task = tasks.find(t => t.id === group.dataset.taskId);
+    if (!task) return;
+    
+    ganttDrag = {
+        task,
+        group,
+        startX: event.clientX,
+        days: 0,
+        draggable: group.classList.contains('draggable'),
+        ...options
+    };
+    
+    group.setPointerCapture(event.pointerId);
+    event.preventDefault();
+}
+
+/**
+ * Moves the dragged bar in whole days
+ * @param {PointerEvent} event - Pointer event on the chart
+ */
+function moveGanttDrag(event) {
+    if (!ganttDrag || !ganttDrag.draggable) return;
+    
+    ganttDrag.days = Math.round((event.clientX - ganttDrag.startX) / GANTT_LAYOUT.dayWidth);
+    ganttDrag.group.setAttribute('transform', `translate(${ganttDrag.days * GANTT_LAYOUT.dayWidth}, 0)`);
+    ganttDrag.group.classList.toggle('dragging', ganttDrag.days !== 0);
+}
+
+/**
+ * Drops the dragged bar, saving the new dates, or treats it as a click if it did not move
+ */
+async function endGanttDrag() {
+    if (!ganttDrag) return;
+    
+    const { task, days, onChange, onSelect } = ganttDrag;
+    ganttDrag = null;
+    
+    if (days === 0) {
+        if (onSelect) onSelect(task.id);
+        return;
+    }
+    
+    await rescheduleTask(task, days);
+    if (onChange) await onChange();
+}
+
+/**
+ * Puts the dragged bar back where it was
+ */
+function cancelGanttDrag() {
+    if (!ganttDrag) return;
+    
+    ganttDrag.group.removeAttribute('transform');
+    ganttDrag.group.classList.remove('dragging');
+    ganttDrag = null;
+}
+
+/**
+ * Moves a task by a number of days, keeping its duration
+ * Saves against the version the chart was drawn from, so edits made by someone
+ * else in the meantime go through the usual conflict dialog
+ * @param {Object} task - Task to move
+ * @param {number} days - Days to move it (negative moves it earlier)
+ */
+async function rescheduleTask(task, days) {
+    const changes = {
+        startDate: fromGanttDay(toGanttDay(task.startDate) + days),
+        dueDate: fromGanttDay(toGanttDay(task.dueDate) + days)
+    };
+    
+    try {
+        const saved = await saveWithConflictCheck(`/tasks/${task.id}`, changes, task.version, {
+            title: task.title,
+            fields: GANTT_FIELD_LABELS
+        });
+        
+        if (saved) {
+            showNotification(`"${task.title}" moved to ${formatDate(changes.startDate)} - ${formatDate(changes.dueDate)}`, 'success');
+        } else {
+            showNotification('Your changes were discarded and the saved version kept', 'info');
+        }
+    } catch (error) {
+        console.error('Error rescheduling task:', error);
+        const fields = error.data && error.data.fields;
+        showNotification(fields ? Object.values(fields).join('. ') : error.message || 'Failed to reschedule task', 'error');
+    }
+}
@@ -0,0 +1,388 @@
+/**
+ * Notification Center Module
+ *
+ * The bell in the header of every page:
+ * - Shows how many notifications are unread and lists the latest in a dropdown
+ * - Opens the task or project a notification is about and marks it read
+ * - Lets users choose which notifications they receive, in the app and by email
+ * - Watch buttons on tasks and projects, to hear when their status changes
+ *
+ * New notifications arrive over the live update stream (see realtime.js).
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * How many notifications the dropdown lists
+ */
+const NOTIFICATION_LIST_SIZE = 15;
+
+/**
+ * Icon shown for each kind of notification
+ */
+const NOTIFICATION_ICONS = {
+    assigned: '👤',
+    dueSoon: '⏰',
+    overdue: '⚠️',
+    status: '🔄',
+    budget: '💰'
+};
+
+/**
+ * Notification center state
+ * - items:       latest notifications, newest first
+ * - unreadCount: how many of the user's notifications are unread
+ * - settings:    { types, watching, available } from the server (null until loaded)
+ * - view:        what the dropdown shows ('list' or 'settings'), null while closed
+ */
+const notificationState = {
+    items: [],
+    unreadCount: 0,
+    settings: null,
+    view: null
+};
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    const bell = document.getElementById('notificationBellBtn');
+    if (!bell || !getAuthToken()) return;
+    
+    bell.addEventListener('click', () => {
+        if (notificationState.view) {
+            closeNotificationDropdown();
+        } else {
+            openNotificationDropdown('list');
+        }
+    });
+    
+    // Clicks in the dropdown re-render it, so keep them from reaching the document,
+    // where any click closes it
+    bell.closest('.notification-bell').addEventListener('click', event => event.stopPropagation());
+    document.addEventListener('click', () => {
+        if (notificationState.view) closeNotificationDropdown();
+    });
+    
+    addLiveListener('notification', receiveNotification);
+    loadNotifications();
+    loadNotificationSettings();
+    
+    // Opened from the settings link in an email (?notifications=settings)
+    if (new URLSearchParams(window.location.search).get('notifications') === 'settings') {
+        openNotificationDropdown('settings');
+    }
+});
+
+/**
+ * Loads the latest notifications and the unread count
+ */
+async function loadNotifications() {
+    try {
+        const result = await fetchAPI(`/notifications?limit=${NOTIFICATION_LIST_SIZE}`);
+        notificationState.items = result.items;
+        notificationState.unreadCount = result.unreadCount;
+        renderNotificationCenter();
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+    }
+}
+
+/**
+ * Loads the user's notification settings (which also say what they watch)
+ */
+async function loadNotificationSettings() {
+    try {
+        notificationState.settings = await fetchAPI('/notifications/settings');
+        updateWatchButtons();
+        if (notificationState.view === 'settings') renderNotificationCenter();
+    } catch (error) {
+        console.error('Error loading notification settings:', error);
+    }
+}
+
+/**
+ * Adds a notification pushed over the live update stream
+ * @param {Object} notification - The new notification
+ */
+function receiveNotification(notification) {
+    notificationState.items = [notification, ...notificationState.items].slice(0, NOTIFICATION_LIST_SIZE);
+    notificationState.unreadCount++;
+    renderNotificationCenter();
+    showNotification(`${NOTIFICATION_ICONS[notification.type] || '🔔'} ${notification.title}`, 'info');
+}
+
+// ============================================
+// DROPDOWN
+// ============================================
+
+/**
+ * Opens the dropdown
+ * @param {string} view - 'list' or 'settings'
+ */
+function openNotificationDropdown(view) {
+    notificationState.view = view;
+    renderNotificationCenter();
+}
+
+/**
+ * Closes the dropdown
+ */
+function closeNotificationDropdown() {
+    notificationState.view = null;
+    renderNotificationCenter();
+}
+
+/**
+ * Renders the unread count on the bell and the open dropdown
+ */
+function renderNotificationCenter() {
+    const count = document.getElementById('notificationCount');
+    const dropdown = document.getElementById('notificationDropdown');
+    if (!count || !dropdown) return;
+    
+    count.textContent = notificationState.unreadCount > 99 ? '99+' : notificationState.unreadCount;
+    count.style.display = notificationState.unreadCount > 0 ? '' : 'none';
+    
+    dropdown.style.display = notificationState.view ? '' : 'none';
+    if (notificationState.view === 'list') {
+        dropdown.innerHTML = renderNotificationList();
+    } else if (notificationState.view === 'settings') {
+        dropdown.innerHTML = renderNotificationSettings();
+    }
+}
+
+/**
+ * Renders the list of notifications
+ * @returns {string} HTML string
+ */
+function renderNotificationList() {
+    const items = notificationState.items;
+    
+    return `
+        <div class="notification-dropdown-header">
+            <strong>Notifications</strong>
+            <div class="notification-dropdown-actions">
+                ${notificationState.unreadCount > 0 ? `
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="markAllNotificationsRead()">Mark all read</button>
+                ` : ''}
+                <button type="button" class="btn btn-secondary btn-sm" onclick="openNotificationDropdown('settings')" title="Notification settings">⚙️</button>
+            </div>
+        </div>
+        <div class="notification-list">
+            ${items.length === 0 ? '<div class="empty-state">You\'re all caught up</div>' : items.map(item => `
+                <div class="notification-entry ${item.read ? '' : 'unread'}" onclick="openNotificationTarget('${item.id}')">
+                    <span class="notification-icon">${NOTIFICATION_ICONS[item.type] || '🔔'}</span>
+                    <div class="notification-body">
+                        <div class="notification-title">${escapeHtml(item.title)}</div>
+                        <div class="notification-message">${escapeHtml(item.message)}</div>
+                        <div class="notification-meta">
+                            ${formatDateTime(item.createdAt)}
+                            <button type="button" class="notification-toggle-read"
+                                onclick="event.stopPropagation(); setNotificationRead('${item.id}', ${!item.read})">
+                                ${item.read ? 'Mark unread' : 'Mark read'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Renders the checkboxes choosing which notifications to receive, in the app and by email
+ * Emails only go out for notifications received in the app, so their box is disabled
+ * while the app one is off
+ * @returns {string} HTML string
+ */
+function renderNotificationSettings() {
+    const settings = notificationState.settings;
+    
+    const checkbox = (field, type, disabled) => `
+        <input type="checkbox" ${settings[field][type] ? 'checked' : ''} ${disabled ? 'disabled' : ''}
+            onchange="saveNotificationChoice('${field}', '${type}', this.checked)">
+    `;
+    
+    return `
+        <div class="notification-dropdown-header">
+            <strong>Notify me when</strong>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="openNotificationDropdown('list')">← Back</button>
+        </div>
+        <div class="notification-settings">
+            ${!settings ? '<div class="loading">Loading settings...</div>' : `
+                <div class="notification-setting notification-setting-header">
+                    <span></span>
+                    <span>In app</span>
+                    <span>Email</span>
+                </div>
+                ${settings.available.map(({ type, label, channels }) => `
+                    <div class="notification-setting">
+                        <span>${NOTIFICATION_ICONS[type] || '📧'} ${escapeHtml(label)}</span>
+                        <span>${channels.includes('app') ? checkbox('types', type, false) : ''}</span>
+                        <span>${checkbox('email', type, channels.includes('app') && !settings.types[type])}</span>
+                    </div>
+                `).join('')}
+            `}
+            <p class="notification-settings-hint">
+                Use the Watch button on a task or project to hear when its status changes.
+            </p>
+        </div>
+    `;
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+/**
+ * Marks a notification as read or unread
+ * @param {string} id - Notification ID
+ * @param {boolean} read - True for read, false for unread
+ */
+async function setNotificationRead(id, read) {
+    try {
+        const updated = await fetchAPI(`/notifications/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ read })
+        });
+        
+        const index = notificationState.items.findIndex(item => item.id === id);
+        if (index !== -1 && notificationState.items[index].read !== updated.read) {
+            notificationState.items[index] = updated;
+            notificationState.unreadCount += updated.read ? -1 : 1;
+        }
+        renderNotificationCenter();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Marks all of the user's notifications as read
+ */
+async function markAllNotificationsRead() {
+    try {
+        await fetchAPI('/notifications/read-all', { method: 'POST' });
+        
+        notificationState.items = notificationState.items.map(item => ({ ...item, read: true }));
+        notificationState.unreadCount = 0;
+        renderNotificationCenter();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Marks a notification read and opens the task or project it is about
+ * @param {string} id - Notification ID
+ */
+async function openNotificationTarget(id) {
+    const notification = notificationState.items.find(item => item.id === id);
+    if (!notification) return;
+    
+    if (!notification.read) {
+        await setNotificationRead(id, true);
+    }
+    
+    window.location.href = notification.entity === 'project'
+        ? `projects.html?project=${encodeURIComponent(notification.entityId)}`
+        : `tasks.html?task=${encodeURIComponent(notification.entityId)}`;
+}
+
+/**
+ * Turns one kind of notification on or off, in the app or by email
+ * @param {string} field - 'types' for the app, 'email' for email
+ * @param {string} type - Notification type (or 'digest' for the daily digest email)
+ * @param {boolean} enabled - Whether to receive it
+ */
+async function saveNotificationChoice(field, type, enabled) {
+    try {
+        const settings = await fetchAPI('/notifications/settings', {
+            method: 'PUT',
+            body: JSON.stringify({ [field]: { [type]: enabled } })
+        });
+        
+        notificationState.settings = { ...notificationState.settings, ...settings };
+        showNotification('Notification settings saved', 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    renderNotificationCenter();
+}
+
+// ============================================
+// WATCHING
+// ============================================
+
+/**
+ * Checks whether the user watches a task or project
+ * @param {string} entity - 'task' or 'project'
+ * @param {string} entityId - ID of the task or project
+ * @returns {boolean} True if they do
+ */
+function isWatching(entity, entityId) {
+    const settings = notificationState.settings;
+    return Boolean(settings) && settings.watching.some(item => item.entity === entity && item.entityId === entityId);
+}
+
+/**
+ * Renders a button to watch or stop watching a task or project
+ * @param {string} entity - 'task' or 'project'
+ * @param {string} entityId - ID of the task or project
+ * @returns {string} HTML string
+ */
+function renderWatchButton(entity, entityId) {
+    return `
+        <button type="button" class="btn btn-secondary" data-watch="${entity}:${entityId}"
+            onclick="toggleWatching('${entity}', '${entityId}')">
+            ${getWatchButtonLabel(entity, entityId)}
+        </button>
+    `;
+}
+
+/**
+ * Gets the label of a watch button
+ * @param {string} entity - 'task' or 'project'
+ * @param {string} entityId - ID of the task or project
+ * @returns {string} Button label
+ */
+function getWatchButtonLabel(entity, entityId) {
+    return isWatching(entity, entityId) ? '🔕 Unwatch' : '👁️ Watch';
+}
+
+/**
+ * Refreshes the labels of the watch buttons on the page
+ */
+function updateWatchButtons() {
+    document.querySelectorAll('[data-watch]').forEach(button => {
+        const [entity, entityId] = button.dataset.watch.split(':');
+        button.textContent = getWatchButtonLabel(entity, entityId);
+    });
+}
+
+/**
+ * Starts or stops watching a task or project
+ * @param {string} entity - 'task' or 'project'
+ * @param {string} entityId - ID of the task or project
+ */
+async function toggleWatching(entity, entityId) {
+    const watching = isWatching(entity, entityId);
+    
+    try {
+        const settings = await fetchAPI(`/notifications/watching/${entity}/${entityId}`, {
+            method: watching ? 'DELETE' : 'PUT'
+        });
+        
+        notificationState.settings = { ...notificationState.settings, ...settings };
+        updateWatchButtons();
+        showNotification(watching
+            ? `You will no longer be notified about this ${entity}`
+            : `You will be notified when this ${entity}'s status changes`, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
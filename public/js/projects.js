@@ -2,10 +2,12 @@
  * Projects Management Module
  * 
  * This file handles all project-related functionality including:
- * - Loading and displaying projects
+ * - Loading and displaying projects as cards (a page at a time) or on a timeline
  * - Creating new projects
  * - Editing existing projects
- * - Deleting projects
+ * - Deleting projects (to the trash) and restoring them
+ * - Archiving completed projects
+ * - Managing project milestones and their progress
  * - Filtering and searching projects
  */
 
@@ -13,6 +15,58 @@
 // INITIALIZATION
 // ============================================
 
+/**
+ * Labels for the project form fields, used when showing edit conflicts
+ */
+const PROJECT_FIELD_LABELS = {
+    name: 'Project Name',
+    description: 'Description',
+    status: 'Status',
+    priority: 'Priority',
+    startDate: 'Start Date',
+    endDate: 'End Date',
+    budget: 'Budget',
+    department: 'Department',
+    workflowId: 'Workflow'
+};
+
+/**
+ * Form input IDs for each project field, used to show validation messages
+ */
+const PROJECT_FIELD_INPUTS = {
+    name: 'projectName',
+    description: 'projectDescription',
+    status: 'projectStatus',
+    priority: 'projectPriority',
+    startDate: 'projectStartDate',
+    endDate: 'projectEndDate',
+    budget: 'projectBudget',
+    department: 'projectDepartment',
+    workflowId: 'projectWorkflow'
+};
+
+/**
+ * The project cards and timeline, keyed by view; each loads the filtered projects
+ * from the server a page at a time (created when first shown)
+ */
+const projectViews = {};
+
+/**
+ * Tasks of the projects loaded onto the timeline, keyed by project ID
+ * Loaded with each page of projects (see loadTimelineTasks) and kept up to date by live changes
+ */
+const timelineTasks = new Map();
+
+/**
+ * Form input IDs for each milestone field, used to show validation messages
+ */
+const MILESTONE_FIELD_INPUTS = {
+    name: 'milestoneName',
+    description: 'milestoneDescription',
+    dueDate: 'milestoneDueDate',
+    status: 'milestoneStatus'
+};
+
 /**
  * Initialize the projects page
  */
@@ -29,6 +83,9 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Load initial data
     await loadAllData();
     
+    // Populate workflow dropdown
+    populateWorkflowOptions();
+    
     // Render projects
     renderProjects();
     
@@ -37,18 +94,27 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     // Set up filters
     setupFilters(renderProjects);
+    
+    // Show changes made by others as they happen
+    startLiveUpdates({ collections: ['projects', 'tasks'], includeArchived: true, onChange: handleLiveChange });
+    
+    // Opened from a notification - show the project (?project=<id>)
+    const linkedProjectId = new URLSearchParams(window.location.search).get('project');
+    if (linkedProjectId) {
+        viewProject(linkedProjectId);
+    }
 });
 
 /**
  * Load all necessary data for the projects page
+ * The views load their own projects a page at a time (see getProjectView), each with
+ * its task counts; appState.projects keeps the ones loaded, for lookups by ID
  */
 async function loadAllData() {
     try {
-        // Load projects, users, and tasks in parallel
         await Promise.all([
-            loadProjects(),
             loadUsers(),
-            loadTasks()
+            loadWorkflows()
         ]);
     } catch (error) {
         console.error('Error loading data:', error);
@@ -56,6 +122,37 @@ async function loadAllData() {
     }
 }
 
+/**
+ * Populates the workflow dropdown in the project form
+ */
+function populateWorkflowOptions() {
+    const projectWorkflow = document.getElementById('projectWorkflow');
+    
+    if (!projectWorkflow) return;
+    
+    projectWorkflow.innerHTML = appState.workflows.map(workflow =>
+        `<option value="${workflow.id}">${escapeHtml(workflow.name)}</option>`
+    ).join('');
+}
+
+/**
+ * Formats a project field for the edit conflict dialog
+ * Shows the workflow's name instead of its ID
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatProjectFieldValue(field, value) {
+    if (field === 'workflowId') {
+        const workflow = getWorkflowById(value);
+        return workflow ? workflow.name : formatConflictValue(value);
+    }
+    if (field === 'milestones' && Array.isArray(value)) {
+        return value.length > 0 ? value.map(milestone => milestone.name).join(', ') : '(none)';
+    }
+    return formatConflictValue(value);
+}
+
 /**
  * Set up event listeners for buttons and forms
  */
@@ -72,6 +169,33 @@ function setupEventListeners() {
         projectForm.addEventListener('submit', handleProjectSubmit);
     }
     
+    // Milestone form submission
+    const milestoneForm = document.getElementById('milestoneForm');
+    if (milestoneForm) {
+        milestoneForm.addEventListener('submit', handleMilestoneSubmit);
+    }
+    
+    // Trash button
+    const trashBtn = document.getElementById('projectTrashBtn');
+    if (trashBtn) {
+        trashBtn.addEventListener('click', () => openTrash('projects', reloadProjects));
+    }
+    
+    // Current/archived switch
+    const archiveFilter = document.getElementById('archiveFilter');
+    if (archiveFilter) {
+        archiveFilter.addEventListener('change', renderProjects);
+    }
+    
+    // Card order
+    const sortFilter = document.getElementById('sortFilter');
+    if (sortFilter) {
+        sortFilter.addEventListener('change', renderProjects);
+    }
+    
+    // Cards / Timeline switch
+    setupViewToggle(renderProjects);
+    
     // Logout button
     const logoutBtn = document.getElementById('logoutBtn');
     if (logoutBtn) {
@@ -91,60 +215,236 @@ function renderProjects() {
     
     if (!container) return;
     
-    // Get filter values
-    const filters = getFilterValues();
+    // Show either the cards or the timeline of the projects' tasks
+    const showTimeline = getSelectedView() === 'timeline';
+    container.style.display = showTimeline ? 'none' : '';
+    document.getElementById('projectsTimeline').style.display = showTimeline ? '' : 'none';
+    
+    // Both are filtered, sorted and paged by the server
+    getProjectView(getProjectViewName()).reload();
+}
+
+/**
+ * Gets the name of the project view shown
+ * @returns {string} 'cards' or 'timeline'
+ */
+function getProjectViewName() {
+    return getSelectedView() === 'timeline' ? 'timeline' : 'cards';
+}
+
+/**
+ * Draws the loaded projects and their tasks on the timeline
+ * @param {HTMLElement} container - Element to draw into
+ * @param {Array} projects - Projects loaded so far
+ */
+function renderProjectTimeline(container, projects) {
+    const tasks = projects.flatMap(project => timelineTasks.get(project.id) || []);
+    renderGantt(container, tasks, projects, {
+        onChange: reloadProjects
+    });
+}
+
+/**
+ * Loads the tasks of a page of projects for the timeline, one request for the page
+ * Projects whose tasks are already loaded are skipped
+ * @param {Array} projects - Projects of the page
+ */
+async function loadTimelineTasks(projects) {
+    const projectIds = projects.map(project => project.id).filter(id => !timelineTasks.has(id));
+    if (projectIds.length === 0) return;
     
-    // Apply filters to projects
-    const filteredProjects = applyFilters(
-        appState.projects,
-        filters,
-        ['name', 'description', 'department']
-    );
+    const params = new URLSearchParams({ projectId: projectIds.join(','), includeArchived: 'true' });
+    const tasks = await fetchAPI(`/tasks?${params}`);
     
-    // Check if there are any projects to display
-    if (filteredProjects.length === 0) {
-        showEmptyState(container, 'No projects found');
-        return;
+    projectIds.forEach(id => timelineTasks.set(id, tasks.filter(task => task.projectId === id)));
+}
+
+/**
+ * Applies a live task change to the timeline's tasks
+ * @param {Object} event - Change event for a task
+ */
+function patchTimelineTask(event) {
+    timelineTasks.forEach((tasks, projectId) => {
+        timelineTasks.set(projectId, tasks.filter(task => task.id !== event.id));
+    });
+    
+    if (event.record && timelineTasks.has(event.record.projectId)) {
+        timelineTasks.get(event.record.projectId).push(event.record);
     }
+}
+
+/**
+ * Checks whether the archive filter shows the archived projects
+ * @returns {boolean} True for archived projects, false for current ones
+ */
+function isShowingArchived() {
+    return document.getElementById('archiveFilter')?.value === 'archived';
+}
+
+/**
+ * Shows a change made by someone else (see startLiveUpdates)
+ * A changed project is swapped in place. When one of its tasks changes, its card is
+ * reloaded since its progress may have, and the timeline redraws the changed task
+ * @param {Object} event - Change event
+ */
+function handleLiveChange(event) {
+    const view = getProjectViewName();
     
-    // Build HTML for all project cards
-    container.innerHTML = filteredProjects.map(project => {
-        const progress = calculateProjectProgress(project.id);
-        const daysRemaining = daysUntil(project.endDate);
-        const isOverdue = daysRemaining < 0;
+    if (event.collection === 'projects') {
+        getProjectView(view).patchItem(event.id, event.record);
+    } else if (view === 'timeline') {
+        patchTimelineTask(event);
+        getProjectView(view).redraw();
+    } else if (getProjectById(event.projectId)) {
+        loadProject(event.projectId).then(project => {
+            if (project) getProjectView(view).patchItem(project.id, project);
+        });
+    }
+}
+
+/**
+ * Gets the infinite list behind a view, creating it the first time
+ * @param {string} view - 'cards' or 'timeline'
+ * @returns {Object} Infinite list (see createInfiniteList)
+ */
+function getProjectView(view) {
+    if (!projectViews[view]) {
+        const layout = view === 'timeline'
+            ? { container: document.getElementById('projectsTimeline'), renderInto: renderProjectTimeline, onPage: loadTimelineTasks }
+            : { container: document.getElementById('projectsGrid'), renderItems: projects => projects.map(renderProjectCard).join('') };
         
-        return `
-            <div class="project-card" onclick="viewProject('${project.id}')">
-                <div class="project-header">
-                    <h3>${escapeHtml(project.name)}</h3>
-                    ${renderStatusBadge(project.status)}
-                </div>
-                <p class="project-description">${escapeHtml(project.description)}</p>
-                <div class="project-meta">
-                    <span>📅 ${formatDate(project.startDate)} - ${formatDate(project.endDate)}</span>
-                    <span>💰 ${formatCurrency(project.budget)}</span>
-                </div>
-                <div class="project-meta">
-                    <span>📊 Progress: ${progress}%</span>
-                    <span ${isOverdue ? 'style="color: #E74C3C;"' : ''}>
-                        ${isOverdue ? '⚠️ Overdue' : `⏱️ ${daysRemaining} days left`}
-                    </span>
-                </div>
-                <div class="project-meta">
-                    <span>🏢 ${escapeHtml(project.department)}</span>
-                    <span class="badge badge-priority-${project.priority}">${project.priority}</span>
-                </div>
-                <div class="project-actions" onclick="event.stopPropagation()">
+        projectViews[view] = createInfiniteList({
+            path: '/projects',
+            getParams: () => ({
+                ...getFilterParams(getFilterValues()),
+                includeArchived: 'true',
+                archived: String(isShowingArchived()),
+                sort: document.getElementById('sortFilter')?.value || '-createdAt'
+            }),
+            ...layout,
+            emptyMessage: 'No projects found',
+            onLoad: (loaded, total) => {
+                projectViews[view].getItems().forEach(rememberProject);
+                if (getProjectViewName() !== view) return;
+                document.getElementById('projectListCount').textContent =
+                    total > 0 ? `Showing ${loaded} of ${total} project(s)` : '';
+            }
+        });
+    }
+    
+    return projectViews[view];
+}
+
+/**
+ * Renders a project card
+ * @param {Object} project - Project
+ * @returns {string} HTML for the card
+ */
+function renderProjectCard(project) {
+    const progress = project.progress;
+    const daysRemaining = daysUntil(project.endDate);
+    const isOverdue = daysRemaining < 0;
+    
+    return `
+        <div class="project-card ${project.archivedAt ? 'archived' : ''}" data-project-id="${project.id}" onclick="viewProject('${project.id}')">
+            <div class="project-header">
+                <h3>${escapeHtml(project.name)}</h3>
+                ${renderStatusBadge(project.status)}
+            </div>
+            <p class="project-description">${escapeHtml(project.description)}</p>
+            <div class="project-meta">
+                <span>📅 ${formatDate(project.startDate)} - ${formatDate(project.endDate)}</span>
+                <span>💰 ${formatCurrency(project.budget)}</span>
+            </div>
+            <div class="project-meta">
+                <span>📊 Progress: ${progress}%</span>
+                <span ${isOverdue ? 'style="color: #E74C3C;"' : ''}>
+                    ${isOverdue ? '⚠️ Overdue' : `⏱️ ${daysRemaining} days left`}
+                </span>
+            </div>
+            <div class="project-meta">
+                <span>🏢 ${escapeHtml(project.department)}</span>
+                <span class="badge badge-priority-${project.priority}">${project.priority}</span>
+            </div>
+            <div class="project-actions" onclick="event.stopPropagation()">
+                ${hasPermission('projects:update') && !project.archivedAt ? `
                     <button class="btn btn-sm btn-primary" onclick="editProject('${project.id}')">
                         ✏️ Edit
                     </button>
+                ` : ''}
+                ${hasPermission('projects:update') && project.status === 'completed' && !project.archivedAt ? `
+                    <button class="btn btn-sm btn-secondary" onclick="archiveProject('${project.id}')">
+                        📦 Archive
+                    </button>
+                ` : ''}
+                ${hasPermission('projects:update') && project.archivedAt ? `
+                    <button class="btn btn-sm btn-secondary" onclick="unarchiveProject('${project.id}')">
+                        📤 Unarchive
+                    </button>
+                ` : ''}
+                ${hasPermission('projects:delete') ? `
                     <button class="btn btn-sm btn-danger" onclick="deleteProject('${project.id}')">
                         🗑️ Delete
                     </button>
-                </div>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders a project's computed schedule: predicted finish and per-task slack
+ * Tasks on the critical path are highlighted
+ * @param {Object|null} schedule - Result of GET /api/projects/:id/schedule (null if it failed to load)
+ * @returns {string} HTML
+ */
+function renderProjectSchedule(schedule) {
+    if (!schedule) {
+        return '<p class="empty-state">Schedule could not be loaded</p>';
+    }
+    
+    if (schedule.tasks.length === 0) {
+        return '<p class="empty-state">No tasks to schedule</p>';
+    }
+    
+    return `
+        ${schedule.slipDays > 0 ? `
+            <div class="schedule-warning">
+                ⚠️ Predicted to finish on ${formatDate(schedule.predictedFinish)},
+                ${schedule.slipDays} day(s) after the planned end date
             </div>
-        `;
-    }).join('');
+        ` : ''}
+        <div class="project-meta" style="margin-bottom: 15px;">
+            <span><strong>Planned End:</strong> ${formatDate(schedule.plannedEnd)}</span>
+            <span><strong>Predicted Finish:</strong> ${formatDate(schedule.predictedFinish)}</span>
+            <span><strong>Critical Tasks:</strong> ${schedule.criticalPath.length}</span>
+        </div>
+        <table class="data-table schedule-table">
+            <thead>
+                <tr>
+                    <th>Task</th>
+                    <th>Status</th>
+                    <th>Earliest Start</th>
+                    <th>Earliest Finish</th>
+                    <th>Latest Finish</th>
+                    <th>Slack</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${schedule.tasks.map(task => `
+                    <tr class="${task.critical ? 'critical-task' : ''}">
+                        <td>${task.critical ? '🔥 ' : ''}${escapeHtml(task.title)}</td>
+                        <td>${renderStatusBadge(task.status, getStatusLabel(schedule.projectId, task.status))}</td>
+                        <td>${formatDate(task.earliestStart)}</td>
+                        <td>${formatDate(task.earliestFinish)}</td>
+                        <td>${formatDate(task.latestFinish)}</td>
+                        <td>${task.slack === null ? '—' : `${task.slack}d`}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="schedule-legend">🔥 Critical path: any delay to these tasks delays the project.</p>
+    `;
 }
 
 // ============================================
@@ -158,8 +458,9 @@ function openCreateProjectModal() {
     // Reset the form
     resetForm('projectForm');
     
-    // Clear the hidden ID field
+    // Clear the hidden ID and version fields
     document.getElementById('projectId').value = '';
+    document.getElementById('projectVersion').value = '';
     
     // Set modal title
     document.getElementById('modalTitle').textContent = 'Create New Project';
@@ -168,6 +469,7 @@ function openCreateProjectModal() {
     document.getElementById('projectStatus').value = 'planning';
     document.getElementById('projectPriority').value = 'medium';
     document.getElementById('projectBudgetSpent').value = '0';
+    document.getElementById('projectWorkflow').value = DEFAULT_WORKFLOW_ID;
     
     // Set default dates (today and 3 months from now)
     const today = new Date().toISOString().split('T')[0];
@@ -199,6 +501,7 @@ function editProject(projectId) {
     
     // Fill form with project data
     document.getElementById('projectId').value = project.id;
+    document.getElementById('projectVersion').value = project.version;
     document.getElementById('projectName').value = project.name;
     document.getElementById('projectDescription').value = project.description;
     document.getElementById('projectStatus').value = project.status;
@@ -206,8 +509,8 @@ function editProject(projectId) {
     document.getElementById('projectStartDate').value = project.startDate;
     document.getElementById('projectEndDate').value = project.endDate;
     document.getElementById('projectBudget').value = project.budget;
-    document.getElementById('projectBudgetSpent').value = project.budgetSpent || 0;
     document.getElementById('projectDepartment').value = project.department;
+    document.getElementById('projectWorkflow').value = project.workflowId || DEFAULT_WORKFLOW_ID;
     
     // Open the modal
     openModal('projectModal');
@@ -222,26 +525,51 @@ function closeProjectModal() {
 }
 
 /**
- * Views detailed information about a project
+ * Views detailed information about a project, loading its latest version
  * @param {string} projectId - ID of the project to view
  */
 async function viewProject(projectId) {
-    const project = getProjectById(projectId);
+    const project = await loadProject(projectId);
     
     if (!project) {
         showNotification('Project not found', 'error');
         return;
     }
     
-    // Get project tasks
-    const projectTasks = getTasksByProject(projectId);
-    const completedTasks = projectTasks.filter(t => t.status === 'completed').length;
-    const progress = calculateProjectProgress(projectId);
+    // Task counts come with the project
+    const workflow = getProjectWorkflow(projectId);
+    const progress = project.progress;
     
     // Get project resources
     const projectResources = getResourcesByProject(projectId);
     const resourceCost = calculateResourceCost(projectResources);
     
+    // Get the computed schedule (critical path and predicted finish)
+    let schedule = null;
+    try {
+        schedule = await fetchAPI(`/projects/${projectId}/schedule`);
+    } catch (error) {
+        console.error('Error loading schedule:', error);
+    }
+    
+    // Get the milestones with their progress from linked tasks
+    let projectMilestones = project.milestones || [];
+    try {
+        projectMilestones = await fetchAPI(`/projects/${projectId}/milestones`);
+    } catch (error) {
+        console.error('Error loading milestones:', error);
+    }
+    
+    // Get the project's open entries in the risk register
+    let projectRisks = [];
+    if (hasPermission('risks:read')) {
+        try {
+            projectRisks = (await fetchAPI(`/risks?projectId=${projectId}`)).filter(risk => risk.status !== 'closed');
+        } catch (error) {
+            console.error('Error loading risks:', error);
+        }
+    }
+    
     // Build detailed view HTML
     const detailsHTML = `
         <div style="padding: 25px;">
@@ -249,6 +577,11 @@ async function viewProject(projectId) {
                 ${renderStatusBadge(project.status)}
                 ${renderPriorityBadge(project.priority)}
             </div>
+            ${project.archivedAt ? `
+                <p style="margin-bottom: 20px;">
+                    📦 Archived on ${formatDateTime(project.archivedAt)} by ${escapeHtml(getUserName(project.archivedBy))}
+                </p>
+            ` : ''}
             
             <h3>Description</h3>
             <p style="margin-bottom: 20px;">${escapeHtml(project.description)}</p>
@@ -271,12 +604,16 @@ async function viewProject(projectId) {
                     ${calculatePercentage(project.budgetSpent || 0, project.budget)}%
                 </div>
             </div>
+            ${hasPermission('expenses:read') ? `
+                <a href="expenses.html?project=${project.id}" class="btn btn-sm btn-secondary" style="margin-top: 10px;">Open in the expense ledger</a>
+            ` : ''}
             
             <h3 style="margin-top: 20px;">Progress</h3>
             <div class="project-meta" style="margin-bottom: 20px;">
-                <span><strong>Total Tasks:</strong> ${projectTasks.length}</span>
-                <span><strong>Completed:</strong> ${completedTasks}</span>
+                <span><strong>Total Tasks:</strong> ${project.taskCount}</span>
+                <span><strong>Completed:</strong> ${project.completedTaskCount}</span>
                 <span><strong>Progress:</strong> ${progress}%</span>
+                ${workflow ? `<span><strong>Workflow:</strong> ${escapeHtml(workflow.name)}</span>` : ''}
             </div>
             <div class="budget-progress">
                 <div class="progress-bar" style="width: ${progress}%">
@@ -284,6 +621,9 @@ async function viewProject(projectId) {
                 </div>
             </div>
             
+            <h3 style="margin-top: 20px;">Schedule</h3>
+            ${renderProjectSchedule(schedule)}
+            
             <h3 style="margin-top: 20px;">Resources</h3>
             <div class="project-meta" style="margin-bottom: 20px;">
                 <span><strong>Team Members:</strong> ${projectResources.length}</span>
@@ -291,43 +631,36 @@ async function viewProject(projectId) {
             </div>
             
             <h3 style="margin-top: 20px;">Milestones</h3>
-            ${project.milestones && project.milestones.length > 0 ? `
-                <div style="margin-top: 10px;">
-                    ${project.milestones.map(milestone => `
-                        <div class="task-item" style="margin-bottom: 10px;">
-                            <div class="task-info">
-                                <h4>${escapeHtml(milestone.name)}</h4>
-                                <p>Due: ${formatDate(milestone.dueDate)}</p>
-                            </div>
-                            <div class="task-meta">
-                                ${renderStatusBadge(milestone.status)}
-                            </div>
-                        </div>
-                    `).join('')}
-                </div>
-            ` : '<p class="empty-state">No milestones defined</p>'}
+            ${renderProjectMilestones(project, projectMilestones)}
             
-            <h3 style="margin-top: 20px;">Risks</h3>
-            ${project.risks && project.risks.length > 0 ? `
+            <h3 style="margin-top: 20px;">Risks &amp; Issues</h3>
+            ${projectRisks.length > 0 ? `
                 <div style="margin-top: 10px;">
-                    ${project.risks.map(risk => `
+                    ${projectRisks.map(risk => `
                         <div class="task-item" style="margin-bottom: 10px;">
                             <div class="task-info">
-                                <h4>${escapeHtml(risk.description)}</h4>
+                                <h4>${risk.type === 'issue' ? '🐞' : '⚠️'} ${escapeHtml(risk.title)}</h4>
+                                <p>${risk.ownerId ? `Owner: ${escapeHtml(getUserName(risk.ownerId))}` : 'No owner'}</p>
                             </div>
                             <div class="task-meta">
-                                <span class="badge badge-priority-${risk.severity}">${risk.severity}</span>
-                                ${renderStatusBadge(risk.status)}
+                                ${renderRiskScore(risk)}
+                                ${renderStatusBadge(risk.status, RISK_STATUS_LABELS[risk.status])}
                             </div>
                         </div>
                     `).join('')}
                 </div>
-            ` : '<p class="empty-state">No risks identified</p>'}
+            ` : '<p class="empty-state">No open risks or issues</p>'}
+            ${hasPermission('risks:read') ? `
+                <a href="risks.html?project=${project.id}" class="btn btn-sm btn-secondary">Open in the risk register</a>
+            ` : ''}
             
             <div style="margin-top: 30px; display: flex; gap: 10px; justify-content: flex-end;">
-                <button class="btn btn-primary" onclick="editProject('${project.id}'); closeViewProjectModal();">
-                    Edit Project
-                </button>
+                ${renderWatchButton('project', project.id)}
+                ${hasPermission('projects:update') ? `
+                    <button class="btn btn-primary" onclick="editProject('${project.id}'); closeViewProjectModal();">
+                        Edit Project
+                    </button>
+                ` : ''}
                 <button class="btn btn-secondary" onclick="closeViewProjectModal()">
                     Close
                 </button>
@@ -337,10 +670,16 @@ async function viewProject(projectId) {
     
     // Set modal content
     document.getElementById('viewProjectName').textContent = project.name;
-    document.getElementById('projectDetails').innerHTML = detailsHTML;
+    document.getElementById('projectDetails').innerHTML = renderHistoryTabs(detailsHTML, {
+        entity: 'project',
+        id: project.id,
+        labels: PROJECT_FIELD_LABELS,
+        formatValue: formatProjectFieldValue
+    });
     
-    // Open the modal
+    // Open the modal and show who else is viewing the project
     openModal('viewProjectModal');
+    setViewingProject(project.id);
 }
 
 /**
@@ -348,6 +687,190 @@ async function viewProject(projectId) {
  */
 function closeViewProjectModal() {
     closeModal('viewProjectModal');
+    setViewingProject(null);
+}
+
+// ============================================
+// MILESTONES
+// ============================================
+
+/**
+ * Renders the milestones section of the project details
+ * @param {Object} project - Project object
+ * @param {Array} projectMilestones - Milestones with progress (from /projects/:id/milestones)
+ * @returns {string} HTML string
+ */
+function renderProjectMilestones(project, projectMilestones) {
+    const canEdit = hasPermission('projects:update') && !project.archivedAt;
+    
+    const list = projectMilestones.length > 0 ? `
+        <div style="margin-top: 10px;">
+            ${projectMilestones.map(milestone => `
+                <div class="task-item milestone-item ${milestone.health || ''}" style="margin-bottom: 10px;">
+                    <div class="task-info">
+                        <h4>${escapeHtml(milestone.name)}</h4>
+                        <p>
+                            Due: ${formatDate(milestone.dueDate)}
+                            ${milestone.taskCount !== undefined ? ` • ${milestone.doneCount} of ${milestone.taskCount} task(s) done` : ''}
+                            ${milestone.predictedFinish ? ` • Predicted: ${formatDate(milestone.predictedFinish)}` : ''}
+                        </p>
+                        ${milestone.progress !== undefined ? `
+                            <div class="budget-progress">
+                                <div class="progress-bar" style="width: ${milestone.progress}%">${milestone.progress}%</div>
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="task-meta">
+                        ${renderStatusBadge(milestone.status)}
+                        ${milestone.health ? renderMilestoneHealth(milestone.health) : ''}
+                        ${canEdit ? `
+                            ${milestone.status !== 'completed' ? `
+                                <button class="btn btn-sm btn-success" onclick="completeMilestone('${project.id}', '${milestone.id}')">Complete</button>
+                            ` : ''}
+                            <button class="btn btn-sm btn-secondary" onclick="openMilestoneModal('${project.id}', '${milestone.id}')">Edit</button>
+                            <button class="btn btn-sm btn-danger" onclick="deleteMilestone('${project.id}', '${milestone.id}')">Delete</button>
+                        ` : ''}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    ` : '<p class="empty-state">No milestones defined</p>';
+    
+    return `
+        ${list}
+        ${canEdit ? `
+            <button class="btn btn-sm btn-primary" onclick="openMilestoneModal('${project.id}')">+ Add Milestone</button>
+        ` : ''}
+    `;
+}
+
+/**
+ * Opens the milestone form to add a milestone or edit an existing one
+ * @param {string} projectId - Project the milestone belongs to
+ * @param {string} [milestoneId] - Milestone to edit (omit to add one)
+ */
+function openMilestoneModal(projectId, milestoneId) {
+    const project = getProjectById(projectId);
+    const milestone = milestoneId ? (project.milestones || []).find(m => m.id === milestoneId) : null;
+    
+    resetForm('milestoneForm');
+    document.getElementById('milestoneModalTitle').textContent = milestone ? 'Edit Milestone' : 'Add Milestone';
+    document.getElementById('milestoneProjectId').value = projectId;
+    document.getElementById('milestoneId').value = milestone ? milestone.id : '';
+    
+    if (milestone) {
+        document.getElementById('milestoneName').value = milestone.name;
+        document.getElementById('milestoneDescription').value = milestone.description || '';
+        document.getElementById('milestoneDueDate').value = milestone.dueDate;
+        document.getElementById('milestoneStatus').value = milestone.status;
+    }
+    
+    openModal('milestoneModal');
+}
+
+/**
+ * Closes the milestone modal
+ */
+function closeMilestoneModal() {
+    closeModal('milestoneModal');
+    resetForm('milestoneForm');
+}
+
+/**
+ * Handles milestone form submission (add or update)
+ * @param {Event} event - Form submit event
+ */
+async function handleMilestoneSubmit(event) {
+    event.preventDefault();
+    
+    const projectId = document.getElementById('milestoneProjectId').value;
+    const milestoneId = document.getElementById('milestoneId').value;
+    const milestoneData = {
+        name: document.getElementById('milestoneName').value.trim(),
+        description: document.getElementById('milestoneDescription').value.trim(),
+        dueDate: document.getElementById('milestoneDueDate').value,
+        status: document.getElementById('milestoneStatus').value
+    };
+    
+    clearFieldErrors('milestoneForm');
+    
+    try {
+        await fetchAPI(`/projects/${projectId}/milestones${milestoneId ? `/${milestoneId}` : ''}`, {
+            method: milestoneId ? 'PUT' : 'POST',
+            body: JSON.stringify(milestoneData)
+        });
+        
+        showNotification(milestoneId ? 'Milestone updated' : 'Milestone added', 'success');
+        closeMilestoneModal();
+        await refreshProjectDetails(projectId);
+    } catch (error) {
+        console.error('Error saving milestone:', error);
+        showSaveError(error, 'milestoneForm', MILESTONE_FIELD_INPUTS, 'Failed to save milestone');
+    }
+}
+
+/**
+ * Marks a milestone completed (refused while linked tasks are unfinished)
+ * @param {string} projectId - Project the milestone belongs to
+ * @param {string} milestoneId - Milestone to complete
+ */
+async function completeMilestone(projectId, milestoneId) {
+    try {
+        await fetchAPI(`/projects/${projectId}/milestones/${milestoneId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ status: 'completed' })
+        });
+        showNotification('Milestone completed', 'success');
+        await refreshProjectDetails(projectId);
+    } catch (error) {
+        console.error('Error completing milestone:', error);
+        const reason = error.data && error.data.fields ? error.data.fields.status : null;
+        showNotification(reason || error.message || 'Failed to complete milestone', 'error');
+    }
+}
+
+/**
+ * Deletes a milestone; its tasks stay in the project without a milestone
+ * @param {string} projectId - Project the milestone belongs to
+ * @param {string} milestoneId - Milestone to delete
+ */
+async function deleteMilestone(projectId, milestoneId) {
+    const project = getProjectById(projectId);
+    const milestone = (project.milestones || []).find(m => m.id === milestoneId);
+    
+    // Count the linked tasks for the question; one row is enough to get the total
+    let linked = 0;
+    try {
+        const params = new URLSearchParams({ projectId, milestoneId, includeArchived: 'true', limit: 1 });
+        linked = (await fetchAPI(`/tasks?${params}`)).total;
+    } catch (error) {
+        console.error('Error counting milestone tasks:', error);
+    }
+    
+    const question = linked > 0
+        ? `Delete the milestone "${milestone.name}"? Its ${linked} task(s) will no longer be linked to a milestone.`
+        : `Delete the milestone "${milestone.name}"?`;
+    if (!confirmAction(question)) {
+        return;
+    }
+    
+    try {
+        const result = await fetchAPI(`/projects/${projectId}/milestones/${milestoneId}`, { method: 'DELETE' });
+        showNotification(result.message || 'Milestone deleted', 'success');
+        await refreshProjectDetails(projectId);
+    } catch (error) {
+        console.error('Error deleting milestone:', error);
+        showNotification(error.message || 'Failed to delete milestone', 'error');
+    }
+}
+
+/**
+ * Reloads the projects after a milestone change and shows the project's details again
+ * @param {string} projectId - Project being viewed
+ */
+async function refreshProjectDetails(projectId) {
+    await reloadProjects();
+    await viewProject(projectId);
 }
 
 // ============================================
@@ -371,23 +894,23 @@ async function handleProjectSubmit(event) {
         startDate: document.getElementById('projectStartDate').value,
         endDate: document.getElementById('projectEndDate').value,
         budget: parseFloat(document.getElementById('projectBudget').value),
-        budgetSpent: parseFloat(document.getElementById('projectBudgetSpent').value) || 0,
         department: document.getElementById('projectDepartment').value.trim(),
-        projectManager: appState.currentUser.id,
-        teamMembers: [],
-        milestones: [],
-        risks: []
+        workflowId: document.getElementById('projectWorkflow').value
     };
     
-    // Validate dates
-    if (!isValidDateRange(projectData.startDate, projectData.endDate)) {
-        showNotification('End date must be after start date', 'error');
-        return;
+    // New projects are managed by their creator; the team of existing projects
+    // is not part of this form and is left as it is (milestones have their own
+    // form in the project details, risks live in the risk register)
+    if (!projectId) {
+        projectData.projectManager = appState.currentUser.id;
+        projectData.teamMembers = [];
     }
     
-    // Validate budget
-    if (projectData.budgetSpent > projectData.budget) {
-        showNotification('Budget spent cannot exceed total budget', 'error');
+    clearFieldErrors('projectForm');
+    
+    // Validate dates
+    if (!isValidDateRange(projectData.startDate, projectData.endDate)) {
+        showFieldErrors('projectForm', { endDate: 'End date must be on or after the start date' }, PROJECT_FIELD_INPUTS);
         return;
     }
     
@@ -395,12 +918,19 @@ async function handleProjectSubmit(event) {
         let result;
         
         if (projectId) {
-            // Update existing project
-            result = await fetchAPI(`/projects/${projectId}`, {
-                method: 'PUT',
-                body: JSON.stringify(projectData)
+            // Update existing project, checking nobody else saved it in the meantime
+            const version = parseInt(document.getElementById('projectVersion').value, 10);
+            result = await saveWithConflictCheck(`/projects/${projectId}`, projectData, version, {
+                title: projectData.name,
+                fields: PROJECT_FIELD_LABELS,
+                formatValue: formatProjectFieldValue
             });
-            showNotification('Project updated successfully', 'success');
+            
+            if (result) {
+                showNotification('Project updated successfully', 'success');
+            } else {
+                showNotification('Your changes were discarded and the saved version kept', 'info');
+            }
         } else {
             // Create new project
             result = await fetchAPI('/projects', {
@@ -411,14 +941,13 @@ async function handleProjectSubmit(event) {
         }
         
         // Reload projects and re-render
-        await loadProjects();
-        renderProjects();
+        await reloadProjects();
         
         // Close modal
         closeProjectModal();
     } catch (error) {
         console.error('Error saving project:', error);
-        showNotification('Failed to save project', 'error');
+        showSaveError(error, 'projectForm', PROJECT_FIELD_INPUTS, 'Failed to save project');
     }
 }
 
@@ -434,8 +963,9 @@ async function deleteProject(projectId) {
         return;
     }
     
-    // Confirm deletion
-    if (!confirmAction(`Are you sure you want to delete "${project.name}"? This action cannot be undone.`)) {
+    // Confirm deletion, listing the tasks and allocations that go with it
+    const question = `Move "${project.name}" to the trash? You can restore it from there.`;
+    if (!await confirmDeleteWithPreview(`/projects/${projectId}`, question)) {
         return;
     }
     
@@ -444,13 +974,51 @@ async function deleteProject(projectId) {
             method: 'DELETE'
         });
         
-        showNotification('Project deleted successfully', 'success');
+        showNotification('Project moved to the trash', 'success');
         
         // Reload projects and re-render
-        await loadProjects();
-        renderProjects();
+        await reloadProjects();
     } catch (error) {
         console.error('Error deleting project:', error);
-        showNotification('Failed to delete project', 'error');
+        showNotification(error.message || 'Failed to delete project', 'error');
+    }
+}
+
+/**
+ * Archives a completed project so it drops out of the default lists and dashboard
+ * @param {string} projectId - ID of the project to archive
+ */
+async function archiveProject(projectId) {
+    try {
+        await fetchAPI(`/projects/${projectId}/archive`, { method: 'POST' });
+        showNotification('Project archived', 'success');
+        await reloadProjects();
+    } catch (error) {
+        console.error('Error archiving project:', error);
+        showNotification(error.message || 'Failed to archive project', 'error');
+    }
+}
+
+/**
+ * Brings an archived project back into the default lists
+ * @param {string} projectId - ID of the project to unarchive
+ */
+async function unarchiveProject(projectId) {
+    try {
+        await fetchAPI(`/projects/${projectId}/unarchive`, { method: 'POST' });
+        showNotification('Project restored from the archive', 'success');
+        await reloadProjects();
+    } catch (error) {
+        console.error('Error unarchiving project:', error);
+        showNotification(error.message || 'Failed to unarchive project', 'error');
     }
 }
+
+/**
+ * Shows the projects again after they were changed on this page
+ * The timeline loads its tasks again along with its projects
+ */
+function reloadProjects() {
+    timelineTasks.clear();
+    renderProjects();
+}
@@ -0,0 +1,313 @@
+/**
+ * Live Updates Module
+ *
+ * Keeps open pages current while colleagues work, used by the Projects, Tasks and
+ * Resources pages:
+ * - Listens to the server's event stream (GET /api/events) and patches appState in
+ *   place when a project, task or allocation changes, then lets the page re-render
+ * - Flashes the changed card or row with who changed it
+ * - Shows who else is viewing the same project
+ *
+ * Every page keeps the stream open for the notification bell (see notifications.js),
+ * which listens with addLiveListener.
+ *
+ * The stream is read with fetch rather than EventSource so the session token can be
+ * sent in the Authorization header. A dropped stream reconnects on its own.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * How long to wait before reconnecting a dropped stream (in milliseconds)
+ */
+const LIVE_RECONNECT_MS = 5000;
+
+/**
+ * How long a changed card or row stays highlighted (in milliseconds)
+ */
+const LIVE_FLASH_MS = 4000;
+
+/**
+ * Name of the data attribute marking each collection's cards and rows
+ */
+const LIVE_ENTITY_ATTRIBUTES = {
+    projects: 'data-project-id',
+    tasks: 'data-task-id',
+    resources: 'data-resource-id'
+};
+
+/**
+ * Live update state
+ * - options:   options passed to startLiveUpdates
+ * - clientId:  ID of this page's stream (null while disconnected)
+ * - projectId: project this page is viewing (null for none)
+ * - viewers:   people viewing that project, as { id, fullName }
+ * - started:   whether the stream has been opened
+ * - listeners: functions added with addLiveListener, keyed by event name
+ */
+const liveState = {
+    options: null,
+    clientId: null,
+    projectId: null,
+    viewers: [],
+    started: false,
+    listeners: {}
+};
+
+// ============================================
+// EVENT STREAM
+// ============================================
+
+/**
+ * Starts listening for changes made by others
+ * @param {Object} options - Live update options
+ * @param {Array<string>} options.collections - appState collections the page shows
+ *   ('projects', 'tasks' and/or 'resources'); changes to others are ignored
+ * @param {boolean} [options.includeArchived] - Keep archived records in appState
+ *   (the page loaded them) instead of dropping them when they are archived
+ * @param {Function} [options.onChange] - Called with each change event once appState
+ *   has been patched; re-renders what shows the record
+ */
+function startLiveUpdates(options) {
+    liveState.options = options;
+    openLiveStream();
+}
+
+/**
+ * Calls a function for every event of one name, opening the stream if needed
+ * @param {string} name - Event name (e.g. 'notification')
+ * @param {Function} listener - Called with the event data
+ */
+function addLiveListener(name, listener) {
+    if (!liveState.listeners[name]) {
+        liveState.listeners[name] = [];
+    }
+    liveState.listeners[name].push(listener);
+    openLiveStream();
+}
+
+/**
+ * Opens the event stream once per page, however many parts of it use it
+ */
+function openLiveStream() {
+    if (liveState.started) return;
+    
+    liveState.started = true;
+    connectLiveStream();
+}
+
+/**
+ * Opens the event stream and reads it until it drops, then tries again
+ * Stops once the session has ended; the next request goes back to the login page
+ */
+async function connectLiveStream() {
+    const token = getAuthToken();
+    if (!token) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/events`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        
+        if (response.status === 401) return;
+        if (!response.ok) {
+            throw new Error(`Event stream failed with status ${response.status}`);
+        }
+        
+        await readEventStream(response.body, handleLiveEvent);
+    } catch (error) {
+        console.error('Live updates disconnected:', error);
+    }
+    
+    liveState.clientId = null;
+    setTimeout(connectLiveStream, LIVE_RECONNECT_MS);
+}
+
+/**
+ * Reads Server-Sent Events from a response body until it ends
+ * Comment lines (heartbeats) and retry hints are skipped
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onEvent - Called with (name, data) for each event
+ */
+async function readEventStream(body, onEvent) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        
+        buffer += value;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        
+        blocks.forEach(block => {
+            let name = 'message';
+            const data = [];
+            
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event: ')) name = line.slice(7);
+                if (line.startsWith('data: ')) data.push(line.slice(6));
+            });
+            
+            if (data.length > 0) {
+                onEvent(name, JSON.parse(data.join('\n')));
+            }
+        });
+    }
+}
+
+/**
+ * Handles an event from the stream
+ * Every event also goes to the listeners added for its name
+ * @param {string} name - Event name (hello, change, presence or notification)
+ * @param {Object} data - Event data
+ */
+function handleLiveEvent(name, data) {
+    if (name === 'hello') {
+        liveState.clientId = data.clientId;
+        
+        // A new stream starts without presence, so say again what we are viewing
+        if (liveState.projectId) sendPresence();
+    } else if (name === 'presence') {
+        if (data.projectId === liveState.projectId) {
+            liveState.viewers = data.viewers;
+            renderPresence();
+        }
+    } else if (name === 'change' && liveState.options) {
+        applyLiveChange(data);
+    }
+    
+    (liveState.listeners[name] || []).forEach(listener => listener(data));
+}
+
+// ============================================
+// CHANGES
+// ============================================
+
+/**
+ * Patches appState with a change and lets the page show it
+ * @param {Object} event - Change event: { collection, action, id, projectId, record,
+ *   actor: { id, fullName } | null, at }; record is null once it is gone
+ */
+function applyLiveChange(event) {
+    const options = liveState.options;
+    if (!options.collections.includes(event.collection)) return;
+    
+    const records = appState[event.collection];
+    const index = records.findIndex(record => record.id === event.id);
+    const keep = event.record && (options.includeArchived || !event.record.archivedAt);
+    
+    if (keep && index !== -1) {
+        records[index] = event.record;
+    } else if (keep) {
+        records.push(event.record);
+    } else if (index !== -1) {
+        records.splice(index, 1);
+    }
+    
+    if (options.onChange) options.onChange(event);
+    if (event.record) flashLiveChange(event);
+}
+
+/**
+ * Highlights the cards and rows showing a changed record with who changed it
+ * Our own changes are already on screen, so they are not flashed
+ * @param {Object} event - Change event
+ */
+function flashLiveChange(event) {
+    if (event.actor && appState.currentUser && event.actor.id === appState.currentUser.id) return;
+    
+    const attribute = LIVE_ENTITY_ATTRIBUTES[event.collection];
+    const who = event.actor ? event.actor.fullName : 'the system';
+    const text = `${event.action === 'create' ? 'Added' : 'Updated'} by ${who}`;
+    
+    document.querySelectorAll(`[${attribute}="${event.id}"]`).forEach(element => {
+        const badge = document.createElement('span');
+        badge.className = 'live-badge';
+        badge.textContent = text;
+        
+        // Table rows get the badge in their first cell
+        (element.tagName === 'TR' ? element.cells[0] : element).appendChild(badge);
+        element.classList.add('live-updated');
+        
+        setTimeout(() => {
+            badge.remove();
+            element.classList.remove('live-updated');
+        }, LIVE_FLASH_MS);
+    });
+}
+
+// ============================================
+// PRESENCE
+// ============================================
+
+/**
+ * Tells the server which project this page is viewing
+ * Shown to others viewing it; the list of viewers goes in #presenceIndicator
+ * @param {string|null} projectId - Project ID, or null when viewing none
+ */
+function setViewingProject(projectId) {
+    const viewing = projectId || null;
+    if (viewing === liveState.projectId) return;
+    
+    liveState.projectId = viewing;
+    liveState.viewers = [];
+    renderPresence();
+    sendPresence();
+}
+
+/**
+ * Sends the project being viewed to the server
+ * Without a stream it waits; the hello event of the next stream sends it
+ */
+async function sendPresence() {
+    if (!liveState.clientId) return;
+    
+    try {
+        const result = await fetchAPI(`/events/${liveState.clientId}/presence`, {
+            method: 'PUT',
+            body: JSON.stringify({ projectId: liveState.projectId })
+        });
+        
+        if (result.projectId === liveState.projectId) {
+            liveState.viewers = result.viewers;
+            renderPresence();
+        }
+    } catch (error) {
+        console.error('Error reporting presence:', error);
+    }
+}
+
+/**
+ * Shows who else is viewing the project in #presenceIndicator
+ * Hidden when nobody else is
+ */
+function renderPresence() {
+    const container = document.getElementById('presenceIndicator');
+    if (!container) return;
+    
+    const currentUserId = appState.currentUser ? appState.currentUser.id : null;
+    const others = liveState.viewers.filter(viewer => viewer.id !== currentUserId);
+    
+    container.style.display = others.length > 0 ? '' : 'none';
+    container.innerHTML = others.length > 0 ? `
+        <span class="presence-label">Also viewing:</span>
+        ${others.map(viewer => `
+            <span class="presence-avatar" title="${escapeHtml(viewer.fullName)}">
+                ${escapeHtml(getInitials(viewer.fullName))}
+            </span>
+        `).join('')}
+    ` : '';
+}
+
+/**
+ * Gets the initials of a name for an avatar
+ * @param {string} name - Full name
+ * @returns {string} Up to two initials
+ */
+function getInitials(name) {
+    return name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+}
@@ -7,6 +7,8 @@
  * - Task analysis reports
  * - Resource utilization reports
  * - Budget analysis reports
+ * - Milestone timeline across all projects
+ * - Risk heat map and the open risks behind it
  */
 
 // ============================================
@@ -45,7 +47,8 @@ async function loadAllData() {
             loadProjects(),
             loadUsers(),
             loadTasks(),
-            loadResources()
+            loadResources(),
+            loadWorkflows()
         ]);
     } catch (error) {
         console.error('Error loading data:', error);
@@ -85,6 +88,15 @@ function setupEventListeners() {
         });
     }
     
+    // Project selector for the earned value S-curve
+    const evmProjectSelect = document.getElementById('evmProjectSelect');
+    if (evmProjectSelect) {
+        evmProjectSelect.innerHTML = appState.projects.map(project =>
+            `<option value="${project.id}">${escapeHtml(project.name)}</option>`
+        ).join('');
+        evmProjectSelect.addEventListener('change', () => renderEvmCurve(evmProjectSelect.value));
+    }
+    
     // Logout button
     const logoutBtn = document.getElementById('logoutBtn');
     if (logoutBtn) {
@@ -120,7 +132,9 @@ function switchReportTab(reportType) {
         'projects': 'projectsReport',
         'tasks': 'tasksReport',
         'resources': 'resourcesReport',
-        'budget': 'budgetReport'
+        'budget': 'budgetReport',
+        'milestones': 'milestonesReport',
+        'risks': 'risksReport'
     };
     
     const sectionId = reportMap[reportType];
@@ -143,6 +157,12 @@ function switchReportTab(reportType) {
         case 'budget':
             renderBudgetReport();
             break;
+        case 'milestones':
+            renderMilestonesReport();
+            break;
+        case 'risks':
+            renderRisksReport();
+            break;
     }
 }
 
@@ -263,9 +283,7 @@ async function renderProjectReport(projectId) {
         const resourceCost = calculateResourceCost(projectResources);
         
         // Calculate additional metrics
-        const overdueTasks = projectTasks.filter(task => 
-            isPastDate(task.dueDate) && task.status !== 'completed'
-        );
+        const overdueTasks = projectTasks.filter(task => task.overdue);
         
         const budgetRemaining = project.budget - (project.budgetSpent || 0);
         const budgetPercentage = calculatePercentage(project.budgetSpent || 0, project.budget);
@@ -323,6 +341,13 @@ async function renderProjectReport(projectId) {
                         ${progress.progressPercentage}% Complete
                     </div>
                 </div>
+                ${progress.statuses && progress.statuses.length > 0 ? `
+                    <div class="project-meta" style="margin-top: 15px;">
+                        ${progress.statuses.map(status => `
+                            <span>${renderStatusBadge(status.key, status.label)} ${status.count}</span>
+                        `).join('')}
+                    </div>
+                ` : ''}
             </div>
             
             <div class="report-card">
@@ -399,7 +424,7 @@ async function renderProjectReport(projectId) {
                                 </div>
                                 <div class="task-meta">
                                     ${renderPriorityBadge(task.priority)}
-                                    ${renderStatusBadge(task.status)}
+                                    ${renderStatusBadge(task.status, getStatusLabel(task.projectId, task.status))}
                                 </div>
                             </div>
                         `).join('')}
@@ -426,9 +451,9 @@ function renderTasksReport() {
     
     // Calculate statistics
     const totalTasks = tasks.length;
-    const completedTasks = tasks.filter(t => t.status === 'completed').length;
-    const inProgressTasks = tasks.filter(t => t.status === 'in-progress').length;
-    const pendingTasks = tasks.filter(t => t.status === 'pending').length;
+    const completedTasks = tasks.filter(t => t.statusCategory === 'done').length;
+    const inProgressTasks = tasks.filter(t => t.statusCategory === 'active').length;
+    const pendingTasks = tasks.filter(t => t.statusCategory === 'todo').length;
     
     // Update statistics
     document.getElementById('tasksTotalTasks').textContent = totalTasks;
@@ -522,7 +547,7 @@ function renderOverdueTasksList() {
                 </div>
                 <div class="task-meta">
                     ${renderPriorityBadge(task.priority)}
-                    ${renderStatusBadge(task.status)}
+                    ${renderStatusBadge(task.status, getStatusLabel(task.projectId, task.status))}
                 </div>
             </div>
         `;
@@ -620,43 +645,128 @@ function renderTeamUtilizationChart() {
 
 /**
  * Renders the budget analysis report
+ * Spend comes from the server: approved expenses plus labour from approved timesheets
+ */
+async function renderBudgetReport() {
+    try {
+        const report = await fetchAPI('/reports/budget');
+        const utilization = report.totalBudget > 0 ? Math.round((report.spent / report.totalBudget) * 100) : 0;
+        
+        // Update summary
+        document.getElementById('budgetTotalAllocated').textContent = formatCurrency(report.totalBudget);
+        document.getElementById('budgetTotalSpent').textContent = formatCurrency(report.spent);
+        document.getElementById('budgetRemaining').textContent = formatCurrency(report.remaining);
+        document.getElementById('budgetUtilization').textContent = `${utilization}%`;
+        document.getElementById('budgetPending').textContent = formatCurrency(report.pending);
+        document.getElementById('budgetLabourHours').textContent = report.labourHours;
+        
+        renderSpendByCategory(report.byCategory, report.spent);
+        renderSpendByMonth(report.byMonth);
+        renderProjectBudgetTable(report.projects);
+    } catch (error) {
+        console.error('Error rendering budget report:', error);
+        showNotification('Failed to load budget report', 'error');
+    }
+    
+    renderEvmReport();
+    renderEvmCurve(document.getElementById('evmProjectSelect').value);
+}
+
+/**
+ * Renders the share of spend of each category as bars
+ * @param {Array} byCategory - { category, amount } per category with spend
+ * @param {number} spent - Total spend
  */
-function renderBudgetReport() {
-    const projects = appState.projects;
-    
-    // Calculate overall budget statistics
-    const totalAllocated = projects.reduce((sum, p) => sum + (p.budget || 0), 0);
-    const totalSpent = projects.reduce((sum, p) => sum + (p.budgetSpent || 0), 0);
-    const remaining = totalAllocated - totalSpent;
-    const utilization = totalAllocated > 0 ? Math.round((totalSpent / totalAllocated) * 100) : 0;
-    
-    // Update summary
-    document.getElementById('budgetTotalAllocated').textContent = formatCurrency(totalAllocated);
-    document.getElementById('budgetTotalSpent').textContent = formatCurrency(totalSpent);
-    document.getElementById('budgetRemaining').textContent = formatCurrency(remaining);
-    document.getElementById('budgetUtilization').textContent = `${utilization}%`;
-    
-    // Render project budget table
-    renderProjectBudgetTable();
+function renderSpendByCategory(byCategory, spent) {
+    const container = document.getElementById('budgetByCategory');
+    
+    if (!container) return;
+    
+    if (byCategory.length === 0) {
+        container.innerHTML = '<p class="empty-state">Nothing has been spent yet</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <div style="display: flex; flex-direction: column; gap: 15px;">
+            ${byCategory.map(({ category, amount }) => {
+                const percentage = spent > 0 ? Math.round((amount / spent) * 100) : 0;
+                return `
+                    <div>
+                        <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+                            <span style="font-weight: 500;">${EXPENSE_CATEGORY_LABELS[category] || category}</span>
+                            <span style="color: #7f8c8d;">${formatCurrency(amount)} (${percentage}%)</span>
+                        </div>
+                        <div class="budget-progress">
+                            <div class="progress-bar" style="width: ${percentage}%">
+                                ${percentage}%
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Renders the spend of each month, split by category
+ * @param {Array} byMonth - { month: 'YYYY-MM', amount, categories } per month, oldest first
+ */
+function renderSpendByMonth(byMonth) {
+    const container = document.getElementById('budgetByMonth');
+    
+    if (!container) return;
+    
+    if (byMonth.length === 0) {
+        container.innerHTML = '<p class="empty-state">Nothing has been spent yet</p>';
+        return;
+    }
+    
+    // Only the categories with spend get a column
+    const categories = Object.keys(EXPENSE_CATEGORY_LABELS)
+        .filter(category => byMonth.some(month => month.categories[category]));
+    
+    container.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Month</th>
+                    ${categories.map(category => `<th>${EXPENSE_CATEGORY_LABELS[category]}</th>`).join('')}
+                    <th>Total</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${byMonth.map(month => `
+                    <tr>
+                        <td><strong>${new Date(`${month.month}-01T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}</strong></td>
+                        ${categories.map(category => `
+                            <td>${month.categories[category] ? formatCurrency(month.categories[category]) : '-'}</td>
+                        `).join('')}
+                        <td><strong>${formatCurrency(month.amount)}</strong></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
 /**
  * Renders budget breakdown by project
+ * @param {Array} projects - { id, name, status, budget, spent, pending } per project
  */
-function renderProjectBudgetTable() {
+function renderProjectBudgetTable(projects) {
     const container = document.getElementById('projectBudgetTable');
     
     if (!container) return;
     
-    const projects = appState.projects;
-    
     if (projects.length === 0) {
         container.innerHTML = '<p class="empty-state">No project data available</p>';
         return;
     }
     
     // Sort projects by budget (descending)
-    const sortedProjects = [...projects].sort((a, b) => (b.budget || 0) - (a.budget || 0));
+    const sortedProjects = [...projects].sort((a, b) => b.budget - a.budget);
     
     container.innerHTML = `
         <table class="data-table">
@@ -666,23 +776,23 @@ function renderProjectBudgetTable() {
                     <th>Status</th>
                     <th>Total Budget</th>
                     <th>Spent</th>
+                    <th>Pending</th>
                     <th>Remaining</th>
                     <th>Utilization</th>
                 </tr>
             </thead>
             <tbody>
                 ${sortedProjects.map(project => {
-                    const budget = project.budget || 0;
-                    const spent = project.budgetSpent || 0;
-                    const remaining = budget - spent;
-                    const utilization = budget > 0 ? Math.round((spent / budget) * 100) : 0;
+                    const remaining = project.budget - project.spent;
+                    const utilization = project.budget > 0 ? Math.round((project.spent / project.budget) * 100) : 0;
                     
                     return `
                         <tr>
                             <td><strong>${escapeHtml(project.name)}</strong></td>
                             <td>${renderStatusBadge(project.status)}</td>
-                            <td>${formatCurrency(budget)}</td>
-                            <td>${formatCurrency(spent)}</td>
+                            <td>${formatCurrency(project.budget)}</td>
+                            <td>${formatCurrency(project.spent)}</td>
+                            <td>${project.pending > 0 ? formatCurrency(project.pending) : '-'}</td>
                             <td style="color: ${remaining < 0 ? '#E74C3C' : '#27AE60'}">
                                 ${formatCurrency(remaining)}
                             </td>
@@ -700,3 +810,407 @@ function renderProjectBudgetTable() {
         </table>
     `;
 }
+
+// ============================================
+// EARNED VALUE
+// ============================================
+
+/**
+ * Formats an EVM index (SPI or CPI), in red below 1
+ * @param {number|null} value - Index, or null when it cannot be worked out
+ * @returns {string} HTML for the index
+ */
+function formatEvmIndex(value) {
+    if (value === null) return '-';
+    return `<span style="color: ${value < 1 ? '#E74C3C' : '#27AE60'}">${value.toFixed(2)}</span>`;
+}
+
+/**
+ * Formats an EVM amount, in red when negative (for variances)
+ * @param {number|null} value - Amount, or null when it cannot be worked out
+ * @returns {string} HTML for the amount
+ */
+function formatEvmAmount(value) {
+    if (value === null) return '-';
+    return value < 0 ? `<span style="color: #E74C3C">${formatCurrency(value)}</span>` : formatCurrency(value);
+}
+
+/**
+ * Renders the earned value of every project, with the portfolio total
+ */
+async function renderEvmReport() {
+    const container = document.getElementById('evmPortfolioTable');
+    
+    if (!container) return;
+    
+    try {
+        const report = await fetchAPI('/reports/evm');
+        
+        if (report.projects.length === 0) {
+            container.innerHTML = '<p class="empty-state">No project data available</p>';
+            return;
+        }
+        
+        const row = evm => `
+            <td>${formatCurrency(evm.bac)}</td>
+            <td>${formatCurrency(evm.pv)}</td>
+            <td>${formatCurrency(evm.ev)}</td>
+            <td>${formatCurrency(evm.ac)}</td>
+            <td>${formatEvmIndex(evm.spi)}</td>
+            <td>${formatEvmIndex(evm.cpi)}</td>
+            <td>${formatEvmAmount(evm.eac)}</td>
+            <td>${formatEvmAmount(evm.etc)}</td>
+            <td>${formatEvmAmount(evm.vac)}</td>
+        `;
+        
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Project</th>
+                        <th title="Budget at completion">BAC</th>
+                        <th title="Planned value">PV</th>
+                        <th title="Earned value">EV</th>
+                        <th title="Actual cost">AC</th>
+                        <th title="Schedule performance index">SPI</th>
+                        <th title="Cost performance index">CPI</th>
+                        <th title="Estimate at completion">EAC</th>
+                        <th title="Estimate to complete">ETC</th>
+                        <th title="Variance at completion">VAC</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.projects.map(evm => `
+                        <tr>
+                            <td>
+                                <a href="#" onclick="showEvmCurve('${evm.projectId}'); return false;">
+                                    <strong>${escapeHtml(evm.name)}</strong>
+                                </a>
+                            </td>
+                            ${row(evm)}
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td><strong>Portfolio</strong></td>
+                        ${row(report.portfolio)}
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error rendering earned value report:', error);
+        container.innerHTML = '<p class="empty-state">Failed to load earned value</p>';
+    }
+}
+
+/**
+ * Shows a project's S-curve, picking it in the project selector
+ * @param {string} projectId - ID of the project
+ */
+function showEvmCurve(projectId) {
+    document.getElementById('evmProjectSelect').value = projectId;
+    renderEvmCurve(projectId);
+}
+
+/**
+ * Renders a project's earned value S-curve
+ * @param {string} projectId - ID of the project
+ */
+async function renderEvmCurve(projectId) {
+    const container = document.getElementById('evmSCurve');
+    
+    if (!container) return;
+    
+    if (!projectId) {
+        container.innerHTML = '<p class="empty-state">No project data available</p>';
+        return;
+    }
+    
+    try {
+        const evm = await fetchAPI(`/reports/evm/${projectId}`);
+        
+        if (evm.bac === 0) {
+            container.innerHTML = '<p class="empty-state">Add estimated hours to the project\'s tasks (and rates to its allocations) to plan its earned value</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="project-meta" style="margin-bottom: 15px;">
+                <span><strong>Complete:</strong> ${evm.percentComplete}%</span>
+                <span><strong>Spent:</strong> ${evm.percentSpent}%</span>
+                <span><strong>SPI:</strong> ${formatEvmIndex(evm.spi)}</span>
+                <span><strong>CPI:</strong> ${formatEvmIndex(evm.cpi)}</span>
+                <span><strong>Schedule variance:</strong> ${formatEvmAmount(evm.sv)}</span>
+                <span><strong>Cost variance:</strong> ${formatEvmAmount(evm.cv)}</span>
+            </div>
+            ${renderSCurveChart(evm)}
+        `;
+    } catch (error) {
+        console.error('Error rendering S-curve:', error);
+        container.innerHTML = '<p class="empty-state">Failed to load earned value</p>';
+    }
+}
+
+/**
+ * Draws PV, EV and AC over time as an SVG line chart
+ * @param {Object} evm - Project earned value with its series (see /api/reports/evm/:projectId)
+ * @returns {string} SVG markup with a legend
+ */
+function renderSCurveChart(evm) {
+    const width = 800;
+    const height = 300;
+    const margin = { top: 15, right: 20, bottom: 30, left: 80 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    
+    const times = evm.series.map(point => Date.parse(point.date));
+    const first = times[0];
+    const span = Math.max(times[times.length - 1] - first, 1);
+    const maxValue = Math.max(evm.bac, ...evm.series.flatMap(point => [point.pv, point.ev || 0, point.ac || 0])) || 1;
+    
+    const x = time => margin.left + ((time - first) / span) * plotWidth;
+    const y = value => margin.top + plotHeight - (value / maxValue) * plotHeight;
+    const line = field => evm.series
+        .map((point, index) => point[field] === null ? null : `${x(times[index]).toFixed(1)},${y(point[field]).toFixed(1)}`)
+        .filter(Boolean)
+        .join(' ');
+    
+    // Five value gridlines and up to six date labels
+    const valueTicks = [0, 0.25, 0.5, 0.75, 1].map(share => share * maxValue);
+    const dateStep = Math.max(1, Math.ceil(evm.series.length / 6));
+    const dateTicks = evm.series.filter((point, index) => index % dateStep === 0);
+    const today = Date.parse(evm.asOf);
+    
+    return `
+        <svg class="scurve-chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+            ${valueTicks.map(value => `
+                <line class="scurve-grid" x1="${margin.left}" x2="${width - margin.right}" y1="${y(value)}" y2="${y(value)}"></line>
+                <text class="scurve-axis" x="${margin.left - 8}" y="${y(value) + 4}" text-anchor="end">${formatCurrency(value)}</text>
+            `).join('')}
+            ${dateTicks.map(point => `
+                <text class="scurve-axis" x="${x(Date.parse(point.date))}" y="${height - 8}" text-anchor="middle">${formatDate(point.date)}</text>
+            `).join('')}
+            <line class="scurve-bac" x1="${margin.left}" x2="${width - margin.right}" y1="${y(evm.bac)}" y2="${y(evm.bac)}"></line>
+            ${today >= first && today <= first + span ? `
+                <line class="scurve-today" x1="${x(today)}" x2="${x(today)}" y1="${margin.top}" y2="${margin.top + plotHeight}"></line>
+            ` : ''}
+            <polyline class="scurve-line scurve-pv" points="${line('pv')}"></polyline>
+            <polyline class="scurve-line scurve-ev" points="${line('ev')}"></polyline>
+            <polyline class="scurve-line scurve-ac" points="${line('ac')}"></polyline>
+        </svg>
+        <div class="scurve-legend">
+            <span><span class="scurve-key scurve-pv"></span> Planned value (PV)</span>
+            <span><span class="scurve-key scurve-ev"></span> Earned value (EV)</span>
+            <span><span class="scurve-key scurve-ac"></span> Actual cost (AC)</span>
+            <span><span class="scurve-key scurve-bac"></span> Budget at completion (${formatCurrency(evm.bac)})</span>
+        </div>
+    `;
+}
+
+// ============================================
+// MILESTONES REPORT
+// ============================================
+
+/**
+ * Renders the milestones report: milestones of every project on one timeline,
+ * with the slipped and at-risk ones listed first
+ */
+async function renderMilestonesReport() {
+    try {
+        const milestones = await fetchAPI('/reports/milestones');
+        const count = health => milestones.filter(milestone => milestone.health === health).length;
+        
+        document.getElementById('milestonesTotal').textContent = milestones.length;
+        document.getElementById('milestonesCompleted').textContent = count('completed');
+        document.getElementById('milestonesAtRisk').textContent = count('at-risk');
+        document.getElementById('milestonesSlipped').textContent = count('slipped');
+        
+        renderMilestoneAlerts(milestones.filter(m => m.health === 'slipped' || m.health === 'at-risk'));
+        renderMilestoneTimeline(milestones);
+    } catch (error) {
+        console.error('Error rendering milestones report:', error);
+        showNotification('Failed to load milestones report', 'error');
+    }
+}
+
+/**
+ * Lists the milestones that have slipped or are at risk, explaining why
+ * @param {Array} milestones - Slipped and at-risk milestones
+ */
+function renderMilestoneAlerts(milestones) {
+    const container = document.getElementById('milestoneAlerts');
+    
+    if (!container) return;
+    
+    if (milestones.length === 0) {
+        container.innerHTML = '<p class="empty-state">✅ All open milestones are on track!</p>';
+        return;
+    }
+    
+    container.innerHTML = milestones.map(milestone => {
+        const days = Math.abs(daysUntil(milestone.dueDate));
+        const reason = milestone.health === 'slipped'
+            ? `${days} day${days !== 1 ? 's' : ''} past its due date`
+            : milestone.predictedFinish && milestone.predictedFinish > milestone.dueDate
+                ? `Linked tasks are predicted to finish ${formatDate(milestone.predictedFinish)}`
+                : `Due in ${days} day${days !== 1 ? 's' : ''} with ${milestone.progress}% of its tasks done`;
+        
+        return `
+            <div class="task-item milestone-item ${milestone.health}" style="margin-bottom: 10px;">
+                <div class="task-info">
+                    <h4>${escapeHtml(milestone.name)}</h4>
+                    <p>📁 ${escapeHtml(milestone.projectName)} • Due: ${formatDate(milestone.dueDate)}</p>
+                    <p class="milestone-reason">${reason}</p>
+                </div>
+                <div class="task-meta">
+                    ${renderMilestoneHealth(milestone.health)}
+                    <span>${milestone.doneCount} / ${milestone.taskCount} tasks</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders every milestone on a vertical timeline by due date, with a marker for today
+ * @param {Array} milestones - Milestones sorted by due date
+ */
+function renderMilestoneTimeline(milestones) {
+    const container = document.getElementById('milestoneTimeline');
+    
+    if (!container) return;
+    
+    if (milestones.length === 0) {
+        container.innerHTML = '<p class="empty-state">No milestones defined</p>';
+        return;
+    }
+    
+    const today = new Date().toISOString().split('T')[0];
+    const todayIndex = milestones.findIndex(milestone => milestone.dueDate >= today);
+    const todayMarker = `<div class="milestone-today">Today – ${formatDate(today)}</div>`;
+    
+    const entries = milestones.map(milestone => `
+        <div class="milestone-entry ${milestone.health}">
+            <div class="milestone-date">${formatDate(milestone.dueDate)}</div>
+            <div class="milestone-body">
+                <h4>${escapeHtml(milestone.name)}</h4>
+                <p>📁 ${escapeHtml(milestone.projectName)}</p>
+                <div class="budget-progress">
+                    <div class="progress-bar" style="width: ${milestone.progress}%">${milestone.progress}%</div>
+                </div>
+            </div>
+            ${renderMilestoneHealth(milestone.health)}
+        </div>
+    `);
+    
+    entries.splice(todayIndex === -1 ? entries.length : todayIndex, 0, todayMarker);
+    container.innerHTML = entries.join('');
+}
+
+// ============================================
+// RISKS REPORT
+// ============================================
+
+/**
+ * Open risks of the risks report, highest score first
+ */
+let reportRisks = [];
+
+/**
+ * Renders the risks report: counts by level, the heat map and the open risks
+ */
+async function renderRisksReport() {
+    try {
+        const report = await fetchAPI('/reports/risks');
+        reportRisks = report.risks;
+        
+        document.getElementById('risksCritical').textContent = report.byLevel.critical;
+        document.getElementById('risksHigh').textContent = report.byLevel.high;
+        document.getElementById('risksMediumLow').textContent = report.byLevel.medium + report.byLevel.low;
+        document.getElementById('risksOverdue').textContent = report.overdue;
+        
+        renderRiskHeatMap(report.heatMap);
+        renderRiskList(null);
+    } catch (error) {
+        console.error('Error rendering risks report:', error);
+        showNotification('Failed to load risks report', 'error');
+    }
+}
+
+/**
+ * Renders the 5×5 heat map, impact rising upwards and probability to the right
+ * Clicking a cell lists the risks in it
+ * @param {Array} cells - Heat map cells, highest impact first
+ */
+function renderRiskHeatMap(cells) {
+    const container = document.getElementById('riskHeatMap');
+    
+    if (!container) return;
+    
+    const rows = [];
+    for (let i = 0; i < cells.length; i += 5) {
+        const row = cells.slice(i, i + 5);
+        rows.push(`
+            <div class="heatmap-axis">${RISK_IMPACT_LABELS[row[0].impact]}</div>
+            ${row.map(cell => `
+                <button type="button" class="heatmap-cell ${cell.level}"
+                    title="Probability ${cell.probability} × impact ${cell.impact} = ${cell.score}"
+                    onclick="renderRiskList(${cell.probability}, ${cell.impact})"
+                    ${cell.riskIds.length === 0 ? 'disabled' : ''}>
+                    ${cell.riskIds.length || ''}
+                </button>
+            `).join('')}
+        `);
+    }
+    
+    container.innerHTML = rows.join('') + `
+        <div class="heatmap-axis">Impact ↑ / Probability →</div>
+        ${RISK_PROBABILITY_LABELS.slice(1).map(label => `<div class="heatmap-axis">${label}</div>`).join('')}
+    `;
+}
+
+/**
+ * Lists the open risks, or those in one heat map cell
+ * @param {number|null} probability - Probability of the cell, or null for every open risk
+ * @param {number} [impact] - Impact of the cell
+ */
+function renderRiskList(probability, impact) {
+    const container = document.getElementById('riskList');
+    
+    if (!container) return;
+    
+    const inCell = probability !== null;
+    const list = inCell
+        ? reportRisks.filter(risk => risk.probability === probability && risk.impact === impact)
+        : reportRisks;
+    
+    document.getElementById('riskListTitle').innerHTML = inCell
+        ? `Risks with ${RISK_PROBABILITY_LABELS[probability].toLowerCase()} probability and ${RISK_IMPACT_LABELS[impact].toLowerCase()} impact
+            <button class="btn btn-sm btn-secondary" onclick="renderRiskList(null)">Show all</button>`
+        : 'Open Risks by Score';
+    
+    if (list.length === 0) {
+        container.innerHTML = '<p class="empty-state">✅ No open risks or issues</p>';
+        return;
+    }
+    
+    container.innerHTML = list.map(risk => `
+        <div class="task-item" style="margin-bottom: 10px;">
+            <div class="task-info">
+                <h4>${risk.type === 'issue' ? '🐞' : '⚠️'} ${escapeHtml(risk.title)}</h4>
+                <p>
+                    📁 ${escapeHtml(risk.projectName)}
+                    • Owner: ${risk.ownerId ? escapeHtml(getUserName(risk.ownerId)) : 'none'}
+                    ${risk.dueDate ? ` • Due: ${formatDate(risk.dueDate)}` : ''}
+                    ${risk.overdue ? ' • <strong>Overdue</strong>' : ''}
+                </p>
+            </div>
+            <div class="task-meta">
+                ${renderRiskScore(risk)}
+                ${renderStatusBadge(risk.status, RISK_STATUS_LABELS[risk.status])}
+            </div>
+        </div>
+    `).join('');
+}
\ No newline at end of file
@@ -13,6 +13,21 @@
 // INITIALIZATION
 // ============================================
 
+/**
+ * Form input IDs for each resource field, used to show validation messages
+ */
+const RESOURCE_FIELD_INPUTS = {
+    projectId: 'resourceProject',
+    userId: 'resourceUser',
+    role: 'resourceRole',
+    allocatedHours: 'resourceAllocatedHours',
+    usedHours: 'resourceUsedHours',
+    hourlyRate: 'resourceHourlyRate',
+    startDate: 'resourceStartDate',
+    endDate: 'resourceEndDate',
+    status: 'resourceStatus'
+};
+
 /**
  * Initialize the resources page
  */
@@ -49,6 +64,9 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     // Set up filters
     setupFilters(renderResources);
+    
+    // Show changes made by others as they happen
+    startLiveUpdates({ collections: ['projects', 'resources'], onChange: handleLiveChange });
 });
 
 /**
@@ -83,6 +101,14 @@ function setupEventListeners() {
         resourceForm.addEventListener('submit', handleResourceSubmit);
     }
     
+    // Show who else is viewing the filtered project
+    const projectFilter = document.getElementById('projectFilter');
+    if (projectFilter) {
+        projectFilter.addEventListener('change', () => {
+            setViewingProject(projectFilter.value !== 'all' ? projectFilter.value : null);
+        });
+    }
+    
     // Logout button
     const logoutBtn = document.getElementById('logoutBtn');
     if (logoutBtn) {
@@ -90,6 +116,15 @@ function setupEventListeners() {
     }
 }
 
+/**
+ * Shows a change made by someone else (see startLiveUpdates)
+ * @param {Object} event - Change event
+ */
+function handleLiveChange(event) {
+    renderResources();
+    if (event.collection === 'resources') renderUtilizationChart();
+}
+
 /**
  * Populates the project filter dropdown
  */
@@ -122,6 +157,7 @@ function populateFormDropdowns() {
     const resourceUser = document.getElementById('resourceUser');
     if (resourceUser) {
         const userOptions = appState.users
+            .filter(user => user.active !== false)
             .filter(user => user.role === 'team_member' || user.role === 'project_manager')
             .map(user => 
                 `<option value="${user.id}">${escapeHtml(user.fullName)}</option>`
@@ -187,7 +223,7 @@ function renderResources() {
             : 0;
         
         return `
-            <tr>
+            <tr data-resource-id="${resource.id}">
                 <td>${escapeHtml(resource.userName)}</td>
                 <td>${project ? escapeHtml(project.name) : 'Unknown Project'}</td>
                 <td>${escapeHtml(resource.role)}</td>
@@ -206,12 +242,16 @@ function renderResources() {
                 <td>${formatCurrency(totalCost)}</td>
                 <td>${renderStatusBadge(resource.status)}</td>
                 <td>
-                    <button class="btn btn-sm btn-primary" onclick="editResource('${resource.id}')">
-                        ✏️ Edit
-                    </button>
-                    <button class="btn btn-sm btn-danger" onclick="deleteResource('${resource.id}')">
-                        🗑️ Delete
-                    </button>
+                    ${hasPermission('resources:update') ? `
+                        <button class="btn btn-sm btn-primary" onclick="editResource('${resource.id}')">
+                            ✏️ Edit
+                        </button>
+                    ` : ''}
+                    ${hasPermission('resources:delete') ? `
+                        <button class="btn btn-sm btn-danger" onclick="deleteResource('${resource.id}')">
+                            🗑️ Delete
+                        </button>
+                    ` : ''}
                 </td>
             </tr>
         `;
@@ -299,6 +339,7 @@ function openCreateResourceModal() {
     // Set default values
     document.getElementById('resourceStatus').value = 'planned';
     document.getElementById('resourceUsedHours').value = '0';
+    setActualsLocked('resourceUsedHours', 0);
     
     // Set default dates
     const today = new Date().toISOString().split('T')[0];
@@ -335,6 +376,7 @@ function editResource(resourceId) {
     document.getElementById('resourceRole').value = resource.role;
     document.getElementById('resourceAllocatedHours').value = resource.allocatedHours;
     document.getElementById('resourceUsedHours').value = resource.usedHours;
+    setActualsLocked('resourceUsedHours', resource.loggedHours);
     document.getElementById('resourceHourlyRate').value = resource.hourlyRate;
     document.getElementById('resourceStartDate').value = resource.startDate;
     document.getElementById('resourceEndDate').value = resource.endDate;
@@ -369,7 +411,7 @@ async function handleResourceSubmit(event) {
     const user = getUserById(userId);
     
     const allocatedHours = parseFloat(document.getElementById('resourceAllocatedHours').value);
-    const usedHours = parseFloat(document.getElementById('resourceUsedHours').value);
+    const usedHours = parseFloat(document.getElementById('resourceUsedHours').value) || 0;
     
     const resourceData = {
         projectId: document.getElementById('resourceProject').value,
@@ -385,9 +427,11 @@ async function handleResourceSubmit(event) {
         status: document.getElementById('resourceStatus').value
     };
     
+    clearFieldErrors('resourceForm');
+    
     // Validate dates
     if (!isValidDateRange(resourceData.startDate, resourceData.endDate)) {
-        showNotification('End date must be after start date', 'error');
+        showFieldErrors('resourceForm', { endDate: 'End date must be on or after the start date' }, RESOURCE_FIELD_INPUTS);
         return;
     }
     
@@ -426,7 +470,7 @@ async function handleResourceSubmit(event) {
         closeResourceModal();
     } catch (error) {
         console.error('Error saving resource:', error);
-        showNotification('Failed to save resource allocation', 'error');
+        showSaveError(error, 'resourceForm', RESOURCE_FIELD_INPUTS, 'Failed to save resource allocation');
     }
 }
 
@@ -460,6 +504,6 @@ async function deleteResource(resourceId) {
         renderUtilizationChart();
     } catch (error) {
         console.error('Error deleting resource:', error);
-        showNotification('Failed to delete resource allocation', 'error');
+        showNotification(error.message || 'Failed to delete resource allocation', 'error');
     }
 }
@@ -0,0 +1,662 @@
+/**
+ * Risk Register Module
+ *
+ * This file handles the risk and issue register including:
+ * - Loading and displaying risks, highest score first
+ * - Adding risks and issues and editing them through their workflow
+ * - Planning mitigation actions and turning them into tasks
+ * - Filtering and searching risks
+ */
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Labels for the risk form fields, used when showing edit conflicts and history
+ */
+const RISK_FIELD_LABELS = {
+    projectId: 'Project',
+    type: 'Type',
+    title: 'Title',
+    description: 'Description',
+    probability: 'Probability',
+    impact: 'Impact',
+    ownerId: 'Owner',
+    dueDate: 'Due Date',
+    status: 'Status',
+    mitigations: 'Mitigation Actions',
+    closedAt: 'Closed'
+};
+
+/**
+ * Form input IDs for each risk field, used to show validation messages
+ */
+const RISK_FIELD_INPUTS = {
+    projectId: 'riskProject',
+    type: 'riskType',
+    title: 'riskTitle',
+    description: 'riskDescription',
+    probability: 'riskProbability',
+    impact: 'riskImpact',
+    ownerId: 'riskOwner',
+    dueDate: 'riskDueDate',
+    status: 'riskStatus',
+    mitigations: 'riskMitigations'
+};
+
+/**
+ * Icons shown before a register entry's title
+ */
+const RISK_TYPE_ICONS = {
+    risk: '⚠️',
+    issue: '🐞'
+};
+
+/**
+ * Initialize the risks page
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    // Check authentication
+    if (!checkAuth()) {
+        window.location.href = 'index.html';
+        return;
+    }
+    
+    // Display user info
+    displayUserInfo();
+    
+    // Load initial data
+    await loadAllData();
+    
+    // Populate filter dropdowns (a project can be picked with ?project=<id>)
+    populateProjectFilter(new URLSearchParams(window.location.search).get('project'));
+    
+    // Populate form dropdowns
+    populateFormDropdowns();
+    
+    // Render risks
+    renderRisks();
+    
+    // Set up event listeners
+    setupEventListeners();
+    
+    // Set up filters
+    setupFilters(renderRisks);
+});
+
+/**
+ * Load all necessary data for the risks page
+ */
+async function loadAllData() {
+    try {
+        await Promise.all([
+            loadProjects(),
+            loadUsers(),
+            loadRisks()
+        ]);
+    } catch (error) {
+        console.error('Error loading data:', error);
+        showNotification('Failed to load data', 'error');
+    }
+}
+
+/**
+ * Set up event listeners for buttons and forms
+ */
+function setupEventListeners() {
+    // Add risk button
+    const addBtn = document.getElementById('addRiskBtn');
+    if (addBtn) {
+        addBtn.addEventListener('click', openCreateRiskModal);
+    }
+    
+    // Risk form submission
+    const riskForm = document.getElementById('riskForm');
+    if (riskForm) {
+        riskForm.addEventListener('submit', handleRiskSubmit);
+    }
+    
+    // Type filter (the shared filters do not know about it)
+    const typeFilter = document.getElementById('typeFilter');
+    if (typeFilter) {
+        typeFilter.addEventListener('change', renderRisks);
+    }
+    
+    // Score preview
+    ['riskProbability', 'riskImpact'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateScorePreview);
+    });
+    
+    // Logout button
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', logout);
+    }
+}
+
+/**
+ * Populates the project filter dropdown
+ * @param {string|null} selectedId - Project to select, if it is in the list
+ */
+function populateProjectFilter(selectedId) {
+    const projectFilter = document.getElementById('projectFilter');
+    
+    if (!projectFilter) return;
+    
+    const projectOptions = appState.projects.map(project =>
+        `<option value="${project.id}">${escapeHtml(project.name)}</option>`
+    ).join('');
+    
+    projectFilter.innerHTML = '<option value="all">All Projects</option>' + projectOptions;
+    
+    if (selectedId && getProjectById(selectedId)) {
+        projectFilter.value = selectedId;
+    }
+}
+
+/**
+ * Populates form dropdowns (projects and owners)
+ */
+function populateFormDropdowns() {
+    // Populate project dropdown
+    const riskProject = document.getElementById('riskProject');
+    if (riskProject) {
+        const projectOptions = appState.projects.map(project =>
+            `<option value="${project.id}">${escapeHtml(project.name)}</option>`
+        ).join('');
+        riskProject.innerHTML = '<option value="">Select a project</option>' + projectOptions;
+    }
+    
+    // Populate owner dropdown
+    const riskOwner = document.getElementById('riskOwner');
+    if (riskOwner) {
+        const userOptions = appState.users
+            .filter(user => user.active !== false)
+            .map(user =>
+                `<option value="${user.id}">${escapeHtml(user.fullName)}</option>`
+            ).join('');
+        riskOwner.innerHTML = '<option value="">No owner</option>' + userOptions;
+    }
+}
+
+// ============================================
+// RENDER FUNCTIONS
+// ============================================
+
+/**
+ * Renders the summary cards for the risks shown
+ * @param {Array<Object>} risks - Risks matching the current filters
+ */
+function renderStatistics(risks) {
+    const open = risks.filter(risk => risk.status !== 'closed');
+    
+    document.getElementById('openRisks').textContent = open.filter(risk => risk.type === 'risk').length;
+    document.getElementById('criticalRisks').textContent =
+        open.filter(risk => risk.level === 'critical' || risk.level === 'high').length;
+    document.getElementById('overdueRisks').textContent = open.filter(risk => risk.overdue).length;
+    document.getElementById('openIssues').textContent = open.filter(risk => risk.type === 'issue').length;
+}
+
+/**
+ * Renders all risks in the table based on current filters
+ */
+function renderRisks() {
+    const tbody = document.getElementById('risksTableBody');
+    
+    if (!tbody) return;
+    
+    // Get filter values
+    const filters = getFilterValues();
+    const type = document.getElementById('typeFilter').value;
+    
+    // Apply filters to risks
+    const filteredRisks = applyFilters(appState.risks, filters, ['title', 'description'])
+        .filter(risk => type === 'all' || risk.type === type);
+    
+    renderStatistics(filteredRisks);
+    
+    // Check if there are any risks
+    if (filteredRisks.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="empty-state">No risks or issues found</td></tr>';
+        return;
+    }
+    
+    // Build HTML for table rows
+    tbody.innerHTML = filteredRisks.map(risk => {
+        const doneCount = risk.mitigations.filter(action => action.done).length;
+        const progress = risk.mitigations.length > 0 ? Math.round((doneCount / risk.mitigations.length) * 100) : 0;
+        
+        return `
+            <tr>
+                <td>${renderRiskScore(risk)}</td>
+                <td>
+                    <a href="#" onclick="viewRisk('${risk.id}'); return false;">
+                        ${RISK_TYPE_ICONS[risk.type] || ''} ${escapeHtml(risk.title)}
+                    </a>
+                    ${risk.overdue ? '<span class="badge" style="background-color: #f8d7da; color: #721c24;">⚠️ Overdue</span>' : ''}
+                </td>
+                <td>${escapeHtml(getProjectName(risk.projectId))}</td>
+                <td>${risk.ownerId ? escapeHtml(getUserName(risk.ownerId)) : 'No owner'}</td>
+                <td>${risk.dueDate ? formatDate(risk.dueDate) : '-'}</td>
+                <td>${renderStatusBadge(risk.status, RISK_STATUS_LABELS[risk.status])}</td>
+                <td>
+                    ${risk.mitigations.length > 0 ? `
+                        <div class="budget-progress" style="height: 20px;">
+                            <div class="progress-bar" style="width: ${progress}%; font-size: 11px;">
+                                ${doneCount}/${risk.mitigations.length}
+                            </div>
+                        </div>
+                    ` : 'None planned'}
+                </td>
+                <td>
+                    <button class="btn btn-sm btn-secondary" onclick="viewRisk('${risk.id}')">
+                        👁️ View
+                    </button>
+                    ${hasPermission('risks:update') ? `
+                        <button class="btn btn-sm btn-primary" onclick="editRisk('${risk.id}')">
+                            ✏️ Edit
+                        </button>
+                    ` : ''}
+                    ${hasPermission('risks:delete') ? `
+                        <button class="btn btn-sm btn-danger" onclick="deleteRisk('${risk.id}')">
+                            🗑️ Delete
+                        </button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Shows the score the chosen probability and impact give
+ */
+function updateScorePreview() {
+    const probability = parseInt(document.getElementById('riskProbability').value, 10);
+    const impact = parseInt(document.getElementById('riskImpact').value, 10);
+    const score = probability * impact;
+    
+    // Same levels as the server uses (see lib/risks.js)
+    const level = score >= 15 ? 'critical' : score >= 8 ? 'high' : score >= 4 ? 'medium' : 'low';
+    
+    document.getElementById('riskScorePreview').innerHTML = renderRiskScore({ probability, impact, score, level });
+}
+
+// ============================================
+// MITIGATION ACTIONS
+// ============================================
+
+/**
+ * Renders the mitigation action rows of the risk form
+ * Actions that became a task follow that task, so their done box cannot be changed
+ * @param {Array<Object>} actions - The risk's actions
+ */
+function renderMitigationRows(actions) {
+    const container = document.getElementById('riskMitigations');
+    container.innerHTML = '';
+    actions.forEach(addMitigationRow);
+}
+
+/**
+ * Adds a mitigation action row to the risk form
+ * @param {Object} [action] - Existing action, or nothing for a blank row
+ */
+function addMitigationRow(action = {}) {
+    const container = document.getElementById('riskMitigations');
+    const row = document.createElement('div');
+    
+    row.className = 'mitigation-row';
+    row.dataset.actionId = action.id || '';
+    row.innerHTML = `
+        <input type="checkbox" class="mitigation-done" ${action.done ? 'checked' : ''}
+            ${action.taskId ? 'disabled title="Done when its task is done"' : 'title="Done"'}>
+        <input type="text" class="mitigation-description" value="${escapeHtml(action.description || '')}"
+            placeholder="What will be done to reduce the risk">
+        ${action.taskTitle ? `<span class="mitigation-task">📋 ${escapeHtml(action.taskTitle)}</span>` : ''}
+        <button type="button" class="btn btn-sm btn-secondary" onclick="this.parentElement.remove()" title="Remove action">
+            ✕
+        </button>
+    `;
+    
+    container.appendChild(row);
+}
+
+/**
+ * Reads the mitigation actions from the risk form
+ * Rows left blank are skipped
+ * @returns {Array<Object>} Actions as { id, description, done }
+ */
+function getMitigationRows() {
+    return Array.from(document.querySelectorAll('#riskMitigations .mitigation-row'))
+        .map(row => ({
+            id: row.dataset.actionId || undefined,
+            description: row.querySelector('.mitigation-description').value.trim(),
+            done: row.querySelector('.mitigation-done').checked
+        }))
+        .filter(action => action.description);
+}
+
+/**
+ * Creates a task from a mitigation action
+ * The task is assigned to the risk's owner and due with the risk
+ * @param {string} riskId - ID of the risk
+ * @param {string} actionId - ID of the action
+ */
+async function createTaskFromAction(riskId, actionId) {
+    try {
+        const task = await fetchAPI(`/risks/${riskId}/mitigations/${actionId}/task`, {
+            method: 'POST',
+            body: JSON.stringify({})
+        });
+        
+        showNotification(`Task "${task.title}" created`, 'success');
+        
+        // Reload risks and re-render
+        await loadRisks();
+        renderRisks();
+        viewRisk(riskId);
+    } catch (error) {
+        console.error('Error creating task:', error);
+        const fields = error.status === 422 && error.data && error.data.fields;
+        showNotification(fields ? Object.values(fields).join('; ') : error.message || 'Failed to create the task', 'error');
+    }
+}
+
+// ============================================
+// MODAL FUNCTIONS
+// ============================================
+
+/**
+ * Fills the status dropdown with the statuses a risk may be saved with
+ * @param {Object|null} risk - Risk being edited, or null for a new risk
+ */
+function populateStatusOptions(risk) {
+    const statuses = risk ? [risk.status, ...risk.nextStatuses] : ['identified'];
+    
+    document.getElementById('riskStatus').innerHTML = statuses.map(status =>
+        `<option value="${status}">${RISK_STATUS_LABELS[status] || status}</option>`
+    ).join('');
+}
+
+/**
+ * Opens the modal to add a new risk
+ */
+function openCreateRiskModal() {
+    // Reset the form
+    resetForm('riskForm');
+    
+    // Clear the hidden ID and version fields
+    document.getElementById('riskId').value = '';
+    document.getElementById('riskVersion').value = '';
+    
+    // Set modal title
+    document.getElementById('modalTitle').textContent = 'Add Risk';
+    
+    // Set default values (new risks start as identified)
+    const projectFilter = document.getElementById('projectFilter').value;
+    document.getElementById('riskProject').value = projectFilter !== 'all' ? projectFilter : '';
+    document.getElementById('riskType').value = 'risk';
+    document.getElementById('riskProbability').value = '3';
+    document.getElementById('riskImpact').value = '3';
+    populateStatusOptions(null);
+    renderMitigationRows([]);
+    updateScorePreview();
+    
+    // Open the modal
+    openModal('riskModal');
+}
+
+/**
+ * Opens the modal to edit an existing risk
+ * @param {string} riskId - ID of the risk to edit
+ */
+function editRisk(riskId) {
+    const risk = appState.risks.find(r => r.id === riskId);
+    
+    if (!risk) {
+        showNotification('Risk not found', 'error');
+        return;
+    }
+    
+    // Set modal title
+    document.getElementById('modalTitle').textContent = risk.type === 'issue' ? 'Edit Issue' : 'Edit Risk';
+    
+    // Fill form with risk data
+    document.getElementById('riskId').value = risk.id;
+    document.getElementById('riskVersion').value = risk.version;
+    document.getElementById('riskProject').value = risk.projectId;
+    document.getElementById('riskType').value = risk.type;
+    document.getElementById('riskTitle').value = risk.title;
+    document.getElementById('riskDescription').value = risk.description || '';
+    document.getElementById('riskProbability').value = risk.probability;
+    document.getElementById('riskImpact').value = risk.impact;
+    document.getElementById('riskOwner').value = risk.ownerId || '';
+    document.getElementById('riskDueDate').value = risk.dueDate || '';
+    populateStatusOptions(risk);
+    renderMitigationRows(risk.mitigations);
+    updateScorePreview();
+    
+    // Open the modal
+    openModal('riskModal');
+}
+
+/**
+ * Closes the risk modal
+ */
+function closeRiskModal() {
+    closeModal('riskModal');
+    resetForm('riskForm');
+}
+
+/**
+ * Views detailed information about a risk
+ * @param {string} riskId - ID of the risk to view
+ */
+function viewRisk(riskId) {
+    const risk = appState.risks.find(r => r.id === riskId);
+    
+    if (!risk) {
+        showNotification('Risk not found', 'error');
+        return;
+    }
+    
+    const canCreateTasks = risk.status !== 'closed' && hasPermission('risks:update') && hasPermission('tasks:create');
+    
+    // Build detailed view HTML
+    const detailsHTML = `
+        <div style="padding: 25px;">
+            <div class="task-meta" style="margin-bottom: 20px;">
+                ${renderRiskScore(risk)}
+                ${renderStatusBadge(risk.status, RISK_STATUS_LABELS[risk.status])}
+                <span class="badge">${RISK_TYPE_ICONS[risk.type] || ''} ${risk.type === 'issue' ? 'Issue' : 'Risk'}</span>
+                ${risk.overdue ? '<span class="badge" style="background-color: #f8d7da; color: #721c24;">⚠️ Overdue</span>' : ''}
+            </div>
+            
+            <h3>Description</h3>
+            <p style="margin-bottom: 20px;">${escapeHtml(risk.description || 'No description')}</p>
+            
+            <h3>Assessment</h3>
+            <div class="project-meta" style="margin-bottom: 20px;">
+                <span><strong>Probability:</strong> ${risk.probability} - ${RISK_PROBABILITY_LABELS[risk.probability]}</span>
+                <span><strong>Impact:</strong> ${risk.impact} - ${RISK_IMPACT_LABELS[risk.impact]}</span>
+                <span><strong>Score:</strong> ${risk.score} (${risk.level})</span>
+            </div>
+            
+            <h3>Ownership</h3>
+            <div class="project-meta" style="margin-bottom: 20px;">
+                <span><strong>Project:</strong> ${escapeHtml(getProjectName(risk.projectId))}</span>
+                <span><strong>Owner:</strong> ${risk.ownerId ? escapeHtml(getUserName(risk.ownerId)) : 'No owner'}</span>
+                <span><strong>Due Date:</strong> ${risk.dueDate ? formatDate(risk.dueDate) : '-'}</span>
+                ${risk.closedAt ? `<span><strong>Closed:</strong> ${formatDate(risk.closedAt)}</span>` : ''}
+            </div>
+            
+            <h3>Mitigation Actions</h3>
+            ${risk.mitigations.length > 0 ? `
+                <ul class="mitigation-list">
+                    ${risk.mitigations.map(action => `
+                        <li class="mitigation-row">
+                            <span>${action.done ? '✅' : '⬜'}</span>
+                            <span class="mitigation-description">${escapeHtml(action.description)}</span>
+                            ${action.taskTitle ? `
+                                <span class="mitigation-task">📋 ${escapeHtml(action.taskTitle)}</span>
+                            ` : canCreateTasks && !action.done ? `
+                                <button class="btn btn-sm btn-secondary" onclick="createTaskFromAction('${risk.id}', '${action.id}')">
+                                    📋 Create Task
+                                </button>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="empty-state">No mitigation actions planned yet</p>'}
+            
+            <div style="margin-top: 30px; display: flex; gap: 10px; justify-content: flex-end;">
+                ${hasPermission('risks:update') ? `
+                    <button class="btn btn-primary" onclick="editRisk('${risk.id}'); closeViewRiskModal();">
+                        Edit
+                    </button>
+                ` : ''}
+                <button class="btn btn-secondary" onclick="closeViewRiskModal()">
+                    Close
+                </button>
+            </div>
+        </div>
+    `;
+    
+    // Set modal content
+    document.getElementById('viewRiskTitle').textContent = risk.title;
+    document.getElementById('riskDetails').innerHTML = renderHistoryTabs(detailsHTML, {
+        entity: 'risk',
+        id: risk.id,
+        labels: RISK_FIELD_LABELS,
+        formatValue: formatRiskFieldValue
+    });
+    
+    // Open the modal
+    openModal('viewRiskModal');
+}
+
+/**
+ * Closes the view risk modal
+ */
+function closeViewRiskModal() {
+    closeModal('viewRiskModal');
+}
+
+// ============================================
+// CRUD OPERATIONS
+// ============================================
+
+/**
+ * Formats a risk field value for the conflict dialog and history
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatRiskFieldValue(field, value) {
+    if (field === 'projectId') return getProjectName(value);
+    if (field === 'ownerId') return value ? getUserName(value) : '(none)';
+    if (field === 'status') return RISK_STATUS_LABELS[value] || formatConflictValue(value);
+    if (field === 'probability') return value ? `${value} - ${RISK_PROBABILITY_LABELS[value]}` : formatConflictValue(value);
+    if (field === 'impact') return value ? `${value} - ${RISK_IMPACT_LABELS[value]}` : formatConflictValue(value);
+    if (field === 'mitigations' && Array.isArray(value)) {
+        return value.length > 0
+            ? value.map(action => `${action.done ? '✅' : '⬜'} ${action.description}`).join(', ')
+            : '(none)';
+    }
+    return formatConflictValue(value);
+}
+
+/**
+ * Handles risk form submission (create or update)
+ * @param {Event} event - Form submit event
+ */
+async function handleRiskSubmit(event) {
+    event.preventDefault();
+    
+    // Get form values
+    const riskId = document.getElementById('riskId').value;
+    
+    const riskData = {
+        projectId: document.getElementById('riskProject').value,
+        type: document.getElementById('riskType').value,
+        title: document.getElementById('riskTitle').value.trim(),
+        description: document.getElementById('riskDescription').value.trim(),
+        probability: parseInt(document.getElementById('riskProbability').value, 10),
+        impact: parseInt(document.getElementById('riskImpact').value, 10),
+        ownerId: document.getElementById('riskOwner').value || null,
+        dueDate: document.getElementById('riskDueDate').value || null,
+        status: document.getElementById('riskStatus').value,
+        mitigations: getMitigationRows()
+    };
+    
+    clearFieldErrors('riskForm');
+    
+    try {
+        if (riskId) {
+            // Save, checking nobody else changed the risk in the meantime
+            const version = parseInt(document.getElementById('riskVersion').value, 10);
+            const result = await saveWithConflictCheck(`/risks/${riskId}`, riskData, version, {
+                title: riskData.title,
+                fields: RISK_FIELD_LABELS,
+                formatValue: formatRiskFieldValue
+            });
+            
+            if (result) {
+                showNotification('Risk updated successfully', 'success');
+            } else {
+                showNotification('Your changes were discarded and the saved version kept', 'info');
+            }
+        } else {
+            // Add new risk
+            await fetchAPI('/risks', {
+                method: 'POST',
+                body: JSON.stringify(riskData)
+            });
+            showNotification(riskData.type === 'issue' ? 'Issue added successfully' : 'Risk added successfully', 'success');
+        }
+        
+        // Reload risks and re-render
+        await loadRisks();
+        renderRisks();
+        
+        // Close modal
+        closeRiskModal();
+    } catch (error) {
+        console.error('Error saving risk:', error);
+        showSaveError(error, 'riskForm', RISK_FIELD_INPUTS, 'Failed to save risk');
+    }
+}
+
+/**
+ * Deletes a risk
+ * @param {string} riskId - ID of the risk to delete
+ */
+async function deleteRisk(riskId) {
+    const risk = appState.risks.find(r => r.id === riskId);
+    
+    if (!risk) {
+        showNotification('Risk not found', 'error');
+        return;
+    }
+    
+    // Confirm deletion (closing a risk keeps it on record; deleting removes it)
+    if (!confirmAction(`Are you sure you want to delete "${risk.title}"? Tasks created from its actions are kept. This action cannot be undone.`)) {
+        return;
+    }
+    
+    try {
+        await fetchAPI(`/risks/${riskId}`, {
+            method: 'DELETE'
+        });
+        
+        showNotification('Risk deleted successfully', 'success');
+        
+        // Reload risks and re-render
+        await loadRisks();
+        renderRisks();
+    } catch (error) {
+        console.error('Error deleting risk:', error);
+        showNotification(error.message || 'Failed to delete risk', 'error');
+    }
+}
\ No newline at end of file
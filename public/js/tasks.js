@@ -2,10 +2,11 @@
  * Tasks Management Module
  * 
  * This file handles all task-related functionality including:
- * - Loading and displaying tasks in a Kanban board
+ * - Loading and displaying tasks in a list (a page at a time), a Kanban board or on a timeline
  * - Creating new tasks
  * - Editing existing tasks
- * - Deleting tasks
+ * - Deleting tasks (to the trash) and restoring them
+ * - Changing the status, priority, assignee or due date of many tasks at once, or deleting them
  * - Filtering and searching tasks
  */
 
@@ -13,6 +14,110 @@
 // INITIALIZATION
 // ============================================
 
+/**
+ * Labels for the task form fields, used when showing edit conflicts
+ */
+const TASK_FIELD_LABELS = {
+    projectId: 'Project',
+    title: 'Task Title',
+    description: 'Description',
+    status: 'Status',
+    priority: 'Priority',
+    startDate: 'Start Date',
+    dueDate: 'Due Date',
+    estimatedHours: 'Estimated Hours',
+    actualHours: 'Actual Hours',
+    assignedTo: 'Assigned To',
+    tags: 'Tags',
+    dependencies: 'Depends On',
+    milestoneId: 'Milestone',
+    rank: 'Board Position'
+};
+
+/**
+ * Form input IDs for each task field, used to show validation messages
+ */
+const TASK_FIELD_INPUTS = {
+    projectId: 'taskProject',
+    title: 'taskTitle',
+    description: 'taskDescription',
+    status: 'taskStatus',
+    priority: 'taskPriority',
+    startDate: 'taskStartDate',
+    dueDate: 'taskDueDate',
+    estimatedHours: 'taskEstimatedHours',
+    actualHours: 'taskActualHours',
+    assignedTo: 'taskAssignee',
+    tags: 'taskTags',
+    dependencies: 'taskDependencies',
+    milestoneId: 'taskMilestone'
+};
+
+/**
+ * Column icons for each status category
+ */
+const CATEGORY_ICONS = {
+    todo: '📋',
+    active: '🚀',
+    done: '✅'
+};
+
+/**
+ * Columns of the task list; sort is the server's sort name (null if the column cannot be sorted)
+ */
+const TASK_LIST_COLUMNS = [
+    { label: 'Task', sort: 'title' },
+    { label: 'Project', sort: null },
+    { label: 'Status', sort: 'status' },
+    { label: 'Priority', sort: 'priority' },
+    { label: 'Assigned To', sort: null },
+    { label: 'Due Date', sort: 'dueDate' },
+    { label: 'Hours', sort: 'estimatedHours' },
+    { label: 'Actions', sort: null }
+];
+
+/**
+ * Sort of the task list (server sort names, '-' for descending)
+ */
+let taskListSort = 'dueDate';
+
+/**
+ * The list, board and timeline, keyed by view; each loads the filtered tasks from
+ * the server a page at a time (created when first shown)
+ */
+const taskViews = {};
+
+/**
+ * IDs of the tasks selected for a bulk change; null when selection mode is off
+ */
+let selectedTaskIds = null;
+
+/**
+ * Bulk action bar inputs for each task field a bulk update can change
+ */
+const BULK_FIELD_INPUTS = {
+    status: 'bulkStatus',
+    priority: 'bulkPriority',
+    assignedTo: 'bulkAssignee',
+    dueDate: 'bulkDueDate'
+};
+
+/**
+ * State of the card being dragged on the board
+ * Holds { task, card, previousId, nextId, dropped } while a drag is in progress
+ */
+let boardDrag = null;
+
+/**
+ * Task being edited in the task form, as loaded when the form opened (null for a new task)
+ */
+let editingTask = null;
+
+/**
+ * Tasks the dependency picker offers: the other tasks of the project selected in the form
+ */
+let dependencyCandidates = [];
+
 /**
  * Initialize the tasks page
  */
@@ -29,8 +134,9 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Load initial data
     await loadAllData();
     
-    // Populate project filter dropdown
+    // Populate project and status filter dropdowns
     populateProjectFilter();
+    populateStatusFilter();
     
     // Populate form dropdowns
     populateFormDropdowns();
@@ -43,17 +149,28 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     // Set up filters
     setupFilters(renderTasks);
+    
+    // Show changes made by others as they happen
+    startLiveUpdates({ collections: ['projects', 'tasks'], onChange: handleLiveChange });
+    
+    // Opened from a notification - show the task (?task=<id>)
+    const linkedTaskId = new URLSearchParams(window.location.search).get('task');
+    if (linkedTaskId) {
+        viewTask(linkedTaskId);
+    }
 });
 
 /**
  * Load all necessary data for the tasks page
+ * The views load their own tasks a page at a time (see getTaskView); the projects
+ * carry the task counts their WIP limits are checked against
  */
 async function loadAllData() {
     try {
         await Promise.all([
             loadProjects(),
             loadUsers(),
-            loadTasks()
+            loadWorkflows()
         ]);
     } catch (error) {
         console.error('Error loading data:', error);
@@ -77,6 +194,51 @@ function setupEventListeners() {
         taskForm.addEventListener('submit', handleTaskSubmit);
     }
     
+    // Statuses, milestones and dependencies depend on the selected project
+    const taskProject = document.getElementById('taskProject');
+    if (taskProject) {
+        taskProject.addEventListener('change', () => {
+            const taskId = document.getElementById('taskId').value;
+            populateStatusOptions(taskProject.value, editingTask);
+            populateMilestoneOptions(taskProject.value, null);
+            renderDependencyPicker(taskId, taskProject.value, []);
+        });
+    }
+    
+    // The board's columns follow the filtered project's workflow
+    // and others viewing it are shown
+    const projectFilter = document.getElementById('projectFilter');
+    if (projectFilter) {
+        projectFilter.addEventListener('change', () => {
+            populateStatusFilter();
+            setViewingProject(projectFilter.value !== 'all' ? projectFilter.value : null);
+        });
+    }
+    
+    // Selection mode for bulk changes
+    const selectBtn = document.getElementById('selectTasksBtn');
+    if (selectBtn) {
+        selectBtn.addEventListener('click', toggleSelectionMode);
+    }
+    
+    // List / Board / Timeline switch
+    setupViewToggle(renderTasks);
+    
+    // Moving cards between and within columns
+    setupBoardDragAndDrop();
+    
+    // WIP limit form submission
+    const wipLimitForm = document.getElementById('wipLimitForm');
+    if (wipLimitForm) {
+        wipLimitForm.addEventListener('submit', handleWipLimitSubmit);
+    }
+    
+    // Trash button
+    const trashBtn = document.getElementById('taskTrashBtn');
+    if (trashBtn) {
+        trashBtn.addEventListener('click', () => openTrash('tasks', task => refreshTasks([task.projectId])));
+    }
+    
     // Logout button
     const logoutBtn = document.getElementById('logoutBtn');
     if (logoutBtn) {
@@ -100,6 +262,111 @@ function populateProjectFilter() {
     projectFilter.innerHTML = '<option value="all">All Projects</option>' + projectOptions;
 }
 
+/**
+ * Gets the statuses shown as board columns and filter options
+ * With a project selected in the filter, these are its workflow's statuses;
+ * otherwise the statuses of every project's workflow, grouped by category
+ * @returns {Array<Object>} Statuses ({ key, label, category }) in board order
+ */
+function getBoardStatuses() {
+    const projectFilter = document.getElementById('projectFilter');
+    const projectIds = projectFilter && projectFilter.value !== 'all'
+        ? [projectFilter.value]
+        : appState.projects.map(project => project.id);
+    
+    const statuses = new Map();
+    projectIds.map(getProjectWorkflow).filter(Boolean).forEach(workflow => {
+        workflow.statuses.forEach(status => {
+            if (!statuses.has(status.key)) statuses.set(status.key, status);
+        });
+    });
+    
+    // Sort is stable, so each category keeps the workflows' own order
+    const categories = Object.keys(CATEGORY_ICONS);
+    return Array.from(statuses.values())
+        .sort((a, b) => categories.indexOf(a.category) - categories.indexOf(b.category));
+}
+
+/**
+ * Populates the status filter dropdown from the board's statuses
+ * Keeps the selected status if it is still available
+ */
+function populateStatusFilter() {
+    const statusFilter = document.getElementById('statusFilter');
+    
+    if (!statusFilter) return;
+    
+    const selected = statusFilter.value;
+    const statuses = getBoardStatuses();
+    
+    statusFilter.innerHTML = '<option value="all">All Status</option>' + statuses.map(status =>
+        `<option value="${status.key}">${escapeHtml(status.label)}</option>`
+    ).join('');
+    
+    statusFilter.value = statuses.some(status => status.key === selected) ? selected : 'all';
+}
+
+/**
+ * Fills the form's status dropdown with the statuses of a project's workflow
+ * When editing, only the task's current status and the statuses it may move to are offered
+ * @param {string} projectId - Selected project (empty for none)
+ * @param {Object} [task] - Task being edited
+ */
+function populateStatusOptions(projectId, task) {
+    const taskStatus = document.getElementById('taskStatus');
+    const workflow = projectId ? getProjectWorkflow(projectId) : getWorkflowById(DEFAULT_WORKFLOW_ID);
+    
+    if (!taskStatus || !workflow) return;
+    
+    // Transitions only limit moves within the task's own project
+    const current = task && task.projectId === projectId ? task.status : null;
+    const allowed = current && (workflow.transitions || {})[current];
+    const statuses = workflow.statuses.filter(status =>
+        !allowed || status.key === current || allowed.includes(status.key)
+    );
+    
+    const selected = current || taskStatus.value;
+    taskStatus.innerHTML = statuses.map(status =>
+        `<option value="${status.key}">${escapeHtml(status.label)}</option>`
+    ).join('');
+    
+    if (statuses.some(status => status.key === selected)) {
+        taskStatus.value = selected;
+    }
+}
+
+/**
+ * Fills the form's milestone dropdown with a project's milestones
+ * @param {string} projectId - Selected project (empty for none)
+ * @param {string|null} selected - Milestone to select
+ */
+function populateMilestoneOptions(projectId, selected) {
+    const taskMilestone = document.getElementById('taskMilestone');
+    const project = projectId ? getProjectById(projectId) : null;
+    
+    if (!taskMilestone) return;
+    
+    const milestones = project ? [...(project.milestones || [])].sort((a, b) => a.dueDate.localeCompare(b.dueDate)) : [];
+    taskMilestone.innerHTML = '<option value="">No milestone</option>' + milestones.map(milestone =>
+        `<option value="${milestone.id}">${escapeHtml(milestone.name)} (${formatDate(milestone.dueDate)})</option>`
+    ).join('');
+    taskMilestone.value = selected || '';
+}
+
+/**
+ * Gets the name of a task's milestone
+ * @param {Object} task - Task object
+ * @returns {string|null} Milestone name, or null if the task has no milestone
+ */
+function getTaskMilestoneName(task) {
+    const project = getProjectById(task.projectId);
+    const milestone = project && task.milestoneId
+        ? (project.milestones || []).find(m => m.id === task.milestoneId)
+        : null;
+    
+    return milestone ? milestone.name : null;
+}
+
 /**
  * Populates form dropdowns (projects and assignees)
  */
@@ -117,6 +384,7 @@ function populateFormDropdowns() {
     const taskAssignee = document.getElementById('taskAssignee');
     if (taskAssignee) {
         const userOptions = appState.users
+            .filter(user => user.active !== false)
             .filter(user => user.role === 'team_member' || user.role === 'project_manager')
             .map(user => 
                 `<option value="${user.id}">${escapeHtml(user.fullName)}</option>`
@@ -125,97 +393,833 @@ function populateFormDropdowns() {
     }
 }
 
+/**
+ * Makes sure the assignee dropdown contains a user, even if they were deactivated
+ * Deactivated users are left out of the normal list but may still own old tasks
+ * @param {string} userId - ID of the user who must be selectable
+ */
+function setAssigneeOption(userId) {
+    const taskAssignee = document.getElementById('taskAssignee');
+    const user = getUserById(userId);
+    
+    if (!taskAssignee || !user) return;
+    
+    const exists = Array.from(taskAssignee.options).some(option => option.value === userId);
+    if (!exists) {
+        const option = document.createElement('option');
+        option.value = user.id;
+        option.textContent = `${user.fullName} (inactive)`;
+        taskAssignee.appendChild(option);
+    }
+}
+
+/**
+ * Fills the dependency picker with the other tasks of a project, loaded from the server
+ * @param {string} taskId - ID of the task being edited (empty for a new task)
+ * @param {string} projectId - Project whose tasks can be picked
+ * @param {Array<string>} selected - IDs of the tasks currently depended on
+ */
+async function renderDependencyPicker(taskId, projectId, selected) {
+    const picker = document.getElementById('taskDependencies');
+    if (!picker) return;
+    
+    dependencyCandidates = [];
+    
+    if (!projectId) {
+        picker.innerHTML = '<p class="empty-state">Select a project first</p>';
+        return;
+    }
+    
+    showLoading(picker);
+    
+    let tasks;
+    try {
+        tasks = await fetchAPI(`/tasks?projectId=${projectId}&sort=title`);
+    } catch (error) {
+        console.error('Error loading tasks:', error);
+        showErrorState(picker, 'Failed to load the project\'s tasks');
+        return;
+    }
+    
+    // Another project may have been picked while these loaded
+    if (document.getElementById('taskProject').value !== projectId) return;
+    
+    dependencyCandidates = tasks.filter(task => task.id !== taskId);
+    
+    if (dependencyCandidates.length === 0) {
+        picker.innerHTML = '<p class="empty-state">No other tasks in this project</p>';
+        return;
+    }
+    
+    picker.innerHTML = dependencyCandidates.map(task => `
+        <label>
+            <input type="checkbox" value="${task.id}" ${selected.includes(task.id) ? 'checked' : ''}>
+            ${escapeHtml(task.title)}
+            ${isTaskDone(task) ? '<span class="dependency-done">✓</span>' : ''}
+        </label>
+    `).join('');
+}
+
+/**
+ * Gets the tasks ticked in the dependency picker
+ * @returns {Array<string>} Task IDs
+ */
+function getSelectedDependencies() {
+    return Array.from(document.querySelectorAll('#taskDependencies input:checked'))
+        .map(checkbox => checkbox.value);
+}
+
+/**
+ * Lists tasks by title, each opening its own details
+ * @param {Array<Object>} tasks - Tasks to list
+ * @returns {string} HTML list
+ */
+function renderTaskLinks(tasks) {
+    return `
+        <ul class="dependency-list">
+            ${tasks.map(task => `
+                <li>
+                    <a href="#" onclick="viewTask('${task.id}'); return false;">${escapeHtml(task.title)}</a>
+                    ${renderStatusBadge(task.status, getStatusLabel(task.projectId, task.status))}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
 // ============================================
 // RENDER FUNCTIONS
 // ============================================
 
 /**
- * Renders all tasks in the Kanban board based on current filters
+ * Renders the tasks in the selected view (list, Kanban board or timeline) based on current filters
+ * Every view is filtered, sorted and paged by the server
  */
 function renderTasks() {
-    // Get filter values
-    const filters = getFilterValues();
-    
-    // Apply filters to tasks
-    let filteredTasks = applyFilters(
-        appState.tasks,
-        filters,
-        ['title', 'description']
-    );
+    // Show the selected view only
+    const view = getSelectedView();
+    document.getElementById('taskListView').style.display = view === 'list' ? '' : 'none';
+    document.getElementById('tasksBoard').style.display = view === 'board' ? '' : 'none';
+    document.getElementById('taskTimeline').style.display = view === 'timeline' ? '' : 'none';
     
-    // Render tasks by status
-    renderTaskColumn('pending', filteredTasks);
-    renderTaskColumn('in-progress', filteredTasks);
-    renderTaskColumn('completed', filteredTasks);
+    getTaskView(view).reload();
 }
 
 /**
- * Renders tasks for a specific status column
- * @param {string} status - Task status
- * @param {Array} allTasks - All filtered tasks
+ * Shows the tasks again after they were changed on this page
+ * Their projects are reloaded too, for the task counts WIP limits are checked against
+ * @param {Array<string>} projectIds - Projects whose tasks changed
  */
-function renderTaskColumn(status, allTasks) {
-    // Get tasks for this status
-    const tasks = allTasks.filter(task => task.status === status);
-    
-    // Get container element
-    const containerId = status === 'in-progress' ? 'inProgressTasks' : 
-                       status === 'pending' ? 'pendingTasks' : 'completedTasks';
-    const container = document.getElementById(containerId);
-    
-    // Get count element
-    const countId = status === 'in-progress' ? 'inProgressCount' : 
-                   status === 'pending' ? 'pendingCount' : 'completedCount';
-    const countElement = document.getElementById(countId);
+async function refreshTasks(projectIds) {
+    await Promise.all([...new Set(projectIds)].map(loadProject));
+    renderTasks();
+}
+
+/**
+ * Shows a change made by someone else (see startLiveUpdates)
+ * A changed task is swapped in place, and on the board its project is reloaded for
+ * its new task counts; the board and timeline are redrawn when a project changes,
+ * since its workflow or WIP limits may have. Nothing is redrawn while a card is being dragged
+ * @param {Object} event - Change event
+ */
+function handleLiveChange(event) {
+    // A task that is gone can no longer be part of a bulk change
+    if (!event.record && selectedTaskIds && selectedTaskIds.delete(event.id)) {
+        renderBulkSelection();
+    }
     
-    if (!container) return;
+    if (boardDrag) return;
     
-    // Update count
-    if (countElement) {
-        countElement.textContent = tasks.length;
+    const view = getSelectedView();
+    if (event.collection === 'tasks') {
+        getTaskView(view).patchItem(event.id, event.record);
+        if (view === 'board' && getProjectById(event.projectId)) {
+            loadProject(event.projectId).then(() => {
+                if (!boardDrag && getSelectedView() === 'board') getTaskView('board').redraw();
+            });
+        }
+    } else if (view !== 'list') {
+        getTaskView(view).redraw();
     }
-    
-    // Check if there are any tasks
-    if (tasks.length === 0) {
-        container.innerHTML = '<p class="empty-state">No tasks</p>';
-        return;
+}
+
+/**
+ * Gets the infinite list behind a view, creating it the first time
+ * - list:     a table in the chosen sort order
+ * - board:    a column per status, in board order
+ * - timeline: a Gantt chart, by start date
+ * @param {string} view - 'list', 'board' or 'timeline'
+ * @returns {Object} Infinite list (see createInfiniteList)
+ */
+function getTaskView(view) {
+    if (!taskViews[view]) {
+        const layouts = {
+            list: { container: 'taskList', getSort: () => taskListSort, renderItems: renderTaskTable },
+            board: { container: 'tasksBoard', getSort: () => 'rank', renderItems: renderBoard },
+            timeline: { container: 'taskTimeline', getSort: () => 'startDate', renderInto: renderTaskTimeline }
+        };
+        const { container, getSort, ...layout } = layouts[view];
+        
+        taskViews[view] = createInfiniteList({
+            path: '/tasks',
+            getParams: () => ({ ...getFilterParams(getFilterValues()), sort: getSort() }),
+            container: document.getElementById(container),
+            ...layout,
+            emptyMessage: 'No tasks found',
+            onLoad: (loaded, total) => {
+                if (getSelectedView() !== view) return;
+                document.getElementById('taskListCount').textContent =
+                    total > 0 ? `Showing ${loaded} of ${total} task(s)` : '';
+            }
+        });
     }
     
-    // Build HTML for task cards
-    container.innerHTML = tasks.map(task => {
-        const project = getProjectById(task.projectId);
+    return taskViews[view];
+}
+
+/**
+ * Sorts the task list by a column; choosing the sorted column again reverses the order
+ * @param {string} sort - Server sort name of the column
+ */
+function sortTaskList(sort) {
+    taskListSort = taskListSort === sort ? `-${sort}` : sort;
+    getTaskView('list').reload();
+}
+
+/**
+ * Renders the loaded tasks as a table
+ * @param {Array} tasks - Tasks loaded so far, in the list's sort order
+ * @returns {string} HTML for the table
+ */
+function renderTaskTable(tasks) {
+    const selecting = selectedTaskIds !== null;
+    const headers = (selecting ? '<th></th>' : '') + TASK_LIST_COLUMNS.map(column => {
+        if (!column.sort) return `<th>${column.label}</th>`;
+        
+        const arrow = taskListSort === column.sort ? ' ▲' : taskListSort === `-${column.sort}` ? ' ▼' : '';
+        return `<th class="sortable" onclick="sortTaskList('${column.sort}')">${column.label}${arrow}</th>`;
+    }).join('');
+    
+    const rows = tasks.map(task => {
         const assignee = getUserById(task.assignedTo);
-        const isOverdue = isPastDate(task.dueDate) && task.status !== 'completed';
+        const isOverdue = task.overdue;
         
         return `
-            <div class="task-item" onclick="viewTask('${task.id}')">
-                <div class="task-info">
-                    <h4>${escapeHtml(task.title)}</h4>
-                    <p>${escapeHtml(task.description)}</p>
-                    <div style="margin-top: 8px; font-size: 12px; color: #7f8c8d;">
-                        📁 ${project ? escapeHtml(project.name) : 'Unknown Project'}
-                    </div>
-                    <div style="margin-top: 5px; font-size: 12px; color: #7f8c8d;">
-                        👤 ${assignee ? escapeHtml(assignee.fullName) : 'Unassigned'}
+            <tr class="clickable ${selecting && selectedTaskIds.has(task.id) ? 'selected' : ''}" data-task-id="${task.id}"
+                onclick="${selecting ? `toggleTaskSelection('${task.id}')` : `viewTask('${task.id}')`}">
+                ${selecting ? `<td>${renderTaskCheckbox(task)}</td>` : ''}
+                <td>
+                    <strong>${escapeHtml(task.title)}</strong>
+                    ${task.blocked ? '<span class="badge blocked-badge">⛔ Blocked</span>' : ''}
+                </td>
+                <td>${escapeHtml(getProjectName(task.projectId))}</td>
+                <td>${renderStatusBadge(task.status, getStatusLabel(task.projectId, task.status))}</td>
+                <td>${renderPriorityBadge(task.priority)}</td>
+                <td>${assignee ? escapeHtml(assignee.fullName) : 'Unassigned'}</td>
+                <td ${isOverdue ? 'style="color: #E74C3C; font-weight: 600;"' : ''}>
+                    ${isOverdue ? '⚠️ ' : ''}${formatDate(task.dueDate)}
+                </td>
+                <td>${task.actualHours || 0} / ${task.estimatedHours || 0}h</td>
+                <td onclick="event.stopPropagation()">
+                    ${canEditTask(task) ? `
+                        <button class="btn btn-sm btn-primary" onclick="editTask('${task.id}')">✏️ Edit</button>
+                    ` : ''}
+                    ${hasPermission('tasks:delete') ? `
+                        <button class="btn btn-sm btn-danger" onclick="deleteTask('${task.id}')">🗑️ Delete</button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    return `
+        <table class="data-table">
+            <thead><tr>${headers}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Renders the board: a column for each workflow status, plus any status no workflow shown has
+ * @param {Array} tasks - Tasks loaded so far, in board order
+ * @returns {string} HTML for the board
+ */
+function renderBoard(tasks) {
+    const statuses = getBoardStatuses();
+    tasks.forEach(task => {
+        if (!statuses.some(status => status.key === task.status)) {
+            statuses.push({ key: task.status, label: task.status, category: task.statusCategory });
+        }
+    });
+    
+    return `<div class="tasks-board">${statuses.map(status => renderTaskColumn(status, tasks)).join('')}</div>`;
+}
+
+/**
+ * Draws the loaded tasks on the timeline, grouped under their projects
+ * @param {HTMLElement} container - Element to draw into
+ * @param {Array} tasks - Tasks loaded so far
+ */
+function renderTaskTimeline(container, tasks) {
+    const projects = appState.projects.filter(project => tasks.some(task => task.projectId === project.id));
+    
+    renderGantt(container, tasks, projects, {
+        onChange: renderTasks,
+        onSelect: viewTask
+    });
+}
+
+/**
+ * Renders the column of a workflow status
+ * @param {Object} status - Workflow status ({ key, label, category })
+ * @param {Array} allTasks - Tasks loaded on the board
+ * @returns {string} HTML for the column
+ */
+function renderTaskColumn(status, allTasks) {
+    // Get tasks for this status, in board order
+    const tasks = allTasks
+        .filter(task => task.status === status.key)
+        .sort((a, b) => getTaskRank(a) - getTaskRank(b));
+    
+    const { rule, over } = getColumnWipState(status);
+    const canSetLimit = hasPermission('projects:update') && getBoardProject() !== null;
+    
+    return `
+        <div class="task-column category-${status.category} ${over.length > 0 ? 'over-limit' : ''}"
+            ${over.length > 0 ? `title="Over its WIP limit in: ${escapeHtml(over.map(p => p.name).join(', '))}"` : ''}>
+            <div class="column-header">
+                <h3>${CATEGORY_ICONS[status.category] || '📋'} ${escapeHtml(status.label)}</h3>
+                <div class="column-tools">
+                    <span class="task-count">${tasks.length}${rule ? ` / ${rule.limit}${rule.hard ? ' 🔒' : ''}` : ''}</span>
+                    ${canSetLimit ? `
+                        <button class="column-limit-btn" onclick="openWipLimitModal('${status.key}')" title="Set WIP limit">⚙️</button>
+                    ` : ''}
+                </div>
+            </div>
+            <div class="task-list" data-status="${status.key}">
+                ${tasks.length > 0 ? tasks.map(renderTaskCard).join('') : '<p class="empty-state">No tasks</p>'}
+            </div>
+        </div>
+    `;
+}
+    
+/**
+ * Renders a task card for the board
+ * @param {Object} task - Task
+ * @returns {string} HTML for the card
+ */
+function renderTaskCard(task) {
+    const project = getProjectById(task.projectId);
+    const assignee = getUserById(task.assignedTo);
+    const isOverdue = task.overdue;
+    
+    const blockers = (task.blockedBy || []).map(findLoadedTask).filter(Boolean);
+    
+    // In selection mode a click selects the card and cards cannot be dragged
+    const selecting = selectedTaskIds !== null;
+    
+    return `
+        <div class="task-item ${task.blocked ? 'blocked' : ''} ${selecting && selectedTaskIds.has(task.id) ? 'selected' : ''}"
+            data-task-id="${task.id}" ${canEditTask(task) && !selecting ? 'draggable="true"' : ''}
+            onclick="${selecting ? `toggleTaskSelection('${task.id}')` : `viewTask('${task.id}')`}">
+            ${selecting ? renderTaskCheckbox(task) : ''}
+            <div class="task-info">
+                <h4>${escapeHtml(task.title)}</h4>
+                <p>${escapeHtml(task.description)}</p>
+                ${task.blocked ? `
+                    <div class="blocked-note" title="Waiting for: ${escapeHtml(blockers.map(t => t.title).join(', '))}">
+                        ⛔ Blocked by ${task.blockedBy.length} task(s)
                     </div>
+                ` : ''}
+                <div style="margin-top: 8px; font-size: 12px; color: #7f8c8d;">
+                    📁 ${project ? escapeHtml(project.name) : 'Unknown Project'}
                 </div>
-                <div class="task-meta">
-                    ${renderPriorityBadge(task.priority)}
-                    <span ${isOverdue ? 'style="color: #E74C3C; font-weight: 600;"' : ''}>
-                        ${isOverdue ? '⚠️ Overdue' : '📅'} ${formatDate(task.dueDate)}
-                    </span>
+                <div style="margin-top: 5px; font-size: 12px; color: #7f8c8d;">
+                    👤 ${assignee ? escapeHtml(assignee.fullName) : 'Unassigned'}
                 </div>
+            </div>
+            <div class="task-meta">
+                ${renderPriorityBadge(task.priority)}
+                <span ${isOverdue ? 'style="color: #E74C3C; font-weight: 600;"' : ''}>
+                    ${isOverdue ? '⚠️ Overdue' : '📅'} ${formatDate(task.dueDate)}
+                </span>
+            </div>
+            ${canEditTask(task) || hasPermission('tasks:delete') ? `
                 <div class="project-actions" onclick="event.stopPropagation()" style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #ecf0f1;">
-                    <button class="btn btn-sm btn-primary" onclick="editTask('${task.id}')">
-                        ✏️ Edit
-                    </button>
-                    <button class="btn btn-sm btn-danger" onclick="deleteTask('${task.id}')">
-                        🗑️ Delete
-                    </button>
+                    ${canEditTask(task) ? `
+                        <button class="btn btn-sm btn-primary" onclick="editTask('${task.id}')">
+                            ✏️ Edit
+                        </button>
+                    ` : ''}
+                    ${hasPermission('tasks:delete') ? `
+                        <button class="btn btn-sm btn-danger" onclick="deleteTask('${task.id}')">
+                            🗑️ Delete
+                        </button>
+                    ` : ''}
                 </div>
-            </div>
-        `;
-    }).join('');
+            ` : ''}
+        </div>
+    `;
+}
+
+// ============================================
+// BULK ACTIONS
+// ============================================
+
+/**
+ * Turns selection mode on or off
+ * Selection mode shows a checkbox on each task and the bulk action bar
+ */
+function toggleSelectionMode() {
+    selectedTaskIds = selectedTaskIds ? null : new Set();
+    
+    const selecting = selectedTaskIds !== null;
+    document.getElementById('bulkActionBar').style.display = selecting ? '' : 'none';
+    document.getElementById('selectTasksBtn').textContent = selecting ? '✖️ Done Selecting' : '☑️ Select';
+    document.getElementById('bulkErrors').innerHTML = '';
+    
+    if (selecting) {
+        populateBulkOptions();
+    }
+    
+    renderBulkSelection();
+    renderTasks();
+}
+
+/**
+ * Fills the bulk action bar's status and assignee dropdowns
+ * Statuses are those of the board; tasks whose workflow lacks the chosen status are refused
+ */
+function populateBulkOptions() {
+    document.getElementById('bulkStatus').innerHTML = '<option value="">Status: keep</option>' +
+        getBoardStatuses().map(status =>
+            `<option value="${status.key}">${escapeHtml(status.label)}</option>`
+        ).join('');
+    
+    document.getElementById('bulkAssignee').innerHTML = '<option value="">Assignee: keep</option>' +
+        appState.users
+            .filter(user => user.active !== false)
+            .filter(user => user.role === 'team_member' || user.role === 'project_manager')
+            .map(user => `<option value="${user.id}">${escapeHtml(user.fullName)}</option>`)
+            .join('');
+}
+
+/**
+ * Renders the checkbox shown on a task in selection mode
+ * @param {Object} task - Task
+ * @returns {string} HTML for the checkbox
+ */
+function renderTaskCheckbox(task) {
+    return `
+        <input type="checkbox" class="task-select" aria-label="Select ${escapeHtml(task.title)}"
+            ${selectedTaskIds.has(task.id) ? 'checked' : ''}
+            onclick="event.stopPropagation(); toggleTaskSelection('${task.id}')">
+    `;
+}
+
+/**
+ * Selects or unselects a task
+ * @param {string} taskId - Task ID
+ */
+function toggleTaskSelection(taskId) {
+    if (selectedTaskIds.has(taskId)) {
+        selectedTaskIds.delete(taskId);
+    } else {
+        selectedTaskIds.add(taskId);
+    }
+    
+    markTaskSelection(taskId);
+    renderBulkSelection();
+}
+
+/**
+ * Shows whether a task is selected on its card or row, without rendering the view again
+ * @param {string} taskId - Task ID
+ */
+function markTaskSelection(taskId) {
+    const selected = selectedTaskIds !== null && selectedTaskIds.has(taskId);
+    
+    document.querySelectorAll(`[data-task-id="${taskId}"]`).forEach(element => {
+        element.classList.toggle('selected', selected);
+        const checkbox = element.querySelector('.task-select');
+        if (checkbox) checkbox.checked = selected;
+    });
+}
+
+/**
+ * Gets the tasks the current view shows
+ * @returns {Array} Tasks loaded into the current view
+ */
+function getShownTasks() {
+    return getTaskView(getSelectedView()).getItems();
+}
+
+/**
+ * Finds a task among those loaded into the current view
+ * @param {string} taskId - Task ID
+ * @returns {Object|null} Task, or null if the view has not loaded it
+ */
+function findLoadedTask(taskId) {
+    return getShownTasks().find(task => task.id === taskId) || null;
+}
+
+/**
+ * Selects every task the current view shows that the user may change
+ */
+function selectAllShownTasks() {
+    getShownTasks().filter(canEditTask).forEach(task => {
+        selectedTaskIds.add(task.id);
+        markTaskSelection(task.id);
+    });
+    
+    renderBulkSelection();
+}
+
+/**
+ * Unselects all tasks
+ */
+function clearTaskSelection() {
+    const taskIds = Array.from(selectedTaskIds);
+    selectedTaskIds.clear();
+    taskIds.forEach(markTaskSelection);
+    
+    renderBulkSelection();
+}
+
+/**
+ * Updates the selected count and enables the bulk actions when tasks are selected
+ */
+function renderBulkSelection() {
+    const count = selectedTaskIds ? selectedTaskIds.size : 0;
+    
+    document.getElementById('bulkSelectedCount').textContent = `${count} selected`;
+    document.getElementById('bulkApplyBtn').disabled = count === 0;
+    document.getElementById('bulkDeleteBtn').disabled = count === 0;
+}
+
+/**
+ * Applies the values chosen in the bulk action bar to the selected tasks
+ */
+async function applyBulkUpdate() {
+    const changes = {};
+    
+    Object.entries(BULK_FIELD_INPUTS).forEach(([field, inputId]) => {
+        const value = document.getElementById(inputId).value;
+        if (value) changes[field] = value;
+    });
+    
+    if (Object.keys(changes).length === 0) {
+        showNotification('Choose a status, priority, assignee or due date to set', 'error');
+        return;
+    }
+    
+    await submitBulkChange({ action: 'update', changes }, 'updated');
+}
+
+/**
+ * Moves the selected tasks to the trash
+ */
+async function bulkDeleteTasks() {
+    if (!confirmAction(`Move ${selectedTaskIds.size} task(s) to the trash?`)) {
+        return;
+    }
+    
+    await submitBulkChange({ action: 'delete' }, 'moved to the trash');
+}
+
+/**
+ * Sends a bulk change for the selected tasks
+ * The server changes all of them or none; when any task is refused, the reasons are
+ * listed in the bulk action bar
+ * @param {Object} body - { action, changes }
+ * @param {string} done - What happened to the tasks, for the success message
+ */
+async function submitBulkChange(body, done) {
+    const ids = Array.from(selectedTaskIds);
+    const errorList = document.getElementById('bulkErrors');
+    errorList.innerHTML = '';
+    
+    // Tasks changed by someone else since they were loaded are refused rather than overwritten
+    const versions = {};
+    const projectIds = [];
+    ids.forEach(id => {
+        const task = findLoadedTask(id);
+        if (task) {
+            versions[id] = task.version;
+            projectIds.push(task.projectId);
+        }
+    });
+    
+    try {
+        await fetchAPI('/tasks/bulk', {
+            method: 'POST',
+            body: JSON.stringify({ ...body, ids, versions })
+        });
+        
+        showNotification(`${ids.length} task(s) ${done}`, 'success');
+        selectedTaskIds.clear();
+        Object.values(BULK_FIELD_INPUTS).forEach(inputId => {
+            document.getElementById(inputId).value = '';
+        });
+    } catch (error) {
+        if (error.data && error.data.results) {
+            errorList.innerHTML = error.data.results.filter(result => !result.ok).map(result => {
+                const task = findLoadedTask(result.id);
+                const reason = result.fields ? Object.values(result.fields).join('; ') : result.error;
+                return `<li><strong>${escapeHtml(task ? task.title : result.id)}</strong>: ${escapeHtml(reason)}</li>`;
+            }).join('');
+        }
+        showNotification(error.message || 'Failed to change the tasks', 'error');
+    }
+    
+    // Reload either way, so refused tasks show their latest version
+    await refreshTasks(projectIds);
+    renderBulkSelection();
+}
+
+// ============================================
+// BOARD ORDER AND WIP LIMITS
+// ============================================
+
+/**
+ * Gets a task's position within its column
+ * @param {Object} task - Task
+ * @returns {number} Rank; tasks without one sort last
+ */
+function getTaskRank(task) {
+    return typeof task.rank === 'number' ? task.rank : Infinity;
+}
+
+/**
+ * Gets the project selected in the project filter
+ * @returns {Object|null} Project, or null when all projects are shown
+ */
+function getBoardProject() {
+    const projectFilter = document.getElementById('projectFilter');
+    return projectFilter && projectFilter.value !== 'all' ? getProjectById(projectFilter.value) || null : null;
+}
+
+/**
+ * Checks a column against the WIP limits of the projects on the board
+ * The counts are the server's (each project's statusCounts), so every task in the status
+ * counts, whatever the other filters hide or the board has not loaded yet
+ * @param {Object} status - Workflow status
+ * @returns {Object} { rule, over } - rule is the selected project's limit ({ limit, hard }),
+ *   or null when all projects are shown or none is set; over lists the projects past their limit
+ */
+function getColumnWipState(status) {
+    const selected = getBoardProject();
+    const projects = selected ? [selected] : appState.projects;
+    
+    const over = projects.filter(project => {
+        const rule = (project.wipLimits || {})[status.key];
+        const count = (project.statusCounts || {})[status.key] || 0;
+        return rule && count > rule.limit;
+    });
+    
+    return {
+        rule: selected ? (selected.wipLimits || {})[status.key] || null : null,
+        over
+    };
+}
+
+/**
+ * Checks whether a task's workflow lets it move to a status
+ * @param {Object} task - Task being moved
+ * @param {string} statusKey - Target status
+ * @returns {boolean} True if the status exists in the workflow and the transition is allowed
+ */
+function canMoveTaskTo(task, statusKey) {
+    if (statusKey === task.status) return true;
+    
+    const workflow = getProjectWorkflow(task.projectId);
+    if (!workflow || !workflow.statuses.some(status => status.key === statusKey)) {
+        return false;
+    }
+    
+    const allowed = (workflow.transitions || {})[task.status];
+    return !allowed || allowed.includes(statusKey);
+}
+
+/**
+ * Works out the rank of a card dropped between two others
+ * @param {Object|null} previous - Task of the card above (null at the top)
+ * @param {Object|null} next - Task of the card below (null at the bottom)
+ * @param {Object} task - Task being moved
+ * @returns {number} Rank placing the task between them
+ */
+function getRankBetween(previous, next, task) {
+    const above = previous ? getTaskRank(previous) : null;
+    const below = next ? getTaskRank(next) : null;
+    
+    if (Number.isFinite(above) && Number.isFinite(below)) return (above + below) / 2;
+    if (Number.isFinite(above)) return above + 1;
+    if (Number.isFinite(below)) return below - 1;
+    return Number.isFinite(getTaskRank(task)) ? task.rank : 1;
+}
+
+// ============================================
+// DRAG AND DROP
+// ============================================
+
+/**
+ * Lets cards be dragged between columns and up and down within one
+ * Listeners sit on the board, so they keep working when the columns are re-rendered
+ */
+function setupBoardDragAndDrop() {
+    const board = document.getElementById('tasksBoard');
+    if (!board) return;
+    
+    board.addEventListener('dragstart', startCardDrag);
+    board.addEventListener('dragover', dragCardOver);
+    board.addEventListener('drop', dropCard);
+    board.addEventListener('dragend', endCardDrag);
+}
+
+/**
+ * Gets the ID of the card next to a card in its column
+ * @param {HTMLElement} card - Task card
+ * @param {string} direction - 'previous' or 'next'
+ * @returns {string|null} Task ID, or null at the end of the column
+ */
+function getNeighbourId(card, direction) {
+    let sibling = direction === 'previous' ? card.previousElementSibling : card.nextElementSibling;
+    
+    while (sibling && !sibling.classList.contains('task-item')) {
+        sibling = direction === 'previous' ? sibling.previousElementSibling : sibling.nextElementSibling;
+    }
+    
+    return sibling ? sibling.dataset.taskId : null;
+}
+
+/**
+ * Starts dragging a card
+ * @param {DragEvent} event - Drag event
+ */
+function startCardDrag(event) {
+    const card = event.target.closest('.task-item[draggable="true"]');
+    const task = card && findLoadedTask(card.dataset.taskId);
+    
+    if (!task) return;
+    
+    boardDrag = {
+        task,
+        card,
+        previousId: getNeighbourId(card, 'previous'),
+        nextId: getNeighbourId(card, 'next'),
+        dropped: false
+    };
+    
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', task.id);
+    card.classList.add('dragging');
+}
+
+/**
+ * Moves the dragged card to where it would land
+ * Columns the task's workflow does not allow it to move to refuse the drop
+ * @param {DragEvent} event - Drag event
+ */
+function dragCardOver(event) {
+    const list = event.target.closest('.task-list');
+    
+    if (!boardDrag || !list || !canMoveTaskTo(boardDrag.task, list.dataset.status)) return;
+    
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    
+    // Place the card before the first card whose middle is below the pointer
+    const cards = Array.from(list.querySelectorAll('.task-item:not(.dragging)'));
+    const before = cards.find(card => {
+        const box = card.getBoundingClientRect();
+        return event.clientY < box.top + box.height / 2;
+    });
+    
+    list.querySelectorAll('.empty-state').forEach(element => element.remove());
+    list.insertBefore(boardDrag.card, before || null);
+}
+
+/**
+ * Saves the dragged card's new column and position
+ * @param {DragEvent} event - Drag event
+ */
+function dropCard(event) {
+    const list = event.target.closest('.task-list');
+    
+    if (!boardDrag || !list) return;
+    
+    event.preventDefault();
+    boardDrag.dropped = true;
+    
+    const { task, card, previousId, nextId } = boardDrag;
+    const status = list.dataset.status;
+    const newPreviousId = getNeighbourId(card, 'previous');
+    const newNextId = getNeighbourId(card, 'next');
+    
+    // Dropped back where it started
+    if (status === task.status && newPreviousId === previousId && newNextId === nextId) {
+        return;
+    }
+    
+    const rank = getRankBetween(findLoadedTask(newPreviousId), findLoadedTask(newNextId), task);
+    moveTask(task, status, rank);
+}
+
+/**
+ * Finishes a drag; cards dropped outside a column go back to where they were
+ */
+function endCardDrag() {
+    if (!boardDrag) return;
+    
+    boardDrag.card.classList.remove('dragging');
+    if (!boardDrag.dropped) {
+        getTaskView('board').redraw();
+    }
+    boardDrag = null;
+}
+
+/**
+ * Saves a task's new status and position on the board
+ * @param {Object} task - Task being moved
+ * @param {string} status - Status of the column it was dropped in
+ * @param {number} rank - Its new rank
+ */
+async function moveTask(task, status, rank) {
+    const changes = { status, rank };
+    
+    // Keep the completed date in step with the status, as the task form does
+    if (status !== task.status) {
+        const isDone = getStatusCategory(task.projectId, status) === 'done';
+        if (isDone && !isTaskDone(task)) {
+            changes.completedDate = new Date().toISOString();
+        } else if (!isDone && isTaskDone(task)) {
+            changes.completedDate = null;
+        }
+    }
+    
+    try {
+        const saved = await saveWithConflictCheck(`/tasks/${task.id}`, changes, task.version, {
+            title: task.title,
+            fields: TASK_FIELD_LABELS,
+            formatValue: formatTaskFieldValue
+        });
+        
+        if (!saved) {
+            showNotification('Your changes were discarded and the saved version kept', 'info');
+        } else if (status !== task.status) {
+            const message = await describeUnblocked(task, saved) ||
+                `"${task.title}" moved to ${getStatusLabel(task.projectId, status)}`;
+            showNotification(message, 'success');
+        }
+    } catch (error) {
+        console.error('Error moving task:', error);
+        const fields = error.data && error.data.fields;
+        showNotification(fields ? Object.values(fields).join('. ') : error.message || 'Failed to move task', 'error');
+    }
+    
+    // Reload either way, so a refused move puts the card back
+    await refreshTasks([task.projectId]);
 }
 
 // ============================================
@@ -228,17 +1232,20 @@ function renderTaskColumn(status, allTasks) {
 function openCreateTaskModal() {
     // Reset the form
     resetForm('taskForm');
+    editingTask = null;
     
-    // Clear the hidden ID field
+    // Clear the hidden ID and version fields
     document.getElementById('taskId').value = '';
+    document.getElementById('taskVersion').value = '';
     
     // Set modal title
     document.getElementById('modalTitle').textContent = 'Create New Task';
     
-    // Set default values
-    document.getElementById('taskStatus').value = 'pending';
+    // Set default values (new tasks start in the workflow's first status)
+    populateStatusOptions('', null);
     document.getElementById('taskPriority').value = 'medium';
     document.getElementById('taskActualHours').value = '0';
+    setActualsLocked('taskActualHours', 0);
     
     // Set default dates
     const today = new Date().toISOString().split('T')[0];
@@ -249,38 +1256,48 @@ function openCreateTaskModal() {
     document.getElementById('taskStartDate').value = today;
     document.getElementById('taskDueDate').value = dueDate;
     
+    populateMilestoneOptions('', null);
+    renderDependencyPicker('', '', []);
+    
     // Open the modal
     openModal('taskModal');
 }
 
 /**
- * Opens the modal to edit an existing task
+ * Opens the modal to edit an existing task, loading its latest version
  * @param {string} taskId - ID of the task to edit
  */
-function editTask(taskId) {
-    const task = getTaskById(taskId);
+async function editTask(taskId) {
+    const task = await loadTask(taskId);
     
     if (!task) {
         showNotification('Task not found', 'error');
         return;
     }
     
+    editingTask = task;
+    
     // Set modal title
     document.getElementById('modalTitle').textContent = 'Edit Task';
     
     // Fill form with task data
     document.getElementById('taskId').value = task.id;
+    document.getElementById('taskVersion').value = task.version;
     document.getElementById('taskProject').value = task.projectId;
     document.getElementById('taskTitle').value = task.title;
     document.getElementById('taskDescription').value = task.description;
-    document.getElementById('taskStatus').value = task.status;
+    populateStatusOptions(task.projectId, task);
     document.getElementById('taskPriority').value = task.priority;
     document.getElementById('taskStartDate').value = task.startDate;
     document.getElementById('taskDueDate').value = task.dueDate;
     document.getElementById('taskEstimatedHours').value = task.estimatedHours;
     document.getElementById('taskActualHours').value = task.actualHours || 0;
+    setActualsLocked('taskActualHours', task.loggedHours);
+    setAssigneeOption(task.assignedTo);
     document.getElementById('taskAssignee').value = task.assignedTo;
     document.getElementById('taskTags').value = task.tags ? task.tags.join(', ') : '';
+    populateMilestoneOptions(task.projectId, task.milestoneId);
+    renderDependencyPicker(task.id, task.projectId, task.dependencies || []);
     
     // Open the modal
     openModal('taskModal');
@@ -292,32 +1309,38 @@ function editTask(taskId) {
 function closeTaskModal() {
     closeModal('taskModal');
     resetForm('taskForm');
+    editingTask = null;
 }
 
 /**
- * Views detailed information about a task
+ * Views detailed information about a task, loading it and the tasks it links to
  * @param {string} taskId - ID of the task to view
  */
-function viewTask(taskId) {
-    const task = getTaskById(taskId);
+async function viewTask(taskId) {
+    const task = await loadTask(taskId);
     
     if (!task) {
         showNotification('Task not found', 'error');
         return;
     }
     
+    const linked = await loadTasksById([...(task.dependencies || []), ...(task.dependents || [])]);
+    const dependencies = linked.filter(t => (task.dependencies || []).includes(t.id));
+    const dependents = linked.filter(t => (task.dependents || []).includes(t.id));
+    
     const project = getProjectById(task.projectId);
     const assignee = getUserById(task.assignedTo);
     const creator = getUserById(task.createdBy);
-    const isOverdue = isPastDate(task.dueDate) && task.status !== 'completed';
+    const isOverdue = task.overdue;
     
     // Build detailed view HTML
     const detailsHTML = `
         <div style="padding: 25px;">
             <div class="task-meta" style="margin-bottom: 20px;">
-                ${renderStatusBadge(task.status)}
+                ${renderStatusBadge(task.status, getStatusLabel(task.projectId, task.status))}
                 ${renderPriorityBadge(task.priority)}
                 ${isOverdue ? '<span class="badge" style="background-color: #f8d7da; color: #721c24;">⚠️ Overdue</span>' : ''}
+                ${task.blocked ? '<span class="badge blocked-badge">⛔ Blocked</span>' : ''}
             </div>
             
             <h3>Description</h3>
@@ -326,6 +1349,7 @@ function viewTask(taskId) {
             <h3>Project</h3>
             <p style="margin-bottom: 20px;">
                 📁 ${project ? escapeHtml(project.name) : 'Unknown Project'}
+                ${getTaskMilestoneName(task) ? `<br>🎯 Milestone: ${escapeHtml(getTaskMilestoneName(task))}` : ''}
             </p>
             
             <h3>Assignment</h3>
@@ -355,15 +1379,23 @@ function viewTask(taskId) {
                 </div>
             ` : ''}
             
-            ${task.dependencies && task.dependencies.length > 0 ? `
-                <h3>Dependencies</h3>
-                <p style="margin-bottom: 20px;">This task depends on ${task.dependencies.length} other task(s)</p>
+            ${dependencies.length > 0 ? `
+                <h3>Depends On</h3>
+                ${renderTaskLinks(dependencies)}
+            ` : ''}
+            
+            ${dependents.length > 0 ? `
+                <h3>Blocks</h3>
+                ${renderTaskLinks(dependents)}
             ` : ''}
             
             <div style="margin-top: 30px; display: flex; gap: 10px; justify-content: flex-end;">
-                <button class="btn btn-primary" onclick="editTask('${task.id}'); closeViewTaskModal();">
-                    Edit Task
-                </button>
+                ${renderWatchButton('task', task.id)}
+                ${canEditTask(task) ? `
+                    <button class="btn btn-primary" onclick="editTask('${task.id}'); closeViewTaskModal();">
+                        Edit Task
+                    </button>
+                ` : ''}
                 <button class="btn btn-secondary" onclick="closeViewTaskModal()">
                     Close
                 </button>
@@ -373,7 +1405,12 @@ function viewTask(taskId) {
     
     // Set modal content
     document.getElementById('viewTaskTitle').textContent = task.title;
-    document.getElementById('taskDetails').innerHTML = detailsHTML;
+    document.getElementById('taskDetails').innerHTML = renderHistoryTabs(detailsHTML, {
+        entity: 'task',
+        id: task.id,
+        labels: TASK_FIELD_LABELS,
+        formatValue: formatTaskFieldValue
+    });
     
     // Open the modal
     openModal('viewTaskModal');
@@ -386,10 +1423,105 @@ function closeViewTaskModal() {
     closeModal('viewTaskModal');
 }
 
+/**
+ * Opens the modal to set the WIP limit of a column in the selected project
+ * @param {string} statusKey - Status of the column
+ */
+function openWipLimitModal(statusKey) {
+    const project = getBoardProject();
+    
+    if (!project) return;
+    
+    const rule = (project.wipLimits || {})[statusKey];
+    
+    resetForm('wipLimitForm');
+    document.getElementById('wipLimitTitle').textContent =
+        `${getStatusLabel(project.id, statusKey)} Limit – ${project.name}`;
+    document.getElementById('wipLimitStatus').value = statusKey;
+    document.getElementById('wipLimitValue').value = rule ? rule.limit : '';
+    document.getElementById('wipLimitHard').checked = rule ? rule.hard : false;
+    
+    openModal('wipLimitModal');
+}
+
+/**
+ * Closes the WIP limit modal
+ */
+function closeWipLimitModal() {
+    closeModal('wipLimitModal');
+}
+
+/**
+ * Saves the WIP limit of a column (an empty limit removes it)
+ * @param {Event} event - Form submit event
+ */
+async function handleWipLimitSubmit(event) {
+    event.preventDefault();
+    
+    const project = getBoardProject();
+    if (!project) return;
+    
+    const statusKey = document.getElementById('wipLimitStatus').value;
+    const limit = parseInt(document.getElementById('wipLimitValue').value, 10);
+    const wipLimits = { ...project.wipLimits };
+    
+    if (isNaN(limit)) {
+        delete wipLimits[statusKey];
+    } else {
+        wipLimits[statusKey] = { limit, hard: document.getElementById('wipLimitHard').checked };
+    }
+    
+    clearFieldErrors('wipLimitForm');
+    
+    try {
+        const saved = await saveWithConflictCheck(`/projects/${project.id}`, { wipLimits }, project.version, {
+            title: project.name,
+            fields: { wipLimits: 'WIP Limits' }
+        });
+        
+        if (saved) {
+            showNotification('Column limit saved', 'success');
+        } else {
+            showNotification('Your changes were discarded and the saved version kept', 'info');
+        }
+        
+        await loadProject(project.id);
+        renderTasks();
+        closeWipLimitModal();
+    } catch (error) {
+        console.error('Error saving WIP limit:', error);
+        showSaveError(error, 'wipLimitForm', { wipLimits: 'wipLimitValue' }, 'Failed to save the limit');
+    }
+}
+
 // ============================================
 // CRUD OPERATIONS
 // ============================================
 
+/**
+ * Formats a task field for the edit conflict dialog
+ * Shows names instead of project, user and milestone IDs
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatTaskFieldValue(field, value) {
+    if (field === 'projectId') return getProjectName(value);
+    if (field === 'assignedTo') return getUserName(value);
+    if (field === 'milestoneId') {
+        const projectId = document.getElementById('taskProject').value;
+        return value ? getTaskMilestoneName({ projectId, milestoneId: value }) || value : '(none)';
+    }
+    if (field === 'dependencies' && Array.isArray(value)) {
+        const titles = value.map(id => {
+            const task = dependencyCandidates.find(candidate => candidate.id === id);
+            return task ? task.title : id;
+        });
+        return titles.length > 0 ? titles.join(', ') : '(none)';
+    }
+    return formatConflictValue(value);
+}
+
 /**
  * Handles task form submission (create or update)
  * @param {Event} event - Form submit event
@@ -413,20 +1545,23 @@ async function handleTaskSubmit(event) {
         estimatedHours: parseFloat(document.getElementById('taskEstimatedHours').value),
         actualHours: parseFloat(document.getElementById('taskActualHours').value) || 0,
         assignedTo: document.getElementById('taskAssignee').value,
-        createdBy: appState.currentUser.id,
         tags: tags,
-        dependencies: [],
+        dependencies: getSelectedDependencies(),
+        milestoneId: document.getElementById('taskMilestone').value || null,
         completedDate: null
     };
     
-    // Set completed date if status is completed
-    if (taskData.status === 'completed' && !taskId) {
+    clearFieldErrors('taskForm');
+    
+    // Set completed date if the status is in the workflow's "done" category
+    const isDone = getStatusCategory(taskData.projectId, taskData.status) === 'done';
+    if (isDone && !taskId) {
         taskData.completedDate = new Date().toISOString();
     }
     
     // Validate dates
     if (!isValidDateRange(taskData.startDate, taskData.dueDate)) {
-        showNotification('Due date must be after start date', 'error');
+        showFieldErrors('taskForm', { dueDate: 'Due date must be on or after the start date' }, TASK_FIELD_INPUTS);
         return;
     }
     
@@ -435,22 +1570,30 @@ async function handleTaskSubmit(event) {
         
         if (taskId) {
             // Update existing task
-            const existingTask = getTaskById(taskId);
+            const existingTask = editingTask;
             
-            // Update completed date if status changed to completed
-            if (taskData.status === 'completed' && existingTask.status !== 'completed') {
+            // Update completed date if the task has just been finished
+            if (isDone && !isTaskDone(existingTask)) {
                 taskData.completedDate = new Date().toISOString();
-            } else if (taskData.status !== 'completed') {
+            } else if (!isDone) {
                 taskData.completedDate = null;
             } else {
                 taskData.completedDate = existingTask.completedDate;
             }
             
-            result = await fetchAPI(`/tasks/${taskId}`, {
-                method: 'PUT',
-                body: JSON.stringify(taskData)
+            // Save, checking nobody else changed the task in the meantime
+            const version = parseInt(document.getElementById('taskVersion').value, 10);
+            result = await saveWithConflictCheck(`/tasks/${taskId}`, taskData, version, {
+                title: taskData.title,
+                fields: TASK_FIELD_LABELS,
+                formatValue: formatTaskFieldValue
             });
-            showNotification('Task updated successfully', 'success');
+            
+            if (result) {
+                showNotification(await describeUnblocked(existingTask, result) || 'Task updated successfully', 'success');
+            } else {
+                showNotification('Your changes were discarded and the saved version kept', 'info');
+            }
         } else {
             // Create new task
             result = await fetchAPI('/tasks', {
@@ -460,16 +1603,37 @@ async function handleTaskSubmit(event) {
             showNotification('Task created successfully', 'success');
         }
         
-        // Reload tasks and re-render
-        await loadTasks();
-        renderTasks();
+        // Reload the tasks, and the projects they moved between for their counts
+        await refreshTasks([taskData.projectId, ...(editingTask ? [editingTask.projectId] : [])]);
         
         // Close modal
         closeTaskModal();
     } catch (error) {
         console.error('Error saving task:', error);
-        showNotification('Failed to save task', 'error');
+        showSaveError(error, 'taskForm', TASK_FIELD_INPUTS, 'Failed to save task');
+    }
+}
+
+/**
+ * Describes which tasks completing a task has unblocked
+ * @param {Object} before - The task as it was before saving
+ * @param {Object} after - The saved task
+ * @returns {Promise<string|null>} Notification text, or null if no task was unblocked
+ */
+async function describeUnblocked(before, after) {
+    if (isTaskDone(before) || getStatusCategory(after.projectId, after.status) !== 'done') {
+        return null;
     }
+    
+    // Unfinished successors waiting for nothing else are free to start now
+    const unblocked = (await loadTasksById(before.dependents || []))
+        .filter(task => !isTaskDone(task) && !task.blocked);
+    
+    if (unblocked.length === 0) {
+        return null;
+    }
+    
+    return `Task completed. Now unblocked: ${unblocked.map(task => task.title).join(', ')}`;
 }
 
 /**
@@ -477,7 +1641,7 @@ async function handleTaskSubmit(event) {
  * @param {string} taskId - ID of the task to delete
  */
 async function deleteTask(taskId) {
-    const task = getTaskById(taskId);
+    const task = findLoadedTask(taskId);
     
     if (!task) {
         showNotification('Task not found', 'error');
@@ -485,7 +1649,8 @@ async function deleteTask(taskId) {
     }
     
     // Confirm deletion
-    if (!confirmAction(`Are you sure you want to delete "${task.title}"? This action cannot be undone.`)) {
+    const question = `Move "${task.title}" to the trash? You can restore it from there.`;
+    if (!await confirmDeleteWithPreview(`/tasks/${taskId}`, question)) {
         return;
     }
     
@@ -494,13 +1659,12 @@ async function deleteTask(taskId) {
             method: 'DELETE'
         });
         
-        showNotification('Task deleted successfully', 'success');
+        showNotification('Task moved to the trash', 'success');
         
         // Reload tasks and re-render
-        await loadTasks();
-        renderTasks();
+        await refreshTasks([task.projectId]);
     } catch (error) {
         console.error('Error deleting task:', error);
-        showNotification('Failed to delete task', 'error');
+        showNotification(error.message || 'Failed to delete task', 'error');
     }
 }
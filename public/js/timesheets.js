@@ -0,0 +1,699 @@
+/**
+ * Timesheets Module
+ *
+ * This file handles the weekly timesheet page including:
+ * - Showing a week of time entries as a grid of tasks by day
+ * - Logging, changing and deleting hours on tasks
+ * - Submitting a week for approval
+ * - Approving and rejecting the timesheets of others
+ */
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Labels for the time entry fields, used when showing edit conflicts
+ */
+const ENTRY_FIELD_LABELS = {
+    taskId: 'Task',
+    date: 'Date',
+    hours: 'Hours',
+    note: 'Note',
+    billable: 'Billable'
+};
+
+/**
+ * Form input IDs for each time entry field, used to show validation messages
+ * Task and date are fixed by the grid cell, so their errors go to the notification
+ */
+const ENTRY_FIELD_INPUTS = {
+    hours: 'entryHours',
+    note: 'entryNote',
+    billable: 'entryBillable'
+};
+
+/**
+ * Labels for the status of a week (see summarizeWeek in lib/timesheets.js)
+ */
+const TIMESHEET_STATUS_LABELS = {
+    empty: 'Nothing Logged',
+    draft: 'Draft',
+    submitted: 'Submitted',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+
+/**
+ * Column headings of the grid, Monday first
+ */
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Timesheet being shown
+ * - week:         the server's answer for the week ({ userId, weekStart, dates, status, entries, ... })
+ * - userId:       whose timesheet is shown
+ * - extraTaskIds: tasks added to the grid that have no time logged yet this week
+ */
+const timesheetState = {
+    week: null,
+    userId: null,
+    extraTaskIds: []
+};
+
+/**
+ * Initialize the timesheets page
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    // Check authentication
+    if (!checkAuth()) {
+        window.location.href = 'index.html';
+        return;
+    }
+    
+    // Only users who log time have a timesheet
+    if (!hasPermission('timesheets:log')) {
+        window.location.href = 'dashboard.html';
+        return;
+    }
+    
+    // Display user info
+    displayUserInfo();
+    
+    // Start with the current user's timesheet for this week
+    timesheetState.userId = getCurrentUser().id;
+    
+    // Load initial data
+    await loadAllData();
+    
+    // Populate dropdowns
+    populateUserSelect();
+    populateTaskSelect();
+    
+    // Load and render the timesheet
+    await loadWeek(null);
+    
+    // Load timesheets waiting for the user's approval
+    if (hasPermission('timesheets:approve')) {
+        await loadApprovals();
+    }
+    
+    // Set up event listeners
+    setupEventListeners();
+});
+
+/**
+ * Load all necessary data for the timesheets page
+ */
+async function loadAllData() {
+    try {
+        await Promise.all([
+            loadProjects(),
+            loadTasks(),
+            loadUsers()
+        ]);
+    } catch (error) {
+        console.error('Error loading data:', error);
+        showNotification('Failed to load data', 'error');
+    }
+}
+
+/**
+ * Set up event listeners for buttons and forms
+ */
+function setupEventListeners() {
+    // Week navigation
+    document.getElementById('prevWeekBtn').addEventListener('click', () => loadWeek(shiftDate(timesheetState.week.weekStart, -7)));
+    document.getElementById('nextWeekBtn').addEventListener('click', () => loadWeek(shiftDate(timesheetState.week.weekStart, 7)));
+    document.getElementById('thisWeekBtn').addEventListener('click', () => loadWeek(null));
+    
+    // Whose timesheet is shown
+    const userSelect = document.getElementById('timesheetUser');
+    if (userSelect) {
+        userSelect.addEventListener('change', function() {
+            timesheetState.userId = this.value;
+            loadWeek(timesheetState.week.weekStart);
+        });
+    }
+    
+    // Add a task row
+    document.getElementById('addTaskBtn').addEventListener('click', addTaskRow);
+    
+    // Submit the week
+    document.getElementById('submitWeekBtn').addEventListener('click', submitWeek);
+    
+    // Entry and reject forms
+    document.getElementById('entryForm').addEventListener('submit', handleEntrySubmit);
+    document.getElementById('rejectForm').addEventListener('submit', handleRejectSubmit);
+    
+    // Logout button
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', logout);
+    }
+}
+
+/**
+ * Populates the dropdown of users whose timesheet can be shown
+ */
+function populateUserSelect() {
+    const userSelect = document.getElementById('timesheetUser');
+    
+    if (!userSelect) return;
+    
+    userSelect.innerHTML = appState.users
+        .filter(user => user.active !== false)
+        .map(user =>
+            `<option value="${user.id}">${escapeHtml(user.fullName)}</option>`
+        ).join('');
+    userSelect.value = timesheetState.userId;
+}
+
+/**
+ * Populates the dropdown of tasks that can be added to the grid
+ * Team members log time on their own tasks only; finished tasks are left out
+ */
+function populateTaskSelect() {
+    const taskSelect = document.getElementById('addTaskSelect');
+    const user = getCurrentUser();
+    
+    const taskOptions = appState.tasks
+        .filter(task => !isTaskDone(task))
+        .filter(task => user.role !== 'team_member' || task.assignedTo === user.id)
+        .map(task =>
+            `<option value="${task.id}">${escapeHtml(task.title)} (${escapeHtml(getProjectName(task.projectId))})</option>`
+        ).join('');
+    
+    taskSelect.innerHTML = '<option value="">Add a task...</option>' + taskOptions;
+}
+
+/**
+ * Loads a week of the selected user's timesheet and renders it
+ * @param {string|null} week - Any day of the week (YYYY-MM-DD), or null for this week
+ */
+async function loadWeek(week) {
+    const params = new URLSearchParams({ userId: timesheetState.userId });
+    if (week) params.set('week', week);
+    
+    try {
+        timesheetState.week = await fetchAPI(`/timesheets?${params.toString()}`);
+        timesheetState.extraTaskIds = [];
+        renderTimesheet();
+    } catch (error) {
+        console.error('Error loading timesheet:', error);
+        showNotification(error.message || 'Failed to load timesheet', 'error');
+    }
+}
+
+/**
+ * Moves a date by a number of days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to move (negative to go back)
+ * @returns {string} The new date (YYYY-MM-DD)
+ */
+function shiftDate(date, days) {
+    const shifted = new Date(date);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+}
+
+// ============================================
+// RENDER FUNCTIONS
+// ============================================
+
+/**
+ * Checks whether the timesheet shown is the current user's own
+ * @returns {boolean} True if the user can log time on it
+ */
+function isOwnTimesheet() {
+    return timesheetState.userId === getCurrentUser().id;
+}
+
+/**
+ * Checks whether a grid cell can be edited
+ * Only the user's own draft and rejected entries change, and never on future days
+ * @param {Object|undefined} entry - Entry in the cell, if any
+ * @param {string} date - Day of the cell (YYYY-MM-DD)
+ * @returns {boolean} True if clicking the cell opens the entry form
+ */
+function canEditCell(entry, date) {
+    const today = new Date().toISOString().slice(0, 10);
+    return isOwnTimesheet() && date <= today && (!entry || ['draft', 'rejected'].includes(entry.status));
+}
+
+/**
+ * Adds up the hours of entries
+ * @param {Array<Object>} entries - Time entries
+ * @returns {number} Total hours (rounded to two decimals)
+ */
+function sumEntryHours(entries) {
+    return Math.round(entries.reduce((sum, entry) => sum + entry.hours, 0) * 100) / 100;
+}
+
+/**
+ * Renders the week: summary cards, the grid and any rejection reasons
+ */
+function renderTimesheet() {
+    const week = timesheetState.week;
+    const own = isOwnTimesheet();
+    
+    // Summary cards
+    document.getElementById('weekTotalHours').textContent = week.totalHours;
+    document.getElementById('weekBillableHours').textContent = week.billableHours;
+    document.getElementById('weekStatus').textContent = TIMESHEET_STATUS_LABELS[week.status] || week.status;
+    document.getElementById('weekLabel').textContent = `${formatDate(week.dates[0])} – ${formatDate(week.dates[6])}`;
+    
+    // Only the user's own timesheet can be added to and submitted
+    document.getElementById('addTaskRow').style.display = own ? '' : 'none';
+    document.getElementById('submitWeekBtn').style.display =
+        own && (week.status === 'draft' || week.status === 'rejected') ? '' : 'none';
+    
+    renderRejectionNotice();
+    
+    // Header with a column per day
+    document.getElementById('timesheetHead').innerHTML = `
+        <tr>
+            <th>Task</th>
+            ${week.dates.map((date, day) => `
+                <th class="timesheet-day">${WEEKDAY_NAMES[day]}<br><small>${formatDate(date)}</small></th>
+            `).join('')}
+            <th class="timesheet-day">Total</th>
+        </tr>
+    `;
+    
+    // One row per task with time this week, plus the rows the user added
+    const taskIds = [...new Set([...week.entries.map(entry => entry.taskId), ...timesheetState.extraTaskIds])];
+    const tbody = document.getElementById('timesheetBody');
+    const tfoot = document.getElementById('timesheetFoot');
+    
+    if (taskIds.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="9" class="empty-state">No time logged this week${own ? ' - add a task to start' : ''}</td></tr>`;
+        tfoot.innerHTML = '';
+        return;
+    }
+    
+    tbody.innerHTML = taskIds.map(taskId => {
+        const task = getTaskById(taskId);
+        const entries = week.entries.filter(entry => entry.taskId === taskId);
+        
+        return `
+            <tr>
+                <td>
+                    <strong>${task ? escapeHtml(task.title) : 'Unknown task'}</strong><br>
+                    <small>${task ? escapeHtml(getProjectName(task.projectId)) : ''}</small>
+                </td>
+                ${week.dates.map(date => renderCell(taskId, date, entries.find(entry => entry.date === date))).join('')}
+                <td class="timesheet-total">${sumEntryHours(entries)}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    // Daily totals
+    tfoot.innerHTML = `
+        <tr>
+            <td><strong>Total</strong></td>
+            ${week.dates.map(date => `
+                <td class="timesheet-total">${sumEntryHours(week.entries.filter(entry => entry.date === date))}</td>
+            `).join('')}
+            <td class="timesheet-total">${week.totalHours}</td>
+        </tr>
+    `;
+}
+
+/**
+ * Renders one day of a task row
+ * @param {string} taskId - Task of the row
+ * @param {string} date - Day of the cell (YYYY-MM-DD)
+ * @param {Object|undefined} entry - Entry logged on that day, if any
+ * @returns {string} HTML for the cell
+ */
+function renderCell(taskId, date, entry) {
+    const editable = canEditCell(entry, date);
+    const classes = ['timesheet-cell', entry ? `entry-${entry.status}` : '', editable ? 'editable' : ''].join(' ');
+    const title = entry
+        ? `${TIMESHEET_STATUS_LABELS[entry.status]}${entry.billable ? '' : ' · not billable'}${entry.note ? ` · ${entry.note}` : ''}`
+        : editable ? 'Log time' : '';
+    
+    return `
+        <td class="${classes}" title="${escapeHtml(title)}"
+            ${editable ? `onclick="openEntryModal('${taskId}', '${date}')"` : ''}>
+            ${entry ? entry.hours : ''}
+        </td>
+    `;
+}
+
+/**
+ * Lists why entries of the week were rejected, so they can be corrected
+ */
+function renderRejectionNotice() {
+    const notice = document.getElementById('rejectionNotice');
+    const reasons = [...new Set(timesheetState.week.entries
+        .filter(entry => entry.status === 'rejected' && entry.rejectionReason)
+        .map(entry => entry.rejectionReason))];
+    
+    notice.innerHTML = reasons.length > 0 ? `
+        <div class="rejection-notice">
+            <strong>Time was rejected:</strong>
+            ${reasons.map(reason => `<p>${escapeHtml(reason)}</p>`).join('')}
+            <small>Correct the entries marked in red and submit the week again.</small>
+        </div>
+    ` : '';
+}
+
+/**
+ * Adds the task chosen in the dropdown as a row of the grid
+ */
+function addTaskRow() {
+    const taskSelect = document.getElementById('addTaskSelect');
+    const taskId = taskSelect.value;
+    
+    if (!taskId) {
+        showNotification('Choose a task to add', 'info');
+        return;
+    }
+    
+    if (!timesheetState.extraTaskIds.includes(taskId)) {
+        timesheetState.extraTaskIds.push(taskId);
+    }
+    
+    taskSelect.value = '';
+    renderTimesheet();
+}
+
+// ============================================
+// TIME ENTRIES
+// ============================================
+
+/**
+ * Opens the form for one task and day, with its entry if time is logged there
+ * @param {string} taskId - Task of the cell
+ * @param {string} date - Day of the cell (YYYY-MM-DD)
+ */
+function openEntryModal(taskId, date) {
+    const entry = timesheetState.week.entries.find(e => e.taskId === taskId && e.date === date);
+    const task = getTaskById(taskId);
+    
+    resetForm('entryForm');
+    clearFieldErrors('entryForm');
+    
+    document.getElementById('entryModalTitle').textContent = entry ? 'Change Time' : 'Log Time';
+    document.getElementById('entryId').value = entry ? entry.id : '';
+    document.getElementById('entryVersion').value = entry ? entry.version : '';
+    document.getElementById('entryTask').value = taskId;
+    document.getElementById('entryDate').value = date;
+    document.getElementById('entrySummary').textContent = `${task ? task.title : 'Unknown task'} · ${formatDate(date)}` +
+        (entry && entry.status === 'rejected' ? ` · Rejected: ${entry.rejectionReason}` : '');
+    document.getElementById('entryHours').value = entry ? entry.hours : '';
+    document.getElementById('entryNote').value = entry ? entry.note : '';
+    document.getElementById('entryBillable').checked = entry ? entry.billable : true;
+    document.getElementById('deleteEntryBtn').style.display = entry ? '' : 'none';
+    
+    openModal('entryModal');
+}
+
+/**
+ * Closes the time entry modal
+ */
+function closeEntryModal() {
+    closeModal('entryModal');
+    resetForm('entryForm');
+}
+
+/**
+ * Formats a time entry field value for the conflict dialog
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatEntryFieldValue(field, value) {
+    if (field === 'taskId') {
+        const task = getTaskById(value);
+        return task ? task.title : formatConflictValue(value);
+    }
+    if (field === 'billable') return value ? 'Yes' : 'No';
+    return formatConflictValue(value);
+}
+
+/**
+ * Handles time entry form submission (log or change)
+ * @param {Event} event - Form submit event
+ */
+async function handleEntrySubmit(event) {
+    event.preventDefault();
+    
+    const entryId = document.getElementById('entryId').value;
+    
+    const entryData = {
+        taskId: document.getElementById('entryTask').value,
+        date: document.getElementById('entryDate').value,
+        hours: parseFloat(document.getElementById('entryHours').value),
+        note: document.getElementById('entryNote').value.trim(),
+        billable: document.getElementById('entryBillable').checked
+    };
+    
+    clearFieldErrors('entryForm');
+    
+    try {
+        if (entryId) {
+            // Save, checking the entry was not changed elsewhere in the meantime
+            const version = parseInt(document.getElementById('entryVersion').value, 10);
+            const result = await saveWithConflictCheck(`/timesheets/entries/${entryId}`, entryData, version, {
+                title: 'Time entry',
+                fields: ENTRY_FIELD_LABELS,
+                formatValue: formatEntryFieldValue
+            });
+            
+            if (!result) {
+                showNotification('Your changes were discarded and the saved version kept', 'info');
+            }
+        } else {
+            await fetchAPI('/timesheets/entries', {
+                method: 'POST',
+                body: JSON.stringify(entryData)
+            });
+        }
+        
+        showNotification('Time saved', 'success');
+        
+        // Reload the week and re-render
+        await loadWeek(timesheetState.week.weekStart);
+        
+        // Close modal
+        closeEntryModal();
+    } catch (error) {
+        console.error('Error saving time:', error);
+        showSaveError(error, 'entryForm', ENTRY_FIELD_INPUTS, 'Failed to save time');
+    }
+}
+
+/**
+ * Deletes the entry open in the form
+ */
+async function deleteEntry() {
+    const entryId = document.getElementById('entryId').value;
+    
+    if (!entryId || !confirmAction('Are you sure you want to delete this time entry?')) {
+        return;
+    }
+    
+    try {
+        await fetchAPI(`/timesheets/entries/${entryId}`, {
+            method: 'DELETE'
+        });
+        
+        showNotification('Time entry deleted successfully', 'success');
+        
+        // Reload the week and re-render
+        await loadWeek(timesheetState.week.weekStart);
+        closeEntryModal();
+    } catch (error) {
+        console.error('Error deleting time entry:', error);
+        showNotification(error.message || 'Failed to delete time entry', 'error');
+    }
+}
+
+/**
+ * Submits the week's draft and rejected entries for approval
+ */
+async function submitWeek() {
+    const week = timesheetState.week;
+    
+    if (!confirmAction(`Submit ${week.totalHours} hours for the week of ${formatDate(week.weekStart)}? Submitted time cannot be changed unless it is rejected.`)) {
+        return;
+    }
+    
+    try {
+        const result = await fetchAPI('/timesheets/submit', {
+            method: 'POST',
+            body: JSON.stringify({ week: week.weekStart })
+        });
+        
+        showNotification(`${result.submitted} entries submitted for approval`, 'success');
+        
+        // Reload the week and re-render
+        await loadWeek(week.weekStart);
+    } catch (error) {
+        console.error('Error submitting timesheet:', error);
+        showNotification(error.message || 'Failed to submit timesheet', 'error');
+    }
+}
+
+// ============================================
+// APPROVALS
+// ============================================
+
+/**
+ * Submitted timesheets waiting for the current user, grouped by user and week
+ */
+let pendingApprovals = [];
+
+/**
+ * Loads and renders the timesheets waiting for the current user's approval
+ */
+async function loadApprovals() {
+    try {
+        pendingApprovals = await fetchAPI('/timesheets/approvals');
+        renderApprovals();
+    } catch (error) {
+        console.error('Error loading approvals:', error);
+        showNotification('Failed to load timesheets waiting for approval', 'error');
+    }
+}
+
+/**
+ * Renders the submitted timesheets, one card per user and week
+ */
+function renderApprovals() {
+    const list = document.getElementById('approvalsList');
+    
+    if (pendingApprovals.length === 0) {
+        list.innerHTML = '<p class="empty-state">No timesheets are waiting for your approval</p>';
+        return;
+    }
+    
+    list.innerHTML = pendingApprovals.map((group, index) => `
+        <div class="approval-card">
+            <div class="approval-header">
+                <div>
+                    <strong>${escapeHtml(getUserName(group.userId))}</strong>
+                    · week of ${formatDate(group.weekStart)}
+                    · ${group.totalHours}h (${group.billableHours}h billable)
+                </div>
+                <div>
+                    <button class="btn btn-sm btn-primary" onclick="approveGroup(${index})">✅ Approve</button>
+                    <button class="btn btn-sm btn-danger" onclick="openRejectModal(${index})">↩️ Reject</button>
+                </div>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Task</th>
+                        <th>Project</th>
+                        <th>Hours</th>
+                        <th>Billable</th>
+                        <th>Note</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${group.entries.map(entry => {
+                        const task = getTaskById(entry.taskId);
+                        return `
+                            <tr>
+                                <td>${formatDate(entry.date)}</td>
+                                <td>${task ? escapeHtml(task.title) : 'Unknown task'}</td>
+                                <td>${escapeHtml(getProjectName(entry.projectId))}</td>
+                                <td>${entry.hours}</td>
+                                <td>${entry.billable ? 'Yes' : 'No'}</td>
+                                <td>${escapeHtml(entry.note || '-')}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `).join('');
+}
+
+/**
+ * Reloads everything an approval or rejection changes
+ */
+async function reloadAfterReview() {
+    await Promise.all([loadApprovals(), loadTasks()]);
+    await loadWeek(timesheetState.week.weekStart);
+}
+
+/**
+ * Approves a submitted timesheet, adding its hours to the task and allocation actuals
+ * @param {number} index - Position of the timesheet in the approvals list
+ */
+async function approveGroup(index) {
+    const group = pendingApprovals[index];
+    
+    if (!group || !confirmAction(`Approve ${group.totalHours} hours of ${getUserName(group.userId)}? The hours are added to the actuals of their tasks.`)) {
+        return;
+    }
+    
+    try {
+        await fetchAPI('/timesheets/approve', {
+            method: 'POST',
+            body: JSON.stringify({ entryIds: group.entries.map(entry => entry.id) })
+        });
+        
+        showNotification('Timesheet approved', 'success');
+        await reloadAfterReview();
+    } catch (error) {
+        console.error('Error approving timesheet:', error);
+        showNotification(error.message || 'Failed to approve timesheet', 'error');
+    }
+}
+
+/**
+ * Opens the modal asking why a submitted timesheet is rejected
+ * @param {number} index - Position of the timesheet in the approvals list
+ */
+function openRejectModal(index) {
+    const group = pendingApprovals[index];
+    
+    if (!group) return;
+    
+    resetForm('rejectForm');
+    document.getElementById('rejectModalTitle').textContent =
+        `Reject ${getUserName(group.userId)}'s week of ${formatDate(group.weekStart)}`;
+    document.getElementById('rejectEntryIds').value = group.entries.map(entry => entry.id).join(',');
+    
+    openModal('rejectModal');
+}
+
+/**
+ * Closes the reject modal
+ */
+function closeRejectModal() {
+    closeModal('rejectModal');
+    resetForm('rejectForm');
+}
+
+/**
+ * Handles reject form submission
+ * @param {Event} event - Form submit event
+ */
+async function handleRejectSubmit(event) {
+    event.preventDefault();
+    
+    try {
+        await fetchAPI('/timesheets/reject', {
+            method: 'POST',
+            body: JSON.stringify({
+                entryIds: document.getElementById('rejectEntryIds').value.split(','),
+                reason: document.getElementById('rejectReason').value.trim()
+            })
+        });
+        
+        showNotification('Timesheet sent back for correction', 'success');
+        closeRejectModal();
+        await reloadAfterReview();
+    } catch (error) {
+        console.error('Error rejecting timesheet:', error);
+        showSaveError(error, 'rejectForm', { reason: 'rejectReason' }, 'Failed to reject timesheet');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,378 @@
+/**
+ * User Administration Module
+ *
+ * This file handles the admin-only users page including:
+ * - Loading and displaying user accounts
+ * - Creating new users
+ * - Editing existing users
+ * - Deactivating and reactivating users
+ * - Starting password resets
+ */
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Display names for user roles
+ */
+const ROLE_LABELS = {
+    admin: 'Admin',
+    project_manager: 'Project Manager',
+    department_head: 'Department Head',
+    team_member: 'Team Member',
+    executive: 'Executive'
+};
+
+/**
+ * Initialize the users page
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    // Check authentication
+    if (!checkAuth()) {
+        window.location.href = 'index.html';
+        return;
+    }
+    
+    // Only administrators may manage users
+    if (!hasPermission('users:manage')) {
+        window.location.href = 'dashboard.html';
+        return;
+    }
+    
+    // Display user info
+    displayUserInfo();
+    
+    // Load initial data
+    await loadUsers();
+    
+    // Render users
+    renderUsers();
+    
+    // Set up event listeners
+    setupEventListeners();
+    
+    // Set up filters
+    setupFilters(renderUsers);
+    
+    const roleFilter = document.getElementById('roleFilter');
+    if (roleFilter) {
+        roleFilter.addEventListener('change', renderUsers);
+    }
+});
+
+/**
+ * Set up event listeners for buttons and forms
+ */
+function setupEventListeners() {
+    // Create user button
+    const createBtn = document.getElementById('createUserBtn');
+    if (createBtn) {
+        createBtn.addEventListener('click', openCreateUserModal);
+    }
+    
+    // User form submission
+    const userForm = document.getElementById('userForm');
+    if (userForm) {
+        userForm.addEventListener('submit', handleUserSubmit);
+    }
+    
+    // Logout button
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', logout);
+    }
+}
+
+// ============================================
+// RENDER FUNCTIONS
+// ============================================
+
+/**
+ * Renders all users in the table based on current filters
+ */
+function renderUsers() {
+    const tbody = document.getElementById('usersTableBody');
+    
+    if (!tbody) return;
+    
+    // Get filter values
+    const filters = getFilterValues();
+    const roleFilter = document.getElementById('roleFilter')?.value || 'all';
+    
+    // Give each user a status so the shared status filter works
+    const users = appState.users.map(user => ({
+        ...user,
+        status: user.active === false ? 'inactive' : 'active'
+    }));
+    
+    // Apply filters to users
+    let filteredUsers = applyFilters(
+        users,
+        filters,
+        ['fullName', 'username', 'email', 'department']
+    );
+    
+    if (roleFilter !== 'all') {
+        filteredUsers = filteredUsers.filter(user => user.role === roleFilter);
+    }
+    
+    // Check if there are any users
+    if (filteredUsers.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No users found</td></tr>';
+        return;
+    }
+    
+    const currentUserId = appState.currentUser ? appState.currentUser.id : null;
+    
+    // Build HTML for table rows
+    tbody.innerHTML = filteredUsers.map(user => {
+        const isSelf = user.id === currentUserId;
+        const isActive = user.status === 'active';
+        
+        return `
+            <tr>
+                <td>${escapeHtml(user.avatar || '👤')} ${escapeHtml(user.fullName)}</td>
+                <td>${escapeHtml(user.username)}</td>
+                <td>${escapeHtml(user.email)}</td>
+                <td>${ROLE_LABELS[user.role] || escapeHtml(user.role)}</td>
+                <td>${escapeHtml(user.department)}</td>
+                <td>${renderStatusBadge(user.status)}</td>
+                <td>
+                    <button class="btn btn-sm btn-primary" onclick="editUser('${user.id}')">
+                        ✏️ Edit
+                    </button>
+                    <button class="btn btn-sm btn-secondary" onclick="resetUserPassword('${user.id}')">
+                        🔑 Reset
+                    </button>
+                    ${isSelf ? '' : isActive ? `
+                        <button class="btn btn-sm btn-danger" onclick="deactivateUser('${user.id}')">
+                            🚫 Deactivate
+                        </button>
+                    ` : `
+                        <button class="btn btn-sm btn-success" onclick="reactivateUser('${user.id}')">
+                            ✅ Reactivate
+                        </button>
+                    `}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// ============================================
+// MODAL FUNCTIONS
+// ============================================
+
+/**
+ * Opens the modal to create a new user
+ */
+function openCreateUserModal() {
+    // Reset the form
+    resetForm('userForm');
+    
+    // Clear the hidden ID field
+    document.getElementById('userId').value = '';
+    
+    // Set modal title
+    document.getElementById('modalTitle').textContent = 'Add User';
+    
+    // New users need an initial password
+    document.getElementById('userPasswordGroup').style.display = '';
+    document.getElementById('userPassword').required = true;
+    
+    // Set default values
+    document.getElementById('userRole').value = 'team_member';
+    document.getElementById('userDepartment').value = 'Engineering';
+    
+    // Open the modal
+    openModal('userModal');
+}
+
+/**
+ * Opens the modal to edit an existing user
+ * @param {string} userId - ID of the user to edit
+ */
+function editUser(userId) {
+    const user = getUserById(userId);
+    
+    if (!user) {
+        showNotification('User not found', 'error');
+        return;
+    }
+    
+    // Set modal title
+    document.getElementById('modalTitle').textContent = 'Edit User';
+    
+    // Passwords are changed with a reset link, not from this form
+    document.getElementById('userPasswordGroup').style.display = 'none';
+    document.getElementById('userPassword').required = false;
+    
+    // Fill form with user data
+    document.getElementById('userId').value = user.id;
+    document.getElementById('userFullName').value = user.fullName;
+    document.getElementById('userUsername').value = user.username;
+    document.getElementById('userEmail').value = user.email;
+    document.getElementById('userRole').value = user.role;
+    document.getElementById('userDepartment').value = user.department;
+    document.getElementById('userAvatarInput').value = user.avatar || '';
+    
+    // Open the modal
+    openModal('userModal');
+}
+
+/**
+ * Closes the user modal
+ */
+function closeUserModal() {
+    closeModal('userModal');
+    resetForm('userForm');
+}
+
+// ============================================
+// CRUD OPERATIONS
+// ============================================
+
+/**
+ * Handles user form submission (create or update)
+ * @param {Event} event - Form submit event
+ */
+async function handleUserSubmit(event) {
+    event.preventDefault();
+    
+    // Get form values
+    const userId = document.getElementById('userId').value;
+    const userData = {
+        fullName: document.getElementById('userFullName').value.trim(),
+        username: document.getElementById('userUsername').value.trim(),
+        email: document.getElementById('userEmail').value.trim(),
+        role: document.getElementById('userRole').value,
+        department: document.getElementById('userDepartment').value,
+        avatar: document.getElementById('userAvatarInput').value.trim() || '👤'
+    };
+    
+    // Validate email
+    if (!isValidEmail(userData.email)) {
+        showNotification('Please enter a valid email address', 'error');
+        return;
+    }
+    
+    try {
+        if (userId) {
+            // Update existing user
+            await fetchAPI(`/users/${userId}`, {
+                method: 'PUT',
+                body: JSON.stringify(userData)
+            });
+            showNotification('User updated successfully', 'success');
+        } else {
+            // Create new user with an initial password
+            userData.password = document.getElementById('userPassword').value;
+            
+            await fetchAPI('/users', {
+                method: 'POST',
+                body: JSON.stringify(userData)
+            });
+            showNotification('User created successfully', 'success');
+        }
+        
+        // Reload users and re-render
+        await loadUsers();
+        renderUsers();
+        
+        // Close modal
+        closeUserModal();
+    } catch (error) {
+        console.error('Error saving user:', error);
+        showNotification(error.message || 'Failed to save user', 'error');
+    }
+}
+
+/**
+ * Deactivates a user
+ * The account is kept so existing task assignments still show the user's name
+ * @param {string} userId - ID of the user to deactivate
+ */
+async function deactivateUser(userId) {
+    const user = getUserById(userId);
+    
+    if (!user) {
+        showNotification('User not found', 'error');
+        return;
+    }
+    
+    // Confirm deactivation, checking the user's open work first
+    if (!await confirmDeleteWithPreview(`/users/${userId}`, `Deactivate "${user.fullName}"? They will be logged out and can no longer sign in.`)) {
+        return;
+    }
+    
+    try {
+        await fetchAPI(`/users/${userId}`, {
+            method: 'DELETE'
+        });
+        
+        showNotification('User deactivated successfully', 'success');
+        
+        // Reload users and re-render
+        await loadUsers();
+        renderUsers();
+    } catch (error) {
+        console.error('Error deactivating user:', error);
+        showNotification(error.message || 'Failed to deactivate user', 'error');
+    }
+}
+
+/**
+ * Reactivates a previously deactivated user
+ * @param {string} userId - ID of the user to reactivate
+ */
+async function reactivateUser(userId) {
+    try {
+        await fetchAPI(`/users/${userId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ active: true })
+        });
+        
+        showNotification('User reactivated successfully', 'success');
+        
+        // Reload users and re-render
+        await loadUsers();
+        renderUsers();
+    } catch (error) {
+        console.error('Error reactivating user:', error);
+        showNotification(error.message || 'Failed to reactivate user', 'error');
+    }
+}
+
+/**
+ * Starts a password reset and shows the one-time link to the admin
+ * @param {string} userId - ID of the user whose password should be reset
+ */
+async function resetUserPassword(userId) {
+    const user = getUserById(userId);
+    
+    if (!user) {
+        showNotification('User not found', 'error');
+        return;
+    }
+    
+    // Confirm reset
+    if (!confirmAction(`Reset the password for "${user.fullName}"? Their current password will stop working immediately.`)) {
+        return;
+    }
+    
+    try {
+        const result = await fetchAPI(`/users/${userId}/reset-password`, {
+            method: 'POST'
+        });
+        
+        document.getElementById('resetLinkUserName').textContent = user.fullName;
+        document.getElementById('resetLinkExpiry').textContent = formatDateTime(result.expiresAt);
+        document.getElementById('resetLinkUrl').value = `${window.location.origin}${result.resetUrl}`;
+        
+        openModal('resetLinkModal');
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        showNotification(error.message || 'Failed to reset password', 'error');
+    }
+}
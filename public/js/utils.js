@@ -19,18 +19,39 @@ const API_BASE_URL = 'http://localhost:3000/api';
 // API HELPER FUNCTIONS
 // ============================================
 
+/**
+ * Refresh the session token when it is this close to expiring (in milliseconds)
+ */
+const TOKEN_REFRESH_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Session refresh in progress, shared by every request made meanwhile
+ * (the server revokes the old token as soon as one refresh succeeds)
+ */
+let sessionRefresh = null;
+
 /**
  * Makes an API request to the server
+ * Attaches the session token and sends the user back to the login page on a 401
  * @param {string} endpoint - The API endpoint (e.g., '/projects')
  * @param {Object} options - Fetch options (method, body, etc.)
  * @returns {Promise} Response data from the server
  */
 async function fetchAPI(endpoint, options = {}) {
     try {
+        // Keep the session alive before it runs out
+        await refreshTokenIfNeeded(endpoint);
+        
         // Set default headers
         const defaultHeaders = {
             'Content-Type': 'application/json'
         };
+        
+        // Attach the session token if we have one
+        const token = getAuthToken();
+        if (token) {
+            defaultHeaders['Authorization'] = `Bearer ${token}`;
+        }
 
         // Merge default options with provided options
         const config = {
@@ -43,11 +64,23 @@ async function fetchAPI(endpoint, options = {}) {
 
         // Make the API request
         const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
+        
+        // Session is missing or no longer valid - go back to the login page
+        if (response.status === 401 && endpoint !== '/login') {
+            clearSession();
+            window.location.href = 'index.html';
+            throw new Error('Session expired. Please log in again.');
+        }
 
         // Check if response is ok (status 200-299)
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.error || 'API request failed');
+            const error = new Error(errorData.error || errorData.message || 'API request failed');
+            
+            // Keep the status and body so callers can handle specific errors (e.g. 409 conflicts)
+            error.status = response.status;
+            error.data = errorData;
+            throw error;
         }
 
         // Parse and return JSON response
@@ -58,17 +91,70 @@ async function fetchAPI(endpoint, options = {}) {
     }
 }
 
+/**
+ * Exchanges the session token for a fresh one when it is about to expire
+ * Requests made while a refresh is in progress wait for it instead of starting another
+ * @param {string} endpoint - Endpoint of the request about to be made
+ */
+async function refreshTokenIfNeeded(endpoint) {
+    if (sessionRefresh) {
+        return sessionRefresh;
+    }
+    
+    const token = getAuthToken();
+    const expiresAt = localStorage.getItem('tokenExpiresAt');
+    
+    // Nothing to refresh, or this is the login/refresh call itself
+    if (!token || !expiresAt || endpoint === '/login' || endpoint === '/session/refresh') {
+        return;
+    }
+    
+    const timeLeft = new Date(expiresAt).getTime() - Date.now();
+    if (timeLeft <= 0 || timeLeft > TOKEN_REFRESH_WINDOW_MS) {
+        return;
+    }
+    
+    sessionRefresh = (async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/session/refresh`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            
+            if (response.ok) {
+                saveSession(await response.json());
+            }
+        } catch (error) {
+            console.error('Error refreshing session:', error);
+        } finally {
+            sessionRefresh = null;
+        }
+    })();
+    
+    return sessionRefresh;
+}
+
 // ============================================
 // AUTHENTICATION FUNCTIONS
 // ============================================
 
 /**
  * Checks if user is authenticated
- * @returns {boolean} True if user is logged in, false otherwise
+ * @returns {boolean} True if user has a session token that has not expired
  */
 function checkAuth() {
     const user = localStorage.getItem('currentUser');
-    return user !== null;
+    const token = getAuthToken();
+    const expiresAt = localStorage.getItem('tokenExpiresAt');
+    
+    if (user === null || !token || !expiresAt) {
+        return false;
+    }
+    
+    return new Date(expiresAt).getTime() > Date.now();
 }
 
 /**
@@ -80,6 +166,14 @@ function getCurrentUser() {
     return userStr ? JSON.parse(userStr) : null;
 }
 
+/**
+ * Gets the current session token
+ * @returns {string|null} Token or null if not logged in
+ */
+function getAuthToken() {
+    return localStorage.getItem('authToken');
+}
+
 /**
  * Saves user data to local storage
  * @param {Object} user - User object to save
@@ -89,10 +183,38 @@ function saveUser(user) {
 }
 
 /**
- * Logs out the current user
+ * Saves a login or refresh response (user, token and expiry) to local storage
+ * @param {Object} session - Response from /login or /session/refresh
  */
-function logout() {
+function saveSession(session) {
+    saveUser(session.user);
+    localStorage.setItem('authToken', session.token);
+    localStorage.setItem('tokenExpiresAt', session.expiresAt);
+}
+
+/**
+ * Removes all session data from local storage
+ */
+function clearSession() {
     localStorage.removeItem('currentUser');
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('tokenExpiresAt');
+}
+
+/**
+ * Logs out the current user
+ * Ends the session on the server before clearing it locally
+ */
+async function logout() {
+    try {
+        if (getAuthToken()) {
+            await fetchAPI('/logout', { method: 'POST' });
+        }
+    } catch (error) {
+        console.error('Error ending session:', error);
+    }
+    
+    clearSession();
     window.location.href = 'index.html';
 }
 
@@ -0,0 +1,65 @@
+/**
+ * JSON to SQLite Migration
+ *
+ * Imports every data/*.json file into the SQLite database used by the
+ * sqlite storage driver. Each file becomes a table of the same name.
+ *
+ * Usage:
+ *   npm run migrate:sqlite              - import into an empty database
+ *   npm run migrate:sqlite -- --force   - replace collections that already have data
+ *
+ * Honours the same DATA_DIR and SQLITE_FILE settings as the server.
+ * The JSON files are left untouched, so switching back is always possible.
+ */
+
+const { createStore } = require('../lib/storage');
+
+const force = process.argv.includes('--force');
+
+/**
+ * Copies every JSON collection into the SQLite database
+ * @param {Object} source - JSON store to read from
+ * @param {Object} target - SQLite store to write to
+ * @returns {boolean} True if the migration ran
+ */
+function migrate(source, target) {
+    const collections = source.collections();
+    
+    if (collections.length === 0) {
+        console.error('No JSON data files found - nothing to migrate');
+        return false;
+    }
+    
+    // Refuse to overwrite data that may already have been changed through the server
+    const nonEmpty = collections.filter(collection => target.all(collection).length > 0);
+    if (nonEmpty.length > 0 && !force) {
+        console.error(`The SQLite database already has data for: ${nonEmpty.join(', ')}`);
+        console.error('Run again with --force to replace it with the JSON data');
+        return false;
+    }
+    
+    // Import everything in one transaction so a failure leaves the database unchanged
+    target.transaction(() => {
+        collections.forEach(collection => {
+            target.replaceAll(collection, source.all(collection));
+        });
+    });
+    
+    console.log('Migrated JSON data to SQLite:');
+    collections.forEach(collection => {
+        console.log(`  ${collection}: ${target.all(collection).length} record(s)`);
+    });
+    console.log('Start the server with STORAGE_DRIVER=sqlite to use the database');
+    return true;
+}
+
+const source = createStore({ driver: 'json' });
+const target = createStore({ driver: 'sqlite' });
+
+try {
+    if (!migrate(source, target)) {
+        process.exitCode = 1;
+    }
+} finally {
+    target.close();
+}
@@ -2,20 +2,70 @@
  * Project Tracking System - Main Server File
  * 
  * This file sets up the Express server and handles all API routes.
- * It provides endpoints for authentication, projects, tasks, resources, and reports.
+ * It provides endpoints for authentication, projects, tasks, resources, risks, timesheets,
+ * expenses, and reports.
  * 
- * The server uses JSON files for data storage to keep things simple and readable.
+ * Data is read and written through the storage layer in lib/storage, which keeps
+ * it in readable JSON files by default or in an embedded SQLite database.
  */
 
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
+const { createStore } = require('./lib/storage');
+const sessions = require('./lib/sessions');
+const passwords = require('./lib/passwords');
+const { ROLES, getPermissions, hasPermission, requirePermission, canAccessProject, canUpdateTask, canLogTime, canApproveTime, canApproveExpense } = require('./lib/permissions');
+const { validate, sendValidationErrors } = require('./lib/validation');
+const integrity = require('./lib/integrity');
+const audit = require('./lib/audit');
+const dependencies = require('./lib/dependencies');
+const workflows = require('./lib/workflows');
+const board = require('./lib/board');
+const { computeSchedule } = require('./lib/schedule');
+const milestones = require('./lib/milestones');
+const risks = require('./lib/risks');
+const timesheets = require('./lib/timesheets');
+const budget = require('./lib/budget');
+const evm = require('./lib/evm');
+const query = require('./lib/query');
+const events = require('./lib/events');
+const deadlines = require('./lib/deadlines');
+const notifications = require('./lib/notifications');
+const emails = require('./lib/emails');
+const { createMailer } = require('./lib/mail');
 
 // Initialize Express application
 const app = express();
-const PORT = 3000;
+const PORT = process.env.PORT || 3000;
+
+// Open the configured data store (JSON files unless STORAGE_DRIVER says otherwise)
+const store = createStore();
+
+// Set up email delivery (an outbox of .eml files unless MAIL_TRANSPORT says otherwise)
+const mailer = createMailer();
+
+/**
+ * Address the application is reached at, for links in emails
+ */
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+/**
+ * Departments a user can belong to
+ */
+const DEPARTMENTS = ['IT', 'Engineering', 'Management', 'Testing', 'Marketing', 'Operations', 'Finance', 'Human Resources'];
+
+/**
+ * Task fields a bulk update may change, and the most tasks one bulk request can handle
+ */
+const BULK_TASK_FIELDS = ['status', 'priority', 'assignedTo', 'startDate', 'dueDate', 'milestoneId'];
+const MAX_BULK_TASKS = 200;
+
+/**
+ * Collection recording which one-time migrations have run (see runMigrationOnce)
+ */
+const MIGRATION_COLLECTION = 'migrations';
 
 // Middleware setup
 app.use(cors()); // Enable Cross-Origin Resource Sharing
@@ -27,356 +77,3116 @@ app.use(express.static('public')); // Serve static files from 'public' directory
 // ============================================
 
 /**
- * Reads data from a JSON file
- * @param {string} filename - Name of the file to read
- * @returns {Object} Parsed JSON data
+ * Wraps an async route handler so rejected promises reach the error handler
+ * (Express 4 only catches errors thrown synchronously)
+ * @param {Function} handler - Async route handler
+ * @returns {Function} Express route handler
  */
-function readDataFile(filename) {
-    try {
-        const filePath = path.join(__dirname, 'data', filename);
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading ${filename}:`, error.message);
-        return null;
+function asyncRoute(handler) {
+    return function(req, res, next) {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+/**
+ * Generates a unique ID for new records
+ * @returns {string} Unique identifier
+ */
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+/**
+ * Removes password hashes and reset tokens from a user record
+ * @param {Object} user - User record from users.json
+ * @returns {Object} User safe to send to the client
+ */
+function sanitizeUser(user) {
+    const { password, passwordHash, passwordReset, ...safeUser } = user;
+    return safeUser;
+}
+
+/**
+ * Builds the user object returned by login and session endpoints
+ * Includes the role's permissions so the frontend can hide unavailable actions
+ * @param {Object} user - User record
+ * @returns {Object} Safe user with a permissions array
+ */
+function toSessionUser(user) {
+    return {
+        ...sanitizeUser(user),
+        permissions: getPermissions(user.role)
+    };
+}
+
+/**
+ * Gets the IDs of the projects a user is allowed to see
+ * @param {Object} user - Current user
+ * @param {Array} projects - All projects
+ * @returns {Set<string>} Accessible project IDs
+ */
+function getAccessibleProjectIds(user, projects) {
+    return new Set(
+        projects.filter(p => canAccessProject(user, p)).map(p => p.id)
+    );
+}
+
+/**
+ * One-time migration that replaces plaintext passwords with salted hashes
+ * Runs on startup; records that are already hashed are left untouched
+ */
+function migratePlaintextPasswords() {
+    const migratedCount = store.transaction(() => {
+        const plaintextUsers = store.all('users').filter(user => typeof user.password === 'string');
+        
+        plaintextUsers.forEach(user => {
+            auditedUpdate(null, 'users', user.id, {
+                passwordHash: passwords.hashPasswordSync(user.password),
+                password: undefined
+            });
+        });
+        
+        return plaintextUsers.length;
+    });
+    
+    if (migratedCount > 0) {
+        console.log(`  Migrated ${migratedCount} plaintext password(s) to hashes`);
     }
 }
 
 /**
- * Writes data to a JSON file
- * @param {string} filename - Name of the file to write
- * @param {Object} data - Data to write to the file
+ * One-time migration that gives tasks saved before the board could be
+ * reordered a rank, so they keep the order they were shown in
  */
-function writeDataFile(filename, data) {
-    try {
-        const filePath = path.join(__dirname, 'data', filename);
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-        return true;
-    } catch (error) {
-        console.error(`Error writing ${filename}:`, error.message);
-        return false;
+function migrateTaskRanks() {
+    const ranks = board.planMissingRanks(store);
+    
+    store.transaction(() => {
+        ranks.forEach(({ id, rank }) => auditedUpdate(null, 'tasks', id, { rank }));
+    });
+    
+    if (ranks.length > 0) {
+        console.log(`  Ranked ${ranks.length} task(s) for the Kanban board`);
     }
 }
 
 /**
- * Generates a unique ID for new records
- * @returns {string} Unique identifier
+ * One-time migration that moves risks kept on projects by older versions
+ * into the risk register, removing project.risks
  */
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function migrateProjectRisks() {
+    const plans = risks.planLegacyRisks(store);
+    const now = new Date().toISOString();
+    
+    const movedCount = store.transaction(() => plans.reduce((count, plan) => {
+        plan.risks.forEach(risk => auditedInsert(null, risks.RISK_COLLECTION, {
+            id: generateId(),
+            ...risk,
+            createdAt: now,
+            updatedAt: now
+        }));
+        auditedUpdate(null, 'projects', plan.projectId, { risks: undefined });
+        return count + plan.risks.length;
+    }, 0));
+    
+    if (plans.length > 0) {
+        console.log(`  Moved ${movedCount} project risk(s) to the risk register`);
+    }
+}
+
+/**
+ * One-time migration that moves the budgetSpent typed into projects by older
+ * versions into the expense ledger, removing project.budgetSpent
+ */
+function migrateProjectSpend() {
+    const plans = budget.planLegacySpend(store);
+    const now = new Date().toISOString();
+    
+    store.transaction(() => {
+        plans.forEach(plan => {
+            if (plan.expense) {
+                auditedInsert(null, budget.EXPENSE_COLLECTION, {
+                    id: generateId(),
+                    ...plan.expense,
+                    createdAt: now,
+                    updatedAt: now
+                });
+            }
+            auditedUpdate(null, 'projects', plan.projectId, { budgetSpent: undefined });
+        });
+    });
+    
+    if (plans.length > 0) {
+        console.log(`  Moved the spend of ${plans.filter(plan => plan.expense).length} project(s) to the expense ledger`);
+    }
+}
+
+/**
+ * Runs a one-time migration unless it has run before, and records that it has
+ * For migrations that cannot tell from the data whether they are still needed
+ * @param {string} id - Migration name, kept in the migrations collection
+ * @param {Function} fn - Synchronous function doing the work
+ * @returns {*} What fn returned, or null if the migration had run before
+ */
+function runMigrationOnce(id, fn) {
+    return store.transaction(() => {
+        if (store.get(MIGRATION_COLLECTION, id)) {
+            return null;
+        }
+        
+        const result = fn();
+        store.insert(MIGRATION_COLLECTION, { id, ranAt: new Date().toISOString() });
+        return result;
+    });
+}
+
+/**
+ * One-time migration that copies the due date and budget alerts in users' inboxes to
+ * the alert log, which replaced the inbox as the record of what was sent
+ */
+function migrateNotificationAlerts() {
+    const copiedCount = runMigrationOnce('notification-alerts', () => notifications.backfillAlerts(store));
+    
+    if (copiedCount > 0) {
+        console.log(`  Copied ${copiedCount} due date and budget alert(s) from inboxes to the alert log`);
+    }
 }
 
 // ============================================
-// AUTHENTICATION API
+// AUDIT TRAIL
 // ============================================
 
 /**
- * Login endpoint - Authenticates user credentials
- * POST /api/login
+ * Adds a record and logs its creation in the audit trail
+ * @param {Object|null} actor - User making the change (null for the system)
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record to add
+ * @returns {Object} The stored record
  */
-app.post('/api/login', (req, res) => {
-    const { username, password } = req.body;
+function auditedInsert(actor, collection, record) {
+    return store.transaction(() => {
+        const created = store.insert(collection, record);
+        audit.logChange(store, { collection, action: 'create', before: null, after: created, actor });
+        return created;
+    });
+}
+
+/**
+ * Updates a record and logs the changed fields in the audit trail
+ * @param {Object|null} actor - User making the change (null for the system)
+ * @param {string} collection - Collection name
+ * @param {string} id - Record ID
+ * @param {Object|Function} changes - Fields to merge, or a function returning them
+ * @param {string} [action] - Action to log (defaults to 'update')
+ * @returns {Object|null} The updated record, or null if not found
+ */
+function auditedUpdate(actor, collection, id, changes, action = 'update') {
+    return audit.trackChanges(store, [{ collection, id, action }], actor, () =>
+        store.update(collection, id, changes)
+    );
+}
+
+// ============================================
+// CONCURRENCY CONTROL
+// ============================================
+
+/**
+ * Reads the record version a client based its update on
+ * Accepts an If-Match header holding the record's ETag (e.g. "3" or W/"3")
+ * or a version field in the request body
+ * @param {Object} req - Express request
+ * @returns {number|null} Expected version (NaN if unreadable), or null if none was sent
+ */
+function getExpectedVersion(req) {
+    const ifMatch = req.get('If-Match');
+    
+    if (ifMatch) {
+        const match = ifMatch.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+        return match ? parseInt(match[1], 10) : NaN;
+    }
     
-    // Read users from database
-    const users = readDataFile('users.json');
+    if (req.body.version !== undefined) {
+        return Number(req.body.version);
+    }
+    
+    return null;
+}
+
+/**
+ * Sets the ETag header to a record's version
+ * @param {Object} res - Express response
+ * @param {Object} record - Record being returned
+ */
+function setETag(res, record) {
+    res.set('ETag', `"${record.version}"`);
+}
+
+/**
+ * Updates a record only if it is still at the version the client edited
+ * The check and the write happen in one transaction so no other update can slip in between
+ * @param {string} collection - Collection name
+ * @param {string} id - Record ID
+ * @param {number} expectedVersion - Version the client edited
+ * @param {Object} changes - Fields to merge into the record
+ * @param {Object} actor - User making the change, for the audit trail
+ * @param {Function} [afterUpdate] - Called with the updated record in the same transaction
+ * @returns {Object} { record } on success, or { conflict } holding the current record
+ */
+function updateIfCurrent(collection, id, expectedVersion, changes, actor, afterUpdate) {
+    return store.transaction(() => {
+        const current = store.get(collection, id);
+        
+        if (current.version !== expectedVersion) {
+            return { conflict: current };
+        }
+        
+        const record = auditedUpdate(actor, collection, id, changes);
+        if (!afterUpdate) {
+            return { record };
+        }
+        
+        afterUpdate(record);
+        return { record: store.get(collection, id) };
+    });
+}
+
+/**
+ * Applies a versioned update and sends the response
+ * - 428 if the client did not say which version it edited
+ * - 409 with the current server copy if someone else changed the record first
+ * Both the updated record and the current copy go through describe, so they carry
+ * the same computed fields as the GET endpoints
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} collection - Collection name
+ * @param {Object} changes - Fields to merge into the record
+ * @param {string} label - Record type used in error messages (e.g. 'project')
+ * @param {Object} [options] - { describe: adds computed fields to a list of records
+ *   (e.g. describeTasks), afterUpdate: see updateIfCurrent }
+ */
+function sendVersionedUpdate(req, res, collection, changes, label, options = {}) {
+    const describe = options.describe || (list => list);
+    const expectedVersion = getExpectedVersion(req);
     
-    if (!users) {
-        return res.status(500).json({ error: 'Unable to read user data' });
+    if (expectedVersion === null) {
+        return res.status(428).json({
+            error: `Updating a ${label} requires the version you edited (If-Match header or version field)`
+        });
     }
     
-    // Find user with matching credentials
-    const user = users.find(u => u.username === username && u.password === password);
+    const { record, conflict } = updateIfCurrent(collection, req.params.id, expectedVersion, changes, req.user, options.afterUpdate);
     
-    if (user) {
-        // Remove password from response for security
-        const { password, ...userWithoutPassword } = user;
-        res.json({ 
-            success: true, 
-            user: userWithoutPassword,
-            message: 'Login successful' 
+    if (conflict) {
+        setETag(res, conflict);
+        return res.status(409).json({
+            error: `This ${label} was changed by someone else after you opened it`,
+            current: describe([conflict])[0]
         });
-    } else {
-        res.status(401).json({ 
-            success: false, 
-            message: 'Invalid username or password' 
+    }
+    
+    setETag(res, record);
+    res.json(describe([record])[0]);
+}
+
+// ============================================
+// REFERENTIAL INTEGRITY
+// ============================================
+
+/**
+ * Validates a request body and checks that its references point at existing records
+ * @param {string} entity - Schema name ('project', 'task' or 'resource')
+ * @param {string} collection - Collection the record belongs to
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored record when updating
+ * @returns {Object} { value, errors } - errors combines schema and reference errors, or is null
+ */
+function validateWithReferences(entity, collection, body, existing) {
+    const { value, errors } = validate(entity, body, existing);
+    const referenceErrors = integrity.checkReferences(store, collection, value, existing);
+    
+    if (!errors && !referenceErrors) {
+        return { value, errors: null };
+    }
+    
+    // Schema errors are more specific, so they win when both flag a field
+    return { value, errors: { ...referenceErrors, ...errors } };
+}
+
+/**
+ * Validates a project, including its WIP limits against the workflow it uses
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored project when updating
+ * @returns {Object} { value, errors } - errors is null if the project is valid
+ */
+function validateProject(body, existing) {
+    const { value, errors } = validateWithReferences('project', 'projects', body, existing);
+    
+    if (errors || value.wipLimits === undefined) {
+        return { value, errors };
+    }
+    
+    const workflowId = value.workflowId !== undefined ? value.workflowId : existing && existing.workflowId;
+    const { value: wipLimits, error } = board.validateWipLimits(value.wipLimits, workflows.getWorkflow(store, workflowId));
+    
+    if (error) {
+        return { value, errors: { wipLimits: error } };
+    }
+    
+    return { value: { ...value, wipLimits }, errors: null };
+}
+
+/**
+ * Validates a task, including its status against the project's workflow and
+ * WIP limits, its milestone, its dependencies and whether it may be marked done
+ * Actual hours cannot be typed in once approved timesheets set them
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored task when updating
+ * @returns {Object} { value, errors } - errors is null if the task is valid
+ */
+function validateTask(body, existing) {
+    const { value, errors } = validateWithReferences('task', 'tasks', body, existing);
+    
+    if (errors) {
+        return { value, errors };
+    }
+    
+    const statusErrors = workflows.checkTaskStatus(store, value, existing) ||
+        board.checkWipLimit(store, value, existing) ||
+        milestones.checkTaskMilestone(store, value, existing) ||
+        timesheets.checkLockedActuals(timesheets.getApprovedHours(store).byTask, 'actualHours', value, existing);
+    if (statusErrors) {
+        return { value, errors: statusErrors };
+    }
+    
+    return { value, errors: dependencies.checkDependencies(store, value, existing) };
+}
+
+/**
+ * Checks whether a user may make validated changes to a task
+ * @param {Object} user - Current user
+ * @param {Object} task - Stored task
+ * @param {Object} changes - Validated changes
+ * @param {Set} projectIds - IDs of the projects within the user's scope
+ * @returns {string|null} Why the change is refused, or null if it is allowed
+ */
+function checkTaskUpdateAccess(user, task, changes, projectIds) {
+    // Team members may only update their own tasks
+    if (!canUpdateTask(user, task)) {
+        return 'You can only update tasks assigned to you';
+    }
+    
+    // ...and may not hand them to someone else or move them to another project
+    if (user.role === 'team_member' &&
+        ((changes.assignedTo !== undefined && changes.assignedTo !== task.assignedTo) ||
+         (changes.projectId !== undefined && changes.projectId !== task.projectId))) {
+        return 'You cannot reassign tasks or move them between projects';
+    }
+    
+    // The target project must also be within the user's scope
+    if (changes.projectId !== undefined && !projectIds.has(changes.projectId)) {
+        return 'You do not have permission to move tasks to this project';
+    }
+    
+    return null;
+}
+
+/**
+ * Indexes the tasks that are not in the trash by ID
+ * @returns {Map} Tasks keyed by ID
+ */
+function getLiveTasksById() {
+    return new Map(store.all('tasks').filter(t => !integrity.isDeleted(t)).map(t => [t.id, t]));
+}
+
+/**
+ * Validates a risk, including its mitigation actions and its status against
+ * the register's workflow
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Stored risk when updating
+ * @returns {Object} { value, errors } - errors is null if the risk is valid
+ */
+function validateRisk(body, existing) {
+    const { value, errors } = validateWithReferences('risk', risks.RISK_COLLECTION, body, existing);
+    
+    if (errors) {
+        return { value, errors };
+    }
+    
+    if (value.mitigations !== undefined) {
+        const { value: mitigations, error } = risks.validateMitigations(value.mitigations, existing && existing.mitigations);
+        if (error) {
+            return { value, errors: { mitigations: error } };
+        }
+        value.mitigations = mitigations;
+    }
+    
+    const { isDone } = workflows.createStatusResolver(store);
+    return { value, errors: risks.checkRiskStatus(value, existing, getLiveTasksById(), isDone) };
+}
+
+/**
+ * Checks whether a list request asked for archived records too
+ * @param {Object} req - Express request
+ * @returns {boolean} True if ?includeArchived=true was passed
+ */
+function includeArchived(req) {
+    return req.query.includeArchived === 'true';
+}
+
+/**
+ * Gets the records of a collection that are not in the trash
+ * Archived records are left out unless the request asked for them
+ * @param {string} collection - Collection name
+ * @param {Object} req - Express request
+ * @returns {Array} Visible records
+ */
+function listVisible(collection, req) {
+    return store.all(collection).filter(record =>
+        !integrity.isDeleted(record) && (includeArchived(req) || !integrity.isArchived(record))
+    );
+}
+
+/**
+ * Sends a list filtered, sorted and paged as the request's query parameters ask
+ * (see lib/query.js). The number of matching records is sent in the X-Total-Count
+ * header; paged requests (?limit= or ?cursor=) get { items, total, nextCursor }
+ * and the others the plain array.
+ * - 400 if a query parameter is invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array<Object>} records - Records the user may see
+ * @param {Object} spec - Query spec of the endpoint (see query.SPECS)
+ */
+function sendList(req, res, records, spec) {
+    const { items, total, nextCursor, paged, error } = query.queryList(records, req.query, spec);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    res.set('X-Total-Count', String(total));
+    res.json(paged ? { items, total, nextCursor } : items);
+}
+
+/**
+ * Gets a record unless it is in the trash
+ * @param {string} collection - Collection name
+ * @param {string} id - Record ID
+ * @returns {Object|null} The record, or null if missing or trashed
+ */
+function getLiveRecord(collection, id) {
+    const record = store.get(collection, id);
+    return record && !integrity.isDeleted(record) ? record : null;
+}
+
+/**
+ * Checks whether a delete request asked to remove a trashed record for good
+ * @param {Object} req - Express request
+ * @returns {boolean} True if ?permanent=true was passed
+ */
+function isPermanentDelete(req) {
+    return req.query.permanent === 'true';
+}
+
+/**
+ * Deletes a record after applying the configured rules to everything that references it
+ * Planning and deleting happen in one transaction so the preview the rules were
+ * checked against cannot change before the delete runs.
+ * Every record the delete changes is logged in the audit trail.
+ * @param {string} collection - Collection name
+ * @param {string} id - Record ID
+ * @param {Object} actor - User deleting the record
+ * @param {Object} [options] - { soft: true to move the record to the trash,
+ *   removeRoot: false to keep the record itself (used for users) }
+ * @returns {Object} The delete plan; nothing was changed if plan.allowed is false
+ */
+function applyDeleteRules(collection, id, actor, options = {}) {
+    return store.transaction(() => {
+        const root = { collection, id };
+        const deletePlan = integrity.planDelete(store, collection, root.id, { soft: options.soft });
+        
+        if (deletePlan.allowed) {
+            const action = !options.soft && integrity.isDeleted(store.get(collection, root.id)) ? 'purge' : 'delete';
+            
+            audit.trackChanges(store, integrity.listAffected(deletePlan, root, action), actor, () => {
+                integrity.applyDelete(store, deletePlan, root, {
+                    userId: actor.id,
+                    removeRoot: options.removeRoot
+                });
+            });
+        }
+        
+        return deletePlan;
+    });
+}
+
+/**
+ * Describes why a delete plan is blocked
+ * @param {Object} plan - Delete plan that is not allowed
+ * @param {string} label - Record type (e.g. 'project')
+ * @returns {string} Message naming the records in the way
+ */
+function describeBlockedDelete(plan, label) {
+    const blockers = plan.blockers.map(group => `${group.items.length} ${group.label}`).join(', ');
+    return `This ${label} still has ${blockers}`;
+}
+
+/**
+ * Deletes the record named in the request (see applyDeleteRules)
+ * - 409 with the preview if a "block" rule applies
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} collection - Collection name
+ * @param {string} label - Record type used in messages (e.g. 'project')
+ * @param {Object} [options] - Options for applyDeleteRules
+ * @returns {Object|null} The plan that was applied, or null if the delete was blocked
+ */
+function deleteWithRules(req, res, collection, label, options = {}) {
+    const plan = applyDeleteRules(collection, req.params.id, req.user, options);
+    
+    if (!plan.allowed) {
+        res.status(409).json({
+            error: describeBlockedDelete(plan, label),
+            preview: integrity.toPreview(plan)
         });
+        return null;
+    }
+    
+    return plan;
+}
+
+/**
+ * Restores a record from the trash, with the records trashed along with it,
+ * and logs each of them in the audit trail
+ * @param {Object} req - Express request
+ * @param {string} collection - Collection name
+ * @returns {Object} The restored record
+ */
+function restoreWithAudit(req, collection) {
+    const root = { collection, id: req.params.id };
+    
+    return store.transaction(() => {
+        const targets = [
+            { ...root, action: 'restore' },
+            ...integrity.findTrashedWith(store, root.id).map(item => ({ ...item, action: 'restore', causedBy: root }))
+        ];
+        
+        return audit.trackChanges(store, targets, req.user, () =>
+            integrity.restoreDeleted(store, collection, root.id)
+        );
+    });
+}
+
+// ============================================
+// AUTHENTICATION MIDDLEWARE
+// ============================================
+
+/**
+ * Rejects requests that do not carry a valid session token
+ * On success, attaches the session to req.session and the user to req.user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAuth(req, res, next) {
+    const token = sessions.getRequestToken(req);
+    
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
     }
+    
+    const session = sessions.verifyToken(token);
+    
+    if (!session) {
+        return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+    
+    // Look up the user so the rest of the request sees current account data
+    const user = store.get('users', session.userId);
+    
+    // Deactivated accounts lose access immediately
+    if (!user || user.active === false) {
+        sessions.revokeSession(session.sessionId);
+        return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+    
+    req.session = session;
+    req.user = sanitizeUser(user);
+    next();
+}
+
+// ============================================
+// AUTHENTICATION API
+// ============================================
+
+/**
+ * Login endpoint - Authenticates user credentials
+ * POST /api/login
+ */
+app.post('/api/login', asyncRoute(async (req, res) => {
+    const { username, password } = req.body;
+    
+    // Find user and check the password against the stored hash
+    const user = store.all('users').find(u => u.username === username);
+    const passwordMatches = user ? await passwords.verifyPassword(password, user.passwordHash) : false;
+    
+    if (passwordMatches && user.active === false) {
+        res.status(401).json({ 
+            success: false, 
+            message: 'This account has been deactivated' 
+        });
+    } else if (passwordMatches) {
+        // Issue a signed session token for subsequent API calls
+        const { token, expiresAt } = sessions.createSession(user);
+        
+        res.json({ 
+            success: true, 
+            user: toSessionUser(user),
+            token,
+            expiresAt,
+            message: 'Login successful' 
+        });
+    } else {
+        res.status(401).json({ 
+            success: false, 
+            message: 'Invalid username or password' 
+        });
+    }
+}));
+
+/**
+ * Reset password endpoint - Sets a new password using an admin-issued reset token
+ * POST /api/reset-password
+ */
+app.post('/api/reset-password', asyncRoute(async (req, res) => {
+    const { token, newPassword } = req.body;
+    
+    // Find the user whose pending reset matches this token
+    const tokenHash = passwords.hashResetToken(token);
+    const user = store.all('users').find(u => u.passwordReset && u.passwordReset.tokenHash === tokenHash);
+    
+    if (!user || new Date(user.passwordReset.expiresAt) < new Date()) {
+        return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+    
+    const policyError = passwords.validatePasswordStrength(newPassword);
+    if (policyError) {
+        return res.status(400).json({ error: policyError });
+    }
+    
+    const passwordHash = await passwords.hashPassword(newPassword);
+    
+    auditedUpdate(user, 'users', user.id, {
+        passwordHash,
+        passwordChangedAt: new Date().toISOString(),
+        passwordReset: undefined
+    }, 'password-reset');
+    
+    res.json({ success: true, message: 'Password has been reset. You can now log in.' });
+}));
+
+/**
+ * Unsubscribe endpoint - Turns off an email from the link at the bottom of it
+ * Also takes one-click unsubscribes from mail clients (List-Unsubscribe-Post), which send
+ * the token and type in the query string
+ * POST /api/notifications/unsubscribe { token, type } (type is a notification type,
+ * digest, or all for every email)
+ */
+app.post('/api/notifications/unsubscribe', (req, res) => {
+    const token = req.body.token || req.query.token;
+    const type = req.body.type || req.query.type;
+    const types = notifications.getEmailOptions().map(option => option.type);
+    
+    if (type !== 'all' && !types.includes(type)) {
+        return res.status(400).json({ error: `type must be all or one of: ${types.join(', ')}` });
+    }
+    
+    const settings = notifications.unsubscribe(store, token, type);
+    if (!settings) {
+        return res.status(400).json({ error: 'Unsubscribe link is invalid' });
+    }
+    
+    const option = notifications.getEmailOptions().find(item => item.type === type);
+    res.json({
+        success: true,
+        message: option
+            ? `You will no longer get emails for "${option.label}".`
+            : 'You will no longer get notification emails.'
+    });
+});
+
+// Every API route registered below this line requires a valid session token
+app.use('/api', requireAuth);
+
+/**
+ * Logout endpoint - Ends the current session
+ * POST /api/logout
+ */
+app.post('/api/logout', (req, res) => {
+    sessions.revokeSession(req.session.sessionId);
+    res.json({ success: true, message: 'Logged out successfully' });
+});
+
+/**
+ * Refresh endpoint - Exchanges the current token for a new one with a later expiry
+ * POST /api/session/refresh
+ */
+app.post('/api/session/refresh', (req, res) => {
+    const { token, expiresAt } = sessions.refreshSession(req.session.sessionId, req.user);
+    
+    res.json({
+        success: true,
+        user: toSessionUser(req.user),
+        token,
+        expiresAt
+    });
+});
+
+/**
+ * Change password endpoint - Lets the logged-in user change their own password
+ * POST /api/change-password
+ */
+app.post('/api/change-password', asyncRoute(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const user = store.get('users', req.user.id);
+    
+    if (!(await passwords.verifyPassword(currentPassword, user.passwordHash))) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    
+    const policyError = passwords.validatePasswordStrength(newPassword);
+    if (policyError) {
+        return res.status(400).json({ error: policyError });
+    }
+    
+    const passwordHash = await passwords.hashPassword(newPassword);
+    
+    const updatedUser = auditedUpdate(req.user, 'users', user.id, {
+        passwordHash,
+        passwordChangedAt: new Date().toISOString(),
+        passwordReset: undefined
+    }, 'password-change');
+    
+    // Sign out other devices, but keep the current session
+    sessions.revokeUserSessions(user.id);
+    const { token, expiresAt } = sessions.createSession(updatedUser);
+    
+    res.json({
+        success: true,
+        user: toSessionUser(updatedUser),
+        token,
+        expiresAt,
+        message: 'Password changed successfully'
+    });
+}));
+
+// ============================================
+// USERS API
+// ============================================
+
+/**
+ * Validates user fields sent to the create and update endpoints
+ * @param {Object} data - Fields from the request body
+ * @param {Array} users - All existing users (for uniqueness checks)
+ * @param {string|null} userId - ID of the user being updated, or null when creating
+ * @returns {string|null} Error message, or null if the data is valid
+ */
+function validateUserData(data, users, userId) {
+    const isNew = !userId;
+    const others = users.filter(u => u.id !== userId);
+    
+    if (isNew || data.username !== undefined) {
+        if (typeof data.username !== 'string' || !/^[a-zA-Z0-9_.-]{3,30}$/.test(data.username)) {
+            return 'Username must be 3-30 characters (letters, numbers, dots, dashes or underscores)';
+        }
+        if (others.some(u => u.username.toLowerCase() === data.username.toLowerCase())) {
+            return 'Username is already taken';
+        }
+    }
+    
+    if (isNew || data.email !== undefined) {
+        if (typeof data.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+            return 'A valid email address is required';
+        }
+        if (others.some(u => u.email.toLowerCase() === data.email.toLowerCase())) {
+            return 'Email is already in use';
+        }
+    }
+    
+    if ((isNew || data.fullName !== undefined) &&
+        (typeof data.fullName !== 'string' || data.fullName.trim() === '')) {
+        return 'Full name is required';
+    }
+    
+    if ((isNew || data.role !== undefined) && !ROLES.includes(data.role)) {
+        return `Role must be one of: ${ROLES.join(', ')}`;
+    }
+    
+    if ((isNew || data.department !== undefined) && !DEPARTMENTS.includes(data.department)) {
+        return `Department must be one of: ${DEPARTMENTS.join(', ')}`;
+    }
+    
+    if (data.active !== undefined && typeof data.active !== 'boolean') {
+        return 'Active must be true or false';
+    }
+    
+    return null;
+}
+
+/**
+ * Get all users (for admin purposes)
+ * Includes deactivated users so historical assignments still resolve to a name
+ * GET /api/users?role=developer&department=IT&q=smith&sort=fullName&limit=50&cursor=xxx
+ */
+app.get('/api/users', requirePermission('users:read'), (req, res) => {
+    // Remove passwords from response
+    const safeUsers = store.all('users').map(sanitizeUser);
+    sendList(req, res, safeUsers, query.SPECS.users);
+});
+
+/**
+ * Create a new user
+ * POST /api/users
+ */
+app.post('/api/users', requirePermission('users:manage'), asyncRoute(async (req, res) => {
+    const { username, email, fullName, role, department, avatar, password } = req.body;
+    const userData = { username, email, fullName, role, department };
+    
+    const policyError = passwords.validatePasswordStrength(password);
+    if (policyError) {
+        return res.status(400).json({ error: policyError });
+    }
+    
+    const passwordHash = await passwords.hashPassword(password);
+    
+    // Check uniqueness and insert in one transaction so two admins
+    // cannot create the same username at the same time
+    const result = store.transaction(() => {
+        const validationError = validateUserData(userData, store.all('users'), null);
+        if (validationError) {
+            return { error: validationError };
+        }
+        
+        return {
+            user: auditedInsert(req.user, 'users', {
+                id: generateId(),
+                ...userData,
+                fullName: fullName.trim(),
+                avatar: avatar || '👤',
+                passwordHash,
+                active: true,
+                createdAt: new Date().toISOString()
+            })
+        };
+    });
+    
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+    
+    res.status(201).json(sanitizeUser(result.user));
+}));
+
+/**
+ * Update a user's profile, role or department, or reactivate them
+ * Passwords are changed through the change/reset password endpoints instead, and
+ * users are deactivated through DELETE so the rules for their open work apply
+ * PUT /api/users/:id
+ */
+app.put('/api/users/:id', requirePermission('users:manage'), (req, res) => {
+    const users = store.all('users');
+    const user = users.find(u => u.id === req.params.id);
+    
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Only these fields can be changed here
+    const allowedFields = ['username', 'email', 'fullName', 'role', 'department', 'avatar', 'active'];
+    const updates = {};
+    allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+            updates[field] = req.body[field];
+        }
+    });
+    
+    const validationError = validateUserData(updates, users, req.params.id);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    // Stop admins from locking themselves out
+    if (req.params.id === req.user.id &&
+        (updates.active === false || (updates.role && updates.role !== req.user.role))) {
+        return res.status(400).json({ error: 'You cannot deactivate your own account or change your own role' });
+    }
+    
+    const wasActive = user.active !== false;
+    if (wasActive && updates.active === false) {
+        return res.status(400).json({ error: 'Deactivate users with DELETE /api/users/:id so their open work is handled first' });
+    }
+    
+    updates.updatedAt = new Date().toISOString();
+    
+    // Track when accounts are reactivated
+    let action = 'update';
+    if (!wasActive && updates.active === true) {
+        updates.deactivatedAt = undefined;
+        updates.deactivatedBy = undefined;
+        action = 'reactivate';
+    }
+    
+    const updatedUser = auditedUpdate(req.user, 'users', req.params.id, updates, action);
+    
+    // Role changes take effect on the user's next login
+    if (updates.role !== undefined) {
+        sessions.revokeUserSessions(req.params.id);
+    }
+    res.json(sanitizeUser(updatedUser));
+});
+
+/**
+ * Preview what deactivating a user would affect
+ * GET /api/users/:id/delete-preview
+ */
+app.get('/api/users/:id/delete-preview', requirePermission('users:manage'), (req, res) => {
+    if (!store.get('users', req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json(integrity.toPreview(integrity.planDelete(store, 'users', req.params.id)));
+});
+
+/**
+ * Deactivate a user
+ * Users are never removed, so tasks and allocations that reference them keep resolving.
+ * Their open work is handled by the rules in config/integrity.json first.
+ * DELETE /api/users/:id
+ */
+app.delete('/api/users/:id', requirePermission('users:manage'), (req, res) => {
+    const user = store.get('users', req.params.id);
+    
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+    
+    const plan = deleteWithRules(req, res, 'users', 'user', { removeRoot: false });
+    if (!plan) return;
+    
+    const now = new Date().toISOString();
+    auditedUpdate(req.user, 'users', user.id, {
+        active: false,
+        deactivatedAt: now,
+        deactivatedBy: req.user.id,
+        updatedAt: now
+    }, 'deactivate');
+    
+    sessions.revokeUserSessions(user.id);
+    res.json({ success: true, message: 'User deactivated successfully', effects: plan.effects });
+});
+
+/**
+ * Start an admin-triggered password reset for a user
+ * Returns a one-time reset token for the admin to pass on to the user
+ * POST /api/users/:id/reset-password
+ */
+app.post('/api/users/:id/reset-password', requirePermission('users:manage'), (req, res) => {
+    const user = store.get('users', req.params.id);
+    
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Lock the old password until the user picks a new one with the reset token
+    const { token, tokenHash, expiresAt } = passwords.createResetToken();
+    auditedUpdate(req.user, 'users', user.id, {
+        passwordHash: null,
+        passwordReset: {
+            tokenHash,
+            expiresAt,
+            requestedBy: req.user.id,
+            requestedAt: new Date().toISOString()
+        }
+    }, 'password-reset');
+    
+    // The old password may be compromised, so end the user's sessions
+    sessions.revokeUserSessions(user.id);
+    
+    res.json({
+        success: true,
+        resetToken: token,
+        resetUrl: `/index.html?resetToken=${token}`,
+        expiresAt
+    });
+});
+
+// ============================================
+// PROJECTS API
+// ============================================
+
+/**
+ * Get all projects (archived projects only with includeArchived=true)
+ * budgetSpent is worked out from the expense ledger and approved timesheets
+ * GET /api/projects?includeArchived=true&status=active&priority=high,medium&q=portal&sort=-priority,endDate&limit=20
+ */
+app.get('/api/projects', requirePermission('projects:read'), (req, res) => {
+    const projects = listVisible('projects', req);
+    
+    // Only return projects within the user's scope (e.g. their department)
+    const visibleProjects = describeProjects(projects.filter(p => canAccessProject(req.user, p)));
+    sendList(req, res, visibleProjects, query.SPECS.projects);
+});
+
+/**
+ * Adds what has been spent (budgetSpent) and the task counts clients show to projects
+ * being returned: statusCounts (tasks per status, as WIP limits count them), taskCount,
+ * completedTaskCount and progress (percentage of tasks done)
+ * @param {Array<Object>} projects - Projects to annotate
+ * @returns {Array<Object>} Annotated copies of the projects
+ */
+function describeProjects(projects) {
+    const countsByProject = board.countTasksByStatus(store);
+    const resolver = workflows.createStatusResolver(store);
+    
+    return budget.withSpend(projects, budget.getSpentByProject(store)).map(project => {
+        const statusCounts = countsByProject.get(project.id) || {};
+        const taskCount = Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
+        const completedTaskCount = Object.entries(statusCounts)
+            .filter(([status]) => resolver.isDone({ projectId: project.id, status }))
+            .reduce((sum, [, count]) => sum + count, 0);
+        
+        return {
+            ...project,
+            statusCounts,
+            taskCount,
+            completedTaskCount,
+            progress: taskCount > 0 ? Math.round((completedTaskCount / taskCount) * 100) : 0
+        };
+    });
+}
+
+/**
+ * Get the projects in the trash
+ * GET /api/projects/trash
+ */
+app.get('/api/projects/trash', requirePermission('projects:delete'), (req, res) => {
+    const projects = store.all('projects').filter(p => integrity.isDeleted(p));
+    res.json(projects.filter(p => canAccessProject(req.user, p)));
+});
+
+/**
+ * Get a single project by ID
+ * GET /api/projects/:id
+ */
+app.get('/api/projects/:id', requirePermission('projects:read'), (req, res) => {
+    const project = getLiveRecord('projects', req.params.id);
+    
+    if (project && canAccessProject(req.user, project)) {
+        setETag(res, project);
+        res.json(describeProjects([project])[0]);
+    } else {
+        res.status(404).json({ error: 'Project not found' });
+    }
+});
+
+/**
+ * Get a project's computed schedule: earliest/latest dates and slack per task,
+ * the critical path, and the predicted finish compared with the planned end date
+ * GET /api/projects/:id/schedule
+ */
+app.get('/api/projects/:id/schedule', requirePermission('projects:read'), (req, res) => {
+    const project = getLiveRecord('projects', req.params.id);
+    
+    if (project && canAccessProject(req.user, project)) {
+        const tasks = store.all('tasks').filter(t => t.projectId === project.id && !integrity.isDeleted(t));
+        res.json(computeSchedule(project, tasks, workflows.createStatusResolver(store).categoryOf));
+    } else {
+        res.status(404).json({ error: 'Project not found' });
+    }
+});
+
+/**
+ * Create a new project
+ * POST /api/projects
+ */
+app.post('/api/projects', requirePermission('projects:create'), (req, res) => {
+    const { value, errors } = validateProject(req.body);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    // Create new project with generated ID and timestamp
+    // (milestones are added through the milestones API)
+    const newProject = auditedInsert(req.user, 'projects', {
+        id: generateId(),
+        ...value,
+        milestones: [],
+        projectManager: value.projectManager || req.user.id,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    });
+    
+    setETag(res, newProject);
+    res.status(201).json(newProject);
+});
+
+/**
+ * Update an existing project
+ * Requires the version being edited (If-Match header or version field)
+ * PUT /api/projects/:id
+ */
+app.put('/api/projects/:id', requirePermission('projects:update'), (req, res) => {
+    const project = getLiveRecord('projects', req.params.id);
+    
+    if (project && canAccessProject(req.user, project)) {
+        const { value: changes, errors } = validateProject(req.body, project);
+        if (errors) {
+            return sendValidationErrors(res, errors);
+        }
+        
+        // The updated project must stay within the user's scope
+        if (!canAccessProject(req.user, { ...project, ...changes })) {
+            return res.status(403).json({ error: 'You cannot move projects outside your department' });
+        }
+        
+        // A new workflow must have every status the project's tasks are in
+        if (changes.workflowId !== undefined) {
+            const workflow = workflows.getWorkflow(store, changes.workflowId);
+            const stranded = workflows.findTasksOutsideWorkflow(store, workflow, [project.id]);
+            if (stranded.length > 0) {
+                const statuses = [...new Set(stranded.map(t => t.status))].join(', ');
+                return sendValidationErrors(res, {
+                    workflowId: `${stranded.length} task(s) have statuses the ${workflow.name} workflow does not have (${statuses})`
+                });
+            }
+        }
+        
+        // Update project while preserving ID and creation date,
+        // unless someone else saved a newer version first
+        sendVersionedUpdate(req, res, 'projects', {
+            ...changes,
+            updatedAt: new Date().toISOString()
+        }, 'project', { describe: describeProjects });
+    } else {
+        res.status(404).json({ error: 'Project not found' });
+    }
+});
+
+/**
+ * Archive a completed project
+ * Archived projects and their tasks drop out of the default lists and dashboard totals
+ * POST /api/projects/:id/archive
+ */
+app.post('/api/projects/:id/archive', requirePermission('projects:update'), (req, res) => {
+    const project = getLiveRecord('projects', req.params.id);
+    
+    if (!project || !canAccessProject(req.user, project)) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    if (project.status !== 'completed') {
+        return res.status(409).json({ error: 'Only completed projects can be archived' });
+    }
+    
+    const now = new Date().toISOString();
+    const archived = auditedUpdate(req.user, 'projects', project.id, {
+        archivedAt: now,
+        archivedBy: req.user.id,
+        updatedAt: now
+    }, 'archive');
+    
+    setETag(res, archived);
+    res.json(archived);
+});
+
+/**
+ * Bring an archived project back into the default lists
+ * POST /api/projects/:id/unarchive
+ */
+app.post('/api/projects/:id/unarchive', requirePermission('projects:update'), (req, res) => {
+    const project = getLiveRecord('projects', req.params.id);
+    
+    if (!project || !canAccessProject(req.user, project)) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const unarchived = auditedUpdate(req.user, 'projects', project.id, {
+        archivedAt: undefined,
+        archivedBy: undefined,
+        updatedAt: new Date().toISOString()
+    }, 'unarchive');
+    
+    setETag(res, unarchived);
+    res.json(unarchived);
+});
+
+/**
+ * Preview what deleting a project would affect
+ * Add permanent=true to preview purging a project that is already in the trash
+ * GET /api/projects/:id/delete-preview?permanent=true
+ */
+app.get('/api/projects/:id/delete-preview', requirePermission('projects:delete'), (req, res) => {
+    const project = store.get('projects', req.params.id);
+    const soft = !isPermanentDelete(req);
+    
+    if (project && canAccessProject(req.user, project) && integrity.isDeleted(project) !== soft) {
+        res.json(integrity.toPreview(integrity.planDelete(store, 'projects', req.params.id, { soft })));
+    } else {
+        res.status(404).json({ error: 'Project not found' });
+    }
+});
+
+/**
+ * Move a project to the trash, or purge it from the trash with permanent=true
+ * Its tasks and allocations are handled by the rules in config/integrity.json
+ * DELETE /api/projects/:id?permanent=true
+ */
+app.delete('/api/projects/:id', requirePermission('projects:delete'), (req, res) => {
+    const project = store.get('projects', req.params.id);
+    const soft = !isPermanentDelete(req);
+    
+    if (project && canAccessProject(req.user, project) && integrity.isDeleted(project) !== soft) {
+        const plan = deleteWithRules(req, res, 'projects', 'project', { soft });
+        if (plan) {
+            res.json({
+                success: true,
+                message: soft ? 'Project moved to the trash' : 'Project deleted permanently',
+                effects: plan.effects
+            });
+        }
+    } else {
+        res.status(404).json({ error: 'Project not found' });
+    }
+});
+
+/**
+ * Restore a project from the trash, with the tasks and allocations trashed along with it
+ * POST /api/projects/:id/restore
+ */
+app.post('/api/projects/:id/restore', requirePermission('projects:delete'), (req, res) => {
+    const project = store.get('projects', req.params.id);
+    
+    if (!project || !integrity.isDeleted(project) || !canAccessProject(req.user, project)) {
+        return res.status(404).json({ error: 'Project not found in the trash' });
+    }
+    
+    const restored = restoreWithAudit(req, 'projects');
+    setETag(res, restored);
+    res.json(restored);
+});
+
+// ============================================
+// MILESTONES API
+// ============================================
+
+/**
+ * Gets a project's milestones with their progress and health
+ * @param {Object} project - Project record
+ * @returns {Array<Object>} Milestones (see milestones.withProgress)
+ */
+function describeMilestones(project) {
+    const tasks = store.all('tasks').filter(t => t.projectId === project.id && !integrity.isDeleted(t));
+    const { categoryOf } = workflows.createStatusResolver(store);
+    
+    return milestones.withProgress(project, tasks, categoryOf, computeSchedule(project, tasks, categoryOf));
+}
+
+/**
+ * Gets the project and milestone a milestone route points at, sending 404 if either is missing
+ * @param {Object} req - Express request (params.id and params.milestoneId)
+ * @param {Object} res - Express response
+ * @returns {Object|null} { project, milestone }, or null once the 404 is sent
+ */
+function getMilestoneTarget(req, res) {
+    const project = getLiveRecord('projects', req.params.id);
+    
+    if (!project || !canAccessProject(req.user, project)) {
+        res.status(404).json({ error: 'Project not found' });
+        return null;
+    }
+    
+    const milestone = milestones.findMilestone(project, req.params.milestoneId);
+    if (!milestone) {
+        res.status(404).json({ error: 'Milestone not found' });
+        return null;
+    }
+    
+    return { project, milestone };
+}
+
+/**
+ * Get a project's milestones, with progress from their linked tasks
+ * GET /api/projects/:id/milestones
+ */
+app.get('/api/projects/:id/milestones', requirePermission('projects:read'), (req, res) => {
+    const project = getLiveRecord('projects', req.params.id);
+    
+    if (project && canAccessProject(req.user, project)) {
+        res.json(describeMilestones(project));
+    } else {
+        res.status(404).json({ error: 'Project not found' });
+    }
+});
+
+/**
+ * Add a milestone to a project
+ * POST /api/projects/:id/milestones
+ */
+app.post('/api/projects/:id/milestones', requirePermission('projects:update'), (req, res) => {
+    const project = getLiveRecord('projects', req.params.id);
+    
+    if (!project || !canAccessProject(req.user, project)) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const { value, errors } = validate('milestone', req.body);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    const milestone = {
+        id: milestones.nextMilestoneId(project),
+        ...value,
+        completedDate: value.status === 'completed' ? new Date().toISOString() : null
+    };
+    
+    const saved = auditedUpdate(req.user, 'projects', project.id, current => ({
+        milestones: [...(current.milestones || []), milestone],
+        updatedAt: new Date().toISOString()
+    }));
+    
+    res.status(201).json(describeMilestones(saved).find(m => m.id === milestone.id));
+});
+
+/**
+ * Update a milestone
+ * A milestone can only be completed once all its linked tasks are done
+ * PUT /api/projects/:id/milestones/:milestoneId
+ */
+app.put('/api/projects/:id/milestones/:milestoneId', requirePermission('projects:update'), (req, res) => {
+    const target = getMilestoneTarget(req, res);
+    if (!target) return;
+    
+    const { project, milestone } = target;
+    const { value: changes, errors } = validate('milestone', req.body, milestone);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    const updated = { ...milestone, ...changes };
+    
+    if (updated.status === 'completed' && milestone.status !== 'completed') {
+        const linked = store.all('tasks').filter(t =>
+            t.projectId === project.id && t.milestoneId === milestone.id && !integrity.isDeleted(t)
+        );
+        const completionErrors = milestones.checkCompletion(linked, workflows.createStatusResolver(store).isDone);
+        if (completionErrors) {
+            return sendValidationErrors(res, completionErrors);
+        }
+        updated.completedDate = new Date().toISOString();
+    } else if (updated.status !== 'completed') {
+        updated.completedDate = null;
+    }
+    
+    // Only this milestone is replaced, so edits to the project or its other milestones are kept
+    const saved = auditedUpdate(req.user, 'projects', project.id, current => ({
+        milestones: (current.milestones || []).map(m => m.id === milestone.id ? updated : m),
+        updatedAt: new Date().toISOString()
+    }));
+    
+    res.json(describeMilestones(saved).find(m => m.id === milestone.id));
+});
+
+/**
+ * Delete a milestone
+ * Its tasks are kept and no longer linked to a milestone
+ * DELETE /api/projects/:id/milestones/:milestoneId
+ */
+app.delete('/api/projects/:id/milestones/:milestoneId', requirePermission('projects:update'), (req, res) => {
+    const target = getMilestoneTarget(req, res);
+    if (!target) return;
+    
+    const { project, milestone } = target;
+    const linked = store.all('tasks').filter(t => t.projectId === project.id && t.milestoneId === milestone.id);
+    const targets = [
+        { collection: 'projects', id: project.id, action: 'update' },
+        ...linked.map(t => ({ collection: 'tasks', id: t.id, action: 'update', causedBy: { collection: 'projects', id: project.id } }))
+    ];
+    
+    audit.trackChanges(store, targets, req.user, () => {
+        const now = new Date().toISOString();
+        linked.forEach(t => store.update('tasks', t.id, { milestoneId: null, updatedAt: now }));
+        store.update('projects', project.id, current => ({
+            milestones: (current.milestones || []).filter(m => m.id !== milestone.id),
+            updatedAt: now
+        }));
+    });
+    
+    res.json({
+        success: true,
+        message: linked.length > 0
+            ? `Milestone deleted; ${linked.length} task(s) are no longer linked to it`
+            : 'Milestone deleted'
+    });
+});
+
+// ============================================
+// TASKS API
+// ============================================
+
+/**
+ * Get all tasks
+ * Tasks that are archived or belong to archived projects are only included with includeArchived=true
+ * Each task also gets its status category from the project's workflow (statusCategory),
+ * its computed dependency state (blocked, blockedBy, dependents), the hours
+ * approved on its timesheets (loggedHours) and whether it is overdue (see lib/deadlines.js)
+ * GET /api/tasks?projectId=xxx&status=pending&assignee=xxx&tag=api&dueDateTo=2024-03-31&overdue=true&q=login&sort=-priority,dueDate&limit=50
+ * GET /api/tasks?id=task001,task002 (the tasks a page links to)
+ */
+app.get('/api/tasks', requirePermission('tasks:read'), (req, res) => {
+    const tasks = listVisible('tasks', req);
+    const projects = listVisible('projects', req);
+    
+    // Only include tasks from visible projects within the user's scope
+    const projectIds = getAccessibleProjectIds(req.user, projects);
+    const visibleTasks = tasks.filter(t => projectIds.has(t.projectId));
+    
+    sendList(req, res, describeTasks(visibleTasks), query.SPECS.tasks);
+});
+
+/**
+ * Adds the computed fields clients show to tasks being returned:
+ * dependency state, status category, hours approved on timesheets and the overdue flag
+ * @param {Array<Object>} tasks - Tasks to annotate
+ * @returns {Array<Object>} Annotated copies of the tasks
+ */
+function describeTasks(tasks) {
+    const resolver = workflows.createStatusResolver(store);
+    const withState = dependencies.withDependencyState(tasks, store.all('tasks'), resolver);
+    const { byTask } = timesheets.getApprovedHours(store);
+    const today = deadlines.getToday();
+    return workflows.withStatusCategory(withState, resolver).map(t => ({
+        ...t,
+        loggedHours: byTask.get(t.id) || 0,
+        overdue: deadlines.isOverdue(t, t.statusCategory, today)
+    }));
+}
+
+/**
+ * Get the tasks in the trash
+ * Tasks trashed along with their project are left out; they come back with the project
+ * GET /api/tasks/trash
+ */
+app.get('/api/tasks/trash', requirePermission('tasks:delete'), (req, res) => {
+    const projectIds = getAccessibleProjectIds(req.user, store.all('projects'));
+    
+    res.json(store.all('tasks').filter(t =>
+        integrity.isDeleted(t) && !t.deletedWith && projectIds.has(t.projectId)
+    ));
+});
+
+/**
+ * Get a single task by ID, with the computed fields of GET /api/tasks
+ * GET /api/tasks/:id
+ */
+app.get('/api/tasks/:id', requirePermission('tasks:read'), (req, res) => {
+    const task = getLiveRecord('tasks', req.params.id);
+    const project = task && getLiveRecord('projects', task.projectId);
+    
+    if (project && canAccessProject(req.user, project)) {
+        setETag(res, task);
+        res.json(describeTasks([task])[0]);
+    } else {
+        res.status(404).json({ error: 'Task not found' });
+    }
+});
+
+/**
+ * Create a new task
+ * POST /api/tasks
+ */
+app.post('/api/tasks', requirePermission('tasks:create'), (req, res) => {
+    const { value, errors } = validateTask(req.body);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    // Tasks can only be added to projects within the user's scope
+    const project = store.get('projects', value.projectId);
+    if (project && !canAccessProject(req.user, project)) {
+        return res.status(403).json({ error: 'You do not have permission to add tasks to this project' });
+    }
+    
+    const newTask = auditedInsert(req.user, 'tasks', {
+        id: generateId(),
+        ...value,
+        rank: value.rank !== undefined ? value.rank : board.nextRank(store),
+        createdBy: req.user.id,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    });
+    
+    setETag(res, newTask);
+    res.status(201).json(newTask);
+});
+
+/**
+ * Update a task
+ * Requires the version being edited (If-Match header or version field)
+ * PUT /api/tasks/:id
+ */
+app.put('/api/tasks/:id', requirePermission('tasks:update'), (req, res) => {
+    const task = getLiveRecord('tasks', req.params.id);
+    const projectIds = getAccessibleProjectIds(req.user, store.all('projects'));
+    
+    if (task && projectIds.has(task.projectId)) {
+        const { value: changes, errors } = validateTask(req.body, task);
+        if (errors) {
+            return sendValidationErrors(res, errors);
+        }
+        
+        const refusal = checkTaskUpdateAccess(req.user, task, changes, projectIds);
+        if (refusal) {
+            return res.status(403).json({ error: refusal });
+        }
+        
+        sendVersionedUpdate(req, res, 'tasks', {
+            ...changes,
+            updatedAt: new Date().toISOString()
+        }, 'task', {
+            describe: describeTasks,
+            afterUpdate: updated => {
+                if (changes.rank !== undefined) rebalanceBoardColumn(updated.status);
+            }
+        });
+    } else {
+        res.status(404).json({ error: 'Task not found' });
+    }
+});
+
+/**
+ * Renumbers a board column whose ranks have been squeezed too close together
+ * (see board.planRebalance); the new ranks are logged as system changes
+ * @param {string} status - Status key of the column
+ */
+function rebalanceBoardColumn(status) {
+    board.planRebalance(store, status).forEach(({ id, rank }) => auditedUpdate(null, 'tasks', id, { rank }));
+}
+
+/**
+ * Checks the body of a bulk task request
+ * @param {Object} body - Request body ({ action, ids, changes, versions })
+ * @returns {Object|null} Error messages keyed by field name, or null if valid
+ */
+function checkBulkTaskRequest(body) {
+    const { action, ids, changes, versions } = body;
+    const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+    
+    if (action !== 'update' && action !== 'delete') {
+        return { action: "Action must be 'update' or 'delete'" };
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+        return { ids: 'Choose the tasks to change' };
+    }
+    if (ids.length > MAX_BULK_TASKS) {
+        return { ids: `At most ${MAX_BULK_TASKS} tasks can be changed at once` };
+    }
+    if (new Set(ids).size !== ids.length) {
+        return { ids: 'Each task can only be listed once' };
+    }
+    if (versions !== undefined && !isObject(versions)) {
+        return { versions: 'Versions must map task IDs to the versions you edited' };
+    }
+    
+    if (action === 'update') {
+        if (!isObject(changes) || Object.keys(changes).length === 0) {
+            return { changes: 'Choose what to change' };
+        }
+        
+        const other = Object.keys(changes).filter(field => !BULK_TASK_FIELDS.includes(field));
+        if (other.length > 0) {
+            return { changes: `Only ${BULK_TASK_FIELDS.join(', ')} can be changed in bulk (not ${other.join(', ')})` };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Applies a bulk update to one task, inside the bulk request's transaction
+ * The tasks listed before it are already updated, so WIP limits and dependencies count them
+ * @param {Object} req - Express request (body.changes, body.versions)
+ * @param {string} id - Task ID
+ * @param {Set} projectIds - IDs of the projects within the user's scope
+ * @returns {Object} { id, ok: true, task }, or { id, ok: false, status, error, fields }
+ *   with the HTTP status the task would get on its own
+ */
+function bulkUpdateTask(req, id, projectIds) {
+    const task = getLiveRecord('tasks', id);
+    if (!task || !projectIds.has(task.projectId)) {
+        return { id, ok: false, status: 404, error: 'Task not found' };
+    }
+    
+    const expectedVersion = req.body.versions ? req.body.versions[id] : undefined;
+    if (expectedVersion !== undefined && Number(expectedVersion) !== task.version) {
+        return { id, ok: false, status: 409, error: 'This task was changed by someone else after you opened it' };
+    }
+    
+    const { value: changes, errors } = validateTask(req.body.changes, task);
+    if (errors) {
+        return { id, ok: false, status: 422, error: 'Please correct the highlighted fields', fields: errors };
+    }
+    
+    const refusal = checkTaskUpdateAccess(req.user, task, changes, projectIds);
+    if (refusal) {
+        return { id, ok: false, status: 403, error: refusal };
+    }
+    
+    const updated = auditedUpdate(req.user, 'tasks', id, { ...changes, updatedAt: new Date().toISOString() });
+    return { id, ok: true, task: updated };
+}
+
+/**
+ * Moves one task of a bulk request to the trash, inside the request's transaction
+ * @param {Object} req - Express request
+ * @param {string} id - Task ID
+ * @param {Set} projectIds - IDs of the projects within the user's scope
+ * @returns {Object} { id, ok: true, effects }, or { id, ok: false, status, error }
+ */
+function bulkDeleteTask(req, id, projectIds) {
+    const task = getLiveRecord('tasks', id);
+    if (!task || !projectIds.has(task.projectId)) {
+        return { id, ok: false, status: 404, error: 'Task not found' };
+    }
+    
+    const plan = applyDeleteRules('tasks', id, req.user, { soft: true });
+    if (!plan.allowed) {
+        return { id, ok: false, status: 409, error: describeBlockedDelete(plan, 'task') };
+    }
+    
+    return { id, ok: true, effects: plan.effects };
+}
+
+/**
+ * Update or trash many tasks at once
+ * All or nothing: each task is checked as if it were changed on its own, after the
+ * tasks listed before it, and if any of them fails nothing is saved.
+ * versions is optional; tasks listed in it must still be at that version.
+ * - 422 with every task's result if any task failed
+ * POST /api/tasks/bulk { action: 'update', ids: [...], changes: { status, assignedTo, dueDate, ... }, versions: { id: version } }
+ * POST /api/tasks/bulk { action: 'delete', ids: [...] }
+ */
+app.post('/api/tasks/bulk', requirePermission('tasks:read'), (req, res) => {
+    const requestErrors = checkBulkTaskRequest(req.body);
+    if (requestErrors) {
+        return sendValidationErrors(res, requestErrors);
+    }
+    
+    const { action, ids } = req.body;
+    if (!hasPermission(req.user, action === 'delete' ? 'tasks:delete' : 'tasks:update')) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    
+    const projectIds = getAccessibleProjectIds(req.user, store.all('projects'));
+    const applyToTask = action === 'delete' ? bulkDeleteTask : bulkUpdateTask;
+    
+    let results = [];
+    try {
+        store.transaction(() => {
+            results = ids.map(id => applyToTask(req, id, projectIds));
+            
+            // Throwing discards the changes already made to the tasks before the failed one
+            if (results.some(result => !result.ok)) {
+                throw new Error('Bulk task change rolled back');
+            }
+        });
+    } catch (error) {
+        // Anything else is a storage failure for the error handler
+        if (results.every(result => result.ok)) {
+            throw error;
+        }
+    }
+    
+    const failed = results.filter(result => !result.ok);
+    if (failed.length > 0) {
+        return res.status(422).json({
+            error: `${failed.length} of ${ids.length} tasks could not be ${action === 'delete' ? 'deleted' : 'updated'}, so none were changed`,
+            results: results.map(({ task, effects, ...result }) => result)
+        });
+    }
+    
+    res.json({ success: true, [action === 'delete' ? 'deleted' : 'updated']: ids.length, results });
+});
+
+/**
+ * Preview what deleting a task would affect
+ * Add permanent=true to preview purging a task that is already in the trash
+ * GET /api/tasks/:id/delete-preview?permanent=true
+ */
+app.get('/api/tasks/:id/delete-preview', requirePermission('tasks:delete'), (req, res) => {
+    const task = store.get('tasks', req.params.id);
+    const soft = !isPermanentDelete(req);
+    
+    if (task && integrity.isDeleted(task) !== soft &&
+        getAccessibleProjectIds(req.user, store.all('projects')).has(task.projectId)) {
+        res.json(integrity.toPreview(integrity.planDelete(store, 'tasks', req.params.id, { soft })));
+    } else {
+        res.status(404).json({ error: 'Task not found' });
+    }
+});
+
+/**
+ * Move a task to the trash, or purge it from the trash with permanent=true
+ * Tasks that depend on it are handled by the rules in config/integrity.json
+ * DELETE /api/tasks/:id?permanent=true
+ */
+app.delete('/api/tasks/:id', requirePermission('tasks:delete'), (req, res) => {
+    const task = store.get('tasks', req.params.id);
+    const soft = !isPermanentDelete(req);
+    
+    if (task && integrity.isDeleted(task) !== soft &&
+        getAccessibleProjectIds(req.user, store.all('projects')).has(task.projectId)) {
+        const plan = deleteWithRules(req, res, 'tasks', 'task', { soft });
+        if (plan) {
+            res.json({
+                success: true,
+                message: soft ? 'Task moved to the trash' : 'Task deleted permanently',
+                effects: plan.effects
+            });
+        }
+    } else {
+        res.status(404).json({ error: 'Task not found' });
+    }
+});
+
+/**
+ * Restore a task from the trash
+ * POST /api/tasks/:id/restore
+ */
+app.post('/api/tasks/:id/restore', requirePermission('tasks:delete'), (req, res) => {
+    const task = store.get('tasks', req.params.id);
+    
+    if (!task || !integrity.isDeleted(task) ||
+        !getAccessibleProjectIds(req.user, store.all('projects')).has(task.projectId)) {
+        return res.status(404).json({ error: 'Task not found in the trash' });
+    }
+    
+    // A task cannot come back into a project that is still in the trash
+    const reason = integrity.checkRestore(store, 'tasks', task);
+    if (reason) {
+        return res.status(409).json({ error: reason });
+    }
+    
+    const restored = restoreWithAudit(req, 'tasks');
+    setETag(res, restored);
+    res.json(restored);
+});
+
+// ============================================
+// RESOURCES API
+// ============================================
+
+/**
+ * Get all resources
+ * Allocations that are archived or belong to archived projects are only included with includeArchived=true
+ * Each allocation also gets the hours approved on its user's timesheets (loggedHours)
+ * GET /api/resources?includeArchived=true&projectId=xxx&user=xxx&q=developer&sort=-utilizationPercentage&limit=50
+ */
+app.get('/api/resources', requirePermission('resources:read'), (req, res) => {
+    const resources = listVisible('resources', req);
+    const projects = listVisible('projects', req);
+    
+    // Only include allocations for visible projects within the user's scope
+    const projectIds = getAccessibleProjectIds(req.user, projects);
+    sendList(req, res, describeResources(resources.filter(r => projectIds.has(r.projectId))), query.SPECS.resources);
+});
+
+/**
+ * Adds the hours approved on timesheets to allocations being returned
+ * @param {Array<Object>} resources - Allocations to annotate
+ * @returns {Array<Object>} Annotated copies of the allocations
+ */
+function describeResources(resources) {
+    const { byResource } = timesheets.getApprovedHours(store);
+    return resources.map(r => ({ ...r, loggedHours: byResource.get(r.id) || 0 }));
+}
+
+/**
+ * Create a new resource allocation
+ * POST /api/resources
+ */
+app.post('/api/resources', requirePermission('resources:create'), (req, res) => {
+    const { value, errors } = validateWithReferences('resource', 'resources', req.body);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    // Allocations can only be added to projects within the user's scope
+    const project = store.get('projects', value.projectId);
+    if (project && !canAccessProject(req.user, project)) {
+        return res.status(403).json({ error: 'You do not have permission to allocate resources to this project' });
+    }
+    
+    const newResource = auditedInsert(req.user, 'resources', {
+        id: generateId(),
+        ...value,
+        createdAt: new Date().toISOString()
+    });
+    
+    res.status(201).json(newResource);
+});
+
+/**
+ * Update a resource allocation
+ * Used hours cannot be typed in once approved timesheets set them
+ * PUT /api/resources/:id
+ */
+app.put('/api/resources/:id', requirePermission('resources:update'), (req, res) => {
+    const resource = getLiveRecord('resources', req.params.id);
+    const projectIds = getAccessibleProjectIds(req.user, store.all('projects'));
+    
+    if (resource && projectIds.has(resource.projectId)) {
+        const { value: changes, errors } = validateWithReferences('resource', 'resources', req.body, resource);
+        const lockErrors = errors ? null :
+            timesheets.checkLockedActuals(timesheets.getApprovedHours(store).byResource, 'usedHours', changes, resource);
+        if (errors || lockErrors) {
+            return sendValidationErrors(res, errors || lockErrors);
+        }
+        
+        // The target project must also be within the user's scope
+        if (changes.projectId !== undefined && !projectIds.has(changes.projectId)) {
+            return res.status(403).json({ error: 'You do not have permission to move allocations to this project' });
+        }
+        
+        res.json(auditedUpdate(req.user, 'resources', req.params.id, changes));
+    } else {
+        res.status(404).json({ error: 'Resource not found' });
+    }
+});
+
+/**
+ * Delete a resource allocation
+ * DELETE /api/resources/:id
+ */
+app.delete('/api/resources/:id', requirePermission('resources:delete'), (req, res) => {
+    const resource = getLiveRecord('resources', req.params.id);
+    
+    if (resource && getAccessibleProjectIds(req.user, store.all('projects')).has(resource.projectId)) {
+        if (deleteWithRules(req, res, 'resources', 'resource allocation')) {
+            res.json({ success: true, message: 'Resource allocation deleted successfully' });
+        }
+    } else {
+        res.status(404).json({ error: 'Resource not found' });
+    }
+});
+
+// ============================================
+// RISKS API
+// ============================================
+
+/**
+ * Adds score, level and mitigation progress to risks being returned to a client
+ * @param {Array<Object>} list - Risk records
+ * @returns {Array<Object>} Risks with details (see risks.withDetails)
+ */
+function describeRisks(list) {
+    const { isDone } = workflows.createStatusResolver(store);
+    return risks.withDetails(list, getLiveTasksById(), isDone);
+}
+
+/**
+ * Gets a risk the user may see
+ * @param {Object} req - Express request (params.id)
+ * @returns {Object|null} The risk, or null if missing, trashed or outside the user's projects
+ */
+function getAccessibleRisk(req) {
+    const risk = getLiveRecord(risks.RISK_COLLECTION, req.params.id);
+    return risk && canAccessProject(req.user, store.get('projects', risk.projectId)) ? risk : null;
+}
+
+/**
+ * Get the risk register, highest score first unless another sort is asked for
+ * Risks of archived projects are only included with includeArchived=true
+ * GET /api/risks?projectId=xxx&status=identified&type=issue&level=high,critical&overdue=true&includeArchived=true
+ */
+app.get('/api/risks', requirePermission('risks:read'), (req, res) => {
+    const projectIds = getAccessibleProjectIds(req.user, listVisible('projects', req));
+    
+    const list = listVisible(risks.RISK_COLLECTION, req).filter(risk => projectIds.has(risk.projectId));
+    sendList(req, res, describeRisks(list), query.SPECS.risks);
+});
+
+/**
+ * Get a single risk
+ * GET /api/risks/:id
+ */
+app.get('/api/risks/:id', requirePermission('risks:read'), (req, res) => {
+    const risk = getAccessibleRisk(req);
+    
+    if (risk) {
+        setETag(res, risk);
+        res.json(describeRisks([risk])[0]);
+    } else {
+        res.status(404).json({ error: 'Risk not found' });
+    }
+});
+
+/**
+ * Add a risk or issue to the register
+ * POST /api/risks
+ */
+app.post('/api/risks', requirePermission('risks:create'), (req, res) => {
+    const { value, errors } = validateRisk(req.body);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    // Risks can only be added to projects within the user's scope
+    const project = store.get('projects', value.projectId);
+    if (project && !canAccessProject(req.user, project)) {
+        return res.status(403).json({ error: 'You do not have permission to add risks to this project' });
+    }
+    
+    const newRisk = auditedInsert(req.user, risks.RISK_COLLECTION, {
+        id: generateId(),
+        ...value,
+        closedAt: null,
+        createdBy: req.user.id,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    });
+    
+    setETag(res, newRisk);
+    res.status(201).json(describeRisks([newRisk])[0]);
+});
+
+/**
+ * Update a risk
+ * Requires the version being edited (If-Match header or version field)
+ * PUT /api/risks/:id
+ */
+app.put('/api/risks/:id', requirePermission('risks:update'), (req, res) => {
+    const risk = getAccessibleRisk(req);
+    
+    if (!risk) {
+        return res.status(404).json({ error: 'Risk not found' });
+    }
+    
+    const { value: changes, errors } = validateRisk(req.body, risk);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    // The target project must also be within the user's scope
+    if (changes.projectId !== undefined && !canAccessProject(req.user, store.get('projects', changes.projectId))) {
+        return res.status(403).json({ error: 'You do not have permission to move risks to this project' });
+    }
+    
+    // Remember when the risk was closed; reopening clears it
+    if (changes.status !== undefined && changes.status !== risk.status) {
+        changes.closedAt = changes.status === 'closed' ? new Date().toISOString() : null;
+    }
+    
+    sendVersionedUpdate(req, res, risks.RISK_COLLECTION, {
+        ...changes,
+        updatedAt: new Date().toISOString()
+    }, 'risk', { describe: describeRisks });
+});
+
+/**
+ * Turn a mitigation action into a task in the risk's project
+ * The task is assigned to the risk owner and due on the risk's due date unless the
+ * body says otherwise (assignedTo, startDate, dueDate, estimatedHours, priority, status)
+ * POST /api/risks/:id/mitigations/:actionId/task
+ */
+app.post('/api/risks/:id/mitigations/:actionId/task', requirePermission('risks:update'), (req, res) => {
+    if (!hasPermission(req.user, 'tasks:create')) {
+        return res.status(403).json({ error: 'You do not have permission to create tasks' });
+    }
+    
+    const risk = getAccessibleRisk(req);
+    const action = risk && (risk.mitigations || []).find(a => a.id === req.params.actionId);
+    
+    if (!action) {
+        return res.status(404).json({ error: risk ? 'Mitigation action not found' : 'Risk not found' });
+    }
+    if (action.taskId && getLiveRecord('tasks', action.taskId)) {
+        return res.status(409).json({ error: 'This mitigation action already has a task' });
+    }
+    
+    const project = store.get('projects', risk.projectId);
+    const today = new Date().toISOString().slice(0, 10);
+    const { level } = risks.scoreRisk(risk);
+    const input = req.body || {};
+    const overrides = {};
+    
+    ['assignedTo', 'startDate', 'dueDate', 'estimatedHours', 'priority', 'status'].forEach(field => {
+        if (input[field] !== undefined) overrides[field] = input[field];
+    });
+    
+    const { value, errors } = validateTask({
+        projectId: risk.projectId,
+        title: action.description.slice(0, 200),
+        description: `Mitigation for ${risk.type} "${risk.title}"`,
+        status: workflows.getWorkflow(store, project.workflowId).statuses[0].key,
+        priority: level === 'critical' || level === 'high' ? 'high' : level,
+        assignedTo: risk.ownerId,
+        startDate: today,
+        dueDate: risk.dueDate && risk.dueDate >= today ? risk.dueDate : today,
+        estimatedHours: 0,
+        tags: ['risk'],
+        ...overrides
+    });
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    const task = store.transaction(() => {
+        const now = new Date().toISOString();
+        const newTask = auditedInsert(req.user, 'tasks', {
+            id: generateId(),
+            ...value,
+            rank: board.nextRank(store),
+            createdBy: req.user.id,
+            createdAt: now,
+            updatedAt: now
+        });
+        
+        auditedUpdate(req.user, risks.RISK_COLLECTION, risk.id, current => ({
+            mitigations: current.mitigations.map(a => a.id === action.id ? { ...a, taskId: newTask.id } : a),
+            updatedAt: now
+        }));
+        
+        return newTask;
+    });
+    
+    res.status(201).json(task);
+});
+
+/**
+ * Delete a risk
+ * Tasks created from its mitigation actions are kept
+ * DELETE /api/risks/:id
+ */
+app.delete('/api/risks/:id', requirePermission('risks:delete'), (req, res) => {
+    if (!getAccessibleRisk(req)) {
+        return res.status(404).json({ error: 'Risk not found' });
+    }
+    
+    if (deleteWithRules(req, res, risks.RISK_COLLECTION, 'risk')) {
+        res.json({ success: true, message: 'Risk deleted successfully' });
+    }
+});
+
+// ============================================
+// TIMESHEETS API
+// ============================================
+
+/**
+ * Validates a time entry, including its author's other entries that day
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Stored entry when updating
+ * @param {string} userId - Author of the entry
+ * @returns {Object} { value, errors } - errors is null if the entry is valid
+ */
+function validateTimeEntry(body, existing, userId) {
+    const { value, errors } = validateWithReferences('timesheet', timesheets.TIMESHEET_COLLECTION, body, existing);
+    
+    if (errors) {
+        return { value, errors };
+    }
+    
+    return { value, errors: timesheets.checkEntry(store, value, existing || { userId }) };
+}
+
+/**
+ * Reads the week a timesheet request is about
+ * @param {string} [date] - Any day of the week (defaults to today)
+ * @returns {string|null} Monday of the week, or null if the date is not a valid date
+ */
+function parseWeek(date) {
+    const value = date || new Date().toISOString().slice(0, 10);
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) ? timesheets.getWeekStart(value) : null;
+}
+
+/**
+ * Gets an entry of the current user that may still be changed, or sends the error
+ * - 404 if it is missing or belongs to someone else
+ * - 409 once it has been submitted or approved
+ * @param {Object} req - Express request (params.id)
+ * @param {Object} res - Express response
+ * @returns {Object|null} The entry, or null if an error was sent
+ */
+function getOwnEditableEntry(req, res) {
+    const entry = getLiveRecord(timesheets.TIMESHEET_COLLECTION, req.params.id);
+    
+    if (!entry || entry.userId !== req.user.id) {
+        res.status(404).json({ error: 'Time entry not found' });
+        return null;
+    }
+    
+    if (!timesheets.isEditable(entry)) {
+        res.status(409).json({ error: `This entry has been ${entry.status} and can no longer be changed` });
+        return null;
+    }
+    
+    return entry;
+}
+
+/**
+ * Checks that the current user may log time on a task, or sends 403
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} taskId - Task the time is logged on
+ * @returns {Object|null} The task, or null if an error was sent
+ */
+function getLoggableTask(req, res, taskId) {
+    const task = store.get('tasks', taskId);
+    
+    if (!canAccessProject(req.user, store.get('projects', task.projectId)) || !canLogTime(req.user, task)) {
+        res.status(403).json({ error: 'You can only log time on tasks assigned to you' });
+        return null;
+    }
+    
+    return task;
+}
+
+/**
+ * Gets the submitted entries a review request names, or sends the error
+ * - 422 without entry IDs, or if an ID is not a string or is listed twice
+ * - 404 if an entry is missing, 403 if the user may not review it
+ * - 409 if an entry is not waiting for review
+ * @param {Object} req - Express request (body.entryIds)
+ * @param {Object} res - Express response
+ * @returns {Array<Object>|null} The entries, or null if an error was sent
+ */
+function getReviewableEntries(req, res) {
+    const ids = req.body.entryIds;
+    
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+        sendValidationErrors(res, { entryIds: 'Choose the time entries to review' });
+        return null;
+    }
+    // A repeated entry would have its hours rolled up more than once
+    if (new Set(ids).size !== ids.length) {
+        sendValidationErrors(res, { entryIds: 'Each time entry can only be listed once' });
+        return null;
+    }
+    
+    const entries = ids.map(id => getLiveRecord(timesheets.TIMESHEET_COLLECTION, id));
+    
+    if (entries.some(entry => !entry)) {
+        res.status(404).json({ error: 'Time entry not found' });
+        return null;
+    }
+    if (entries.some(entry => !canApproveTime(req.user, store.get('projects', entry.projectId), entry))) {
+        res.status(403).json({ error: 'You can only review time logged by others on projects you manage' });
+        return null;
+    }
+    
+    const reviewed = entries.filter(entry => entry.status !== 'submitted');
+    if (reviewed.length > 0) {
+        res.status(409).json({ error: `${reviewed.length} of these entries are not waiting for approval` });
+        return null;
+    }
+    
+    return entries;
+}
+
+/**
+ * Get a user's timesheet for one week
+ * Other users' timesheets need timesheets:approve and only show the projects the user reviews
+ * GET /api/timesheets?week=YYYY-MM-DD&userId=xxx
+ */
+app.get('/api/timesheets', requirePermission('timesheets:log'), (req, res) => {
+    const weekStart = parseWeek(req.query.week);
+    const userId = req.query.userId || req.user.id;
+    
+    if (!weekStart) {
+        return res.status(400).json({ error: 'week must be a date (YYYY-MM-DD)' });
+    }
+    if (userId !== req.user.id && !hasPermission(req.user, 'timesheets:approve')) {
+        return res.status(403).json({ error: 'You can only see your own timesheet' });
+    }
+    
+    const entries = listVisible(timesheets.TIMESHEET_COLLECTION, req)
+        .filter(entry => entry.userId === userId && timesheets.getWeekStart(entry.date) === weekStart)
+        .filter(entry => userId === req.user.id ||
+            canApproveTime(req.user, store.get('projects', entry.projectId), entry))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    
+    res.json({
+        userId,
+        weekStart,
+        dates: timesheets.getWeekDates(weekStart),
+        ...timesheets.summarizeWeek(entries),
+        entries
+    });
+});
+
+/**
+ * Get the submitted timesheets waiting for the current user's approval,
+ * grouped by user and week, oldest week first
+ * GET /api/timesheets/approvals
+ */
+app.get('/api/timesheets/approvals', requirePermission('timesheets:approve'), (req, res) => {
+    const groups = new Map();
+    
+    listVisible(timesheets.TIMESHEET_COLLECTION, req)
+        .filter(entry => entry.status === 'submitted')
+        .filter(entry => canApproveTime(req.user, store.get('projects', entry.projectId), entry))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .forEach(entry => {
+            const weekStart = timesheets.getWeekStart(entry.date);
+            const key = `${entry.userId}:${weekStart}`;
+            
+            if (!groups.has(key)) {
+                groups.set(key, { userId: entry.userId, weekStart, entries: [] });
+            }
+            groups.get(key).entries.push(entry);
+        });
+    
+    res.json(Array.from(groups.values())
+        .map(group => ({ ...group, ...timesheets.summarizeWeek(group.entries) }))
+        .sort((a, b) => a.weekStart.localeCompare(b.weekStart)));
+});
+
+/**
+ * Log time on a task (saved as a draft of the current user's timesheet)
+ * POST /api/timesheets/entries
+ */
+app.post('/api/timesheets/entries', requirePermission('timesheets:log'), (req, res) => {
+    const { value, errors } = validateTimeEntry(req.body, null, req.user.id);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    const task = getLoggableTask(req, res, value.taskId);
+    if (!task) return;
+    
+    const entry = auditedInsert(req.user, timesheets.TIMESHEET_COLLECTION, {
+        id: generateId(),
+        userId: req.user.id,
+        ...value,
+        projectId: task.projectId,
+        status: 'draft',
+        submittedAt: null,
+        reviewedBy: null,
+        reviewedAt: null,
+        rejectionReason: null,
+        createdAt: new Date().toISOString()
+    });
+    
+    setETag(res, entry);
+    res.status(201).json(entry);
+});
+
+/**
+ * Change one of the current user's draft or rejected entries
+ * A rejected entry becomes a draft again once changed
+ * Requires the version being edited (If-Match header or version field)
+ * PUT /api/timesheets/entries/:id
+ */
+app.put('/api/timesheets/entries/:id', requirePermission('timesheets:log'), (req, res) => {
+    const entry = getOwnEditableEntry(req, res);
+    if (!entry) return;
+    
+    const { value: changes, errors } = validateTimeEntry(req.body, entry, req.user.id);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    if (changes.taskId !== undefined && changes.taskId !== entry.taskId) {
+        const task = getLoggableTask(req, res, changes.taskId);
+        if (!task) return;
+        changes.projectId = task.projectId;
+    }
+    
+    sendVersionedUpdate(req, res, timesheets.TIMESHEET_COLLECTION, {
+        ...changes,
+        status: 'draft',
+        rejectionReason: null,
+        updatedAt: new Date().toISOString()
+    }, 'time entry');
+});
+
+/**
+ * Delete one of the current user's draft or rejected entries
+ * DELETE /api/timesheets/entries/:id
+ */
+app.delete('/api/timesheets/entries/:id', requirePermission('timesheets:log'), (req, res) => {
+    if (!getOwnEditableEntry(req, res)) return;
+    
+    if (deleteWithRules(req, res, timesheets.TIMESHEET_COLLECTION, 'time entry')) {
+        res.json({ success: true, message: 'Time entry deleted successfully' });
+    }
+});
+
+/**
+ * Submit the current user's draft and rejected entries of a week for approval
+ * POST /api/timesheets/submit { week: 'YYYY-MM-DD' }
+ */
+app.post('/api/timesheets/submit', requirePermission('timesheets:log'), (req, res) => {
+    const weekStart = parseWeek(req.body.week);
+    if (!weekStart) {
+        return sendValidationErrors(res, { week: 'Week must be a date (YYYY-MM-DD)' });
+    }
+    
+    const submitted = store.transaction(() => {
+        const open = store.all(timesheets.TIMESHEET_COLLECTION).filter(entry =>
+            entry.userId === req.user.id && !integrity.isDeleted(entry) && timesheets.isEditable(entry) &&
+            timesheets.getWeekStart(entry.date) === weekStart
+        );
+        const submittedAt = new Date().toISOString();
+        
+        return open.map(entry => auditedUpdate(req.user, timesheets.TIMESHEET_COLLECTION, entry.id, {
+            status: 'submitted',
+            submittedAt
+        }));
+    });
+    
+    if (submitted.length === 0) {
+        return res.status(409).json({ error: 'There is nothing to submit for this week' });
+    }
+    
+    res.json({ success: true, weekStart, submitted: submitted.length });
+});
+
+/**
+ * Approve submitted entries and update the actual hours of their tasks and allocations
+ * POST /api/timesheets/approve { entryIds: [...] }
+ */
+app.post('/api/timesheets/approve', requirePermission('timesheets:approve'), (req, res) => {
+    const result = store.transaction(() => {
+        const entries = getReviewableEntries(req, res);
+        if (!entries) return null;
+        
+        // Entries are only approved once, so their hours are added to the actuals exactly once
+        const plan = timesheets.planRollUp(store, entries);
+        const reviewedAt = new Date().toISOString();
+        const approved = entries.map(entry => auditedUpdate(req.user, timesheets.TIMESHEET_COLLECTION, entry.id, {
+            status: 'approved',
+            reviewedBy: req.user.id,
+            reviewedAt
+        }));
+        
+        plan.tasks.forEach(({ id, ...changes }) => auditedUpdate(req.user, 'tasks', id, changes));
+        plan.resources.forEach(({ id, ...changes }) => auditedUpdate(req.user, 'resources', id, changes));
+        
+        return { approved: approved.length, tasks: plan.tasks, resources: plan.resources };
+    });
+    
+    if (result) {
+        res.json({ success: true, ...result });
+    }
+});
+
+/**
+ * Send submitted entries back to their author with a reason
+ * POST /api/timesheets/reject { entryIds: [...], reason: '...' }
+ */
+app.post('/api/timesheets/reject', requirePermission('timesheets:approve'), (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason || reason.length > 500) {
+        return sendValidationErrors(res, {
+            reason: reason ? 'Reason must be at most 500 characters' : 'Say why the time is rejected'
+        });
+    }
+    
+    const rejected = store.transaction(() => {
+        const entries = getReviewableEntries(req, res);
+        if (!entries) return null;
+        
+        const reviewedAt = new Date().toISOString();
+        return entries.map(entry => auditedUpdate(req.user, timesheets.TIMESHEET_COLLECTION, entry.id, {
+            status: 'rejected',
+            reviewedBy: req.user.id,
+            reviewedAt,
+            rejectionReason: reason
+        }));
+    });
+    
+    if (rejected) {
+        res.json({ success: true, rejected: rejected.length });
+    }
+});
+
+// ============================================
+// EXPENSES API
+// ============================================
+
+/**
+ * Gets an expense the user may see
+ * @param {Object} req - Express request (params.id)
+ * @returns {Object|null} The expense, or null if missing, trashed or outside the user's projects
+ */
+function getAccessibleExpense(req) {
+    const expense = getLiveRecord(budget.EXPENSE_COLLECTION, req.params.id);
+    return expense && canAccessProject(req.user, store.get('projects', expense.projectId)) ? expense : null;
+}
+
+/**
+ * Gets an expense that may still be changed, or sends the error
+ * - 404 if it is missing or outside the user's projects
+ * - 409 once it has been approved
+ * @param {Object} req - Express request (params.id)
+ * @param {Object} res - Express response
+ * @returns {Object|null} The expense, or null if an error was sent
+ */
+function getEditableExpense(req, res) {
+    const expense = getAccessibleExpense(req);
+    
+    if (!expense) {
+        res.status(404).json({ error: 'Expense not found' });
+        return null;
+    }
+    
+    if (!budget.isEditable(expense)) {
+        res.status(409).json({ error: 'Approved expenses can no longer be changed' });
+        return null;
+    }
+    
+    return expense;
+}
+
+/**
+ * Gets a pending expense the user may review, or sends the error
+ * - 404 if it is missing, 403 if the user may not review it
+ * - 409 if it is not waiting for approval
+ * @param {Object} req - Express request (params.id)
+ * @param {Object} res - Express response
+ * @returns {Object|null} The expense, or null if an error was sent
+ */
+function getReviewableExpense(req, res) {
+    const expense = getAccessibleExpense(req);
+    
+    if (!expense) {
+        res.status(404).json({ error: 'Expense not found' });
+        return null;
+    }
+    if (!canApproveExpense(req.user, store.get('projects', expense.projectId), expense)) {
+        res.status(403).json({ error: 'You can only review expenses entered by others on projects you manage' });
+        return null;
+    }
+    if (expense.status !== 'pending') {
+        res.status(409).json({ error: `This expense has been ${expense.status} already` });
+        return null;
+    }
+    
+    return expense;
+}
+
+/**
+ * Get the expense ledger, newest first unless another sort is asked for
+ * Expenses of archived projects are only included with includeArchived=true
+ * GET /api/expenses?projectId=xxx&status=pending&category=travel&dateFrom=2024-03-01&q=licence&includeArchived=true
+ */
+app.get('/api/expenses', requirePermission('expenses:read'), (req, res) => {
+    const projectIds = getAccessibleProjectIds(req.user, listVisible('projects', req));
+    
+    const list = listVisible(budget.EXPENSE_COLLECTION, req).filter(expense => projectIds.has(expense.projectId));
+    sendList(req, res, list, query.SPECS.expenses);
+});
+
+/**
+ * Get a single expense
+ * GET /api/expenses/:id
+ */
+app.get('/api/expenses/:id', requirePermission('expenses:read'), (req, res) => {
+    const expense = getAccessibleExpense(req);
+    
+    if (expense) {
+        setETag(res, expense);
+        res.json(expense);
+    } else {
+        res.status(404).json({ error: 'Expense not found' });
+    }
+});
+
+/**
+ * Enter an expense; it counts towards the project's spend once approved
+ * POST /api/expenses
+ */
+app.post('/api/expenses', requirePermission('expenses:create'), (req, res) => {
+    const { value, errors } = validateWithReferences('expense', budget.EXPENSE_COLLECTION, req.body);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    // Expenses can only be entered on projects within the user's scope
+    if (!canAccessProject(req.user, store.get('projects', value.projectId))) {
+        return res.status(403).json({ error: 'You do not have permission to enter expenses on this project' });
+    }
+    
+    const newExpense = auditedInsert(req.user, budget.EXPENSE_COLLECTION, {
+        id: generateId(),
+        ...value,
+        status: 'pending',
+        submittedBy: req.user.id,
+        reviewedBy: null,
+        reviewedAt: null,
+        rejectionReason: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    });
+    
+    setETag(res, newExpense);
+    res.status(201).json(newExpense);
+});
+
+/**
+ * Correct a pending or rejected expense; a rejected one goes back to pending
+ * Requires the version being edited (If-Match header or version field)
+ * PUT /api/expenses/:id
+ */
+app.put('/api/expenses/:id', requirePermission('expenses:create'), (req, res) => {
+    const expense = getEditableExpense(req, res);
+    if (!expense) return;
+    
+    const { value: changes, errors } = validateWithReferences('expense', budget.EXPENSE_COLLECTION, req.body, expense);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    // The target project must also be within the user's scope
+    if (changes.projectId !== undefined && !canAccessProject(req.user, store.get('projects', changes.projectId))) {
+        return res.status(403).json({ error: 'You do not have permission to move expenses to this project' });
+    }
+    
+    sendVersionedUpdate(req, res, budget.EXPENSE_COLLECTION, {
+        ...changes,
+        status: 'pending',
+        rejectionReason: null,
+        updatedAt: new Date().toISOString()
+    }, 'expense');
 });
 
 /**
- * Get all users (for admin purposes)
- * GET /api/users
+ * Delete a pending or rejected expense
+ * DELETE /api/expenses/:id
  */
-app.get('/api/users', (req, res) => {
-    const users = readDataFile('users.json');
+app.delete('/api/expenses/:id', requirePermission('expenses:create'), (req, res) => {
+    if (!getEditableExpense(req, res)) return;
     
-    if (!users) {
-        return res.status(500).json({ error: 'Unable to read user data' });
+    if (deleteWithRules(req, res, budget.EXPENSE_COLLECTION, 'expense')) {
+        res.json({ success: true, message: 'Expense deleted successfully' });
     }
-    
-    // Remove passwords from response
-    const safeUsers = users.map(({ password, ...user }) => user);
-    res.json(safeUsers);
 });
 
-// ============================================
-// PROJECTS API
-// ============================================
-
 /**
- * Get all projects
- * GET /api/projects
+ * Approve a pending expense, adding it to its project's spend
+ * POST /api/expenses/:id/approve
  */
-app.get('/api/projects', (req, res) => {
-    const projects = readDataFile('projects.json');
+app.post('/api/expenses/:id/approve', requirePermission('expenses:approve'), (req, res) => {
+    const approved = store.transaction(() => {
+        if (!getReviewableExpense(req, res)) return null;
+        
+        return auditedUpdate(req.user, budget.EXPENSE_COLLECTION, req.params.id, {
+            status: 'approved',
+            reviewedBy: req.user.id,
+            reviewedAt: new Date().toISOString()
+        });
+    });
     
-    if (!projects) {
-        return res.status(500).json({ error: 'Unable to read project data' });
+    if (approved) {
+        setETag(res, approved);
+        res.json(approved);
     }
-    
-    res.json(projects);
 });
 
 /**
- * Get a single project by ID
- * GET /api/projects/:id
+ * Send a pending expense back with a reason
+ * POST /api/expenses/:id/reject { reason: '...' }
  */
-app.get('/api/projects/:id', (req, res) => {
-    const projects = readDataFile('projects.json');
-    const project = projects.find(p => p.id === req.params.id);
+app.post('/api/expenses/:id/reject', requirePermission('expenses:approve'), (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason || reason.length > 500) {
+        return sendValidationErrors(res, {
+            reason: reason ? 'Reason must be at most 500 characters' : 'Say why the expense is rejected'
+        });
+    }
     
-    if (project) {
-        res.json(project);
-    } else {
-        res.status(404).json({ error: 'Project not found' });
+    const rejected = store.transaction(() => {
+        if (!getReviewableExpense(req, res)) return null;
+        
+        return auditedUpdate(req.user, budget.EXPENSE_COLLECTION, req.params.id, {
+            status: 'rejected',
+            reviewedBy: req.user.id,
+            reviewedAt: new Date().toISOString(),
+            rejectionReason: reason
+        });
+    });
+    
+    if (rejected) {
+        setETag(res, rejected);
+        res.json(rejected);
     }
 });
 
+// ============================================
+// WORKFLOWS API
+// ============================================
+
+/**
+ * Get all workflows
+ * GET /api/workflows
+ */
+app.get('/api/workflows', requirePermission('tasks:read'), (req, res) => {
+    res.json(store.all(workflows.WORKFLOW_COLLECTION));
+});
+
 /**
- * Create a new project
- * POST /api/projects
+ * Create a workflow
+ * POST /api/workflows
  */
-app.post('/api/projects', (req, res) => {
-    const projects = readDataFile('projects.json');
+app.post('/api/workflows', requirePermission('workflows:manage'), (req, res) => {
+    const { value, errors } = workflows.validateWorkflow(req.body);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
     
-    // Create new project with generated ID and timestamp
-    const newProject = {
+    const newWorkflow = auditedInsert(req.user, workflows.WORKFLOW_COLLECTION, {
         id: generateId(),
-        ...req.body,
+        ...value,
+        createdBy: req.user.id,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
-    };
-    
-    projects.push(newProject);
+    });
     
-    if (writeDataFile('projects.json', projects)) {
-        res.status(201).json(newProject);
-    } else {
-        res.status(500).json({ error: 'Failed to create project' });
-    }
+    setETag(res, newWorkflow);
+    res.status(201).json(newWorkflow);
 });
 
 /**
- * Update an existing project
- * PUT /api/projects/:id
+ * Update a workflow
+ * Statuses that tasks are still in cannot be removed
+ * Requires the version being edited (If-Match header or version field)
+ * PUT /api/workflows/:id
  */
-app.put('/api/projects/:id', (req, res) => {
-    const projects = readDataFile('projects.json');
-    const index = projects.findIndex(p => p.id === req.params.id);
+app.put('/api/workflows/:id', requirePermission('workflows:manage'), (req, res) => {
+    const workflow = store.get(workflows.WORKFLOW_COLLECTION, req.params.id);
     
-    if (index !== -1) {
-        // Update project while preserving ID and creation date
-        projects[index] = {
-            ...projects[index],
-            ...req.body,
-            id: req.params.id,
-            updatedAt: new Date().toISOString()
-        };
+    if (!workflow) {
+        return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const { value: changes, errors } = workflows.validateWorkflow(req.body, workflow);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
+    
+    if (changes.statuses) {
+        const projectIds = store.all('projects')
+            .filter(p => (p.workflowId || workflows.DEFAULT_WORKFLOW_ID) === workflow.id)
+            .map(p => p.id);
+        const stranded = workflows.findTasksOutsideWorkflow(store, { ...workflow, ...changes }, projectIds);
         
-        if (writeDataFile('projects.json', projects)) {
-            res.json(projects[index]);
-        } else {
-            res.status(500).json({ error: 'Failed to update project' });
+        if (stranded.length > 0) {
+            const statuses = [...new Set(stranded.map(t => t.status))].join(', ');
+            return sendValidationErrors(res, {
+                statuses: `${stranded.length} task(s) are still in statuses this change removes (${statuses})`
+            });
         }
-    } else {
-        res.status(404).json({ error: 'Project not found' });
     }
+    
+    sendVersionedUpdate(req, res, workflows.WORKFLOW_COLLECTION, {
+        ...changes,
+        updatedAt: new Date().toISOString()
+    }, 'workflow');
 });
 
 /**
- * Delete a project
- * DELETE /api/projects/:id
+ * Delete a workflow
+ * Refused while projects use it, and for the default workflow
+ * DELETE /api/workflows/:id
  */
-app.delete('/api/projects/:id', (req, res) => {
-    const projects = readDataFile('projects.json');
-    const filteredProjects = projects.filter(p => p.id !== req.params.id);
+app.delete('/api/workflows/:id', requirePermission('workflows:manage'), (req, res) => {
+    const workflow = store.get(workflows.WORKFLOW_COLLECTION, req.params.id);
     
-    if (filteredProjects.length < projects.length) {
-        if (writeDataFile('projects.json', filteredProjects)) {
-            res.json({ success: true, message: 'Project deleted successfully' });
-        } else {
-            res.status(500).json({ error: 'Failed to delete project' });
-        }
-    } else {
-        res.status(404).json({ error: 'Project not found' });
+    if (!workflow) {
+        return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    if (workflow.id === workflows.DEFAULT_WORKFLOW_ID) {
+        return res.status(409).json({ error: 'The default workflow cannot be deleted' });
+    }
+    
+    const plan = deleteWithRules(req, res, workflows.WORKFLOW_COLLECTION, 'workflow');
+    if (plan) {
+        res.json({ success: true, message: 'Workflow deleted successfully' });
     }
 });
 
 // ============================================
-// TASKS API
+// AUDIT API
 // ============================================
 
 /**
- * Get all tasks (optionally filtered by project)
- * GET /api/tasks?projectId=xxx
+ * Get audit trail entries, newest first
+ * Entries are limited to projects within the user's scope; user account
+ * changes are only visible to user administrators
+ * GET /api/audit?entity=task&id=xxx&user=xxx&limit=100
  */
-app.get('/api/tasks', (req, res) => {
-    const tasks = readDataFile('tasks.json');
-    
-    if (!tasks) {
-        return res.status(500).json({ error: 'Unable to read task data' });
+app.get('/api/audit', requirePermission('audit:read'), (req, res) => {
+    const entities = Object.values(audit.ENTITIES);
+    if (req.query.entity && !entities.includes(req.query.entity)) {
+        return res.status(400).json({ error: `entity must be one of: ${entities.join(', ')}` });
     }
     
-    // Filter by project if projectId is provided
-    if (req.query.projectId) {
-        const filteredTasks = tasks.filter(t => t.projectId === req.query.projectId);
-        return res.json(filteredTasks);
-    }
+    // Include trashed projects so their history stays readable;
+    // history of purged projects is left to administrators
+    const projects = store.all('projects');
+    const projectIds = getAccessibleProjectIds(req.user, projects);
+    const existingProjectIds = new Set(projects.map(p => p.id));
+    const canManageUsers = hasPermission(req.user, 'users:manage');
+    const canManageWorkflows = hasPermission(req.user, 'workflows:manage');
     
-    res.json(tasks);
+    const entries = audit.findEntries(store, {
+        entity: req.query.entity,
+        entityId: req.query.id,
+        userId: req.query.user,
+        limit: req.query.limit
+    }, entry => {
+        if (entry.entity === 'user') return canManageUsers;
+        if (entry.entity === 'workflow') return canManageWorkflows;
+        return projectIds.has(entry.projectId) || (canManageUsers && !existingProjectIds.has(entry.projectId));
+    });
+    
+    res.json(entries);
 });
 
 /**
- * Create a new task
- * POST /api/tasks
+ * Removes audit entries older than the retention period
  */
-app.post('/api/tasks', (req, res) => {
-    const tasks = readDataFile('tasks.json');
-    
-    const newTask = {
-        id: generateId(),
-        ...req.body,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-    };
-    
-    tasks.push(newTask);
-    
-    if (writeDataFile('tasks.json', tasks)) {
-        res.status(201).json(newTask);
-    } else {
-        res.status(500).json({ error: 'Failed to create task' });
+function pruneAuditLog() {
+    try {
+        const removed = audit.pruneEntries(store);
+        if (removed > 0) {
+            console.log(`Removed ${removed} audit entr${removed === 1 ? 'y' : 'ies'} older than ${audit.RETENTION_DAYS} days`);
+        }
+    } catch (error) {
+        console.error('Pruning the audit log failed:', error);
     }
-});
+}
+
+// ============================================
+// LIVE UPDATES API
+// ============================================
 
 /**
- * Update a task
- * PUT /api/tasks/:id
+ * Collections whose changes are pushed to open pages
+ */
+const LIVE_COLLECTIONS = ['projects', 'tasks', 'resources'];
+
+/**
+ * Changes saved since the last batch was published
+ */
+let queuedChanges = [];
+
+/**
+ * Queues a saved change to be pushed to open pages
+ * Changes saved together (e.g. a bulk update) go out as one batch once the
+ * request that made them has finished, so shared lookups are only made once
+ * @param {Object} change - Change from the audit log listener
  */
-app.put('/api/tasks/:id', (req, res) => {
-    const tasks = readDataFile('tasks.json');
-    const index = tasks.findIndex(t => t.id === req.params.id);
+function queueChange(change) {
+    if (queuedChanges.length === 0) {
+        setImmediate(publishChanges);
+    }
+    queuedChanges.push(change);
+}
+
+/**
+ * Pushes the queued changes to the open pages allowed to see them
+ * Each record is sent as GET would return it now, or as null once it is gone
+ * (deleted, moved to the trash or purged). A record changed several times in
+ * the batch is only sent once, with the last action.
+ */
+function publishChanges() {
+    const latest = new Map();
+    queuedChanges.forEach(change => {
+        const id = (change.after || change.before).id;
+        latest.set(`${change.collection}:${id}`, { ...change, id });
+    });
+    queuedChanges = [];
     
-    if (index !== -1) {
-        tasks[index] = {
-            ...tasks[index],
-            ...req.body,
-            id: req.params.id,
-            updatedAt: new Date().toISOString()
-        };
+    const users = new Map(store.all('users').map(u => [u.id, u]));
+    const projects = new Map(store.all('projects').map(p => [p.id, p]));
+    const changes = Array.from(latest.values());
+    
+    // Describe each collection's live records in one go
+    const described = new Map();
+    LIVE_COLLECTIONS.forEach(collection => {
+        const records = changes
+            .filter(change => change.collection === collection)
+            .map(change => collection === 'projects' ? projects.get(change.id) : store.get(collection, change.id))
+            .filter(record => record && !integrity.isDeleted(record));
+        
+        const describe = {
+            projects: describeProjects,
+            tasks: describeTasks,
+            resources: describeResources
+        }[collection];
         
-        if (writeDataFile('tasks.json', tasks)) {
-            res.json(tasks[index]);
-        } else {
-            res.status(500).json({ error: 'Failed to update task' });
+        if (records.length > 0) {
+            describe(records).forEach(record => described.set(`${collection}:${record.id}`, record));
         }
-    } else {
-        res.status(404).json({ error: 'Task not found' });
+    });
+    
+    changes.forEach(({ collection, action, id, before, after, actor }) => {
+        const projectId = collection === 'projects' ? id : (after || before).projectId;
+        
+        // A purged project is gone from the store; its last version decides who hears about it
+        const project = projects.get(projectId) || (collection === 'projects' ? before : null);
+        if (!project) return;
+        
+        const event = {
+            collection,
+            action,
+            id,
+            projectId,
+            record: described.get(`${collection}:${id}`) || null,
+            actor: actor ? { id: actor.id, fullName: actor.fullName } : null,
+            at: new Date().toISOString()
+        };
+        
+        events.broadcast('change', client => {
+            const user = users.get(client.user.id);
+            const allowed = user && user.active !== false &&
+                hasPermission(user, `${collection}:read`) && canAccessProject(user, project);
+            return allowed ? event : null;
+        });
+    });
+}
+
+audit.addChangeListener(change => {
+    if (LIVE_COLLECTIONS.includes(change.collection)) {
+        store.afterCommit(() => queueChange(change));
     }
 });
 
 /**
- * Delete a task
- * DELETE /api/tasks/:id
+ * Open the live update stream (Server-Sent Events, see lib/events.js)
+ * The first event, hello, carries the client ID used to report presence
+ * GET /api/events
+ */
+app.get('/api/events', (req, res) => {
+    events.openStream(req, res);
+});
+
+/**
+ * Report which project a page is viewing
+ * Everyone viewing the old and the new project is sent the updated list of viewers
+ * PUT /api/events/:clientId/presence { projectId } (projectId null when viewing none)
  */
-app.delete('/api/tasks/:id', (req, res) => {
-    const tasks = readDataFile('tasks.json');
-    const filteredTasks = tasks.filter(t => t.id !== req.params.id);
+app.put('/api/events/:clientId/presence', (req, res) => {
+    const projectId = req.body.projectId || null;
     
-    if (filteredTasks.length < tasks.length) {
-        if (writeDataFile('tasks.json', filteredTasks)) {
-            res.json({ success: true, message: 'Task deleted successfully' });
-        } else {
-            res.status(500).json({ error: 'Failed to delete task' });
+    if (projectId !== null) {
+        const project = typeof projectId === 'string' ? getLiveRecord('projects', projectId) : null;
+        if (!project || !canAccessProject(req.user, project)) {
+            return res.status(404).json({ error: 'Project not found' });
         }
-    } else {
-        res.status(404).json({ error: 'Task not found' });
     }
+    
+    if (!events.setViewing(req.params.clientId, req.user.id, projectId)) {
+        return res.status(404).json({ error: 'Event stream not found' });
+    }
+    
+    res.json({ projectId, viewers: projectId ? events.getViewers(projectId) : [] });
 });
 
 // ============================================
-// RESOURCES API
+// NOTIFICATIONS API
 // ============================================
 
 /**
- * Get all resources
- * GET /api/resources
+ * How often due dates and budgets are checked for notifications (in milliseconds)
+ * Defaults to 15 minutes, configurable with NOTIFICATION_CHECK_MINUTES
+ */
+const NOTIFICATION_CHECK_MS = (parseInt(process.env.NOTIFICATION_CHECK_MINUTES, 10) || 15) * 60 * 1000;
+
+/**
+ * Checks whether a user may see what a notification is about
+ * @param {Object} user - Recipient
+ * @param {Object} draft - Notification (see notifications.deliver)
+ * @returns {boolean} True if the user can read the task or project and access its project
+ */
+function canReceiveNotification(user, draft) {
+    return hasPermission(user, `${notifications.WATCHABLE[draft.entity]}:read`) &&
+        canAccessProject(user, store.get('projects', draft.projectId));
+}
+
+/**
+ * Delivers notifications, queues the emails their users want and, once saved,
+ * pushes them to their users' open pages and sends the emails
+ * Inside a transaction the notifications and emails are saved (or dropped) with it
+ * @param {Array<Object>} drafts - Notifications to deliver
  */
-app.get('/api/resources', (req, res) => {
-    const resources = readDataFile('resources.json');
+function sendNotifications(drafts) {
+    const created = notifications.deliver(store, drafts, canReceiveNotification);
     
-    if (!resources) {
-        return res.status(500).json({ error: 'Unable to read resource data' });
+    if (created.length > 0) {
+        const queued = emails.queueNotificationEmails(store, created, APP_URL);
+        
+        store.afterCommit(() => {
+            created.forEach(notification =>
+                events.broadcast('notification', client => client.user.id === notification.userId ? notification : null)
+            );
+            if (queued.length > 0) sendQueuedEmails();
+        });
+    }
+}
+
+/**
+ * Sends the queued emails that are due, in the background
+ */
+function sendQueuedEmails() {
+    emails.processQueue(store, mailer).catch(error => {
+        console.error('Sending queued emails failed:', error);
+    });
+}
+
+/**
+ * Sends the due date reminders, overdue alerts, budget alerts and daily digests
+ * that are due and clears out old read notifications and sent emails
+ */
+function runNotificationChecks() {
+    try {
+        sendNotifications([
+            ...notifications.draftsForDeadlines(store),
+            ...notifications.draftsForBudgets(store, budget.getSpentByProject(store))
+        ]);
+        emails.queueDigests(store, APP_URL);
+        notifications.pruneNotifications(store);
+        emails.pruneQueue(store);
+    } catch (error) {
+        console.error('Notification checks failed:', error);
     }
     
-    res.json(resources);
+    sendQueuedEmails();
+}
+
+// Assignments and status changes notify as they are saved
+audit.addChangeListener(change => {
+    sendNotifications(notifications.draftsForChange(store, change));
 });
 
 /**
- * Create a new resource allocation
- * POST /api/resources
+ * Get the current user's notifications, newest first, with how many are unread
+ * GET /api/notifications?unread=true&limit=20
+ */
+app.get('/api/notifications', (req, res) => {
+    res.json(notifications.listNotifications(store, req.user.id, {
+        unread: req.query.unread === 'true',
+        limit: req.query.limit
+    }));
+});
+
+/**
+ * Get the current user's notification settings
+ * GET /api/notifications/settings
+ * Returns { types: { [type]: boolean }, email: { [type]: boolean, digest: boolean },
+ *           watching: [{ entity, entityId }], available: [{ type, label, channels }] }
+ * channels lists where each can be received: 'app' (the inbox) and/or 'email'
+ */
+app.get('/api/notifications/settings', (req, res) => {
+    res.json({
+        ...notifications.getSettings(store, req.user.id),
+        available: notifications.getEmailOptions().map(option => ({
+            ...option,
+            channels: notifications.TYPES[option.type] ? ['app', 'email'] : ['email']
+        }))
+    });
+});
+
+/**
+ * Choose which notifications the current user receives and which are emailed
+ * Emails only go out for notifications that reach the inbox (and to users with an email address)
+ * PUT /api/notifications/settings { types: { budget: false, ... }, email: { status: true, digest: false, ... } }
  */
-app.post('/api/resources', (req, res) => {
-    const resources = readDataFile('resources.json');
+app.put('/api/notifications/settings', (req, res) => {
+    const { value, errors } = notifications.validateSettings(req.body);
+    if (errors) {
+        return sendValidationErrors(res, errors);
+    }
     
-    const newResource = {
-        id: generateId(),
-        ...req.body,
-        createdAt: new Date().toISOString()
-    };
+    res.json(notifications.saveSettings(store, req.user.id, value));
+});
+
+/**
+ * Gets the task or project a watching route points at, sending 400 or 404 if there is none
+ * @param {Object} req - Express request (params.entity and params.id)
+ * @param {Object} res - Express response
+ * @returns {Object|null} The task or project, or null once the error is sent
+ */
+function getWatchTarget(req, res) {
+    const collection = notifications.WATCHABLE[req.params.entity];
+    if (!collection) {
+        res.status(400).json({ error: `entity must be one of: ${Object.keys(notifications.WATCHABLE).join(', ')}` });
+        return null;
+    }
     
-    resources.push(newResource);
+    const record = getLiveRecord(collection, req.params.id);
+    const project = record && store.get('projects', collection === 'projects' ? record.id : record.projectId);
     
-    if (writeDataFile('resources.json', resources)) {
-        res.status(201).json(newResource);
-    } else {
-        res.status(500).json({ error: 'Failed to create resource allocation' });
+    if (!record || !hasPermission(req.user, `${collection}:read`) || !canAccessProject(req.user, project)) {
+        res.status(404).json({ error: `${collection === 'tasks' ? 'Task' : 'Project'} not found` });
+        return null;
     }
+    
+    return record;
+}
+
+/**
+ * Follow a task or project
+ * Followers are told when its status changes (and, for projects, about its budget)
+ * PUT /api/notifications/watching/:entity/:id (entity is task or project)
+ */
+app.put('/api/notifications/watching/:entity/:id', (req, res) => {
+    const record = getWatchTarget(req, res);
+    if (!record) return;
+    
+    res.json(notifications.setWatching(store, req.user.id, req.params.entity, record.id, true));
 });
 
 /**
- * Update a resource allocation
- * PUT /api/resources/:id
+ * Stop following a task or project
+ * DELETE /api/notifications/watching/:entity/:id
  */
-app.put('/api/resources/:id', (req, res) => {
-    const resources = readDataFile('resources.json');
-    const index = resources.findIndex(r => r.id === req.params.id);
+app.delete('/api/notifications/watching/:entity/:id', (req, res) => {
+    const record = getWatchTarget(req, res);
+    if (!record) return;
     
-    if (index !== -1) {
-        resources[index] = {
-            ...resources[index],
-            ...req.body,
-            id: req.params.id
-        };
-        
-        if (writeDataFile('resources.json', resources)) {
-            res.json(resources[index]);
-        } else {
-            res.status(500).json({ error: 'Failed to update resource' });
-        }
-    } else {
-        res.status(404).json({ error: 'Resource not found' });
+    res.json(notifications.setWatching(store, req.user.id, req.params.entity, record.id, false));
+});
+
+/**
+ * Mark all of the current user's notifications as read
+ * POST /api/notifications/read-all
+ */
+app.post('/api/notifications/read-all', (req, res) => {
+    res.json({ success: true, updated: notifications.markAllRead(store, req.user.id) });
+});
+
+/**
+ * Mark one of the current user's notifications as read or unread
+ * PUT /api/notifications/:id { read: true|false }
+ */
+app.put('/api/notifications/:id', (req, res) => {
+    if (typeof req.body.read !== 'boolean') {
+        return sendValidationErrors(res, { read: 'Must be true or false' });
+    }
+    
+    const notification = notifications.markRead(store, req.user.id, req.params.id, req.body.read);
+    if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
     }
+    
+    res.json(notification);
 });
 
 // ============================================
@@ -387,23 +3197,27 @@ app.put('/api/resources/:id', (req, res) => {
  * Get dashboard statistics
  * GET /api/reports/dashboard
  */
-app.get('/api/reports/dashboard', (req, res) => {
-    const projects = readDataFile('projects.json');
-    const tasks = readDataFile('tasks.json');
-    const resources = readDataFile('resources.json');
+app.get('/api/reports/dashboard', requirePermission('reports:read'), (req, res) => {
+    // Statistics only cover current (not archived) projects within the user's scope
+    const projects = listVisible('projects', req).filter(p => canAccessProject(req.user, p));
+    const projectIds = new Set(projects.map(p => p.id));
+    const tasks = listVisible('tasks', req).filter(t => projectIds.has(t.projectId));
+    const resources = listVisible('resources', req).filter(r => projectIds.has(r.projectId));
+    const { categoryOf } = workflows.createStatusResolver(store);
+    const spentByProject = budget.getSpentByProject(store);
     
-    // Calculate statistics
+    // Calculate statistics (task counts use each project's workflow categories)
     const stats = {
         totalProjects: projects.length,
         activeProjects: projects.filter(p => p.status === 'active').length,
         totalTasks: tasks.length,
-        completedTasks: tasks.filter(t => t.status === 'completed').length,
-        inProgressTasks: tasks.filter(t => t.status === 'in-progress').length,
+        completedTasks: tasks.filter(t => categoryOf(t) === 'done').length,
+        inProgressTasks: tasks.filter(t => categoryOf(t) === 'active').length,
         totalResources: resources.length,
         // Calculate total budget across all projects
         totalBudget: projects.reduce((sum, p) => sum + (p.budget || 0), 0),
-        // Calculate budget spent
-        budgetSpent: projects.reduce((sum, p) => sum + (p.budgetSpent || 0), 0)
+        // Spend comes from approved expenses and timesheets
+        budgetSpent: projects.reduce((sum, p) => sum + (spentByProject.get(p.id) || 0), 0)
     };
     
     res.json(stats);
@@ -411,26 +3225,176 @@ app.get('/api/reports/dashboard', (req, res) => {
 
 /**
  * Get project progress report
+ * Completed, in progress and pending count the tasks in the workflow's
+ * done, active and todo categories; statuses breaks the tasks down per status
  * GET /api/reports/project-progress/:projectId
  */
-app.get('/api/reports/project-progress/:projectId', (req, res) => {
-    const tasks = readDataFile('tasks.json');
-    const projectTasks = tasks.filter(t => t.projectId === req.params.projectId);
+app.get('/api/reports/project-progress/:projectId', requirePermission('reports:read'), (req, res) => {
+    const project = getLiveRecord('projects', req.params.projectId);
+    
+    if (!project || !canAccessProject(req.user, project)) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const projectTasks = store.all('tasks').filter(t => t.projectId === req.params.projectId && !integrity.isDeleted(t));
+    
+    const workflow = workflows.getWorkflow(store, project.workflowId);
+    const { categoryOf } = workflows.createStatusResolver(store);
     
     const totalTasks = projectTasks.length;
-    const completedTasks = projectTasks.filter(t => t.status === 'completed').length;
+    const completedTasks = projectTasks.filter(t => categoryOf(t) === 'done').length;
     const progressPercentage = totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0;
     
     res.json({
         projectId: req.params.projectId,
         totalTasks,
         completedTasks,
-        inProgressTasks: projectTasks.filter(t => t.status === 'in-progress').length,
-        pendingTasks: projectTasks.filter(t => t.status === 'pending').length,
+        inProgressTasks: projectTasks.filter(t => categoryOf(t) === 'active').length,
+        pendingTasks: projectTasks.filter(t => categoryOf(t) === 'todo').length,
+        statuses: workflow.statuses.map(status => ({
+            ...status,
+            count: projectTasks.filter(t => t.status === status.key).length
+        })),
         progressPercentage: Math.round(progressPercentage)
     });
 });
 
+/**
+ * Get the milestones of every project the user can see, by due date,
+ * with their progress and health (slipped, at-risk, on-track or completed)
+ * GET /api/reports/milestones
+ */
+app.get('/api/reports/milestones', requirePermission('reports:read'), (req, res) => {
+    const projects = store.all('projects').filter(p => integrity.isLive(p) && canAccessProject(req.user, p));
+    
+    const all = projects.flatMap(project =>
+        describeMilestones(project).map(milestone => ({
+            ...milestone,
+            projectId: project.id,
+            projectName: project.name
+        }))
+    );
+    
+    res.json(all.sort((a, b) => a.dueDate.localeCompare(b.dueDate)));
+});
+
+/**
+ * Get the portfolio risk picture: a probability × impact heat map of open risks,
+ * the open risks themselves (highest score first) and counts by level
+ * GET /api/reports/risks
+ */
+app.get('/api/reports/risks', requirePermission('reports:read'), (req, res) => {
+    const projects = store.all('projects').filter(p => integrity.isLive(p) && canAccessProject(req.user, p));
+    const projectNames = new Map(projects.map(p => [p.id, p.name]));
+    
+    const open = describeRisks(
+        store.all(risks.RISK_COLLECTION).filter(r => integrity.isLive(r) && projectNames.has(r.projectId) && risks.isOpen(r))
+    ).map(risk => ({ ...risk, projectName: projectNames.get(risk.projectId) }));
+    
+    const byLevel = { critical: 0, high: 0, medium: 0, low: 0 };
+    open.forEach(risk => byLevel[risk.level]++);
+    
+    res.json({
+        heatMap: risks.buildHeatMap(open),
+        byLevel,
+        overdue: open.filter(risk => risk.overdue).length,
+        risks: open.sort((a, b) => b.score - a.score)
+    });
+});
+
+/**
+ * Get the spend of the user's projects (or one project) broken down by category
+ * and month, with each project's budget, approved spend and pending expenses
+ * Labour is worked out from approved timesheet hours × the allocation's hourly rate
+ * GET /api/reports/budget?projectId=xxx
+ */
+app.get('/api/reports/budget', requirePermission('reports:read'), (req, res) => {
+    const projects = listVisible('projects', req).filter(p =>
+        canAccessProject(req.user, p) && (!req.query.projectId || p.id === req.query.projectId)
+    );
+    const projectIds = new Set(projects.map(p => p.id));
+    
+    const lines = budget.getSpendLines(store).filter(line => projectIds.has(line.projectId));
+    const pending = store.all(budget.EXPENSE_COLLECTION).filter(expense =>
+        integrity.isLive(expense) && expense.status === 'pending' && projectIds.has(expense.projectId)
+    );
+    const sumAmounts = list => Math.round(list.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+    
+    const summary = budget.summarizeSpend(lines);
+    const totalBudget = projects.reduce((sum, p) => sum + (p.budget || 0), 0);
+    
+    res.json({
+        totalBudget,
+        ...summary,
+        remaining: Math.round((totalBudget - summary.spent) * 100) / 100,
+        pending: sumAmounts(pending),
+        labourHours: Math.round(budget.getLabourCosts(store)
+            .filter(cost => projectIds.has(cost.projectId))
+            .reduce((sum, cost) => sum + cost.hours, 0) * 100) / 100,
+        projects: projects.map(project => ({
+            id: project.id,
+            name: project.name,
+            status: project.status,
+            budget: project.budget || 0,
+            spent: sumAmounts(lines.filter(line => line.projectId === project.id)),
+            pending: sumAmounts(pending.filter(expense => expense.projectId === project.id))
+        }))
+    });
+});
+
+/**
+ * Works out the earned value of projects
+ * Tasks, allocations and approved time are read once for all of them
+ * @param {Array<Object>} projects - Projects to report
+ * @returns {Array<Object>} Earned value of each project (see evm.computeEvm)
+ */
+function computeProjectsEvm(projects) {
+    const tasks = store.all('tasks').filter(t => !integrity.isDeleted(t));
+    const resources = store.all('resources').filter(r => !integrity.isDeleted(r));
+    const labourCosts = budget.getLabourCosts(store);
+    const { categoryOf } = workflows.createStatusResolver(store);
+    
+    return projects.map(project => evm.computeEvm(
+        project,
+        tasks.filter(t => t.projectId === project.id),
+        resources.filter(r => r.projectId === project.id),
+        labourCosts.filter(cost => cost.projectId === project.id),
+        categoryOf
+    ));
+}
+
+/**
+ * Get the earned value of every project the user can see, and of all of them together
+ * GET /api/reports/evm
+ */
+app.get('/api/reports/evm', requirePermission('reports:read'), (req, res) => {
+    const projects = listVisible('projects', req).filter(p => canAccessProject(req.user, p));
+    const results = computeProjectsEvm(projects);
+    
+    res.json({
+        portfolio: evm.summarizePortfolio(results),
+        projects: results.map(({ series, ...result }, index) => ({
+            ...result,
+            name: projects[index].name,
+            status: projects[index].status
+        }))
+    });
+});
+
+/**
+ * Get a project's earned value (PV, EV, AC, SPI, CPI, EAC, ETC, VAC) and its S-curve
+ * GET /api/reports/evm/:projectId
+ */
+app.get('/api/reports/evm/:projectId', requirePermission('reports:read'), (req, res) => {
+    const project = getLiveRecord('projects', req.params.projectId);
+    
+    if (!project || !canAccessProject(req.user, project)) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    res.json(computeProjectsEvm([project])[0]);
+});
+
 // ============================================
 // SERVE MAIN APPLICATION
 // ============================================
@@ -442,15 +3406,61 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// ============================================
+// ERROR HANDLING
+// ============================================
+
+/**
+ * Catches errors thrown by route handlers (e.g. storage failures)
+ * Logs the details on the server and returns a generic message to the client
+ */
+app.use((err, req, res, next) => {
+    // Client errors raised by middleware (e.g. malformed JSON bodies) keep their status
+    if (err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+    res.status(500).json({ error: 'Internal server error' });
+});
+
 // ============================================
 // START SERVER
 // ============================================
 
-app.listen(PORT, () => {
+// Hash any plaintext passwords left over from older versions of users.json
+migratePlaintextPasswords();
+
+// Rank tasks created before the board could be reordered
+migrateTaskRanks();
+
+// Move risks kept on projects by older versions into the risk register
+migrateProjectRisks();
+
+// Move spend typed into projects by older versions into the expense ledger
+migrateProjectSpend();
+
+// Keep the alerts recorded only in inboxes from being announced again
+migrateNotificationAlerts();
+
+const server = app.listen(PORT, () => {
     console.log('===========================================');
     console.log('  Project Tracking System Server Started  ');
     console.log('===========================================');
-    console.log(`  Server running at: http://localhost:${PORT}`);
+    console.log(`  Server running at: http://localhost:${server.address().port}`);
     console.log(`  Environment: Development`);
+    console.log(`  Storage: ${store.driver}`);
+    console.log(`  Mail: ${mailer.describe()}`);
     console.log('===========================================');
+    
+    // Look for due dates and budgets to notify about now and every few minutes
+    runNotificationChecks();
+    setInterval(runNotificationChecks, NOTIFICATION_CHECK_MS).unref();
+    
+    // Send queued emails, including retries of failed ones, every minute
+    setInterval(sendQueuedEmails, emails.QUEUE_CHECK_MS).unref();
+    
+    // Drop audit entries past their retention period now and once a day
+    pruneAuditLog();
+    setInterval(pruneAuditLog, audit.PRUNE_CHECK_MS).unref();
 });
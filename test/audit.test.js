@@ -0,0 +1,66 @@
+/**
+ * Audit Retention Tests
+ *
+ * Checks that entries older than the retention period are pruned from the log
+ * and newer ones are kept.
+ *
+ * Run with: npm test
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+const audit = require('../lib/audit');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+let dataDir;
+let store;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pts-audit-'));
+    store = createStore({ driver: 'json', dataDir });
+});
+
+afterEach(() => {
+    store.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Logs an entry dated some days before a given time
+ * @param {string} id - Entry ID
+ * @param {Date} now - Reference time
+ * @param {number} daysAgo - Age of the entry
+ */
+function addEntry(id, now, daysAgo) {
+    store.insert(audit.AUDIT_COLLECTION, {
+        id,
+        entity: 'task',
+        entityId: 'task001',
+        action: 'update',
+        timestamp: new Date(now.getTime() - daysAgo * MS_PER_DAY).toISOString(),
+        changes: []
+    });
+}
+
+test('entries older than the retention period are removed', () => {
+    const now = new Date('2025-06-01T12:00:00.000Z');
+    addEntry('old', now, audit.RETENTION_DAYS + 1);
+    addEntry('recent', now, audit.RETENTION_DAYS - 1);
+    addEntry('today', now, 0);
+    
+    assert.strictEqual(audit.pruneEntries(store, now), 1);
+    assert.deepStrictEqual(store.all(audit.AUDIT_COLLECTION).map(entry => entry.id), ['recent', 'today']);
+});
+
+test('a log without old entries is left as it is', () => {
+    const now = new Date('2025-06-01T12:00:00.000Z');
+    addEntry('recent', now, 1);
+    
+    assert.strictEqual(audit.pruneEntries(store, now), 0);
+    assert.strictEqual(store.all(audit.AUDIT_COLLECTION)[0].version, 1);
+});
@@ -0,0 +1,75 @@
+/**
+ * Kanban Board Order Tests
+ *
+ * Drops a card into the same gap over and over, as dragging it between the same
+ * two cards does, and checks that the column is renumbered before neighbouring
+ * ranks run together, keeping the board order.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await server.login('admin', 'admin123');
+});
+
+after(() => server.stop());
+
+/**
+ * Lists a status column of the board as the page loads it
+ * @param {string} status - Status key
+ * @returns {Promise<Array<Object>>} Tasks in board order
+ */
+async function getColumn(status) {
+    const { body } = await server.request(`/tasks?status=${status}&sort=rank&limit=200`, { token: adminToken });
+    return body.items;
+}
+
+/**
+ * Saves a task's rank as a board drop does
+ * @param {Object} task - Task as listed
+ * @param {number} rank - New rank
+ * @returns {Promise<Object>} The saved task
+ */
+async function moveTo(task, rank) {
+    const result = await server.request(`/tasks/${task.id}`, {
+        method: 'PUT',
+        token: adminToken,
+        body: { rank, version: task.version }
+    });
+    assert.strictEqual(result.status, 200);
+    return result.body;
+}
+
+test('dropping cards into the same gap keeps ranks apart and the order intact', async () => {
+    const column = await getColumn('pending');
+    assert.ok(column.length >= 4);
+    
+    // Keep dropping the last card of the column just below the first one
+    const expected = column.map(task => task.id);
+    for (let drop = 0; drop < 60; drop++) {
+        const current = await getColumn('pending');
+        const [first, second] = current;
+        const moving = current[current.length - 1];
+        await moveTo(moving, (first.rank + second.rank) / 2);
+        
+        expected.splice(expected.indexOf(moving.id), 1);
+        expected.splice(1, 0, moving.id);
+    }
+    
+    const final = await getColumn('pending');
+    assert.deepStrictEqual(final.map(task => task.id), expected);
+    
+    final.forEach((task, index) => {
+        if (index > 0) {
+            assert.ok(task.rank - final[index - 1].rank >= 1e-6, `ranks ${final[index - 1].rank} and ${task.rank} ran together`);
+        }
+    });
+});
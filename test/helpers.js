@@ -0,0 +1,125 @@
+/**
+ * Test Helpers
+ *
+ * Starts the server for a test file on a free port, with its own copy of the seed
+ * data, and makes API requests to it.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Starts the server on a temporary copy of data/
+ * @param {Object} [options] - Start options
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {Function} [options.prepare] - Called with the data directory before the server starts
+ * @returns {Promise<Object>} Test server { dataDir, request, login, readData, stop }
+ */
+async function startServer({ env = {}, prepare } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pts-test-'));
+    fs.cpSync(path.join(ROOT, 'data'), dataDir, { recursive: true });
+    fs.rmSync(path.join(dataDir, 'outbox'), { recursive: true, force: true });
+    if (prepare) prepare(dataDir);
+    
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: '0',
+            STORAGE_DRIVER: 'json',
+            DATA_DIR: dataDir,
+            MAIL_OUTBOX_DIR: path.join(dataDir, 'outbox'),
+            ...env
+        }
+    });
+    
+    // Wait for the startup banner, which names the port the server chose
+    let output = '';
+    const port = await new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/Server running at: http:\/\/localhost:(\d+)/);
+            if (match) resolve(match[1]);
+        });
+        child.on('exit', code => reject(new Error(`Server exited with code ${code}: ${output}`)));
+    });
+    const apiBaseUrl = `http://localhost:${port}/api`;
+    
+    /**
+     * Makes an API request
+     * @param {string} endpoint - The API endpoint (e.g., '/tasks')
+     * @param {Object} [options] - { method, body, token }
+     * @returns {Promise<Object>} { status, body }
+     */
+    async function request(endpoint, { method = 'GET', body, token } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        
+        const response = await fetch(`${apiBaseUrl}${endpoint}`, {
+            method,
+            headers,
+            body: body && JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    }
+    
+    return {
+        dataDir,
+        request,
+        
+        /**
+         * Logs in and returns the session token
+         * @param {string} username - User name from data/users.json
+         * @param {string} password - Password
+         * @returns {Promise<string>} Session token
+         */
+        async login(username, password) {
+            const { body } = await request('/login', { method: 'POST', body: { username, password } });
+            return body.token;
+        },
+        
+        /**
+         * Reads one of the server's JSON data files
+         * @param {string} collection - Collection name (e.g. 'tasks')
+         * @returns {Array<Object>} Its records
+         */
+        readData(collection) {
+            const file = path.join(dataDir, `${collection}.json`);
+            return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+        },
+        
+        /**
+         * Stops the server and removes its data
+         * @returns {Promise<void>} Resolves once the server has exited
+         */
+        async stop() {
+            if (child.exitCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Edits one of the JSON data files before the server starts
+ * @param {string} dataDir - Data directory
+ * @param {string} collection - Collection name (e.g. 'tasks')
+ * @param {Function} edit - Gets the records and returns the new ones
+ */
+function editData(dataDir, collection, edit) {
+    const file = path.join(dataDir, `${collection}.json`);
+    const records = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    fs.writeFileSync(file, JSON.stringify(edit(records), null, 2));
+}
+
+module.exports = { startServer, editData };
@@ -0,0 +1,100 @@
+/**
+ * SMTP Transport Tests
+ *
+ * Sends email to a fake SMTP server that does not offer STARTTLS and checks that
+ * the password is only sent over such a connection when that is explicitly allowed.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { createMailer } = require('../lib/mail');
+
+const MAIL = { to: 'dev@example.com', subject: 'Hello', text: 'Hello', html: '<p>Hello</p>' };
+
+let smtpServer;
+let port;
+
+/**
+ * Commands the fake server received, one list per connection
+ */
+const sessions = [];
+
+before(async () => {
+    smtpServer = net.createServer(socket => {
+        const commands = [];
+        let buffer = '';
+        let inData = false;
+        sessions.push(commands);
+        
+        socket.write('220 fake ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 queued\r\n');
+                    }
+                    continue;
+                }
+                
+                commands.push(line.split(' ')[0]);
+                if (line.startsWith('EHLO')) {
+                    socket.write('250-fake\r\n250 AUTH PLAIN\r\n');
+                } else if (line.startsWith('AUTH')) {
+                    socket.write('235 accepted\r\n');
+                } else if (line === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+    });
+    
+    await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+    port = smtpServer.address().port;
+});
+
+after(() => new Promise(resolve => smtpServer.close(resolve)));
+
+/**
+ * Creates a mailer for the fake server
+ * @param {Object} [options] - Extra mailer options
+ * @returns {Object} Mailer
+ */
+function createTestMailer(options = {}) {
+    return createMailer({ transport: 'smtp', host: '127.0.0.1', port, from: 'pts@example.com', ...options });
+}
+
+test('the password is not sent when the server offers no STARTTLS', async () => {
+    const mailer = createTestMailer({ user: 'pts', pass: 'secret', allowInsecureAuth: false });
+    
+    await assert.rejects(mailer.send(MAIL), error => error.permanent === true);
+    assert.ok(!sessions[sessions.length - 1].includes('AUTH'));
+});
+
+test('the password is sent without TLS when insecure login is allowed', async () => {
+    const mailer = createTestMailer({ user: 'pts', pass: 'secret', allowInsecureAuth: true });
+    
+    await mailer.send(MAIL);
+    assert.deepStrictEqual(sessions[sessions.length - 1].slice(0, 5), ['EHLO', 'AUTH', 'MAIL', 'RCPT', 'DATA']);
+});
+
+test('email without a login is sent without TLS', async () => {
+    const mailer = createTestMailer();
+    
+    await mailer.send(MAIL);
+    assert.deepStrictEqual(sessions[sessions.length - 1].slice(0, 4), ['EHLO', 'MAIL', 'RCPT', 'DATA']);
+});
@@ -0,0 +1,85 @@
+/**
+ * Due Date Alert Tests
+ *
+ * Checks that due date alerts reach users on a fresh install, and that an upgrade
+ * copies the alerts already in inboxes to the alert log once, so those are not
+ * announced again after the inbox is pruned.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startServer, editData } = require('./helpers');
+
+const OVERDUE_KEY = 'overdue:task004:2024-03-15';
+
+/**
+ * Lists a user's notifications about one due date
+ * @param {Object} server - Test server
+ * @param {string} username - User name
+ * @param {string} password - Password
+ * @returns {Promise<Array<Object>>} Their notifications with the overdue key of task004
+ */
+async function getOverdueNotifications(server, username, password) {
+    const token = await server.login(username, password);
+    const { body } = await server.request('/notifications?limit=100', { token });
+    return body.items.filter(item => item.key === OVERDUE_KEY);
+}
+
+test('a fresh install announces tasks that are already overdue', async () => {
+    const server = await startServer();
+    try {
+        const overdue = await getOverdueNotifications(server, 'dev_nobela', 'dev123');
+        assert.strictEqual(overdue.length, 1);
+        
+        assert.ok(server.readData('notification_alerts').some(alert => alert.id === `user003:${OVERDUE_KEY}`));
+        assert.ok(server.readData('migrations').some(migration => migration.id === 'notification-alerts'));
+    } finally {
+        await server.stop();
+    }
+});
+
+test('an upgrade keeps an alert announced before the alert log from being sent again', async () => {
+    const sentAt = new Date(Date.now() - 200 * 24 * 60 * 60 * 1000).toISOString();
+    const server = await startServer({
+        prepare: dataDir => editData(dataDir, 'notifications', () => [{
+            id: 'old-overdue',
+            version: 1,
+            userId: 'user003',
+            type: 'overdue',
+            title: 'Task overdue',
+            message: 'Performance optimization is overdue',
+            entity: 'task',
+            entityId: 'task004',
+            projectId: 'proj001',
+            key: OVERDUE_KEY,
+            read: true,
+            readAt: sentAt,
+            createdAt: sentAt
+        }])
+    });
+    try {
+        // The old notification is pruned on startup, and no new one replaces it
+        const overdue = await getOverdueNotifications(server, 'dev_nobela', 'dev123');
+        assert.deepStrictEqual(overdue, []);
+        assert.ok(server.readData('notification_alerts').some(alert => alert.id === `user003:${OVERDUE_KEY}`));
+    } finally {
+        await server.stop();
+    }
+});
+
+test('the backfill runs once, so an empty alert log does not hide new alerts', async () => {
+    const server = await startServer({
+        prepare: dataDir => {
+            editData(dataDir, 'migrations', () => [{ id: 'notification-alerts', version: 1, ranAt: new Date().toISOString() }]);
+            editData(dataDir, 'notification_alerts', () => []);
+        }
+    });
+    try {
+        const overdue = await getOverdueNotifications(server, 'dev_nobela', 'dev123');
+        assert.strictEqual(overdue.length, 1);
+    } finally {
+        await server.stop();
+    }
+});
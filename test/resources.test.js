@@ -0,0 +1,96 @@
+/**
+ * Resource Allocation Access Tests
+ *
+ * Checks that allocations follow the project scope of the user: department heads
+ * only see the allocations of their department's projects and cannot allocate, and
+ * an allocation moved to another department's project leaves their view.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const TESTING_PROJECT = 'mktll9xu29amtz6w64m';
+
+let server;
+let adminToken;
+let headToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await server.login('admin', 'admin123');
+    headToken = await server.login('head_david', 'head123');
+});
+
+after(() => server.stop());
+
+/**
+ * Lists the allocation IDs a user can see
+ * @param {string} token - Session token
+ * @returns {Promise<Array<string>>} Allocation IDs
+ */
+async function listResourceIds(token) {
+    const { body } = await server.request('/resources', { token });
+    return body.map(resource => resource.id);
+}
+
+test('department heads cannot add allocations or move them between projects', async () => {
+    const created = await server.request('/resources', {
+        method: 'POST',
+        token: headToken,
+        body: {
+            projectId: TESTING_PROJECT,
+            userId: 'user003',
+            role: 'Tester',
+            allocatedHours: 10,
+            hourlyRate: 50,
+            startDate: '2024-02-01',
+            endDate: '2024-03-01',
+            status: 'planned'
+        }
+    });
+    assert.strictEqual(created.status, 403);
+    
+    const moved = await server.request('/resources/res001', {
+        method: 'PUT',
+        token: headToken,
+        body: { projectId: TESTING_PROJECT }
+    });
+    assert.strictEqual(moved.status, 403);
+    assert.strictEqual(server.readData('resources').find(r => r.id === 'res001').projectId, 'proj001');
+});
+
+test('an allocation moved to another department leaves the department head\'s view', async () => {
+    assert.ok((await listResourceIds(headToken)).includes('res001'));
+    
+    const moved = await server.request('/resources/res001', {
+        method: 'PUT',
+        token: adminToken,
+        body: { projectId: TESTING_PROJECT }
+    });
+    assert.strictEqual(moved.status, 200);
+    assert.strictEqual(moved.body.projectId, TESTING_PROJECT);
+    
+    assert.ok(!(await listResourceIds(headToken)).includes('res001'));
+    assert.ok((await listResourceIds(adminToken)).includes('res001'));
+});
+
+test('allocations cannot be added to a project that does not exist', async () => {
+    const created = await server.request('/resources', {
+        method: 'POST',
+        token: adminToken,
+        body: {
+            projectId: 'missing',
+            userId: 'user003',
+            role: 'Tester',
+            allocatedHours: 10,
+            hourlyRate: 50,
+            startDate: '2024-02-01',
+            endDate: '2024-03-01',
+            status: 'planned'
+        }
+    });
+    assert.strictEqual(created.status, 422);
+});
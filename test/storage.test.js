@@ -0,0 +1,78 @@
+/**
+ * Storage Driver Tests
+ *
+ * Runs the same transaction checks against the JSON and SQLite drivers, so both
+ * keep the same behaviour. The SQLite checks are skipped when better-sqlite3 is
+ * not installed.
+ *
+ * Run with: npm test
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+
+/**
+ * Whether the optional SQLite dependency is available
+ */
+const HAS_SQLITE = (() => {
+    try {
+        require('better-sqlite3');
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+let dataDir;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pts-store-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+['json', 'sqlite'].forEach(driver => {
+    const skip = driver === 'sqlite' && !HAS_SQLITE && 'better-sqlite3 is not installed';
+    
+    test(`${driver}: a nested transaction that throws is undone when the outer one catches it`, { skip }, () => {
+        const store = createStore({ driver, dataDir });
+        const callbacks = [];
+        
+        store.transaction(() => {
+            store.insert('items', { id: 'kept' });
+            store.afterCommit(() => callbacks.push('outer'));
+            
+            assert.throws(() => store.transaction(() => {
+                store.insert('items', { id: 'dropped' });
+                store.update('items', 'kept', { name: 'changed' });
+                store.afterCommit(() => callbacks.push('inner'));
+                throw new Error('inner failure');
+            }), /inner failure/);
+            
+            store.insert('items', { id: 'after' });
+        });
+        
+        assert.deepStrictEqual(store.all('items').map(item => item.id), ['kept', 'after']);
+        assert.strictEqual(store.get('items', 'kept').name, undefined);
+        assert.deepStrictEqual(callbacks, ['outer']);
+        store.close();
+    });
+    
+    test(`${driver}: a nested transaction that succeeds is saved with the outer one`, { skip }, () => {
+        const store = createStore({ driver, dataDir });
+        
+        store.transaction(() => {
+            store.transaction(() => store.insert('items', { id: 'inner' }));
+            store.insert('items', { id: 'outer' });
+        });
+        
+        assert.deepStrictEqual(store.all('items').map(item => item.id), ['inner', 'outer']);
+        store.close();
+    });
+});
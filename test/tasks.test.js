@@ -0,0 +1,100 @@
+/**
+ * Task Lookup Tests
+ *
+ * Checks the endpoints the task and project pages load from instead of the whole
+ * task list: single tasks by ID, tasks of a few projects or with given IDs, and the
+ * task counts projects are read with, which the board checks WIP limits against.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await server.login('admin', 'admin123');
+});
+
+after(() => server.stop());
+
+/**
+ * Lists tasks as the admin
+ * @param {string} search - Query string
+ * @returns {Promise<Array<Object>>} Tasks
+ */
+async function listTasks(search) {
+    const { body } = await server.request(`/tasks?${search}`, { token: adminToken });
+    return body;
+}
+
+test('a single task comes with the same computed fields as the list', async () => {
+    const [listed] = await listTasks('id=task004');
+    const { status, body } = await server.request('/tasks/task004', { token: adminToken });
+    
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, listed);
+    assert.strictEqual(body.blocked, true);
+    
+    const missing = await server.request('/tasks/task999', { token: adminToken });
+    assert.strictEqual(missing.status, 404);
+});
+
+test('a task outside the user\'s department is not found', async () => {
+    const created = await server.request('/tasks', {
+        method: 'POST',
+        token: adminToken,
+        body: {
+            projectId: 'mktll9xu29amtz6w64m',
+            title: 'Write test plan',
+            description: 'Plan the regression tests',
+            status: 'pending',
+            priority: 'medium',
+            startDate: '2025-01-06',
+            dueDate: '2025-01-10',
+            estimatedHours: 4,
+            assignedTo: 'user003'
+        }
+    });
+    assert.strictEqual(created.status, 201);
+    
+    const headToken = await server.login('head_david', 'head123');
+    const result = await server.request(`/tasks/${created.body.id}`, { token: headToken });
+    assert.strictEqual(result.status, 404);
+});
+
+test('tasks can be listed by ID or for several projects at once', async () => {
+    const byId = await listTasks('id=task001,task008');
+    assert.deepStrictEqual(byId.map(task => task.id).sort(), ['task001', 'task008']);
+    
+    const byProject = await listTasks('projectId=proj001,proj003');
+    assert.deepStrictEqual(
+        [...new Set(byProject.map(task => task.projectId))].sort(),
+        ['proj001', 'proj003']
+    );
+});
+
+test('projects are read with their task counts, which follow task changes', async () => {
+    const { body: project } = await server.request('/projects/proj001', { token: adminToken });
+    assert.deepStrictEqual(project.statusCounts, { completed: 2, pending: 2 });
+    assert.strictEqual(project.taskCount, 4);
+    assert.strictEqual(project.completedTaskCount, 2);
+    assert.strictEqual(project.progress, 50);
+    
+    const { body: task } = await server.request('/tasks/task003', { token: adminToken });
+    const moved = await server.request('/tasks/task003', {
+        method: 'PUT',
+        token: adminToken,
+        body: { status: 'in-progress', version: task.version }
+    });
+    assert.strictEqual(moved.status, 200);
+    
+    const { body: projects } = await server.request('/projects', { token: adminToken });
+    const listed = projects.find(p => p.id === 'proj001');
+    assert.deepStrictEqual(listed.statusCounts, { completed: 2, pending: 1, 'in-progress': 1 });
+    assert.strictEqual(listed.progress, 50);
+});
@@ -0,0 +1,82 @@
+/**
+ * Timesheet Approval Tests
+ *
+ * Starts the server on a copy of the seed data and checks that approving time
+ * adds each entry's hours to the actuals exactly once.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+
+/**
+ * Gets one task through the task list
+ * @param {string} token - Session token
+ * @param {string} id - Task ID
+ * @returns {Promise<Object>} The task
+ */
+async function getTask(token, id) {
+    const { body } = await server.request('/tasks', { token });
+    return body.find(task => task.id === id);
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+test('approving a list that names an entry twice is rejected and adds no hours', async () => {
+    const memberToken = await server.login('dev_nobela', 'dev123');
+    const managerToken = await server.login('admin', 'admin123');
+    const today = new Date().toISOString().slice(0, 10);
+    
+    const original = await getTask(managerToken, 'task004');
+    
+    const created = await server.request('/timesheets/entries', {
+        method: 'POST',
+        token: memberToken,
+        body: { taskId: 'task004', date: today, hours: 3 }
+    });
+    assert.strictEqual(created.status, 201);
+    
+    const submitted = await server.request('/timesheets/submit', { method: 'POST', token: memberToken, body: { week: today } });
+    assert.strictEqual(submitted.body.submitted, 1);
+    
+    const entryId = created.body.id;
+    const duplicate = await server.request('/timesheets/approve', {
+        method: 'POST',
+        token: managerToken,
+        body: { entryIds: [entryId, entryId, entryId] }
+    });
+    assert.strictEqual(duplicate.status, 422);
+    
+    const unchanged = await getTask(managerToken, 'task004');
+    assert.strictEqual(unchanged.actualHours, original.actualHours);
+    
+    const approved = await server.request('/timesheets/approve', {
+        method: 'POST',
+        token: managerToken,
+        body: { entryIds: [entryId] }
+    });
+    assert.strictEqual(approved.status, 200);
+    assert.strictEqual(approved.body.approved, 1);
+    
+    const updated = await getTask(managerToken, 'task004');
+    assert.strictEqual(updated.actualHours, original.actualHours + 3);
+});
+
+test('approving with an entry ID that is not a string is rejected', async () => {
+    const managerToken = await server.login('admin', 'admin123');
+    
+    const result = await server.request('/timesheets/approve', {
+        method: 'POST',
+        token: managerToken,
+        body: { entryIds: [{ id: 'x' }] }
+    });
+    assert.strictEqual(result.status, 422);
+});
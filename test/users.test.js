@@ -0,0 +1,62 @@
+/**
+ * User Deactivation Tests
+ *
+ * Checks that users can only be deactivated through DELETE, where the rules in
+ * config/integrity.json decide what happens to their open work.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await server.login('admin', 'admin123');
+});
+
+after(() => server.stop());
+
+/**
+ * Reads a user straight from the data files
+ * @param {string} id - User ID
+ * @returns {Object} The stored user
+ */
+function readUser(id) {
+    return server.readData('users').find(user => user.id === id);
+}
+
+test('deactivating through the update endpoint is refused', async () => {
+    const result = await server.request('/users/user003', {
+        method: 'PUT',
+        token: adminToken,
+        body: { active: false }
+    });
+    assert.strictEqual(result.status, 400);
+    assert.notStrictEqual(readUser('user003').active, false);
+});
+
+test('a user with open tasks is blocked from deactivation by the delete rules', async () => {
+    const result = await server.request('/users/user003', { method: 'DELETE', token: adminToken });
+    assert.strictEqual(result.status, 409);
+    assert.ok(result.body.preview);
+    assert.notStrictEqual(readUser('user003').active, false);
+});
+
+test('a user without open work is deactivated and can be reactivated', async () => {
+    const deactivated = await server.request('/users/user005', { method: 'DELETE', token: adminToken });
+    assert.strictEqual(deactivated.status, 200);
+    assert.strictEqual(readUser('user005').active, false);
+    
+    const reactivated = await server.request('/users/user005', {
+        method: 'PUT',
+        token: adminToken,
+        body: { active: true }
+    });
+    assert.strictEqual(reactivated.status, 200);
+    assert.strictEqual(reactivated.body.active, true);
+});
@@ -0,0 +1,68 @@
+/**
+ * Edit Conflict Tests
+ *
+ * Checks that a stale update is refused with 409 and that the current copy sent
+ * with it has the same computed fields as the GET endpoints, so clients can merge
+ * from it without losing any.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let adminToken;
+
+before(async () => {
+    server = await startServer();
+    adminToken = await server.login('admin', 'admin123');
+});
+
+after(() => server.stop());
+
+test('a stale project update gets the current copy as GET returns it', async () => {
+    const opened = await server.request('/projects/proj001', { token: adminToken });
+    assert.strictEqual(typeof opened.body.budgetSpent, 'number');
+    
+    const saved = await server.request('/projects/proj001', {
+        method: 'PUT',
+        token: adminToken,
+        body: { description: 'First edit', version: opened.body.version }
+    });
+    assert.strictEqual(saved.status, 200);
+    assert.strictEqual(saved.body.budgetSpent, opened.body.budgetSpent);
+    
+    const stale = await server.request('/projects/proj001', {
+        method: 'PUT',
+        token: adminToken,
+        body: { description: 'Second edit', version: opened.body.version }
+    });
+    assert.strictEqual(stale.status, 409);
+    
+    const current = await server.request('/projects/proj001', { token: adminToken });
+    assert.deepStrictEqual(stale.body.current, current.body);
+});
+
+test('a stale task update gets the current copy as the task list returns it', async () => {
+    const { body: tasks } = await server.request('/tasks', { token: adminToken });
+    const opened = tasks.find(task => task.id === 'task004');
+    
+    const saved = await server.request('/tasks/task004', {
+        method: 'PUT',
+        token: adminToken,
+        body: { description: 'First edit', version: opened.version }
+    });
+    assert.strictEqual(saved.status, 200);
+    
+    const stale = await server.request('/tasks/task004', {
+        method: 'PUT',
+        token: adminToken,
+        body: { description: 'Second edit', version: opened.version }
+    });
+    assert.strictEqual(stale.status, 409);
+    
+    const { body: latest } = await server.request('/tasks', { token: adminToken });
+    assert.deepStrictEqual(stale.body.current, latest.find(task => task.id === 'task004'));
+});